@@ -9,7 +9,7 @@ test.describe('EDF Data Streaming Integrity', () => {
     const consoleErrors = [];
     const consoleWarnings = [];
     const dataIntegrityLogs = [];
-    const timebaseMonitorLogs = [];
+    const playbackMonitorLogs = [];
     const streamingLogs = [];
     
     page.on('console', msg => {
@@ -34,8 +34,8 @@ test.describe('EDF Data Streaming Integrity', () => {
       if (text.includes('[EDF DATA MONITOR]')) {
         dataIntegrityLogs.push(logEntry);
       }
-      if (text.includes('[TIMEBASE MONITOR]')) {
-        timebaseMonitorLogs.push(logEntry);
+      if (text.includes('[PLAYBACK MONITOR]')) {
+        playbackMonitorLogs.push(logEntry);
       }
       if (text.includes('[startEDFStream]') || text.includes('Streaming progress')) {
         streamingLogs.push(logEntry);
@@ -243,15 +243,15 @@ test.describe('EDF Data Streaming Integrity', () => {
     console.log(`\nPass status logs: ${passStatus.length}`);
     passStatus.forEach(log => console.log(`  ${log.text}`));
     
-    console.log('\n=== TIMEBASE MONITORING ANALYSIS ===');
+    console.log('\n=== PLAYBACK MONITORING ANALYSIS ===');
     
-    // Check for timebase monitoring
-    const timebaseLogs = timebaseMonitorLogs.length;
-    console.log(`Timebase monitoring logs: ${timebaseLogs}`);
+    // Check for playback speed monitoring
+    const playbackLogs = playbackMonitorLogs.length;
+    console.log(`Playback monitoring logs: ${playbackLogs}`);
     
-    if (timebaseLogs > 0) {
-      console.log('✓ Timebase monitoring is active');
-      timebaseMonitorLogs.slice(0, 5).forEach(log => console.log(`  ${log.text}`));
+    if (playbackLogs > 0) {
+      console.log('✓ Playback monitoring is active');
+      playbackMonitorLogs.slice(0, 5).forEach(log => console.log(`  ${log.text}`));
     }
     
     console.log('\n=== STREAMING ANALYSIS ===');
@@ -290,11 +290,7 @@ test.describe('EDF Data Streaming Integrity', () => {
     
     console.log('\n=== VALIDATION CHECKS ===');
     
-    // Validation 1: EDF file loaded successfully
-    const edfLoadSuccess = consoleMessages.some(msg => 
-      msg.text.includes('EDF FILE LOADED SUCCESSFULLY') ||
-      msg.text.includes('EDF file loaded successfully')
-    );
+    // Validation 1: EDF file loaded successfully (checked after the upload)
     console.log(`✓ EDF file loaded: ${edfLoadSuccess}`);
     expect(edfLoadSuccess).toBeTruthy();
     
@@ -305,13 +301,13 @@ test.describe('EDF Data Streaming Integrity', () => {
     // Soft check - monitoring may initialize after streaming starts
     
     // Validation 3: Streaming started
-    const streamingStarted = consoleMessages.some(msg => 
+    const streamingConfirmed = consoleMessages.some(msg => 
       msg.text.includes('Starting EDF playback') ||
       msg.text.includes('Playback started') ||
       msg.text.includes('startEDFStream')
     );
-    console.log(`✓ Streaming started: ${streamingStarted}`);
-    expect(streamingStarted).toBeTruthy();
+    console.log(`✓ Streaming started: ${streamingConfirmed}`);
+    expect(streamingConfirmed).toBeTruthy();
     
     // Validation 4: Streaming is active (has progress logs)
     const isStreaming = streamingLogs.length > 0 || progressLogs.length > 0;
@@ -345,7 +341,7 @@ test.describe('EDF Data Streaming Integrity', () => {
     console.log('\n=== SUMMARY ===');
     console.log(`Total console messages: ${consoleMessages.length}`);
     console.log(`Data integrity logs: ${dataIntegrityLogs.length}`);
-    console.log(`Timebase monitor logs: ${timebaseMonitorLogs.length}`);
+    console.log(`Playback monitor logs: ${playbackMonitorLogs.length}`);
     console.log(`Streaming logs: ${streamingLogs.length}`);
     console.log(`Total errors: ${consoleErrors.length}`);
     console.log(`Total warnings: ${consoleWarnings.length}`);
@@ -367,7 +363,7 @@ test.describe('EDF Data Streaming Integrity', () => {
       summary: {
         totalConsoleMessages: consoleMessages.length,
         dataIntegrityLogs: dataIntegrityLogs.length,
-        timebaseMonitorLogs: timebaseMonitorLogs.length,
+        playbackMonitorLogs: playbackMonitorLogs.length,
         streamingLogs: streamingLogs.length,
         errors: consoleErrors.length,
         warnings: consoleWarnings.length
@@ -396,7 +392,7 @@ test.describe('EDF Data Streaming Integrity', () => {
 
 - **Total Console Messages:** ${report.summary.totalConsoleMessages}
 - **Data Integrity Logs:** ${report.summary.dataIntegrityLogs}
-- **Timebase Monitor Logs:** ${report.summary.timebaseMonitorLogs}
+- **Playback Monitor Logs:** ${report.summary.playbackMonitorLogs}
 - **Streaming Logs:** ${report.summary.streamingLogs}
 - **Errors:** ${report.summary.errors}
 - **Warnings:** ${report.summary.warnings}
@@ -448,16 +444,16 @@ ${report.errors.length > 0
     console.log('All validations passed! EDF data streaming integrity monitoring is working correctly.');
   });
   
-  test('should verify timebase 60mm/sec streams at 2x speed', async ({ page }) => {
+  test('should play at the selected speed whatever the timebase', async ({ page }) => {
     const consoleMessages = [];
-    const timebaseLogs = [];
+    const playbackLogs = [];
     
     page.on('console', msg => {
       const text = msg.text();
       consoleMessages.push({ type: msg.type(), text, timestamp: new Date().toISOString() });
       
-      if (text.includes('[TIMEBASE MONITOR]')) {
-        timebaseLogs.push({ type: msg.type(), text, timestamp: new Date().toISOString() });
+      if (text.includes('[PLAYBACK MONITOR]')) {
+        playbackLogs.push({ type: msg.type(), text, timestamp: new Date().toISOString() });
       }
       
       console.log(`[${msg.type().toUpperCase()}] ${text}`);
@@ -474,49 +470,32 @@ ${report.errors.length > 0
       return;
     }
     
-    // Upload EDF file
+    // Upload EDF file (playback starts automatically); pause it to change the settings
     const fileInput = page.locator('input[type="file"]');
     await fileInput.setInputFiles(edfFilePath);
     await page.waitForTimeout(5000);
     
-    // Set timebase to 60mm/sec
+    const pauseButton = page.locator('button:has-text("Pause")');
+    if (await pauseButton.isEnabled()) {
+      await pauseButton.click();
+      await page.waitForTimeout(1000);
+    }
+    
+    // Double the timebase: this must only change the display density
     console.log('\n=== Setting timebase to 60mm/sec ===');
+    const timebaseInput = page.locator('.timebase-control:has-text("Timebase") input');
+    await timebaseInput.fill('60');
+    await timebaseInput.press('Enter');
     
-    // Find timebase input (this may vary based on UI)
-    const timebaseInput = page.locator('input[type="number"]').filter({ 
-      hasText: /timebase|Timebase/i 
-    }).or(page.locator('input').filter({ 
-      has: page.locator('text=/timebase/i') 
-    }));
-    
-    // Try alternative: look for input near "Timebase" label
-    const timebaseLabel = page.locator('text=/timebase/i');
-    const labelCount = await timebaseLabel.count();
-    
-    if (labelCount > 0) {
-      // Find input near the label
-      const timebaseInputs = page.locator('input[type="number"]');
-      const inputCount = await timebaseInputs.count();
-      
-      // Try to find the timebase input by checking nearby elements
-      // This is a simplified approach - may need adjustment based on actual UI
-      for (let i = 0; i < inputCount; i++) {
-        const input = timebaseInputs.nth(i);
-        const value = await input.inputValue();
-        // If it's a number between 1-1000, it might be timebase
-        const numValue = parseFloat(value);
-        if (numValue >= 1 && numValue <= 1000) {
-          await input.fill('60');
-          await input.press('Enter');
-          console.log(`✓ Set timebase input ${i} to 60`);
-          break;
-        }
-      }
-    }
+    // Select 2x playback
+    console.log('\n=== Setting playback speed to 2x ===');
+    const speedSelect = page.locator('select.playback-speed');
+    await expect(speedSelect).toBeVisible();
+    await speedSelect.selectOption('2');
     
-    await page.waitForTimeout(2000);
+    await page.waitForTimeout(1000);
     
-    // Start streaming
+    // Resume streaming
     const startButton = page.locator('button:has-text("Start")');
     if (await startButton.count() > 0) {
       await startButton.first().click();
@@ -527,54 +506,28 @@ ${report.errors.length > 0
     console.log('\n=== Monitoring speed verification (10 seconds) ===');
     await page.waitForTimeout(10000);
     
-    // Check for timebase monitoring logs
-    const speedVerifications = timebaseLogs.filter(log => 
-      log.text.includes('Speed Verification') ||
-      log.text.includes('2x speed')
-    );
-    
+    const speedVerifications = playbackLogs.filter(log => log.text.includes('Speed Verification'));
     console.log(`\nSpeed verification logs: ${speedVerifications.length}`);
     speedVerifications.forEach(log => console.log(`  ${log.text}`));
     
-    // Check for 60mm/sec detection
-    const timebase60Logs = timebaseLogs.filter(log => 
-      log.text.includes('60mm/sec') ||
-      log.text.includes('timebase set to 60')
-    );
-    
-    console.log(`\n60mm/sec detection logs: ${timebase60Logs.length}`);
-    timebase60Logs.forEach(log => console.log(`  ${log.text}`));
-    
-    // Check for pass/fail status
-    const passLogs = timebaseLogs.filter(log => 
-      log.text.includes('✓ PASS') ||
-      log.text.includes('2x speed confirmed')
-    );
-    
-    const failLogs = timebaseLogs.filter(log => 
+    // Playback runs at the selected 2x, not at 2x the speed times the timebase ratio
+    const passLogs = speedVerifications.filter(log => log.text.includes('2x speed confirmed'));
+    const failLogs = playbackLogs.filter(log => 
       log.text.includes('✗ FAIL') ||
-      log.text.includes('speed mismatch')
+      log.text.includes('Speed ratio mismatch')
     );
     
     console.log(`\nPass logs: ${passLogs.length}`);
     console.log(`Fail logs: ${failLogs.length}`);
-    
-    if (passLogs.length > 0) {
-      console.log('✓ Timebase speed verification PASSED');
-      passLogs.forEach(log => console.log(`  ${log.text}`));
-    }
-    
-    if (failLogs.length > 0) {
-      console.log('⚠️  Timebase speed verification issues detected');
-      failLogs.forEach(log => console.log(`  ${log.text}`));
-    }
+    failLogs.forEach(log => console.log(`  ${log.text}`));
     
     // Take screenshot
     await page.screenshot({ 
-      path: 'e2e/screenshots/timebase-60mm-speed-check.png', 
+      path: 'e2e/screenshots/playback-2x-speed-check.png', 
       fullPage: true 
     });
     
-    expect(timebaseLogs.length).toBeGreaterThan(0);
+    expect(speedVerifications.length).toBeGreaterThan(0);
+    expect(passLogs.length).toBeGreaterThan(0);
   });
 });
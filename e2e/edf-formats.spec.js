@@ -0,0 +1,143 @@
+import { test, expect } from '@playwright/test';
+import * as fs from 'fs';
+import { generateTestEDF } from '../src/utils/generateTestEDF.js';
+import { readEDFFile } from '../src/utils/edfReader.js';
+
+// Files written by generateTestEDF: 8 EEG channels, 30 one-second records at 256 Hz
+const EEG_CHANNELS = 8;
+const CHANNEL_LABELS = ['F3-P3', 'F4-P4', 'T3-O1', 'T4-O2', 'F7-T3', 'F8-T4', 'P3-O1', 'P4-O2'];
+const TEST_ANNOTATIONS = [
+  { onset: 5, text: 'Clamp on' },
+  { onset: 12.5, duration: 2, text: 'Seizure: Test seizure' },
+];
+
+// Largest difference between the samples of a re-read export and the original (µV);
+// the writer's digital step for these signals is well below this
+const ROUND_TRIP_TOLERANCE_UV = 0.05;
+
+/**
+ * Upload a file through the header's file input and wait for the load to finish
+ * Returns the summary logged with "EDF FILE LOADED SUCCESSFULLY" and the parsed header summary
+ */
+async function uploadEDF(page, name, buffer) {
+  const headerLog = page.waitForEvent('console', {
+    predicate: msg => msg.text().startsWith('[readEDFFile] Header parsed:'),
+    timeout: 30000,
+  });
+  const loadedLog = page.waitForEvent('console', {
+    predicate: msg => msg.text().startsWith('✅ EDF FILE LOADED SUCCESSFULLY'),
+    timeout: 30000,
+  });
+  await page.locator('input[type="file"]').setInputFiles({
+    name,
+    mimeType: 'application/octet-stream',
+    buffer: Buffer.from(buffer),
+  });
+  const header = await (await headerLog).args()[1].jsonValue();
+  const loaded = await (await loadedLog).args()[1].jsonValue();
+  console.log(`Loaded ${name}:`, { format: header.format, numChannels: loaded.numChannels, duration: loaded.duration });
+  return { header, loaded };
+}
+
+async function openSettingsTab(page, label) {
+  if (await page.locator('.settings-panel').count() === 0) {
+    await page.locator('.settings-toggle').click();
+  }
+  await page.locator('.settings-tab', { hasText: label }).click();
+}
+
+test.describe('EDF+, BDF and EDF+ export round trip', () => {
+  test.beforeEach(async ({ page }) => {
+    page.on('console', msg => {
+      if (msg.type() === 'error') console.log(`[ERROR] ${msg.text()}`);
+    });
+    page.on('pageerror', error => console.log(`[PAGE ERROR] ${error.message}`));
+    // Load failures are reported with alert()
+    page.on('dialog', async dialog => {
+      console.log(`[DIALOG] ${dialog.message()}`);
+      await dialog.dismiss();
+    });
+
+    await page.goto('/');
+    await page.waitForSelector('.app, .header-bar', { timeout: 10000 });
+  });
+
+  test('loads an EDF+ file with annotations and round-trips it through EDF+ export', async ({ page }) => {
+    const original = generateTestEDF({ annotations: TEST_ANNOTATIONS });
+
+    console.log('\n=== STEP 1: Uploading generated EDF+ file ===');
+    const { header, loaded } = await uploadEDF(page, 'test_eeg_plus.edf', original);
+    expect(header.format).toBe('EDF');
+    // The annotations signal is not a channel
+    expect(header.numSignals).toBe(EEG_CHANNELS + 1);
+    expect(loaded.numChannels).toBe(EEG_CHANNELS);
+
+    console.log('\n=== STEP 2: Checking the EDF+ annotations ===');
+    await openSettingsTab(page, 'Annotations');
+    const annotationTexts = page.locator('.annotation-item .annotation-text');
+    await expect(annotationTexts.filter({ hasText: 'Clamp on' })).toHaveCount(1);
+    await expect(annotationTexts.filter({ hasText: 'Test seizure' })).toHaveCount(1);
+    await expect(page.locator('.annotation-item', { hasText: 'Test seizure' }).locator('.annotation-type')).toHaveText('SEIZURE');
+
+    console.log('\n=== STEP 3: Exporting the loaded recording as EDF+ ===');
+    await openSettingsTab(page, 'Export');
+    await page.locator('.export-tools select').selectOption('edf-file');
+    const downloadPromise = page.waitForEvent('download', { timeout: 30000 });
+    await page.locator('.export-btn').click();
+    const download = await downloadPromise;
+    expect(download.suggestedFilename()).toMatch(/^test_eeg_plus_annotated_.*\.edf$/);
+    const exported = fs.readFileSync(await download.path());
+    console.log(`Exported ${download.suggestedFilename()}: ${exported.length} bytes`);
+
+    console.log('\n=== STEP 4: Comparing the export with the original ===');
+    const source = await readEDFFile(new Blob([original]));
+    const roundTrip = await readEDFFile(new Blob([exported]));
+    // Leading samples trimmed on load are left out of the export
+    const trimmedSec = (source.channels[0].samples.length - roundTrip.channels[0].samples.length) / source.channels[0].sampleRate;
+    expect(trimmedSec).toBeGreaterThanOrEqual(0);
+    expect(trimmedSec).toBeLessThan(1);
+    expect(roundTrip.header.reserved).toBe('EDF+C');
+    expect(roundTrip.channels.map(ch => ch.label)).toEqual(CHANNEL_LABELS);
+    roundTrip.channels.forEach((channel, idx) => {
+      const sourceSamples = source.channels[idx].samples;
+      expect(channel.sampleRate).toBe(source.channels[idx].sampleRate);
+      const offset = Math.round(trimmedSec * channel.sampleRate);
+      let maxError = 0;
+      channel.samples.forEach((value, i) => {
+        maxError = Math.max(maxError, Math.abs(value - sourceSamples[i + offset]));
+      });
+      expect(maxError).toBeLessThan(ROUND_TRIP_TOLERANCE_UV);
+    });
+    // Annotations are written back with their type ("Event: Clamp on"); ischemia events may be added
+    const exportedTexts = roundTrip.annotations.map(ann => ann.text);
+    console.log('Exported annotations:', exportedTexts);
+    expect(exportedTexts.some(text => text.endsWith('Clamp on'))).toBe(true);
+    expect(exportedTexts).toContain('Seizure: Test seizure');
+    const clampOn = roundTrip.annotations.find(ann => ann.text.endsWith('Clamp on'));
+    expect(clampOn.onset).toBeCloseTo(TEST_ANNOTATIONS[0].onset - trimmedSec, 2);
+
+    console.log('\n=== STEP 5: Loading the export again ===');
+    const reloaded = await uploadEDF(page, 'exported.edf', exported);
+    expect(reloaded.loaded.numChannels).toBe(EEG_CHANNELS);
+    await openSettingsTab(page, 'Annotations');
+    // Annotations of the previous file are replaced, not added to
+    await expect(annotationTexts.filter({ hasText: 'Clamp on' })).toHaveCount(1);
+    await expect(annotationTexts.filter({ hasText: 'Test seizure' })).toHaveCount(1);
+
+    await page.screenshot({ path: 'e2e/screenshots/edf-plus-round-trip.png', fullPage: true });
+  });
+
+  test('loads a BDF file with 24-bit samples', async ({ page }) => {
+    console.log('\n=== STEP 1: Uploading generated BDF file ===');
+    const { header, loaded } = await uploadEDF(page, 'test_eeg.bdf', generateTestEDF({ format: 'BDF' }));
+    expect(header.format).toBe('BDF');
+    expect(header.numSignals).toBe(EEG_CHANNELS);
+    expect(loaded.numChannels).toBe(EEG_CHANNELS);
+    expect(parseFloat(loaded.duration)).toBeCloseTo(30, 0);
+
+    console.log('\n=== STEP 2: Checking the header status ===');
+    await expect(page.locator('.status-value', { hasText: /^Loaded \(/ })).toBeVisible();
+
+    await page.screenshot({ path: 'e2e/screenshots/bdf-upload.png', fullPage: true });
+  });
+});
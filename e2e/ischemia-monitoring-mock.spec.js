@@ -2,6 +2,8 @@ import { test, expect } from '@playwright/test';
 
 test.describe('Ischemia Event Monitoring - Mock Stream', () => {
   test('should monitor mock streaming until ischemia start and stop events are detected', async ({ page }) => {
+    test.setTimeout(120000);
+    
     // Collect all console messages
     const consoleMessages = [];
     const consoleErrors = [];
@@ -22,7 +24,7 @@ test.describe('Ischemia Event Monitoring - Mock Stream', () => {
       }
       
       // Detect ischemia events in console logs
-      if (text.includes('Mock ischemia START') || text.includes('🩺 Mock ischemia START')) {
+      if (text.includes('Ischemia START detected')) {
         const match = text.match(/at\s+([\d.]+)\s+seconds/);
         if (match) {
           ischemiaEvents.push({
@@ -35,7 +37,7 @@ test.describe('Ischemia Event Monitoring - Mock Stream', () => {
         }
       }
       
-      if (text.includes('Mock ischemia STOP') || text.includes('✅ Mock ischemia STOP')) {
+      if (text.includes('Ischemia STOP detected')) {
         const match = text.match(/at\s+([\d.]+)\s+seconds/);
         if (match) {
           ischemiaEvents.push({
@@ -82,7 +84,7 @@ test.describe('Ischemia Event Monitoring - Mock Stream', () => {
     
     // Check for ischemia schedule log
     const scheduleLogs = consoleMessages.filter(msg => 
-      msg.text.includes('Mock ischemia will start at')
+      msg.text.includes('Simulated ischemia episode will start at')
     );
     
     if (scheduleLogs.length > 0) {
@@ -91,11 +93,13 @@ test.describe('Ischemia Event Monitoring - Mock Stream', () => {
       });
     }
     
-    console.log('\n=== STEP 2: Monitoring for ischemia events (up to 30 seconds) ===');
+    console.log('\n=== STEP 2: Monitoring for ischemia events (up to 70 seconds) ===');
     console.log('Waiting for ischemia START and STOP events...\n');
     
-    // Monitor for up to 30 seconds or until we see both start and stop
-    const maxWaitTime = 30000; // 30 seconds (ischemia starts at 15s, ends at 20s)
+    // Monitor for up to 70 seconds or until we see both start and stop
+    // The simulated episode runs from 30s to 50s; the detector confirms each
+    // transition after settings.detection.minDuration (5s)
+    const maxWaitTime = 70000;
     const checkInterval = 500; // Check every 500ms
     const startTime = Date.now();
     
@@ -179,8 +183,8 @@ test.describe('Ischemia Event Monitoring - Mock Stream', () => {
       console.log(`   - Monitoring may need to continue longer`);
     } else {
       console.log('❌ NO ISCHEMIA EVENTS DETECTED');
-      console.log('   - Expected start at ~15 seconds');
-      console.log('   - Expected stop at ~20 seconds');
+      console.log('   - Expected start at ~30 seconds (reported ~5s later)');
+      console.log('   - Expected stop at ~50 seconds (reported ~5s later)');
     }
     
     // Take screenshot
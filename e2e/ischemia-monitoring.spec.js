@@ -24,7 +24,7 @@ test.describe('Ischemia Event Monitoring', () => {
       }
       
       // Detect ischemia events in console logs
-      if (text.includes('Mock ischemia START') || text.includes('🩺 Mock ischemia START')) {
+      if (text.includes('Ischemia START detected')) {
         const match = text.match(/at\s+([\d.]+)\s+seconds/);
         if (match) {
           ischemiaEvents.push({
@@ -37,7 +37,7 @@ test.describe('Ischemia Event Monitoring', () => {
         }
       }
       
-      if (text.includes('Mock ischemia STOP') || text.includes('✅ Mock ischemia STOP')) {
+      if (text.includes('Ischemia STOP detected')) {
         const match = text.match(/at\s+([\d.]+)\s+seconds/);
         if (match) {
           ischemiaEvents.push({
@@ -0,0 +1,34 @@
+import { test, expect } from '@playwright/test';
+import { SCALP_QUADRANTS, quadrantChannels } from '../src/utils/qeeg.js';
+
+// Channel labels of each scalp quadrant, as grouped for the compact view and the quadrant DSA
+function quadrantLabels(labels) {
+  return Object.fromEntries(SCALP_QUADRANTS.map(quadrant => [
+    quadrant.id,
+    quadrantChannels(quadrant, labels).map(index => labels[index]),
+  ]));
+}
+
+test.describe('Scalp quadrant grouping', () => {
+  test('groups bipolar montage derivations by their first electrode', () => {
+    const labels = ['Fp1-F3', 'F3-C3', 'C3-P3', 'P3-O1', 'Fp2-F4', 'F4-C4', 'C4-P4', 'P4-O2', 'Fz-Cz'];
+    expect(quadrantLabels(labels)).toEqual({
+      'left-anterior': ['Fp1-F3', 'F3-C3'],
+      'right-anterior': ['Fp2-F4', 'F4-C4'],
+      'left-posterior': ['C3-P3', 'P3-O1'],
+      'right-posterior': ['C4-P4', 'P4-O2'],
+    });
+  });
+
+  test('groups prefixed passthrough labels by their electrode', () => {
+    // Shown as recorded when resolveMontage falls back to passthrough
+    const labels = ['EEG Fp1-REF', 'EEG F3-REF', 'EEG Fp2-REF', 'EEG F4-REF', 'EEG C3-REF', 'EEG C4-REF',
+      'EEG O1-REF', 'EEG O2-REF', 'EEG Cz-REF', 'EEG FC5-REF', 'ECG'];
+    expect(quadrantLabels(labels)).toEqual({
+      'left-anterior': ['EEG Fp1-REF', 'EEG F3-REF', 'EEG FC5-REF'],
+      'right-anterior': ['EEG Fp2-REF', 'EEG F4-REF'],
+      'left-posterior': ['EEG C3-REF', 'EEG O1-REF'],
+      'right-posterior': ['EEG C4-REF', 'EEG O2-REF'],
+    });
+  });
+});
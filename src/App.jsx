@@ -1,5 +1,7 @@
-import { useEffect, useMemo } from 'react'
+import { useEffect, useState } from 'react'
 import { EEGProvider, useEEG } from './store/EEGContext'
+import { getDSPPipeline } from './utils/dspPipeline'
+import { isBurstSuppressionEvent } from './utils/burstSuppression'
 import HeaderBar from './components/HeaderBar'
 import RawEEGPlot from './components/RawEEGPlot'
 import Spectrogram from './components/Spectrogram'
@@ -10,98 +12,53 @@ import CompactEEGView from './components/CompactEEGView'
 import CSAView from './components/CSAView'
 import CSAViewAdapter from './components/CSAViewAdapter'
 import DSAViewAdapter from './components/DSAViewAdapter'
+import QEEGTrends from './components/QEEGTrends'
 import './App.css'
 
 function AppContent() {
   // All hooks must be called unconditionally and in the same order
-  const { eegBuffer, ischemiaEvents, settings, ui, actions, isStreaming, currentTime } = useEEG()
+  const { eegBuffer, eegBufferVersion, ischemiaEvents, settings, ui, actions, isStreaming, currentTime } = useEEG()
 
   // Debug: log data status
   useEffect(() => {
-    const dataLength = eegBuffer?.[0]?.length || 0
+    const dataLength = eegBuffer?.length(0) || 0
     if (dataLength > 0) {
       console.log('AppContent - Data status:', {
         isStreaming,
         currentTime: currentTime?.toFixed(2),
         channel0Length: dataLength,
-        firstPoint: eegBuffer[0][0],
-        lastPoint: eegBuffer[0][dataLength - 1]
+        firstPoint: { x: eegBuffer.timeAt(0, 0), y: eegBuffer.valueAt(0, 0) },
+        lastPoint: eegBuffer.lastPoint(0)
       })
     }
-  }, [eegBuffer, isStreaming, currentTime])
+  }, [eegBuffer, eegBufferVersion, isStreaming, currentTime])
 
-  // Calculate spectrogram data from EEG buffer
-  const calculateSpectrum = (sample, fftSize, sampleRate, channelIndex) => {
-    const frequencies = []
-    const numFreqBins = fftSize / 2
-    
-    for (let i = 0; i < numFreqBins; i++) {
-      const freq = (i * sampleRate) / fftSize
-      let power = 0
-      const channelVariation = 1 + (channelIndex % 4) * 0.1
-      
-      if (freq >= 0.5 && freq <= 4) {
-        power = Math.abs(sample) * 0.3 * (1 + Math.sin(freq * Math.PI / 2)) * channelVariation
-      } else if (freq > 4 && freq <= 8) {
-        power = Math.abs(sample) * 0.25 * (1 + Math.sin((freq - 4) * Math.PI / 4)) * channelVariation
-      } else if (freq > 8 && freq <= 13) {
-        power = Math.abs(sample) * 0.35 * (1 + Math.sin((freq - 8) * Math.PI / 5)) * channelVariation
-      } else if (freq > 13 && freq <= 30) {
-        power = Math.abs(sample) * 0.2 * (1 + Math.sin((freq - 13) * Math.PI / 17)) * channelVariation
-      } else if (freq > 30 && freq <= 60) {
-        power = Math.abs(sample) * 0.1 * (1 + Math.sin((freq - 30) * Math.PI / 30)) * channelVariation
-      }
-      
-      power *= (0.8 + Math.random() * 0.4)
-      frequencies.push({ freq, power: Math.max(0, power) })
-    }
-    
-    return frequencies
-  }
-
-  // Convert EEG buffer to spectrogram format
-  // Optimize: Use sliding window approach to prevent browser freezing
-  const spectrogramData = useMemo(() => {
-    if (!eegBuffer || !settings) return []
-    return eegBuffer.map((channelData, channelIndex) => {
-      const fftSize = settings.spectrogram.fftSize
-      const sampleRate = 250
-      
-      // Handle empty channel data
-      if (!channelData || channelData.length === 0) {
-        return []
-      }
-      
-      // Use sliding window: calculate spectrum every N samples to reduce computation
-      // For real-time streaming, we only need to update the most recent data
-      const windowSize = Math.floor(sampleRate * 0.1) // 100ms windows
-      const stepSize = Math.max(1, Math.floor(windowSize / 4)) // Overlap windows
+  // Spectrogram frames of the EEG buffer, computed in the DSP worker
+  // Only the most recent request is processed, so a slow update never queues up behind the stream
+  const [spectrogramData, setSpectrogramData] = useState([])
+  const { fftSize, windowLength, smoothing, frequencyRange } = settings?.spectrogram || {}
+  useEffect(() => {
+    if (!eegBuffer || !fftSize) return
+    const channels = Array.from({ length: eegBuffer.numChannels }, (_, channelIndex) => {
+      const channelLength = eegBuffer.length(channelIndex)
+      if (channelLength === 0) return null
       
-      const spectrogramPoints = []
+      // Each channel keeps its own rate (EDF files may mix sample rates)
+      const sampleRate = eegBuffer.sampleRate(channelIndex)
       
       // Only process recent data (last 10 seconds) for performance
-      const maxDataPoints = sampleRate * 10
-      const startIdx = Math.max(0, channelData.length - maxDataPoints)
-      const dataToProcess = channelData.slice(startIdx)
-      
-      // Process in windows
-      for (let i = 0; i < dataToProcess.length - windowSize; i += stepSize) {
-        const window = dataToProcess.slice(i, i + windowSize)
-        if (window.length < windowSize) break
-        
-        // Calculate average value in window for spectrum
-        const avgValue = window.reduce((sum, p) => sum + Math.abs(p.y), 0) / window.length
-        const centerTime = window[Math.floor(window.length / 2)].x
-        
-        spectrogramPoints.push({
-          time: centerTime,
-          frequencies: calculateSpectrum(avgValue, fftSize, sampleRate, channelIndex)
-        })
-      }
-      
-      return spectrogramPoints
+      const samples = new Float32Array(Math.min(channelLength, Math.ceil(sampleRate * 10)))
+      const count = eegBuffer.read(channelIndex, -Infinity, Infinity, samples)
+      return { samples, sampleRate, startTime: eegBuffer.timeAt(channelIndex, channelLength - count) }
     })
-  }, [eegBuffer, settings?.spectrogram?.fftSize])
+    getDSPPipeline()
+      .postLatest('spectrogram', { type: 'spectrogram', channels, fftSize, windowLength, smoothing, frequencyRange },
+        channels.filter(Boolean).map(channel => channel.samples.buffer))
+      .then(reply => {
+        if (reply) setSpectrogramData(reply.frames)
+      })
+      .catch(error => console.error('[AppContent] Spectrogram processing failed:', error))
+  }, [eegBuffer, eegBufferVersion, fftSize, windowLength, smoothing, frequencyRange])
 
   // Apply theme
   useEffect(() => {
@@ -120,11 +77,17 @@ function AppContent() {
   }
 
   // Transform ischemia events to match component expectations
-  const transformedIschemiaEvents = ischemiaEvents.map(event => ({
+  // Burst suppression events are drawn separately so they are not mistaken for ischemia
+  const transformedIschemiaEvents = ischemiaEvents.filter(event => !isBurstSuppressionEvent(event)).map(event => ({
     start: event.startTime,
     end: event.endTime,
     confidence: event.confidence,
   }))
+  const transformedBurstSuppressionEvents = ischemiaEvents.filter(isBurstSuppressionEvent).map(event => ({
+    start: event.startTime,
+    end: event.endTime,
+    bsr: event.detectionCriteria?.maxBsr ?? event.detectionCriteria?.bsr,
+  }))
 
   return (
     <div className="app">
@@ -139,7 +102,9 @@ function AppContent() {
             <div className="main-eeg-panel">
               <RawEEGPlot 
                 data={eegBuffer}
+                dataVersion={eegBufferVersion}
                 ischemiaEvents={transformedIschemiaEvents}
+                burstSuppressionEvents={transformedBurstSuppressionEvents}
                 theme={ui.theme}
               />
             </div>
@@ -155,6 +120,7 @@ function AppContent() {
                   <CSAViewAdapter 
                     data={spectrogramData}
                     eegBuffer={eegBuffer}
+                    eegBufferVersion={eegBufferVersion}
                     theme={ui.theme}
                   />
                 </div>
@@ -164,10 +130,16 @@ function AppContent() {
                   <DSAViewAdapter 
                     data={spectrogramData}
                     eegBuffer={eegBuffer}
+                    eegBufferVersion={eegBufferVersion}
                     theme={ui.theme}
                   />
                 </div>
               )}
+              {ui.qdsaPanelOpen && (
+                <div className="qeeg-trends-panel">
+                  <QEEGTrends theme={ui.theme} />
+                </div>
+              )}
             </div>
           </div>
         </div>
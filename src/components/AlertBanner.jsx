@@ -1,5 +1,6 @@
 import { useState, useEffect } from 'react'
 import { useEEG } from '../store/EEGContext'
+import { isBurstSuppressionEvent } from '../utils/burstSuppression'
 import './AlertBanner.css'
 
 export default function AlertBanner() {
@@ -73,24 +74,36 @@ export default function AlertBanner() {
 
   if (!activeAlert || !isVisible) return null
 
+  const isBurstSuppression = isBurstSuppressionEvent(activeAlert)
   const confidencePercent = Math.round(activeAlert.confidence * 100)
+  // Burst suppression carries its own severity; ischemia alerts go by confidence
+  const alertLevel = isBurstSuppression
+    ? `${activeAlert.severity === 'critical' ? 'critical' : 'warning'} burst-suppression`
+    : activeAlert.confidence > 0.8 ? 'critical' : 'warning'
 
   return (
-    <div className={`alert-banner ${activeAlert.confidence > 0.8 ? 'critical' : 'warning'}`}>
+    <div className={`alert-banner ${alertLevel}`}>
       <div className="alert-content">
-        <div className="alert-icon">⚠️</div>
+        <div className="alert-icon">{isBurstSuppression ? '〰️' : '⚠️'}</div>
         <div className="alert-text">
-          <div className="alert-title">Ischemia Detected</div>
+          <div className="alert-title">{isBurstSuppression ? 'Burst Suppression Detected' : 'Ischemia Detected'}</div>
           <div className="alert-details">
-            Confidence: {confidencePercent}% | 
+            {isBurstSuppression ? (
+              <>BSR: {Math.round((activeAlert.detectionCriteria?.bsr || 0) * 100)}% (possible anesthesia effect) | </>
+            ) : (
+              <>Confidence: {confidencePercent}% | </>
+            )}
             Start: {typeof activeAlert.startTime === 'number' ? activeAlert.startTime.toFixed(1) : activeAlert.startTime}s
             {activeAlert.endTime && (
               <> | End: {typeof activeAlert.endTime === 'number' ? activeAlert.endTime.toFixed(1) : activeAlert.endTime}s</>
             )}
-            {activeAlert.channelIds && activeAlert.channelIds.length > 0 && (
+            {!isBurstSuppression && activeAlert.channelIds && activeAlert.channelIds.length > 0 && (
               <> | Channels: {activeAlert.channelIds.join(', ')}</>
             )}
           </div>
+          {!isBurstSuppression && activeAlert.duringBurstSuppression && (
+            <div className="alert-details">During burst suppression - power loss may be anesthetic rather than ischemic</div>
+          )}
         </div>
         <button
           className="alert-close"
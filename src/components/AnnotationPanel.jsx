@@ -3,13 +3,13 @@ import { useEEG } from '../store/EEGContext'
 import './AnnotationPanel.css'
 
 export default function AnnotationPanel() {
-  const { annotations, actions, currentTime } = useEEG()
+  const { annotations, actions, currentTime, montageInfo } = useEEG()
   const [isAdding, setIsAdding] = useState(false)
   const [annotationType, setAnnotationType] = useState('note')
   const [annotationText, setAnnotationText] = useState('')
   const [selectedChannels, setSelectedChannels] = useState([])
 
-  const CHANNEL_NAMES = ['F3-P3', 'P3-O1', 'F3-T3', 'T3-O1', 'F4-P4', 'P4-O2', 'F4-T4', 'T4-O2']
+  const CHANNEL_NAMES = montageInfo.labels
 
   const handleAddAnnotation = () => {
     if (!annotationText.trim()) {
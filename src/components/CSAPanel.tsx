@@ -1,5 +1,5 @@
 import React, { useEffect, useRef } from 'react'
-import { CSAResult } from '../utils/csa'
+import { CSAResult, CSA_MIN_DB, CSA_MAX_DB } from '../utils/csa'
 import './CSAPanel.css'
 
 export interface CSAPanelProps {
@@ -18,7 +18,7 @@ const DEFAULT_HEIGHT = 240
 
 /**
  * Map normalized power (0-1) to red→yellow color map for CSA
- * CSA uses red→yellow colormap to show relative spectral power
+ * CSA uses red→yellow colormap to show spectral power on the fixed CSA_MIN_DB-CSA_MAX_DB scale
  * Low power: dark red
  * High power: yellow/white
  */
@@ -140,6 +140,13 @@ export const CSAPanel: React.FC<CSAPanelProps> = ({
       const slice = csa.slices[sliceIdx]
       const timeX = chartX + sliceIdx * timePixelWidth
       
+      // Slices left out for an artifact are drawn as a flat grey column
+      if (slice.artifact) {
+        ctx.fillStyle = theme === 'dark' ? '#3f3f46' : '#d4d4d8'
+        ctx.fillRect(timeX, chartY, timePixelWidth, chartHeight)
+        continue
+      }
+      
       for (let binIdx = 0; binIdx < numBins; binIdx++) {
         const freq = csa.freqAxisHz[binIdx]
         const power = slice.freqBins[binIdx]
@@ -167,6 +174,11 @@ export const CSAPanel: React.FC<CSAPanelProps> = ({
       let firstPoint = true
       for (let i = 0; i < csa.slices.length; i++) {
         const slice = csa.slices[i]
+        // The line breaks over artifact slices
+        if (slice.artifact) {
+          firstPoint = true
+          continue
+        }
         const x = chartX + (i / numSlices) * chartWidth
         const freqRatio = slice.sef95Hz / maxFreq
         const y = chartY + chartHeight - (freqRatio * chartHeight)
@@ -183,7 +195,7 @@ export const CSAPanel: React.FC<CSAPanelProps> = ({
       ctx.shadowBlur = 0 // Reset shadow
     }
     
-    // Draw power legend (relative power 0-100%) on the right
+    // Draw power legend (fixed dB scale) on the right
     const legendX = width - marginRight + 5
     const legendY = chartY
     const legendHeight = chartHeight
@@ -194,19 +206,19 @@ export const CSAPanel: React.FC<CSAPanelProps> = ({
     ctx.textAlign = 'left'
     ctx.textBaseline = 'middle'
     
-    // Draw legend gradient (0% to 100% relative power)
+    // Draw legend gradient (CSA_MIN_DB to CSA_MAX_DB)
     for (let i = 0; i < numLegendSteps; i++) {
       const ratio = i / (numLegendSteps - 1)
-      const power = ratio // 0 to 1 (relative power)
+      const power = ratio // 0 to 1 (normalized power)
       const y = legendY + (1 - ratio) * legendHeight
       const stepHeight = legendHeight / numLegendSteps
       
       ctx.fillStyle = powerToColor(power)
       ctx.fillRect(legendX, y - stepHeight / 2, 12, stepHeight)
       
-      // Label with percentage
+      // Label with dB power value
       ctx.fillStyle = theme === 'dark' ? '#ffffff' : '#000000'
-      ctx.fillText(`${Math.round(ratio * 100)}%`, legendX + 16, y)
+      ctx.fillText(`${Math.round(CSA_MIN_DB + ratio * (CSA_MAX_DB - CSA_MIN_DB))}`, legendX + 16, y)
     }
     
     // Legend title
@@ -215,7 +227,7 @@ export const CSAPanel: React.FC<CSAPanelProps> = ({
     ctx.save()
     ctx.translate(legendX + 6, chartY + chartHeight / 2)
     ctx.rotate(-Math.PI / 2)
-    ctx.fillText('Power', 0, 0)
+    ctx.fillText('Power (dB)', 0, 0)
     ctx.restore()
     
     // Draw axes and labels
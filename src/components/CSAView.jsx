@@ -1,14 +1,10 @@
 import { useMemo } from 'react'
 import { useEEG } from '../store/EEGContext'
+import { getChannelLabel } from '../utils/montages'
 import './CSAView.css'
 
-const CHANNEL_NAMES = [
-  'F3-P3', 'P3-O1', 'F3-T3', 'T3-O1',
-  'F4-P4', 'P4-O2', 'F4-T4', 'T4-O2'
-]
-
 export default function CSAView({ data, theme }) {
-  const { settings } = useEEG()
+  const { settings, montageInfo } = useEEG()
   const { spectrogram } = settings
 
   // Calculate frequency bands power for each channel
@@ -61,7 +57,7 @@ export default function CSAView({ data, theme }) {
       <div className="csa-content">
         {csaData.map(({ channelIndex, bands }) => (
           <div key={channelIndex} className="csa-channel">
-            <div className="csa-channel-label">{CHANNEL_NAMES[channelIndex]}</div>
+            <div className="csa-channel-label">{montageInfo?.labels?.[channelIndex] || getChannelLabel(settings.display.montage, channelIndex)}</div>
             <div className="csa-chart-container">
               {/* Chart area with bars */}
               <div className="csa-chart-area">
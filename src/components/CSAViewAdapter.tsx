@@ -1,41 +1,43 @@
 import React, { useMemo } from 'react'
 import { CSAView, CSAMontage } from './CSAViewNew'
 import { useEEG } from '../store/EEGContext'
-
-const CHANNEL_NAMES = [
-  'F3-P3', 'P3-O1', 'F3-T3', 'T3-O1',
-  'F4-P4', 'P4-O2', 'F4-T4', 'T4-O2'
-]
+import { formatPercentChange } from '../utils/baseline'
+import { channelArtifactIntervals } from '../utils/artifacts'
+import { getChannelLabels } from '../utils/montages'
+import { pageDuration } from '../utils/traceRenderer'
+import type { EEGRingBuffer } from '../utils/ringBuffer'
 
 interface CSAViewAdapterProps {
   data: Array<Array<{ x: number; y: number }>> // Existing spectrogram data format
   theme?: 'light' | 'dark'
-  eegBuffer?: Array<Array<{ x: number; y: number }>> // Raw EEG buffer
+  eegBuffer?: EEGRingBuffer // Raw EEG buffer
+  eegBufferVersion?: number // Bumped on every write to eegBuffer
 }
 
 /**
  * Adapter component that converts existing data format to new CSAView format
  */
-export default function CSAViewAdapter({ data, theme = 'light', eegBuffer }: CSAViewAdapterProps) {
+export default function CSAViewAdapter({ data, theme = 'light', eegBuffer, eegBufferVersion }: CSAViewAdapterProps) {
   // Call useEEG hook unconditionally at the top
-  const { settings } = useEEG()
+  const { settings, baselineComparison, montageInfo, artifacts } = useEEG()
+  // With artifact suppression on, slices overlapping flagged artifacts are left out
+  const artifactSuppression = settings?.patient?.artifactSuppression !== false
+  // Labels of the displayed montage channels
+  const channelNames: string[] = montageInfo?.labels || getChannelLabels(settings?.display?.montage)
   
   // Extract display settings with defaults
   const displaySettings = settings?.display || {}
-  const timeWindow = displaySettings.timeWindow || 10
-  const timeScale = displaySettings.timeScale || 30
   const timeOffset = (displaySettings.timeOffset !== undefined && displaySettings.timeOffset !== null) ? displaySettings.timeOffset : 0
-  const baseTimeScale = 30
-  const adjustedTimeWindow = timeWindow * (baseTimeScale / timeScale)
+  const adjustedTimeWindow = pageDuration(displaySettings)
   
   // Calculate the visible time range
   const visibleTimeRange = useMemo(() => {
-    if (!eegBuffer || eegBuffer.length === 0 || !eegBuffer[0] || eegBuffer[0].length === 0) {
+    if (!eegBuffer || eegBuffer.length(0) === 0) {
       return { minTime: 0, maxTime: 10, durationSeconds: 10 }
     }
     
-    const maxTime = eegBuffer[0][eegBuffer[0].length - 1].x
-    const dataMinTime = eegBuffer[0][0].x
+    // Span of all channels, so channels at other sample rates share one time axis with the raw EEG
+    const { start: dataMinTime, end: maxTime } = eegBuffer.timeRange()
     const dataRange = maxTime - dataMinTime
     
     // Calculate visible range the same way RawEEGPlot does
@@ -71,102 +73,96 @@ export default function CSAViewAdapter({ data, theme = 'light', eegBuffer }: CSA
     })
     
     return { minTime, maxTime: actualMaxTime, durationSeconds }
-  }, [eegBuffer, timeWindow, timeScale, timeOffset, adjustedTimeWindow])
+  }, [eegBuffer, eegBufferVersion, timeOffset, adjustedTimeWindow])
   
   const { minTime, maxTime: actualMaxTime, durationSeconds } = visibleTimeRange
   
   // Convert eegBuffer to CSAMontage format
   const montages = useMemo(() => {
-    if (!eegBuffer || eegBuffer.length === 0) {
+    if (!eegBuffer || eegBuffer.numChannels === 0) {
       console.log('[CSAViewAdapter] No eegBuffer data')
       return []
     }
     
     // Check if we have any channels with data
-    const hasData = eegBuffer.some(ch => ch && ch.length > 0)
-    if (!hasData) {
+    if (eegBuffer.isEmpty) {
       console.log('[CSAViewAdapter] eegBuffer exists but all channels are empty')
       return []
     }
     
-    // Calculate actual sample rate from the data
-    let actualSamplingRate = 250 // Default fallback
-    const firstChannelWithData = eegBuffer.find(ch => ch && ch.length >= 2)
-    if (firstChannelWithData && firstChannelWithData.length >= 2) {
-      const timeDiff = firstChannelWithData[firstChannelWithData.length - 1].x - firstChannelWithData[firstChannelWithData.length - 2].x
-      if (timeDiff > 0) {
-        actualSamplingRate = 1 / timeDiff
-      }
-    }
-    
+    const channelIndices = Array.from({ length: eegBuffer.numChannels }, (_, index) => index)
     console.log('[CSAViewAdapter] Processing eegBuffer:', {
-      numChannels: eegBuffer.length,
-      channelsWithData: eegBuffer.filter(ch => ch && ch.length > 0).length,
-      channel0Length: eegBuffer[0]?.length || 0,
-      channel0First: eegBuffer[0]?.[0],
-      channel0Last: eegBuffer[0]?.[eegBuffer[0].length - 1],
-      calculatedSampleRate: actualSamplingRate.toFixed(2)
+      numChannels: eegBuffer.numChannels,
+      channelsWithData: channelIndices.filter(index => eegBuffer.length(index) > 0).length,
+      channel0Length: eegBuffer.length(0),
+      channel0Last: eegBuffer.lastPoint(0),
+      channel0SampleRate: eegBuffer.sampleRate(0)
     })
     
-    // Filter data to visible time range (matching RawEEGPlot window)
-    const result = eegBuffer.map((channelData, index) => {
-      if (!channelData || channelData.length === 0) {
+    // Take the visible time range (matching RawEEGPlot window) of each channel
+    const result = channelIndices.map(index => {
+      const channelLength = eegBuffer.length(index)
+      if (channelLength === 0) {
         console.log(`[CSAViewAdapter] Channel ${index} has no data`)
         return null
       }
       
       // When there's very little data (less than 2 seconds), use all available data
-      // Otherwise filter to visible time range
-      let visibleData: Array<{ x: number; y: number }>
-      const dataTimeRange = channelData[channelData.length - 1].x - channelData[0].x
+      // Otherwise use the visible time range (with small tolerance for floating point issues)
+      const firstTime = eegBuffer.timeAt(index, 0)
+      const lastTime = eegBuffer.timeAt(index, channelLength - 1)
+      const dataTimeRange = lastTime - firstTime
       const minRequiredTime = 2 // Need at least 2 seconds for CSA computation
+      let windowStart = firstTime
+      let windowEnd = lastTime
       
       if (dataTimeRange < minRequiredTime) {
-        // Use all available data if we have less than 2 seconds
-        visibleData = channelData
         console.log(`[CSAViewAdapter] Channel ${index}: Using all data (${dataTimeRange.toFixed(2)}s < ${minRequiredTime}s)`)
       } else {
-        // Filter data to visible time range (with small tolerance for floating point issues)
         const tolerance = 0.001
-        visibleData = channelData.filter(point => 
-          point.x >= (minTime - tolerance) && point.x <= (actualMaxTime + tolerance)
-        )
+        windowStart = minTime - tolerance
+        windowEnd = actualMaxTime + tolerance
       }
       
-      if (visibleData.length === 0) {
+      // Copy the sample values of the window straight out of the ring buffer
+      const { first, end } = eegBuffer.indexRange(index, windowStart, windowEnd)
+      const samples = new Float32Array(end - first)
+      eegBuffer.read(index, windowStart, windowEnd, samples)
+      
+      if (samples.length === 0) {
+        const lastPoint = eegBuffer.lastPoint(index)
         console.log(`[CSAViewAdapter] Channel ${index} has no data in visible range [${minTime.toFixed(2)}, ${actualMaxTime.toFixed(2)}]`, {
-          totalDataPoints: channelData.length,
-          firstPoint: channelData[0] ? { x: channelData[0].x.toFixed(3), y: channelData[0].y.toFixed(3) } : null,
-          lastPoint: channelData[channelData.length - 1] ? { x: channelData[channelData.length - 1].x.toFixed(3), y: channelData[channelData.length - 1].y.toFixed(3) } : null
+          totalDataPoints: channelLength,
+          firstPoint: { x: firstTime.toFixed(3), y: eegBuffer.valueAt(index, 0).toFixed(3) },
+          lastPoint: lastPoint ? { x: lastPoint.x.toFixed(3), y: lastPoint.y.toFixed(3) } : null
         })
         return null
       }
       
       console.log(`[CSAViewAdapter] Channel ${index}:`, {
-        totalLength: channelData.length,
-        visibleDataLength: visibleData.length,
+        totalLength: channelLength,
+        visibleDataLength: samples.length,
         visibleTimeRange: `[${minTime.toFixed(2)}, ${actualMaxTime.toFixed(2)}]`,
-        firstPoint: visibleData[0],
-        lastPoint: visibleData[visibleData.length - 1]
+        firstPoint: { x: eegBuffer.timeAt(index, first), y: samples[0] },
+        lastPoint: { x: eegBuffer.timeAt(index, end - 1), y: samples[samples.length - 1] }
       })
       
-      // Convert to Float32Array of sample values
-      const samples = new Float32Array(visibleData.length)
-      visibleData.forEach((point, i) => {
-        samples[i] = point.y || 0
-      })
+      // Channels keep their own rate (EDF files may mix e.g. 256 Hz EEG with 512 Hz ECG)
+      const channelSamplingRate = eegBuffer.sampleRate(index)
       
       // Check if we have enough samples for CSA (need at least 2 seconds)
-      const minRequired = Math.ceil(actualSamplingRate * 2)
+      const minRequired = Math.ceil(channelSamplingRate * 2)
       if (samples.length < minRequired) {
-        console.warn(`[CSAViewAdapter] Channel ${index} has insufficient data: ${samples.length} samples (need at least ${minRequired} for 2-second window at ${actualSamplingRate.toFixed(2)} Hz)`)
+        console.warn(`[CSAViewAdapter] Channel ${index} has insufficient data: ${samples.length} samples (need at least ${minRequired} for 2-second window at ${channelSamplingRate.toFixed(2)} Hz)`)
       }
       
       return {
         id: `channel-${index}`,
-        label: CHANNEL_NAMES[index] || `Channel ${index}`,
+        label: channelNames[index] || `Channel ${index}`,
         data: samples,
-        samplingRate: actualSamplingRate, // Store actual sample rate with montage
+        samplingRate: channelSamplingRate, // Store actual sample rate with montage
+        startTime: eegBuffer.timeAt(index, first),
+        artifacts: artifactSuppression ? channelArtifactIntervals(artifacts, index) : undefined,
       } as CSAMontage & { samplingRate: number }
     }).filter((m): m is CSAMontage & { samplingRate: number } => m !== null)
     
@@ -178,22 +174,31 @@ export default function CSAViewAdapter({ data, theme = 'light', eegBuffer }: CSA
     })))
     
     return result
-  }, [eegBuffer, minTime, actualMaxTime])
+  }, [eegBuffer, eegBufferVersion, minTime, actualMaxTime, channelNames, artifacts, artifactSuppression])
   
   // Always render CSAView, even with empty montages, to show blank charts
-  // Create empty montages for all 8 channels if no data is available
+  // Create empty montages for every channel if no data is available
   const allMontages = useMemo(() => {
     if (montages.length === 0) {
-      // Create empty montages for all 8 channels
-      return CHANNEL_NAMES.map((name, index) => ({
+      // Create empty montages for every channel
+      return channelNames.map((name, index) => ({
         id: `channel-${index}`,
         label: name,
         data: new Float32Array(0),
         samplingRate: 250,
       }))
     }
-    return montages
-  }, [montages])
+    // Show total power change vs. the session baseline next to each channel label
+    if (!baselineComparison) {
+      return montages
+    }
+    return montages.map(montage => {
+      const channelIndex = parseInt(montage.id.replace('channel-', ''), 10)
+      const change = baselineComparison.channels?.[channelIndex]?.total
+      if (change === null || change === undefined) return montage
+      return { ...montage, label: `${montage.label} (${formatPercentChange(change)})` }
+    })
+  }, [montages, baselineComparison, channelNames])
   
   // Calculate average sample rate from montages
   const avgSamplingRate = useMemo(() => {
@@ -208,7 +213,7 @@ export default function CSAViewAdapter({ data, theme = 'light', eegBuffer }: CSA
   // Since CSA slices have timeSec relative to the start of the filtered data (0-based),
   // we need to offset by minTime to show the correct absolute time
   const startTime = useMemo(() => {
-    if (!eegBuffer || eegBuffer.length === 0 || !eegBuffer[0] || eegBuffer[0].length === 0) {
+    if (!eegBuffer || eegBuffer.length(0) === 0) {
       return new Date(Date.now() - durationSeconds * 1000)
     }
     // Use current time as reference and subtract actualMaxTime to get a base time
@@ -220,7 +225,7 @@ export default function CSAViewAdapter({ data, theme = 'light', eegBuffer }: CSA
     // But we want to show absolute times, so we'll use a simpler approach:
     // Use referenceTime and offset by minTime
     return new Date(referenceTime.getTime() - actualMaxTime * 1000 + minTime * 1000)
-  }, [minTime, actualMaxTime, durationSeconds, eegBuffer])
+  }, [minTime, actualMaxTime, durationSeconds, eegBuffer, eegBufferVersion])
   
   return (
     <CSAView
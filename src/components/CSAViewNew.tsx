@@ -1,18 +1,16 @@
-import React, { useMemo } from 'react'
+import React, { useEffect, useMemo, useState } from 'react'
 import { CSAPanel } from './CSAPanel'
-import { computeCSA, CSAResult } from '../utils/csa'
+import { CSAResult } from '../utils/csa'
+import { getDSPPipeline } from '../utils/dspPipeline'
 import './CSAViewNew.css'
 
-const CHANNEL_NAMES = [
-  'F3-P3', 'P3-O1', 'F3-T3', 'T3-O1',
-  'F4-P4', 'P4-O2', 'F4-T4', 'T4-O2'
-]
-
 export interface CSAMontage {
   id: string
   label: string
   data: Float32Array
   samplingRate?: number // Optional: if not provided, use the global samplingRate prop
+  startTime?: number // Optional: time of data[0] in seconds, so slices stay on one time grid as data scrolls
+  artifacts?: Array<[number, number]> // Optional: [start, end] times (like startTime) of artifacts; overlapping slices are left out
 }
 
 export interface CSAViewProps {
@@ -32,11 +30,14 @@ export const CSAView: React.FC<CSAViewProps> = ({
   timeOffset = 0,
   theme = 'light',
 }) => {
-  // Compute CSA for each montage
-  const csaResults = useMemo(() => {
+  // Compute CSA for each montage in the DSP worker, which only computes slices it has not seen
+  // Results stay on screen until the next computation finishes
+  const [csaResults, setCSAResults] = useState<Array<{ montage: CSAMontage, csa: CSAResult } | null>>([])
+  useEffect(() => {
     console.log('[CSAView] Computing CSA for', montages.length, 'montages')
     
-    return montages.map((montage, index) => {
+    // Copies go to the worker, the montage arrays stay with the caller
+    const jobs = montages.map((montage, index) => {
       if (!montage.data || montage.data.length === 0) {
         console.warn(`[CSAView] Montage ${index} (${montage.label}) has no data`)
         return null
@@ -50,22 +51,34 @@ export const CSAView: React.FC<CSAViewProps> = ({
         samplingRate: montageSampleRate
       })
       
-      const csa = computeCSA(montage.data, montageSampleRate, {
-        windowSeconds: 2,
-        stepSeconds: 1,
-        maxFreqHz: 30,
-        numFreqBins: 64,
-      })
-      
-      console.log(`[CSAView] CSA result for ${montage.label}:`, {
-        slicesCount: csa.slices.length,
-        freqAxisLength: csa.freqAxisHz.length,
-        firstSlice: csa.slices[0],
-        lastSlice: csa.slices[csa.slices.length - 1]
-      })
-      
-      return { montage, csa }
+      return { id: montage.id, data: montage.data.slice(), samplingRate: montageSampleRate, startTime: montage.startTime, artifacts: montage.artifacts }
     })
+    
+    getDSPPipeline()
+      .postLatest('csa', {
+        type: 'csa',
+        montages: jobs,
+        config: {
+          windowSeconds: 2,
+          stepSeconds: 1,
+          maxFreqHz: 30,
+          numFreqBins: 64,
+        },
+      }, jobs.filter(Boolean).map(job => job!.data.buffer))
+      .then(reply => {
+        if (!reply) return
+        setCSAResults(reply.results.map((result: CSAResult | null, index: number) => {
+          if (!result) return null
+          console.log(`[CSAView] CSA result for ${montages[index].label}:`, {
+            slicesCount: result.slices.length,
+            freqAxisLength: result.freqAxisHz.length,
+            firstSlice: result.slices[0],
+            lastSlice: result.slices[result.slices.length - 1]
+          })
+          return { montage: montages[index], csa: result }
+        }))
+      })
+      .catch(error => console.error('[CSAView] CSA processing failed:', error))
   }, [montages, samplingRate])
   
   // Calculate start time (use provided or calculate from duration)
@@ -0,0 +1,127 @@
+import { useState, useEffect } from 'react'
+import { useEEG } from '../store/EEGContext'
+import { KNOWN_ELECTRODES, IGNORE_CHANNEL, mapLabel } from '../utils/electrodeLabels'
+import './PatientModal.css'
+import './ChannelMappingModal.css'
+
+const STATUS_TEXT = {
+  mapped: 'Mapped',
+  derivation: 'Bipolar',
+  ignored: 'Not EEG',
+  ambiguous: 'Ambiguous',
+  unknown: 'Unknown',
+}
+
+// Describe what a label was recognised as, e.g. "F3 (ref A1)" or "F3-P3"
+function describeEntry(entry) {
+  if (entry.status === 'mapped') {
+    return entry.reference ? `${entry.electrode} (ref ${entry.reference})` : entry.electrode
+  }
+  if (entry.status === 'derivation') return entry.derivation
+  if (entry.status === 'ambiguous' && entry.candidates.length > 0) {
+    return `${entry.candidates.join(' / ')}?`
+  }
+  return '—'
+}
+
+export default function ChannelMappingModal() {
+  const { labelMapping, channelMappings, actions } = useEEG()
+  const { dialogOpen, entries, deviceKey, deviceName } = labelMapping
+  const [selection, setSelection] = useState({})
+
+  // Start from the saved mapping for this device each time the dialog opens
+  useEffect(() => {
+    if (dialogOpen) {
+      setSelection({ ...(channelMappings[deviceKey]?.labels || {}) })
+    }
+  }, [dialogOpen, deviceKey, channelMappings])
+
+  if (!dialogOpen) return null
+
+  const handleChange = (label, value) => {
+    const next = { ...selection }
+    if (value) {
+      next[label] = value
+    } else {
+      delete next[label]
+    }
+    setSelection(next)
+  }
+
+  const handleSave = () => {
+    actions.saveChannelMapping(selection)
+  }
+
+  const handleClose = () => {
+    actions.setChannelMappingDialog(false)
+  }
+
+  const unresolved = entries.filter(e => (e.status === 'ambiguous' || e.status === 'unknown') && !selection[e.label]).length
+
+  return (
+    <div className="modal-overlay" onClick={handleClose}>
+      <div className="modal-content channel-mapping-modal" onClick={(e) => e.stopPropagation()}>
+        <div className="modal-header">
+          <h2>Channel Mapping</h2>
+          <button className="modal-close" onClick={handleClose}>×</button>
+        </div>
+        <div className="modal-body">
+          <div className="channel-mapping-device">
+            Device: <strong>{deviceName || 'Unknown'}</strong>
+          </div>
+          <p className="channel-mapping-hint">
+            Choose the 10-20 electrode recorded by each signal. The mapping is saved for this device type
+            and reused for its other files.
+          </p>
+          {unresolved > 0 && (
+            <div className="channel-mapping-warning">
+              {unresolved} signal{unresolved === 1 ? '' : 's'} could not be mapped automatically
+            </div>
+          )}
+          <table className="channel-mapping-table">
+            <thead>
+              <tr>
+                <th>Signal</th>
+                <th>Detected</th>
+                <th>Electrode</th>
+              </tr>
+            </thead>
+            <tbody>
+              {entries.map((entry) => {
+                const automatic = mapLabel(entry.label)
+                const needsReview = (entry.status === 'ambiguous' || entry.status === 'unknown') && !selection[entry.label]
+                return (
+                  <tr key={entry.index} className={needsReview ? 'needs-review' : ''}>
+                    <td className="channel-mapping-label">{entry.label || `Channel ${entry.index + 1}`}</td>
+                    <td>
+                      <span className={`channel-mapping-status status-${entry.status}`}>
+                        {STATUS_TEXT[entry.status]}
+                      </span>
+                      <span className="channel-mapping-detected">{describeEntry(entry)}</span>
+                    </td>
+                    <td>
+                      <select
+                        value={selection[entry.label] || ''}
+                        onChange={(e) => handleChange(entry.label, e.target.value)}
+                      >
+                        <option value="">Automatic ({describeEntry(automatic)})</option>
+                        {KNOWN_ELECTRODES.map(electrode => (
+                          <option key={electrode} value={electrode}>{electrode}</option>
+                        ))}
+                        <option value={IGNORE_CHANNEL}>Ignore</option>
+                      </select>
+                    </td>
+                  </tr>
+                )
+              })}
+            </tbody>
+          </table>
+        </div>
+        <div className="modal-footer">
+          <button className="btn-secondary" onClick={handleClose}>Cancel</button>
+          <button className="btn-primary" onClick={handleSave}>Save Mapping</button>
+        </div>
+      </div>
+    </div>
+  )
+}
@@ -1,129 +1,60 @@
-import { useRef, useEffect, useMemo } from 'react'
-import {
-  Chart as ChartJS,
-  CategoryScale,
-  LinearScale,
-  PointElement,
-  LineElement,
-  Title,
-  Tooltip,
-  Legend,
-  Filler
-} from 'chart.js'
-import { Line } from 'react-chartjs-2'
+import { useMemo } from 'react'
 import { useEEG } from '../store/EEGContext'
+import { getChannelLabel } from '../utils/montages'
+import { SCALP_QUADRANTS, quadrantChannels } from '../utils/qeeg'
+import { calibratedScales, traceColor } from '../utils/traceRenderer'
+import { screenPixelsPerMm } from '../utils/screenCalibration'
+import TraceCanvas from './TraceCanvas'
 import './CompactEEGView.css'
 
-ChartJS.register(
-  CategoryScale,
-  LinearScale,
-  PointElement,
-  LineElement,
-  Title,
-  Tooltip,
-  Legend,
-  Filler
-)
+// Latest page of one channel at the calibrated sensitivity and timebase; the renderer trims the
+// buffered span to what fits the chart width
+function CompactChart({ buffer, channelIndex, channelName, channelColor, scales, theme }) {
+  const range = buffer.timeRange()
+  const scene = {
+    buffer,
+    channels: [{ index: channelIndex, label: channelName, color: channelColor }],
+    startTime: range.start,
+    endTime: range.end,
+    ...scales,
+    theme,
+    showLabels: false,
+  }
 
-const COMPACT_VIEW_CONFIGS = [
-  { id: 'US', label: 'US - Live', channels: [0, 1], colors: ['#3b82f6', '#ef4444'] },
-  { id: 'UD', label: 'UD - Live', channels: [2, 3], colors: ['#3b82f6', '#ef4444'] },
-  { id: 'TS', label: 'TS - Live', channels: [4, 5], colors: ['#3b82f6', '#ef4444'] },
-  { id: 'TD', label: 'TD - Live', channels: [6, 7], colors: ['#3b82f6', '#ef4444'] },
-]
-
-const CHANNEL_NAMES = [
-  'F3-P3', 'P3-O1', 'F3-T3', 'T3-O1',
-  'F4-P4', 'P4-O2', 'F4-T4', 'T4-O2'
-]
-
-function CompactChart({ channelData, channelName, channelColor, theme }) {
-  const chartRef = useRef(null)
-
-  const data = useMemo(() => {
-    if (!channelData || channelData.length === 0) {
-      return { labels: [], datasets: [] }
-    }
-
-    // Show last 10 seconds of data
-    const timeWindow = 10
-    const maxTime = channelData[channelData.length - 1]?.x || 0
-    const minTime = Math.max(0, maxTime - timeWindow)
-    const filteredData = channelData.filter(point => point.x >= minTime && point.x <= maxTime)
-
-    return {
-      labels: filteredData.map(point => point.x.toFixed(2)),
-      datasets: [
-        {
-          label: channelName,
-          data: filteredData.map(point => point.y),
-          borderColor: channelColor,
-          backgroundColor: channelColor + '20',
-          borderWidth: 1.5,
-          fill: false,
-          pointRadius: 0,
-          pointHoverRadius: 3,
-          tension: 0.1,
-        },
-      ],
-    }
-  }, [channelData, channelName, channelColor])
-
-  const options = useMemo(() => ({
-    responsive: true,
-    maintainAspectRatio: false,
-    plugins: {
-      legend: {
-        display: false,
-      },
-      tooltip: {
-        enabled: true,
-        mode: 'index',
-        intersect: false,
-      },
-    },
-    scales: {
-      x: {
-        display: false,
-        grid: {
-          display: false,
-        },
-      },
-      y: {
-        display: true,
-        position: 'right',
-        grid: {
-          color: theme === 'dark' ? '#333333' : '#e5e7eb',
-        },
-        ticks: {
-          font: { size: 9 },
-          color: theme === 'dark' ? '#888888' : '#666666',
-          maxTicksLimit: 3,
-        },
-        min: -100,
-        max: 100,
-      },
-    },
-    interaction: {
-      mode: 'index',
-      intersect: false,
-    },
-  }), [theme])
+  return <TraceCanvas scene={scene} className="compact-chart-container" />
+}
 
-  return (
-    <div className="compact-chart-container">
-      <Line ref={chartRef} data={data} options={options} />
-    </div>
-  )
+// One panel per scalp quadrant with its channels, then one for midline and other channels;
+// panels without channels are left out
+function compactPanels(labels) {
+  const panels = SCALP_QUADRANTS.map(quadrant => ({
+    id: quadrant.id,
+    label: `${quadrant.label} - Live`,
+    channels: quadrantChannels(quadrant, labels),
+  }))
+  const grouped = new Set(panels.flatMap(panel => panel.channels))
+  panels.push({
+    id: 'midline',
+    label: 'Midline / Other - Live',
+    channels: labels.map((_, index) => index).filter(index => !grouped.has(index)),
+  })
+  return panels.filter(panel => panel.channels.length > 0)
 }
 
 export default function CompactEEGView() {
-  const { eegBuffer, settings, ui } = useEEG()
+  const { eegBuffer, settings, ui, montageInfo, screenCalibration } = useEEG()
   const { display } = settings
+  const scales = calibratedScales(display.amplitudeScale || 7.0, display.timeScale || 30, screenPixelsPerMm(screenCalibration))
+  const numChannels = eegBuffer.numChannels
+  const labels = useMemo(
+    () => Array.from({ length: numChannels }, (_, index) => montageInfo?.labels?.[index] || getChannelLabel(display.montage, index)),
+    [numChannels, montageInfo, display.montage]
+  )
+  const panels = useMemo(() => compactPanels(labels), [labels])
 
   return (
     <div className="compact-eeg-view">
-      {COMPACT_VIEW_CONFIGS.map((config) => (
+      {panels.map((config) => (
         <div key={config.id} className="compact-view-panel">
           <div className="compact-view-header">
             <h4>{config.label}</h4>
@@ -134,18 +65,19 @@ export default function CompactEEGView() {
             </div>
           </div>
           <div className="compact-view-content">
-            {config.channels.map((channelIndex, idx) => {
-              const channelData = eegBuffer[channelIndex] || []
-              const channelName = CHANNEL_NAMES[channelIndex]
-              const channelColor = config.colors[idx]
+            {config.channels.map((channelIndex) => {
+              const channelName = labels[channelIndex]
+              const channelColor = display.colorMode === 'grayscale' ? '#888' : traceColor(channelName)
               
               return (
                 <div key={channelIndex} className="compact-channel">
                   <div className="compact-channel-label">{channelName}</div>
                   <CompactChart
-                    channelData={channelData}
+                    buffer={eegBuffer}
+                    channelIndex={channelIndex}
                     channelName={channelName}
                     channelColor={channelColor}
+                    scales={scales}
                     theme={ui?.theme || 'light'}
                   />
                 </div>
@@ -155,6 +155,13 @@ export const DSAPanel: React.FC<DSAPanelProps> = ({
       const slice = dsa.slices[sliceIdx]
       const timeX = chartX + sliceIdx * timePixelWidth
       
+      // Slices left out for an artifact are drawn as a flat grey column
+      if (slice.artifact) {
+        ctx.fillStyle = theme === 'dark' ? '#3f3f46' : '#d4d4d8'
+        ctx.fillRect(timeX, chartY, timePixelWidth, chartHeight)
+        continue
+      }
+      
       for (let binIdx = 0; binIdx < numBins; binIdx++) {
         const freq = dsa.freqAxisHz[binIdx]
         const power = slice.powerSpectrum[binIdx] // Power in dB μV²/Hz
@@ -180,6 +187,11 @@ export const DSAPanel: React.FC<DSAPanelProps> = ({
       let firstPoint = true
       for (let i = 0; i < dsa.slices.length; i++) {
         const slice = dsa.slices[i]
+        // The line breaks over artifact slices
+        if (slice.artifact) {
+          firstPoint = true
+          continue
+        }
         const x = chartX + (i / numSlices) * chartWidth
         const freqRatio = slice.sef95Hz / maxFreq
         const y = chartY + chartHeight - (freqRatio * chartHeight)
@@ -1,41 +1,43 @@
 import React, { useMemo } from 'react'
 import { DSAView, DSAMontage } from './DSAViewNew'
 import { useEEG } from '../store/EEGContext'
-
-const CHANNEL_NAMES = [
-  'F3-P3', 'P3-O1', 'F3-T3', 'T3-O1',
-  'F4-P4', 'P4-O2', 'F4-T4', 'T4-O2'
-]
+import { formatPercentChange } from '../utils/baseline'
+import { channelArtifactIntervals } from '../utils/artifacts'
+import { getChannelLabels } from '../utils/montages'
+import { pageDuration } from '../utils/traceRenderer'
+import type { EEGRingBuffer } from '../utils/ringBuffer'
 
 interface DSAViewAdapterProps {
   data: Array<Array<{ x: number; y: number }>> // Existing spectrogram data format
   theme?: 'light' | 'dark'
-  eegBuffer?: Array<Array<{ x: number; y: number }>> // Raw EEG buffer
+  eegBuffer?: EEGRingBuffer // Raw EEG buffer
+  eegBufferVersion?: number // Bumped on every write to eegBuffer
 }
 
 /**
  * Adapter component that converts existing data format to new DSAView format
  */
-export default function DSAViewAdapter({ data, theme = 'light', eegBuffer }: DSAViewAdapterProps) {
+export default function DSAViewAdapter({ data, theme = 'light', eegBuffer, eegBufferVersion }: DSAViewAdapterProps) {
   // Call useEEG hook unconditionally at the top
-  const { settings } = useEEG()
+  const { settings, baselineComparison, montageInfo, artifacts } = useEEG()
+  // With artifact suppression on, slices overlapping flagged artifacts are left out
+  const artifactSuppression = settings?.patient?.artifactSuppression !== false
+  // Labels of the displayed montage channels
+  const channelNames: string[] = montageInfo?.labels || getChannelLabels(settings?.display?.montage)
   
   // Extract display settings with defaults
   const displaySettings = settings?.display || {}
-  const timeWindow = displaySettings.timeWindow || 10
-  const timeScale = displaySettings.timeScale || 30
   const timeOffset = (displaySettings.timeOffset !== undefined && displaySettings.timeOffset !== null) ? displaySettings.timeOffset : 0
-  const baseTimeScale = 30
-  const adjustedTimeWindow = timeWindow * (baseTimeScale / timeScale)
+  const adjustedTimeWindow = pageDuration(displaySettings)
   
   // Calculate the visible time range
   const visibleTimeRange = useMemo(() => {
-    if (!eegBuffer || eegBuffer.length === 0 || !eegBuffer[0] || eegBuffer[0].length === 0) {
+    if (!eegBuffer || eegBuffer.length(0) === 0) {
       return { minTime: 0, maxTime: 10, durationSeconds: 10 }
     }
     
-    const maxTime = eegBuffer[0][eegBuffer[0].length - 1].x
-    const dataMinTime = eegBuffer[0][0].x
+    // Span of all channels, so channels at other sample rates share one time axis with the raw EEG
+    const { start: dataMinTime, end: maxTime } = eegBuffer.timeRange()
     const dataRange = maxTime - dataMinTime
     
     // Calculate visible range the same way RawEEGPlot does
@@ -71,123 +73,74 @@ export default function DSAViewAdapter({ data, theme = 'light', eegBuffer }: DSA
     })
     
     return { minTime, maxTime: actualMaxTime, durationSeconds }
-  }, [eegBuffer, timeWindow, timeScale, timeOffset, adjustedTimeWindow])
+  }, [eegBuffer, eegBufferVersion, timeOffset, adjustedTimeWindow])
   
   const { minTime, maxTime: actualMaxTime, durationSeconds } = visibleTimeRange
   
   // Convert eegBuffer to DSAMontage format
   const montages = useMemo(() => {
-    if (!eegBuffer || eegBuffer.length === 0) {
+    if (!eegBuffer || eegBuffer.numChannels === 0) {
       console.log('[DSAViewAdapter] No eegBuffer data')
       return []
     }
     
     // Check if we have any channels with data
-    const hasData = eegBuffer.some(ch => ch && ch.length > 0)
-    if (!hasData) {
+    if (eegBuffer.isEmpty) {
       console.log('[DSAViewAdapter] eegBuffer exists but all channels are empty')
       return []
     }
     
-    // Calculate actual sample rate from the data
-    // Use multiple points for more accurate calculation
-    let actualSamplingRate = 250 // Default fallback
-    const firstChannelWithData = eegBuffer.find(ch => ch && ch.length >= 10)
-    if (firstChannelWithData && firstChannelWithData.length >= 10) {
-      // Calculate average time difference from multiple points for better accuracy
-      let totalTimeDiff = 0
-      let validDiffs = 0
-      for (let i = 1; i < Math.min(10, firstChannelWithData.length); i++) {
-        const timeDiff = firstChannelWithData[i].x - firstChannelWithData[i - 1].x
-        if (timeDiff > 0 && timeDiff < 0.1) { // Reasonable range: 10ms to 100ms
-          totalTimeDiff += timeDiff
-          validDiffs++
-        }
-      }
-      if (validDiffs > 0) {
-        const avgTimeDiff = totalTimeDiff / validDiffs
-        actualSamplingRate = 1 / avgTimeDiff
-        // Clamp to reasonable range
-        actualSamplingRate = Math.max(50, Math.min(1000, actualSamplingRate))
-      }
-    } else if (firstChannelWithData && firstChannelWithData.length >= 2) {
-      // Fallback to simple calculation if not enough points
-      const timeDiff = firstChannelWithData[firstChannelWithData.length - 1].x - firstChannelWithData[firstChannelWithData.length - 2].x
-      if (timeDiff > 0 && timeDiff < 0.1) {
-        actualSamplingRate = 1 / timeDiff
-        actualSamplingRate = Math.max(50, Math.min(1000, actualSamplingRate))
-      }
-    }
-    
+    const channelIndices = Array.from({ length: eegBuffer.numChannels }, (_, index) => index)
     console.log('[DSAViewAdapter] Processing eegBuffer:', {
-      numChannels: eegBuffer.length,
-      channelsWithData: eegBuffer.filter(ch => ch && ch.length > 0).length,
-      channel0Length: eegBuffer[0]?.length || 0,
-      channel0First: eegBuffer[0]?.[0],
-      channel0Last: eegBuffer[0]?.[eegBuffer[0].length - 1],
-      calculatedSampleRate: actualSamplingRate.toFixed(2)
+      numChannels: eegBuffer.numChannels,
+      channelsWithData: channelIndices.filter(index => eegBuffer.length(index) > 0).length,
+      channel0Length: eegBuffer.length(0),
+      channel0Last: eegBuffer.lastPoint(0),
+      channel0SampleRate: eegBuffer.sampleRate(0)
     })
     
-      // Filter data to visible time range (matching RawEEGPlot window)
-      const result = eegBuffer.map((channelData, index) => {
-        if (!channelData || channelData.length === 0) {
+      const result = channelIndices.map(index => {
+        const channelLength = eegBuffer.length(index)
+        if (channelLength === 0) {
           console.log(`[DSAViewAdapter] Channel ${index} has no data`)
           return null
         }
         
         // Strategy: Use most recent data for DSA computation to ensure it updates during streaming
         // This ensures DSA always shows data when streaming, regardless of visible window
-        let visibleData: Array<{ x: number; y: number }>
-        const dataTimeRange = channelData[channelData.length - 1].x - channelData[0].x
-        const minRequiredTime = 2 // Need at least 2 seconds for DSA computation
-        const maxWindowTime = 10 // Use up to 10 seconds of most recent data for DSA
-        
         // Always use the most recent data for DSA (up to maxWindowTime seconds)
-        // This ensures DSA updates during streaming regardless of visible window position
-        const lastTime = channelData[channelData.length - 1].x
-        const windowStartTime = Math.max(channelData[0].x, lastTime - maxWindowTime)
-        
-        const tolerance = 0.001
-        visibleData = channelData.filter(point => 
-          point.x >= (windowStartTime - tolerance) && point.x <= (lastTime + tolerance)
-        )
+        const maxWindowTime = 10 // Use up to 10 seconds of most recent data for DSA
+        const firstTime = eegBuffer.timeAt(index, 0)
+        const lastTime = eegBuffer.timeAt(index, channelLength - 1)
+        const windowStartTime = Math.max(firstTime, lastTime - maxWindowTime)
         
-        // If we still don't have enough data, use all available data
-        if (visibleData.length === 0 || (dataTimeRange < minRequiredTime && visibleData.length < channelData.length)) {
-          visibleData = channelData
-          console.log(`[DSAViewAdapter] Channel ${index}: Using all data (insufficient in window)`)
-        }
+        // Copy the sample values of the window straight out of the ring buffer
+        const { first, end } = eegBuffer.indexRange(index, windowStartTime, lastTime)
+        const samples = new Float32Array(end - first)
+        const count = eegBuffer.readLatest(index, maxWindowTime, samples)
         
-        if (visibleData.length === 0) {
+        if (samples.length === 0) {
           console.log(`[DSAViewAdapter] Channel ${index} has no data`, {
-            totalDataPoints: channelData.length,
-            firstPoint: channelData[0] ? { x: channelData[0].x.toFixed(3), y: channelData[0].y.toFixed(3) } : null,
-            lastPoint: channelData[channelData.length - 1] ? { x: channelData[channelData.length - 1].x.toFixed(3), y: channelData[channelData.length - 1].y.toFixed(3) } : null
+            totalDataPoints: channelLength,
+            lastPoint: eegBuffer.lastPoint(index)
           })
           return null
         }
-      
+        
       console.log(`[DSAViewAdapter] Channel ${index}:`, {
-        totalLength: channelData.length,
-        visibleDataLength: visibleData.length,
-        dataTimeRange: `${channelData[0]?.x.toFixed(2)} - ${channelData[channelData.length - 1]?.x.toFixed(2)}`,
-        visibleRange: `${visibleData[0]?.x.toFixed(2)} - ${visibleData[visibleData.length - 1]?.x.toFixed(2)}`,
-        firstPoint: visibleData[0],
-        lastPoint: visibleData[visibleData.length - 1]
+        totalLength: channelLength,
+        visibleDataLength: samples.length,
+        dataTimeRange: `${firstTime.toFixed(2)} - ${lastTime.toFixed(2)}`,
+        visibleRange: `${eegBuffer.timeAt(index, first).toFixed(2)} - ${lastTime.toFixed(2)}`,
+        firstPoint: { x: eegBuffer.timeAt(index, first), y: samples[0] },
+        lastPoint: { x: lastTime, y: samples[samples.length - 1] }
       })
       
-      // Convert to Float32Array of sample values
-      // Ensure we're extracting valid numeric values
-      const samples = new Float32Array(visibleData.length)
+      // Channels keep their own rate (EDF files may mix e.g. 256 Hz EEG with 512 Hz ECG)
+      const channelSamplingRate = eegBuffer.sampleRate(index)
       let validSampleCount = 0
-      visibleData.forEach((point, i) => {
-        const value = point.y
-        if (typeof value === 'number' && isFinite(value)) {
-          samples[i] = value
-          validSampleCount++
-        } else {
-          samples[i] = 0
-        }
+      samples.forEach(value => {
+        if (value !== 0) validSampleCount++
       })
       
       // Log sample statistics for debugging
@@ -204,9 +157,9 @@ export default function DSAViewAdapter({ data, theme = 'light', eegBuffer }: DSA
       }
       
       // Check if we have enough samples for DSA (need at least 2 seconds)
-      const minRequired = Math.ceil(actualSamplingRate * 2)
+      const minRequired = Math.ceil(channelSamplingRate * 2)
       if (samples.length < minRequired) {
-        console.warn(`[DSAViewAdapter] Channel ${index} has insufficient data: ${samples.length} samples (need at least ${minRequired} for 2-second window at ${actualSamplingRate.toFixed(2)} Hz)`)
+        console.warn(`[DSAViewAdapter] Channel ${index} has insufficient data: ${samples.length} samples (need at least ${minRequired} for 2-second window at ${channelSamplingRate.toFixed(2)} Hz)`)
         // Still return the montage - DSA will return empty slices until we have enough data
         // This ensures the charts are ready when data accumulates
       } else {
@@ -215,9 +168,11 @@ export default function DSAViewAdapter({ data, theme = 'light', eegBuffer }: DSA
       
       return {
         id: `channel-${index}`,
-        label: CHANNEL_NAMES[index] || `Channel ${index}`,
+        label: channelNames[index] || `Channel ${index}`,
         data: samples,
-        samplingRate: actualSamplingRate, // Store actual sample rate with montage
+        samplingRate: channelSamplingRate, // Store actual sample rate with montage
+        startTime: eegBuffer.timeAt(index, channelLength - count),
+        artifacts: artifactSuppression ? channelArtifactIntervals(artifacts, index) : undefined,
       } as DSAMontage & { samplingRate: number }
     }).filter((m): m is DSAMontage & { samplingRate: number } => m !== null)
     
@@ -238,22 +193,31 @@ export default function DSAViewAdapter({ data, theme = 'light', eegBuffer }: DSA
     })
     
     return result
-  }, [eegBuffer])
+  }, [eegBuffer, eegBufferVersion, channelNames, artifacts, artifactSuppression])
   
   // Always render DSAView, even with empty montages, to show blank charts
-  // Create empty montages for all 8 channels if no data is available
+  // Create empty montages for every channel if no data is available
   const allMontages = useMemo(() => {
     if (montages.length === 0) {
-      // Create empty montages for all 8 channels
-      return CHANNEL_NAMES.map((name, index) => ({
+      // Create empty montages for every channel
+      return channelNames.map((name, index) => ({
         id: `channel-${index}`,
         label: name,
         data: new Float32Array(0),
         samplingRate: 250,
       }))
     }
-    return montages
-  }, [montages])
+    // Show total power change vs. the session baseline next to each channel label
+    if (!baselineComparison) {
+      return montages
+    }
+    return montages.map(montage => {
+      const channelIndex = parseInt(montage.id.replace('channel-', ''), 10)
+      const change = baselineComparison.channels?.[channelIndex]?.total
+      if (change === null || change === undefined) return montage
+      return { ...montage, label: `${montage.label} (${formatPercentChange(change)})` }
+    })
+  }, [montages, baselineComparison, channelNames])
   
   // Calculate average sample rate from montages
   const avgSamplingRate = useMemo(() => {
@@ -268,7 +232,7 @@ export default function DSAViewAdapter({ data, theme = 'light', eegBuffer }: DSA
   // Since DSA slices have timeSec relative to the start of the filtered data (0-based),
   // we need to offset by minTime to show the correct absolute time
   const startTime = useMemo(() => {
-    if (!eegBuffer || eegBuffer.length === 0 || !eegBuffer[0] || eegBuffer[0].length === 0) {
+    if (!eegBuffer || eegBuffer.length(0) === 0) {
       return new Date(Date.now() - durationSeconds * 1000)
     }
     // Use current time as reference and subtract actualMaxTime to get a base time
@@ -280,7 +244,7 @@ export default function DSAViewAdapter({ data, theme = 'light', eegBuffer }: DSA
     // But we want to show absolute times, so we'll use a simpler approach:
     // Use referenceTime and offset by minTime
     return new Date(referenceTime.getTime() - actualMaxTime * 1000 + minTime * 1000)
-  }, [minTime, actualMaxTime, durationSeconds, eegBuffer])
+  }, [minTime, actualMaxTime, durationSeconds, eegBuffer, eegBufferVersion])
   
   return (
     <DSAView
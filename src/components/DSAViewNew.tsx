@@ -1,18 +1,16 @@
-import React, { useMemo } from 'react'
+import React, { useEffect, useMemo, useState } from 'react'
 import { DSAPanel } from './DSAPanel'
-import { computeDSA, DSAResult } from '../utils/csa'
+import { DSAResult } from '../utils/csa'
+import { getDSPPipeline } from '../utils/dspPipeline'
 import './DSAViewNew.css'
 
-const CHANNEL_NAMES = [
-  'F3-P3', 'P3-O1', 'F3-T3', 'T3-O1',
-  'F4-P4', 'P4-O2', 'F4-T4', 'T4-O2'
-]
-
 export interface DSAMontage {
   id: string
   label: string
   data: Float32Array
   samplingRate?: number // Optional: if not provided, use the global samplingRate prop
+  startTime?: number // Optional: time of data[0] in seconds, so slices stay on one time grid as data scrolls
+  artifacts?: Array<[number, number]> // Optional: [start, end] times (like startTime) of artifacts; overlapping slices are left out
 }
 
 export interface DSAViewProps {
@@ -32,11 +30,14 @@ export const DSAView: React.FC<DSAViewProps> = ({
   timeOffset = 0,
   theme = 'light',
 }) => {
-  // Compute DSA for each montage (full-density with absolute power)
-  const dsaResults = useMemo(() => {
+  // Compute DSA for each montage (full-density with absolute power) in the DSP worker, which only computes slices it has not seen
+  // Results stay on screen until the next computation finishes
+  const [dsaResults, setDSAResults] = useState<Array<{ montage: DSAMontage, dsa: DSAResult } | null>>([])
+  useEffect(() => {
     console.log('[DSAView] Computing DSA for', montages.length, 'montages')
     
-    return montages.map((montage, index) => {
+    // Copies go to the worker, the montage arrays stay with the caller
+    const jobs = montages.map((montage, index) => {
       if (!montage.data || montage.data.length === 0) {
         console.warn(`[DSAView] Montage ${index} (${montage.label}) has no data`)
         return null
@@ -50,24 +51,36 @@ export const DSAView: React.FC<DSAViewProps> = ({
         samplingRate: montageSampleRate
       })
       
-      const dsa = computeDSA(montage.data, montageSampleRate, {
-        windowSeconds: 2,
-        stepSeconds: 1,
-        maxFreqHz: 30,
-        freqResolutionHz: 0.5, // 0.5 Hz resolution for full density
-      })
-      
-      console.log(`[DSAView] DSA result for ${montage.label}:`, {
-        slicesCount: dsa.slices.length,
-        freqAxisLength: dsa.freqAxisHz.length,
-        globalMinPower: dsa.globalMinPower,
-        globalMaxPower: dsa.globalMaxPower,
-        firstSlice: dsa.slices[0],
-        lastSlice: dsa.slices[dsa.slices.length - 1]
-      })
-      
-      return { montage, dsa }
+      return { id: montage.id, data: montage.data.slice(), samplingRate: montageSampleRate, startTime: montage.startTime, artifacts: montage.artifacts }
     })
+    
+    getDSPPipeline()
+      .postLatest('dsa', {
+        type: 'dsa',
+        montages: jobs,
+        config: {
+          windowSeconds: 2,
+          stepSeconds: 1,
+          maxFreqHz: 30,
+          freqResolutionHz: 0.5, // 0.5 Hz resolution for full density
+        },
+      }, jobs.filter(Boolean).map(job => job!.data.buffer))
+      .then(reply => {
+        if (!reply) return
+        setDSAResults(reply.results.map((result: DSAResult | null, index: number) => {
+          if (!result) return null
+          console.log(`[DSAView] DSA result for ${montages[index].label}:`, {
+            slicesCount: result.slices.length,
+            freqAxisLength: result.freqAxisHz.length,
+            globalMinPower: result.globalMinPower,
+            globalMaxPower: result.globalMaxPower,
+            firstSlice: result.slices[0],
+            lastSlice: result.slices[result.slices.length - 1]
+          })
+          return { montage: montages[index], dsa: result }
+        }))
+      })
+      .catch(error => console.error('[DSAView] DSA processing failed:', error))
   }, [montages, samplingRate])
   
   // Calculate start time (use provided or calculate from duration)
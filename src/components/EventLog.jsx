@@ -1,26 +1,35 @@
 import { useState, useMemo } from 'react'
 import { useEEG } from '../store/EEGContext'
+import { BURST_SUPPRESSION_EVENT, isBurstSuppressionEvent } from '../utils/burstSuppression'
+import { pageDuration } from '../utils/traceRenderer'
 import './EventLog.css'
 
+// Entries that come from the detector (ischemiaEvents) rather than from annotations
+const isDetectorEntry = (type) => type === 'ischemia' || type === BURST_SUPPRESSION_EVENT
+
 export default function EventLog({ isOpen = true }) {
-  const { ischemiaEvents, annotations, currentTime, actions } = useEEG()
+  const { ischemiaEvents, annotations, currentTime, settings, actions } = useEEG()
   const [selectedEvent, setSelectedEvent] = useState(null)
 
   // Combine ischemia events and annotations into a single chronological list
   const allEvents = useMemo(() => {
     const events = []
     
-    // Add ischemia events
+    // Add ischemia and burst suppression events
     ischemiaEvents.forEach(event => {
+      const isBurstSuppression = isBurstSuppressionEvent(event)
       events.push({
         id: event.id,
-        type: 'ischemia',
+        type: isBurstSuppression ? BURST_SUPPRESSION_EVENT : 'ischemia',
         timestamp: event.startTime,
-        text: `Ischemia detected (${(event.confidence * 100).toFixed(0)}% confidence)`,
+        text: isBurstSuppression
+          ? `Burst suppression (BSR ${((event.detectionCriteria?.maxBsr ?? event.detectionCriteria?.bsr ?? 0) * 100).toFixed(0)}%) - possible anesthesia effect`
+          : `Ischemia detected (${(event.confidence * 100).toFixed(0)}% confidence)${event.duringBurstSuppression ? ' during burst suppression' : ''}`,
         duration: event.endTime ? (event.endTime - event.startTime).toFixed(1) : null,
         severity: event.severity || 'warning',
         acknowledged: event.acknowledged || false,
-        channelIds: event.channelIds || [],
+        // Burst suppression is global, so its channels are not listed
+        channelIds: isBurstSuppression ? [] : event.channelIds || [],
         event: event,
       })
     })
@@ -32,8 +41,9 @@ export default function EventLog({ isOpen = true }) {
         type: annotation.type || 'note',
         timestamp: annotation.timestamp,
         text: annotation.text || '',
-        duration: null,
+        duration: annotation.duration > 0 ? annotation.duration.toFixed(1) : null,
         severity: null,
+        source: annotation.source || null,
         acknowledged: false,
         channelIds: annotation.channelIds || [],
         annotation: annotation,
@@ -56,31 +66,35 @@ export default function EventLog({ isOpen = true }) {
   }
 
   const handleEventClick = (event) => {
-    if (event.type === 'ischemia' && event.event) {
+    // The page length follows the trace width and timebase; navigation centres the entry on it
+    const halfPage = pageDuration(settings.display) / 2
+    if (isDetectorEntry(event.type) && event.event) {
       // Navigate to ischemia event (similar to notification click)
       const ischemiaEvent = event.event
       const eventCenter = ischemiaEvent.endTime 
         ? (ischemiaEvent.startTime + ischemiaEvent.endTime) / 2
         : ischemiaEvent.startTime
-      const eventDuration = ischemiaEvent.endTime 
-        ? ischemiaEvent.endTime - ischemiaEvent.startTime
-        : 5
-      const viewWindow = Math.max(eventDuration * 1.5, 10)
       
       actions.updateSettings('display', {
-        timeOffset: currentTime - eventCenter,
-        timeWindow: viewWindow,
+        timeOffset: Math.max(0, currentTime - eventCenter - halfPage),
       })
       
       if (actions.pauseMockStream) {
         actions.pauseMockStream()
       }
+    } else if (event.annotation && Number.isFinite(event.timestamp)) {
+      // Navigate to the annotation (centred on its duration if it has one)
+      const annotationDuration = event.annotation.duration > 0 ? event.annotation.duration : 0
+      const annotationCenter = event.timestamp + annotationDuration / 2
+      actions.updateSettings('display', {
+        timeOffset: Math.max(0, currentTime - annotationCenter - halfPage),
+      })
     }
     setSelectedEvent(event.id === selectedEvent ? null : event.id)
   }
 
   const handleDelete = (eventId, eventType) => {
-    if (eventType === 'ischemia') {
+    if (isDetectorEntry(eventType)) {
       // Note: In a real app, you might want to mark as deleted rather than remove
       console.log('Delete ischemia event:', eventId)
     } else {
@@ -89,7 +103,7 @@ export default function EventLog({ isOpen = true }) {
   }
 
   const handleEdit = (event) => {
-    if (event.type !== 'ischemia') {
+    if (!isDetectorEntry(event.type)) {
       // Open edit dialog for annotations
       const newText = prompt('Edit annotation:', event.text)
       if (newText !== null) {
@@ -102,6 +116,8 @@ export default function EventLog({ isOpen = true }) {
     switch (type) {
       case 'ischemia':
         return '⚠️'
+      case BURST_SUPPRESSION_EVENT:
+        return '〰️'
       case 'seizure':
         return '⚡'
       case 'artifact':
@@ -185,6 +201,12 @@ export default function EventLog({ isOpen = true }) {
                   {event.acknowledged && (
                     <span className="event-log-acknowledged">✓</span>
                   )}
+                  {event.source === 'edf' && (
+                    <span className="event-log-source" title="Read from the EDF+ file">EDF</span>
+                  )}
+                  {event.source === 'detector' && (
+                    <span className="event-log-source" title="Flagged by artifact detection">Auto</span>
+                  )}
                 </div>
                 <div className="event-log-item-text">{event.text}</div>
                 {event.duration && (
@@ -196,7 +218,7 @@ export default function EventLog({ isOpen = true }) {
                   </div>
                 )}
                 <div className="event-log-item-actions">
-                  {event.type !== 'ischemia' && (
+                  {!isDetectorEntry(event.type) && (
                     <>
                       <button
                         className="event-log-action-btn"
@@ -1,41 +1,173 @@
 import { useState } from 'react'
 import { useEEG } from '../store/EEGContext'
 import { jsPDF } from 'jspdf'
+import { writeEDF, formatPatientField, formatRecordingField } from '../utils/edfWriter'
+import { summarizeQEEGTrend } from '../utils/qeeg'
+import { isBurstSuppressionEvent } from '../utils/burstSuppression'
+import { TraceRenderer, calibratedScales, pageDuration, traceColor } from '../utils/traceRenderer'
+import { screenPixelsPerMm } from '../utils/screenCalibration'
 import './ExportTools.css'
 
 export default function ExportTools() {
-  const { eegBuffer, ischemiaEvents, annotations, settings, session } = useEEG()
+  const { eegBuffer, ischemiaEvents, annotations, settings, session, baselineComparison, qeegTrend, montageInfo, currentTime, eegState, edfData, edfFileInfo, badChannels, artifacts, screenCalibration } = useEEG()
   const [exportFormat, setExportFormat] = useState('edf')
   const [isExporting, setIsExporting] = useState(false)
 
+  const detectedIschemia = ischemiaEvents.filter(event => !isBurstSuppressionEvent(event))
+  const detectedBurstSuppression = ischemiaEvents.filter(isBurstSuppressionEvent)
+
+  // Ischemia/burst suppression events and annotations as EDF+ annotations, with onsets relative to the first exported sample
+  const buildEDFAnnotations = (startTime, endTime) => {
+    const inRange = (time) => Number.isFinite(time) && time >= startTime && time <= endTime
+    const eventAnnotations = ischemiaEvents
+      .filter(event => inRange(event.startTime))
+      .map(event => ({
+        onset: event.startTime - startTime,
+        duration: Math.min(event.endTime ?? endTime, endTime) - event.startTime,
+        text: isBurstSuppressionEvent(event)
+          ? `Burst suppression (${event.severity || 'unknown'}, BSR ${Math.round((event.detectionCriteria?.maxBsr ?? event.detectionCriteria?.bsr ?? 0) * 100)}%)`
+          : `Ischemia (${event.severity || 'unknown'}, ${Math.round((event.confidence || 0) * 100)}% confidence${event.duringBurstSuppression ? ', during burst suppression' : ''})`,
+      }))
+    const noteAnnotations = annotations
+      .filter(ann => inRange(ann.timestamp))
+      .map(ann => ({
+        onset: ann.timestamp - startTime,
+        duration: 0,
+        text: ann.type && ann.type !== 'note'
+          ? `${ann.type.charAt(0).toUpperCase()}${ann.type.slice(1)}: ${ann.text}`
+          : ann.text,
+      }))
+    return [...eventAnnotations, ...noteAnnotations]
+  }
+
+  const downloadEDF = (buffer, baseName) => {
+    const blob = new Blob([buffer], { type: 'application/octet-stream' })
+    const url = URL.createObjectURL(blob)
+    const a = document.createElement('a')
+    a.href = url
+    a.download = `${baseName}.edf`
+    a.click()
+    URL.revokeObjectURL(url)
+  }
+
+  const exportTimestamp = () => new Date().toISOString().replace(/[:.]/g, '-').split('T').join('_').slice(0, -5) // Format: 2025-11-19_12-30-45
+
+  const patientField = () => formatPatientField({
+    patientId: settings.patient.patientId,
+    dateOfBirth: settings.patient.dateOfBirth,
+    firstName: settings.patient.firstName,
+    lastName: settings.patient.lastName,
+  })
+
+  // Export the displayed (montage-derived, filtered) buffer as EDF+
   const exportEDF = async () => {
     setIsExporting(true)
     try {
-      // Basic EDF export structure
-      // Note: Full EDF implementation would require proper header and data encoding
-      const header = {
-        version: '0',
-        patientId: settings.patient.patientId || 'UNKNOWN',
-        recordingId: session.sessionId || 'RECORDING',
-        startDate: session.startTime || new Date().toISOString(),
-        numSignals: 8,
-        numDataRecords: Math.floor((eegBuffer[0]?.length || 0) / 250), // Assuming 250 Hz sample rate
-        duration: 1, // seconds per data record
-        numSamples: Array(8).fill(250), // samples per data record per channel
+      const channels = Array.from({ length: eegBuffer.numChannels }, (_, idx) => ({ idx, label: montageInfo?.labels?.[idx] || `Ch${idx + 1}` }))
+        .filter(({ idx }) => eegBuffer.length(idx) > 1)
+      if (channels.length === 0) {
+        throw new Error('No buffered EEG data to export')
+      }
+
+      const startTime = Math.min(...channels.map(({ idx }) => eegBuffer.timeAt(idx, 0)))
+      const endTime = Math.max(...channels.map(({ idx }) => eegBuffer.lastPoint(idx).x))
+      const { highPass, lowPass, notch } = settings.display.filters
+      const prefiltering = [
+        highPass ? `HP:${highPass}Hz` : null,
+        lowPass ? `LP:${lowPass}Hz` : null,
+        notch ? `N:${notch}Hz` : null,
+      ].filter(Boolean).join(' ')
+
+      const signals = channels.map(({ idx, label }) => {
+        const samples = new Float32Array(eegBuffer.length(idx))
+        eegBuffer.read(idx, -Infinity, Infinity, samples)
+        return { label, sampleRate: eegBuffer.sampleRate(idx), samples, prefiltering }
+      })
+
+      // Wall-clock time of the first buffered sample
+      const { parseEDFStartDate } = await import('../utils/edfReader')
+      const fileStart = eegState.isLoaded
+        ? parseEDFStartDate(edfData?.header?.startDate, edfData?.header?.startTime)
+        : null
+      const startDate = fileStart
+        ? new Date(fileStart.getTime() + startTime * 1000)
+        : new Date(Date.now() - (currentTime - startTime) * 1000)
+
+      const buffer = writeEDF({
+        signals,
+        annotations: buildEDFAnnotations(startTime, endTime),
+        startDate,
+        patient: patientField(),
+        recording: formatRecordingField(startDate, { adminCode: session.sessionId, equipment: 'EEG_Ischemia_Viewer' }),
+      })
+      downloadEDF(buffer, `eeg_export_${exportTimestamp()}`)
+    } catch (error) {
+      console.error('Export error:', error)
+      alert('Export failed: ' + error.message)
+    } finally {
+      setIsExporting(false)
+    }
+  }
+
+  // Export the loaded EDF recording (source channels as recorded) with the session's events as EDF+
+  const exportLoadedEDF = async () => {
+    setIsExporting(true)
+    try {
+      if (!edfData?.channels?.length) {
+        throw new Error('No EDF file loaded')
       }
 
-      // Convert EEG buffer to EDF format
-      // This is a simplified version - full EDF requires binary encoding
-      const data = eegBuffer.map((channel, idx) => ({
-        channel: idx,
-        label: `CH${idx + 1}`,
-        samples: channel.map(point => point.y),
-        timestamps: channel.map(point => point.x),
+      const { parseEDFStartDate, isAnnotationSignal } = await import('../utils/edfReader')
+      const timeOffset = eegState.trimmedTimeOffset || 0
+      // Header entries of the waveform channels (the annotation signal is rewritten from the session)
+      const headerSignals = (edfData.header?.signals || []).filter(signal => !isAnnotationSignal(signal))
+      const signals = edfData.channels.map((channel, idx) => ({
+        label: channel.label,
+        sampleRate: channel.sampleRate,
+        samples: channel.samples,
+        // Samples are stored in µV regardless of the original physical dimension
+        physicalDimension: 'uV',
+        transducer: headerSignals[idx]?.transducer,
+        prefiltering: headerSignals[idx]?.prefiltering,
       }))
+      const duration = Math.max(...edfData.channels.map(ch => ch.samples.length / ch.sampleRate))
+
+      // Leading samples trimmed on load are not exported, so the file starts later
+      const fileStart = parseEDFStartDate(edfData.header?.startDate, edfData.header?.startTime) || new Date()
+      const startDate = new Date(fileStart.getTime() + timeOffset * 1000)
+
+      const buffer = writeEDF({
+        signals,
+        annotations: buildEDFAnnotations(timeOffset, timeOffset + duration),
+        startDate,
+        patient: patientField(),
+        recording: formatRecordingField(startDate, { adminCode: session.sessionId, equipment: 'EEG_Ischemia_Viewer' }),
+      })
+      const baseName = (edfFileInfo?.fileName || 'recording').replace(/\.(edf|bdf)$/i, '')
+      downloadEDF(buffer, `${baseName}_annotated_${exportTimestamp()}`)
+    } catch (error) {
+      console.error('Export error:', error)
+      alert('Export failed: ' + error.message)
+    } finally {
+      setIsExporting(false)
+    }
+  }
+
+  // Export buffered data, events and session metadata (including the baseline) as JSON
+  const exportJSON = async () => {
+    setIsExporting(true)
+    try {
+      const data = Array.from({ length: eegBuffer.numChannels }, (_, idx) => {
+        const points = eegBuffer.toPoints(idx)
+        return {
+          channel: idx,
+          label: montageInfo?.labels?.[idx] || `Ch${idx + 1}`,
+          samples: points.map(point => point.y),
+          timestamps: points.map(point => point.x),
+        }
+      })
 
-      // Create JSON export (simplified - real EDF is binary)
       const exportData = {
-        header,
         data,
         events: ischemiaEvents,
         annotations,
@@ -50,8 +182,7 @@ export default function ExportTools() {
       const url = URL.createObjectURL(blob)
       const a = document.createElement('a')
       a.href = url
-      const timestamp = new Date().toISOString().replace(/[:.]/g, '-').split('T').join('_').slice(0, -5) // Format: 2025-11-19_12-30-45
-      a.download = `eeg_export_${timestamp}.json`
+      a.download = `eeg_export_${exportTimestamp()}.json`
       a.click()
       URL.revokeObjectURL(url)
     } catch (error) {
@@ -119,22 +250,32 @@ export default function ExportTools() {
 
       yPosition += sectionSpacing
 
-      // Ischemia Events Section
+      // Baseline Section
       checkNewPage(lineHeight * 3)
       doc.setFontSize(14)
       doc.setFont('helvetica', 'bold')
-      doc.text('Ischemia Events', margin, yPosition)
+      doc.text('Baseline', margin, yPosition)
       yPosition += lineHeight
 
-      if (ischemiaEvents.length > 0) {
+      const baseline = session.baseline
+      if (baseline) {
+        doc.setFontSize(10)
+        doc.setFont('helvetica', 'normal')
+        doc.text(
+          `Recorded ${baseline.startTime.toFixed(2)}s - ${baseline.endTime.toFixed(2)}s (${(baseline.duration / 60).toFixed(1)} min) at ${new Date(baseline.createdAt).toLocaleString()}`,
+          margin,
+          yPosition
+        )
+        yPosition += lineHeight
+
         // Table headers
         checkNewPage(lineHeight * 2)
         doc.setFontSize(9)
         doc.setFont('helvetica', 'bold')
-        const headers = ['Start Time', 'End Time', 'Duration', 'Confidence', 'Severity']
-        const colWidths = [35, 35, 30, 35, 30]
+        const headers = ['Channel', 'Delta', 'Theta', 'Alpha', 'Beta', 'Total (µV²)', 'Current vs BL']
+        const colWidths = [28, 22, 22, 22, 22, 28, 30]
         let xPos = margin
-        
+
         headers.forEach((header, idx) => {
           doc.text(header, xPos, yPosition)
           xPos += colWidths[idx]
@@ -148,20 +289,15 @@ export default function ExportTools() {
 
         // Table rows
         doc.setFont('helvetica', 'normal')
-        ischemiaEvents.forEach((event) => {
+        baseline.channels.forEach((ch) => {
           checkNewPage(lineHeight * 2)
-          
-          const startTime = typeof event.startTime === 'number' ? event.startTime.toFixed(2) + 's' : 'N/A'
-          const endTime = event.endTime && typeof event.endTime === 'number' ? event.endTime.toFixed(2) + 's' : 'Ongoing'
-          const duration = event.endTime && typeof event.endTime === 'number' && typeof event.startTime === 'number'
-            ? (event.endTime - event.startTime).toFixed(2) + 's'
-            : 'N/A'
-          const confidence = typeof event.confidence === 'number' ? (event.confidence * 100).toFixed(1) + '%' : 'N/A'
-          const severity = event.severity || 'info'
-
-          const rowData = [startTime, endTime, duration, confidence, severity]
+
+          const change = baselineComparison?.channels?.[ch.channel]?.total
+          const changeText = typeof change === 'number' ? `${change >= 0 ? '+' : ''}${change.toFixed(0)}%` : 'N/A'
+          const { delta, theta, alpha, beta, total } = ch.bandPowers
+          const rowData = [ch.label, delta.toFixed(1), theta.toFixed(1), alpha.toFixed(1), beta.toFixed(1), total.toFixed(1), changeText]
           xPos = margin
-          
+
           rowData.forEach((data, idx) => {
             doc.text(data, xPos, yPosition)
             xPos += colWidths[idx]
@@ -170,13 +306,177 @@ export default function ExportTools() {
         })
       } else {
         checkNewPage(lineHeight)
+        doc.setFontSize(10)
         doc.setFont('helvetica', 'normal')
-        doc.text('No ischemia events recorded', margin, yPosition)
+        doc.text('No baseline established', margin, yPosition)
         yPosition += lineHeight
       }
 
       yPosition += sectionSpacing
 
+      // Quantitative EEG Section (session means of the qEEG trends)
+      checkNewPage(lineHeight * 3)
+      doc.setFontSize(14)
+      doc.setFont('helvetica', 'bold')
+      doc.text('Quantitative EEG', margin, yPosition)
+      yPosition += lineHeight
+
+      const qeegSummary = summarizeQEEGTrend(qeegTrend)
+      doc.setFontSize(10)
+      doc.setFont('helvetica', 'normal')
+      if (qeegSummary) {
+        const formatValue = (value, digits = 1, scale = 1) => value === null || value === undefined ? 'N/A' : (value * scale).toFixed(digits)
+        doc.text(
+          `Mean of ${qeegSummary.count} epochs, ${qeegSummary.start.toFixed(1)}s - ${qeegSummary.end.toFixed(1)}s. Brain symmetry index: ${formatValue(qeegSummary.bsi, 3)}`,
+          margin,
+          yPosition
+        )
+        yPosition += lineHeight
+
+        // Table headers
+        checkNewPage(lineHeight * 2)
+        doc.setFontSize(8)
+        doc.setFont('helvetica', 'bold')
+        const headers = ['Channel', 'SEF95 Hz', 'MF Hz', 'ADR', 'DAR', 'Delta %', 'Theta %', 'Alpha %', 'Beta %', 'BSR %']
+        const colWidths = [30, 16, 14, 14, 14, 14, 14, 14, 14, 14]
+        let xPos = margin
+
+        headers.forEach((header, idx) => {
+          doc.text(header, xPos, yPosition)
+          xPos += colWidths[idx]
+        })
+        yPosition += lineHeight
+
+        // Draw line under headers
+        doc.setLineWidth(0.5)
+        doc.line(margin, yPosition - 2, pageWidth - margin, yPosition - 2)
+        yPosition += 3
+
+        // Table rows: hemispheres first, then each channel
+        doc.setFont('helvetica', 'normal')
+        const rows = [
+          ['Left hemisphere', qeegSummary.hemispheres.left],
+          ['Right hemisphere', qeegSummary.hemispheres.right],
+          ...qeegSummary.channels.map((metrics, idx) => [montageInfo?.labels?.[idx] || `Ch${idx + 1}`, metrics]),
+        ]
+        rows.forEach(([label, metrics]) => {
+          if (!metrics) return
+          checkNewPage(lineHeight * 2)
+          const { relativePowers } = metrics
+          const rowData = [
+            label,
+            formatValue(metrics.sef95),
+            formatValue(metrics.medianFreq),
+            formatValue(metrics.adr, 2),
+            formatValue(metrics.dar, 2),
+            formatValue(relativePowers.delta, 0, 100),
+            formatValue(relativePowers.theta, 0, 100),
+            formatValue(relativePowers.alpha, 0, 100),
+            formatValue(relativePowers.beta, 0, 100),
+            formatValue(metrics.bsr, 0, 100),
+          ]
+          xPos = margin
+
+          rowData.forEach((data, idx) => {
+            doc.text(data, xPos, yPosition)
+            xPos += colWidths[idx]
+          })
+          yPosition += lineHeight
+        })
+      } else {
+        checkNewPage(lineHeight)
+        doc.text('No qEEG trend recorded', margin, yPosition)
+        yPosition += lineHeight
+      }
+
+      yPosition += sectionSpacing
+
+      // Event table: one row of rowData(event) per event under the headers
+      const drawEventTable = (title, events, headers, colWidths, rowData, emptyText) => {
+        checkNewPage(lineHeight * 3)
+        doc.setFontSize(14)
+        doc.setFont('helvetica', 'bold')
+        doc.text(title, margin, yPosition)
+        yPosition += lineHeight
+
+        if (events.length > 0) {
+          // Table headers
+          checkNewPage(lineHeight * 2)
+          doc.setFontSize(9)
+          doc.setFont('helvetica', 'bold')
+          let xPos = margin
+          
+          headers.forEach((header, idx) => {
+            doc.text(header, xPos, yPosition)
+            xPos += colWidths[idx]
+          })
+          yPosition += lineHeight
+
+          // Draw line under headers
+          doc.setLineWidth(0.5)
+          doc.line(margin, yPosition - 2, pageWidth - margin, yPosition - 2)
+          yPosition += 3
+
+          // Table rows
+          doc.setFont('helvetica', 'normal')
+          events.forEach((event) => {
+            checkNewPage(lineHeight * 2)
+            xPos = margin
+            
+            rowData(event).forEach((data, idx) => {
+              doc.text(data, xPos, yPosition)
+              xPos += colWidths[idx]
+            })
+            yPosition += lineHeight
+          })
+        } else {
+          checkNewPage(lineHeight)
+          doc.setFont('helvetica', 'normal')
+          doc.text(emptyText, margin, yPosition)
+          yPosition += lineHeight
+        }
+
+        yPosition += sectionSpacing
+      }
+
+      const eventTimes = (event) => [
+        typeof event.startTime === 'number' ? event.startTime.toFixed(2) + 's' : 'N/A',
+        event.endTime && typeof event.endTime === 'number' ? event.endTime.toFixed(2) + 's' : 'Ongoing',
+        event.endTime && typeof event.endTime === 'number' && typeof event.startTime === 'number'
+          ? (event.endTime - event.startTime).toFixed(2) + 's'
+          : 'N/A',
+      ]
+
+      // Ischemia Events Section
+      drawEventTable(
+        'Ischemia Events',
+        detectedIschemia,
+        ['Start Time', 'End Time', 'Duration', 'Confidence', 'Severity', 'Note'],
+        [30, 30, 25, 28, 25, 40],
+        (event) => [
+          ...eventTimes(event),
+          typeof event.confidence === 'number' ? (event.confidence * 100).toFixed(1) + '%' : 'N/A',
+          event.severity || 'info',
+          event.duringBurstSuppression ? 'During burst suppression' : '',
+        ],
+        'No ischemia events recorded'
+      )
+
+      // Burst Suppression Section (anesthesia confounder, reported apart from ischemia)
+      drawEventTable(
+        'Burst Suppression',
+        detectedBurstSuppression,
+        ['Start Time', 'End Time', 'Duration', 'Max BSR', 'Bursts/min', 'Severity'],
+        [30, 30, 25, 28, 25, 40],
+        (event) => [
+          ...eventTimes(event),
+          typeof event.detectionCriteria?.maxBsr === 'number' ? (event.detectionCriteria.maxBsr * 100).toFixed(0) + '%' : 'N/A',
+          typeof event.detectionCriteria?.burstsPerMinute === 'number' ? event.detectionCriteria.burstsPerMinute.toFixed(1) : 'N/A',
+          event.severity || 'info',
+        ],
+        'No burst suppression detected'
+      )
+
       // Annotations Section
       checkNewPage(lineHeight * 3)
       doc.setFontSize(14)
@@ -320,15 +620,83 @@ export default function ExportTools() {
     }
   }
 
-  const exportScreenshot = () => {
-    // This would capture the current view
-    // For full implementation, use html2canvas library
-    alert('Screenshot export - Use browser print (Ctrl/Cmd+P) to save as PDF')
+  // PNG of the displayed page of waveforms, drawn by the raw EEG view's renderer (same min/max
+  // decimation, calibrated scales and event shading) on a white background
+  const exportScreenshot = async () => {
+    setIsExporting(true)
+    try {
+      const { display } = settings
+      const range = eegBuffer.timeRange()
+      const timeWindow = pageDuration(display)
+      const endTime = Math.max(range.start, range.end - (display.timeOffset || 0))
+      const startTime = Math.max(range.start, endTime - timeWindow)
+      const channels = Array.from({ length: eegBuffer.numChannels }, (_, index) => index)
+        .filter(index => display.channelVisibility?.[index] !== false && !badChannels?.[index])
+        .map(index => {
+          const label = montageInfo?.labels?.[index] || `Ch${index + 1}`
+          return {
+            index,
+            label,
+            color: display.colorMode === 'grayscale' ? '#888' : traceColor(label),
+            artifacts: artifacts.filter(segment => segment.channel === index),
+          }
+        })
+      const scene = {
+        buffer: eegBuffer,
+        channels,
+        startTime,
+        endTime,
+        ...calibratedScales(display.amplitudeScale || 7.0, display.timeScale || 30, screenPixelsPerMm(screenCalibration)),
+        theme: 'light',
+        ischemiaEvents: detectedIschemia.map(event => ({ start: event.startTime, end: event.endTime })),
+        burstSuppressionEvents: detectedBurstSuppression.map(event => ({
+          start: event.startTime,
+          end: event.endTime,
+          bsr: event.detectionCriteria?.maxBsr ?? event.detectionCriteria?.bsr,
+        })),
+        annotations,
+        showStartEndLines: settings.detection?.visualization?.showStartEndLines !== false,
+        showRedSegment: settings.detection?.visualization?.showRedSegment !== false,
+        showTimeAxis: true,
+        showCalibration: true,
+      }
+
+      const canvas = document.createElement('canvas')
+      const renderer = new TraceRenderer(canvas)
+      renderer.setSize(
+        renderer.labelWidth(scene) + Math.ceil((endTime - startTime) * scene.pixelsPerSecond),
+        Math.max(300, channels.length * 40 + 20)
+      )
+      renderer.draw(scene)
+      const ctx = canvas.getContext('2d')
+      ctx.save()
+      ctx.globalCompositeOperation = 'destination-over'
+      ctx.fillStyle = '#ffffff'
+      ctx.fillRect(0, 0, renderer.width, renderer.height)
+      ctx.restore()
+
+      const blob = await new Promise(resolve => canvas.toBlob(resolve, 'image/png'))
+      const url = URL.createObjectURL(blob)
+      const a = document.createElement('a')
+      a.href = url
+      a.download = `eeg_waveforms_${startTime.toFixed(1)}-${endTime.toFixed(1)}s_${exportTimestamp()}.png`
+      a.click()
+      URL.revokeObjectURL(url)
+    } catch (error) {
+      console.error('Waveform image export error:', error)
+      alert('Waveform image export failed: ' + error.message)
+    } finally {
+      setIsExporting(false)
+    }
   }
 
   const handleExport = () => {
     if (exportFormat === 'edf') {
       exportEDF()
+    } else if (exportFormat === 'edf-file') {
+      exportLoadedEDF()
+    } else if (exportFormat === 'json') {
+      exportJSON()
     } else if (exportFormat === 'pdf') {
       exportPDF()
     } else if (exportFormat === 'screenshot') {
@@ -343,15 +711,21 @@ export default function ExportTools() {
         <div className="form-group">
           <label>Export Format</label>
           <select value={exportFormat} onChange={(e) => setExportFormat(e.target.value)}>
-            <option value="edf">EDF (JSON format)</option>
+            <option value="edf">EDF+ (displayed channels)</option>
+            {eegState.isLoaded && !eegState.isWindowed && <option value="edf-file">EDF+ (loaded recording)</option>}
+            <option value="json">JSON (session data)</option>
             <option value="pdf">PDF Report</option>
-            <option value="screenshot">Screenshot</option>
+            <option value="screenshot">Waveform image (PNG)</option>
           </select>
         </div>
         <button 
           className="export-btn" 
           onClick={handleExport}
-          disabled={isExporting || (exportFormat === 'edf' && (!eegBuffer[0] || eegBuffer[0].length === 0))}
+          disabled={
+            isExporting ||
+            ((exportFormat === 'edf' || exportFormat === 'json' || exportFormat === 'screenshot') && eegBuffer.length(0) === 0) ||
+            (exportFormat === 'edf-file' && (!eegState.isLoaded || eegState.isWindowed))
+          }
         >
           {isExporting ? 'Exporting...' : 'Export'}
         </button>
@@ -359,8 +733,9 @@ export default function ExportTools() {
       <div className="export-info">
         <p><strong>Available Data:</strong></p>
         <ul>
-          <li>EEG Channels: {eegBuffer[0]?.length || 0} samples</li>
-          <li>Ischemia Events: {ischemiaEvents.length}</li>
+          <li>EEG Channels: {eegBuffer.length(0)} samples</li>
+          <li>Ischemia Events: {detectedIschemia.length}</li>
+          <li>Burst Suppression Events: {detectedBurstSuppression.length}</li>
           <li>Annotations: {annotations.length}</li>
         </ul>
       </div>
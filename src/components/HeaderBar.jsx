@@ -1,11 +1,14 @@
 import { useState, useRef, useEffect, useMemo } from 'react'
-import { useEEG } from '../store/EEGContext'
+import { useEEG, PLAYBACK_SPEEDS } from '../store/EEGContext'
 import { getChannelLabel } from '../utils/montages'
+import { isBurstSuppressionEvent } from '../utils/burstSuppression'
+import { pageDuration } from '../utils/traceRenderer'
 import PatientModal from './PatientModal'
+import ChannelMappingModal from './ChannelMappingModal'
 import './HeaderBar.css'
 
 export default function HeaderBar() {
-  const { settings, isStreaming, ui, actions, ischemiaEvents, currentTime, eegBuffer, edfFileInfo, eegState } = useEEG()
+  const { settings, isStreaming, ui, actions, ischemiaEvents, currentTime, eegBuffer, edfFileInfo, edfLoading, eegState, montageInfo, labelMapping, playback } = useEEG()
   const { patient, system } = settings
   const [notificationsOpen, setNotificationsOpen] = useState(false)
   const [patientModalOpen, setPatientModalOpen] = useState(false)
@@ -91,15 +94,12 @@ export default function HeaderBar() {
     // Wait a moment for stream to stop, then navigate
     setTimeout(() => {
       // Calculate time offset to center the ischemia event in the view
-      const timeWindow = settings.display.timeWindow
-      const timeScale = settings.display.timeScale
-      const baseTimeScale = 30
-      const adjustedTimeWindow = timeWindow * (baseTimeScale / timeScale)
+      const adjustedTimeWindow = pageDuration(settings.display)
       
       // Get the maximum time available in the actual data buffer
       let maxTime = currentTime || 0
-      if (eegBuffer && eegBuffer.length > 0 && eegBuffer[0] && eegBuffer[0].length > 0) {
-        maxTime = eegBuffer[0][eegBuffer[0].length - 1].x
+      if (eegBuffer && eegBuffer.length(0) > 0) {
+        maxTime = eegBuffer.lastPoint(0).x
       }
       // Fallback to event time if no data
       if (maxTime === 0) {
@@ -111,8 +111,6 @@ export default function HeaderBar() {
         eventStart: event.startTime,
         eventEnd: event.endTime,
         maxTime: maxTime.toFixed(2),
-        timeWindow,
-        timeScale,
         adjustedTimeWindow: adjustedTimeWindow.toFixed(2)
       })
       
@@ -267,6 +265,7 @@ export default function HeaderBar() {
           </button>
         </div>
         <PatientModal isOpen={patientModalOpen} onClose={() => setPatientModalOpen(false)} />
+        <ChannelMappingModal />
       </div>
 
       <div className="header-center">
@@ -293,7 +292,11 @@ export default function HeaderBar() {
                 <span className="status-dot-large"></span>
                 <span className="status-label">EDF</span>
               </div>
-              {eegState?.isLoaded ? (
+              {edfLoading ? (
+                <span className="status-value" title={edfLoading.fileName}>
+                  {edfLoading.phase} {Math.round((edfLoading.progress || 0) * 100)}%
+                </span>
+              ) : eegState?.isLoaded ? (
                 <span className="status-value">
                   Loaded ({formatTimestamp(edfFileInfo?.duration || eegState.durationSec || 0)})
                 </span>
@@ -315,7 +318,7 @@ export default function HeaderBar() {
           <input
             ref={fileInputRef}
             type="file"
-            accept=".edf"
+            accept=".edf,.bdf"
             style={{ display: 'none' }}
             onChange={async (e) => {
               const file = e.target.files[0]
@@ -343,11 +346,31 @@ export default function HeaderBar() {
           <button
             className="stream-button load-button"
             onClick={() => fileInputRef.current?.click()}
-            title="Load EDF file"
+            title="Load EDF or BDF file"
           >
             <span className="button-icon">📁</span>
             <span className="button-text">Load EDF</span>
           </button>
+          {edfLoading && (
+            <button
+              className="stream-button stop-button"
+              onClick={() => actions.cancelEDFLoad()}
+              title={`Cancel loading ${edfLoading.fileName}`}
+            >
+              <span className="button-icon">✕</span>
+              <span className="button-text">Cancel</span>
+            </button>
+          )}
+          {eegState?.isLoaded && (
+            <button
+              className={`stream-button mapping-button ${labelMapping?.needsReview ? 'needs-review' : ''}`}
+              onClick={() => actions.setChannelMappingDialog(true)}
+              title={labelMapping?.needsReview ? 'Some EDF signal labels are not mapped to electrodes' : 'Map EDF signal labels to electrodes'}
+            >
+              <span className="button-icon">🔀</span>
+              <span className="button-text">Channels</span>
+            </button>
+          )}
           {eegState?.isLoaded && (
             <button
               className="stream-button reset-button"
@@ -392,6 +415,36 @@ export default function HeaderBar() {
             <span className="button-icon">⏸</span>
             <span className="button-text">Pause</span>
           </button>
+          {edfFileInfo && (
+            <div className="playback-controls">
+              <button
+                className={`stream-button step-button ${isStreaming ? 'disabled' : ''}`}
+                onClick={() => actions.stepEDFStream(pageDuration(settings.display))}
+                disabled={isStreaming}
+                title="Advance paused playback by one page (the displayed time window)"
+              >
+                <span className="button-icon">⏭</span>
+                <span className="button-text">Step</span>
+              </button>
+              <select
+                className="playback-speed"
+                value={playback.playbackSpeed}
+                onChange={(e) => actions.setPlaybackSpeed(parseFloat(e.target.value))}
+                title="Playback speed (independent of the timebase)"
+              >
+                {PLAYBACK_SPEEDS.map(speed => (
+                  <option key={speed} value={speed}>{speed}x</option>
+                ))}
+              </select>
+              <button
+                className={`stream-button realtime-button ${playback.playbackSpeed === 1 ? 'active' : ''}`}
+                onClick={() => actions.setPlaybackSpeed(1)}
+                title="Play at real time (1x)"
+              >
+                <span className="button-text">Real-time</span>
+              </button>
+            </div>
+          )}
           <button
             className={`stream-button stop-button ${!isStreaming ? 'disabled' : ''}`}
             onClick={() => {
@@ -402,14 +455,10 @@ export default function HeaderBar() {
               }
               
               // Wait a moment for stream to stop, then adjust view
-              // Store the current time window before stopping to preserve user's manual setting
-              const currentTimeWindowBeforeStop = settings.display.timeWindow || 10
-              
               setTimeout(() => {
-                // Calculate the time window needed to show all data from start
                 // Get the current data range
-                const maxTime = eegBuffer && eegBuffer.length > 0 && eegBuffer[0].length > 0 
-                  ? eegBuffer[0][eegBuffer[0].length - 1]?.x 
+                const maxTime = eegBuffer && eegBuffer.length(0) > 0 
+                  ? eegBuffer.lastPoint(0).x 
                   : (currentTime || 0)
                 // Always assume data starts from 0 (mock stream starts from 0)
                 // The buffer might be trimmed, so we can't rely on the first point
@@ -417,71 +466,19 @@ export default function HeaderBar() {
                 const dataRange = maxTime - dataMinTime
                 
                 if (dataRange > 0) {
-                  // Set time window to show all data (add a small buffer)
-                  // But only if the user hasn't manually set a smaller window
-                  const timeWindowToShowAll = Math.max(10, Math.ceil(dataRange) + 1)
-                  
-                  // Only update time window if it was at default (10s) or very large when Stop was clicked
-                  // Use the stored value from before the stop, not the current value
-                  // This preserves user's manual time window setting
-                  const shouldUpdateWindow = currentTimeWindowBeforeStop <= 10 || currentTimeWindowBeforeStop >= timeWindowToShowAll - 1
-                  
-                  // Calculate offset to show from the start
-                  const baseTimeScale = 30
-                  const currentTimeScale = settings.display.timeScale
-                  const timeWindowToUse = shouldUpdateWindow ? timeWindowToShowAll : currentTimeWindow
-                  const adjustedTimeWindow = timeWindowToUse * (baseTimeScale / currentTimeScale)
+                  // The page length follows the trace width and timebase: scroll back so the
+                  // first page of the data is shown
+                  const page = pageDuration(settings.display)
+                  const offsetToShowStart = Math.max(0, maxTime - dataMinTime - page)
                   
-                  // Calculate offset to show from the start
-                  // When window is large, we want to show from dataMinTime
-                  // offset = maxTime - dataMinTime - adjustedTimeWindow
-                  // But if this is negative (window > dataRange), we still want to show from start
-                  // So we use the actual calculation and ensure it shows from start
-                  let offsetToShowStart = maxTime - dataMinTime - adjustedTimeWindow
-                  
-                  // If window is larger than data range, we can't scroll, but we want to show from start
-                  // In this case, set offset to ensure we show from dataMinTime
-                  if (adjustedTimeWindow >= dataRange) {
-                    // Window is large enough to show all data - set offset to show from start
-                    // The offset should position the view so that dataMinTime is at the left edge
-                    offsetToShowStart = maxTime - dataMinTime - adjustedTimeWindow
-                    // Clamp to 0 minimum, but this should show from start when window is large
-                  } else {
-                    // Window is smaller than data range - use calculated offset
-                    offsetToShowStart = Math.max(0, offsetToShowStart)
-                  }
-                  
-                  // Verify the calculation will show from start
-                  const willShowFrom = maxTime - offsetToShowStart - adjustedTimeWindow
-                  const willShowTo = maxTime - offsetToShowStart
-                  
-                  console.log('Stop button: Adjusting view to show all data', {
+                  console.log('Stop button: Adjusting view to show data from start', {
                     maxTime: maxTime.toFixed(2),
-                    dataMinTime: dataMinTime.toFixed(2),
                     dataRange: dataRange.toFixed(2),
-                    currentTimeWindow,
-                    timeWindowToShowAll,
-                    shouldUpdateWindow,
-                    timeWindowToUse,
-                    adjustedTimeWindow: adjustedTimeWindow.toFixed(2),
-                    offsetToShowStart: offsetToShowStart.toFixed(2),
-                    willShowFrom: willShowFrom.toFixed(2),
-                    willShowTo: willShowTo.toFixed(2),
-                    windowIsLarge: adjustedTimeWindow >= dataRange
+                    page: page.toFixed(2),
+                    offsetToShowStart: offsetToShowStart.toFixed(2)
                   })
                   
-                  // Update settings to show all data from the start
-                  if (shouldUpdateWindow) {
-                    actions.updateSettings('display', { 
-                      timeWindow: timeWindowToShowAll,
-                      timeOffset: Math.max(0, offsetToShowStart)
-                    })
-                  } else {
-                    // Keep user's time window, just adjust offset
-                    actions.updateSettings('display', { 
-                      timeOffset: Math.max(0, offsetToShowStart)
-                    })
-                  }
+                  actions.updateSettings('display', { timeOffset: offsetToShowStart })
                 } else {
                   // No data yet, just reset offset
                   actions.updateSettings('display', { timeOffset: 0 })
@@ -489,7 +486,7 @@ export default function HeaderBar() {
               }, 100)
             }}
             disabled={!isStreaming}
-            title="Stop EEG recording and show all data from start"
+            title="Stop EEG recording and show the data from the start"
           >
             <span className="button-icon">⏹</span>
             <span className="button-text">Stop</span>
@@ -503,7 +500,7 @@ export default function HeaderBar() {
             <button
               className="icon-button notification-button"
               onClick={() => setNotificationsOpen(!notificationsOpen)}
-              title={`Ischemia Detection Alerts${ischemiaEvents && ischemiaEvents.length > 0 ? ` (${ischemiaEvents.length} unread)` : ''}`}
+              title={`Ischemia and Burst Suppression Alerts${ischemiaEvents && ischemiaEvents.length > 0 ? ` (${ischemiaEvents.length} unread)` : ''}`}
             >
               <svg width="24" height="24" viewBox="0 0 24 24" fill="none" xmlns="http://www.w3.org/2000/svg">
                 <path 
@@ -541,6 +538,7 @@ export default function HeaderBar() {
                           info: 'INFO'
                         }
                         const isAcknowledged = event.acknowledged || false
+                        const isBurstSuppression = isBurstSuppressionEvent(event)
                         
                         return (
                           <div 
@@ -559,7 +557,7 @@ export default function HeaderBar() {
                             </div>
                             <div className="notification-content">
                               <div className="notification-title">
-                                <span>Ischemia Detected</span>
+                                <span>{isBurstSuppression ? 'Burst Suppression' : 'Ischemia Detected'}</span>
                                 <span className="severity-badge" style={{ 
                                   backgroundColor: severityColors[severity],
                                   color: 'white',
@@ -603,7 +601,24 @@ export default function HeaderBar() {
                                     Confidence: {(event.confidence * 100).toFixed(1)}%
                                   </div>
                                 )}
-                                {event.detectionCriteria && (
+                                {isBurstSuppression && event.detectionCriteria && (
+                                  <div className="notification-criteria" style={{ 
+                                    marginTop: '8px', 
+                                    padding: '8px',
+                                    backgroundColor: 'var(--bg-secondary)',
+                                    borderRadius: '4px',
+                                    fontSize: '11px'
+                                  }}>
+                                    <div style={{ fontWeight: 600, marginBottom: '4px' }}>Burst Suppression:</div>
+                                    <div>BSR: {(event.detectionCriteria.bsr * 100).toFixed(0)}% (max {(event.detectionCriteria.maxBsr * 100).toFixed(0)}%, threshold {(event.detectionCriteria.threshold * 100).toFixed(0)}%)</div>
+                                    <div>Bursts: {event.detectionCriteria.burstsPerMinute.toFixed(1)}/min</div>
+                                    <div>Mean Suppression: {event.detectionCriteria.meanSuppressionSec.toFixed(1)}s</div>
+                                    <div style={{ marginTop: '4px', fontSize: '10px', color: 'var(--text-secondary)' }}>
+                                      Possible anesthesia effect - confounds ischemia detection
+                                    </div>
+                                  </div>
+                                )}
+                                {!isBurstSuppression && event.detectionCriteria && (
                                   <div className="notification-criteria" style={{ 
                                     marginTop: '8px', 
                                     padding: '8px',
@@ -617,7 +632,7 @@ export default function HeaderBar() {
                                     <div>Slow Wave Increase: {(event.detectionCriteria.slowWaveIncrease * 100).toFixed(0)}%</div>
                                     {event.primaryChannels && event.primaryChannels.length > 0 && (
                                       <div style={{ marginTop: '4px' }}>
-                                        Primary Channels: {event.primaryChannels.map(ch => getChannelLabel(settings.display.montage, ch)).join(', ')}
+                                        Primary Channels: {event.primaryChannels.map(ch => montageInfo?.labels?.[ch] || getChannelLabel(settings.display.montage, ch)).join(', ')}
                                       </div>
                                     )}
                                     {event.channelIds && (
@@ -625,6 +640,11 @@ export default function HeaderBar() {
                                         All Affected: {event.channelIds.length} channels
                                       </div>
                                     )}
+                                    {event.duringBurstSuppression && (
+                                      <div style={{ marginTop: '4px', fontSize: '10px', color: '#7c3aed' }}>
+                                        During burst suppression - may be anesthetic rather than ischemic
+                                      </div>
+                                    )}
                                   </div>
                                 )}
                               </div>
@@ -654,7 +674,7 @@ export default function HeaderBar() {
                         )
                       })
                   ) : (
-                    <div className="notification-empty">No ischemia events detected</div>
+                    <div className="notification-empty">No ischemia or burst suppression events detected</div>
                   )}
                 </div>
               </div>
@@ -9,8 +9,8 @@ export default function MeasurementTools() {
   const [measurements, setMeasurements] = useState([])
 
   const startMeasurement = () => {
-    if (eegBuffer[0] && eegBuffer[0].length > 0) {
-      const latestPoint = eegBuffer[0][eegBuffer[0].length - 1]
+    const latestPoint = eegBuffer.lastPoint(0)
+    if (latestPoint) {
       actions.setMeasurement({
         active: true,
         startTime: latestPoint.x,
@@ -50,8 +50,8 @@ export default function MeasurementTools() {
 
   // Update current measurement while active
   useEffect(() => {
-    if (measurement.active && eegBuffer[0] && eegBuffer[0].length > 0) {
-      const latestPoint = eegBuffer[0][eegBuffer[0].length - 1]
+    const latestPoint = eegBuffer.lastPoint(0)
+    if (measurement.active && latestPoint) {
       actions.setMeasurement({
         ...measurement,
         currentTime: latestPoint.x,
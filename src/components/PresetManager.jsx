@@ -98,7 +98,6 @@ export default function PresetManager() {
             onClick={() => {
               actions.updateSettings('display', {
                 timeScale: 30,
-                timeWindow: 10,
                 amplitudeScale: 5,
               })
               actions.updateSettings('alerts', {
@@ -113,7 +112,6 @@ export default function PresetManager() {
             onClick={() => {
               actions.updateSettings('display', {
                 timeScale: 15,
-                timeWindow: 20,
                 amplitudeScale: 10,
               })
               actions.updateSettings('alerts', {
@@ -128,7 +126,6 @@ export default function PresetManager() {
             onClick={() => {
               actions.updateSettings('display', {
                 timeScale: 30,
-                timeWindow: 30,
                 amplitudeScale: 7.5,
               })
               actions.updateSettings('alerts', {
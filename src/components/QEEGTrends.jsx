@@ -0,0 +1,213 @@
+import { useMemo, useState } from 'react'
+import {
+  Chart as ChartJS,
+  LinearScale,
+  PointElement,
+  LineElement,
+  Tooltip,
+  Legend
+} from 'chart.js'
+import { Line } from 'react-chartjs-2'
+import { useEEG } from '../store/EEGContext'
+import { EEG_BANDS } from '../utils/spectral'
+import './QEEGTrends.css'
+
+ChartJS.register(
+  LinearScale,
+  PointElement,
+  LineElement,
+  Tooltip,
+  Legend
+)
+
+// Most points drawn per trend line; longer trends are thinned evenly
+const MAX_TREND_POINTS = 600
+
+// ADR/DAR explode when the other band is nearly empty, so lines are clipped to this value
+const RATIO_DISPLAY_MAX = 10
+
+const HEMISPHERE_SOURCES = [
+  { id: 'left', label: 'Left', color: '#3b82f6' },
+  { id: 'right', label: 'Right', color: '#ef4444' },
+]
+
+const BAND_COLORS = {
+  delta: '#7c3aed',
+  theta: '#0891b2',
+  alpha: '#16a34a',
+  beta: '#d97706',
+}
+
+// Trend charts; value() reads a metric from channel/hemisphere metrics, global() from the trend point,
+// overall() adds a whole-head line from the trend point next to the per-source ones
+const TREND_CHARTS = [
+  { id: 'sef95', title: 'SEF95 (Hz)', value: m => m.sef95 },
+  { id: 'medianFreq', title: 'Median Frequency (Hz)', value: m => m.medianFreq },
+  { id: 'adr', title: 'Alpha/Delta Ratio', value: m => Math.min(m.adr, RATIO_DISPLAY_MAX) },
+  { id: 'dar', title: 'Delta/Alpha Ratio', value: m => Math.min(m.dar, RATIO_DISPLAY_MAX) },
+  { id: 'relativePowers', title: 'Relative Band Power (%)', bands: true },
+  { id: 'bsr', title: 'Burst Suppression Ratio (%)', value: m => m.bsr * 100, overall: point => point.bsr * 100, overallLabel: 'All (60 s)' },
+  { id: 'bsi', title: 'Brain Symmetry Index', global: point => point.bsi },
+]
+
+function formatTrendTime(seconds) {
+  const minutes = Math.floor(seconds / 60)
+  return `${minutes}:${String(Math.floor(seconds % 60)).padStart(2, '0')}`
+}
+
+function TrendChart({ chart, points, sources, theme }) {
+  const data = useMemo(() => {
+    const series = (label, color, read, dashed = false) => ({
+      label,
+      data: points.map(point => {
+        const value = read(point)
+        return { x: point.time, y: value === null || value === undefined || !Number.isFinite(value) ? null : value }
+      }),
+      borderColor: color,
+      backgroundColor: color,
+      borderWidth: 1.2,
+      borderDash: dashed ? [4, 3] : [],
+      pointRadius: 0,
+      spanGaps: false,
+      tension: 0,
+    })
+
+    let datasets
+    if (chart.global) {
+      datasets = [series(chart.title, '#8b5cf6', chart.global)]
+    } else if (chart.bands) {
+      // One line per band; the second source (right hemisphere) is dashed
+      datasets = sources.flatMap((source, index) => Object.keys(EEG_BANDS).map(band => series(
+        `${source.label} ${band}`,
+        BAND_COLORS[band],
+        point => {
+          const metrics = source.read(point)
+          return metrics ? metrics.relativePowers[band] * 100 : null
+        },
+        index > 0
+      )))
+    } else {
+      datasets = sources.map(source => series(source.label, source.color, point => {
+        const metrics = source.read(point)
+        return metrics ? chart.value(metrics) : null
+      }))
+      if (chart.overall) {
+        datasets.push(series(chart.overallLabel, '#8b5cf6', chart.overall, true))
+      }
+    }
+    return { datasets }
+  }, [chart, points, sources])
+
+  const options = useMemo(() => {
+    const gridColor = theme === 'dark' ? '#333333' : '#e5e7eb'
+    const tickColor = theme === 'dark' ? '#888888' : '#666666'
+    return {
+      responsive: true,
+      maintainAspectRatio: false,
+      animation: false,
+      plugins: {
+        legend: {
+          display: chart.bands || Boolean(chart.overall) || sources.length > 1,
+          position: 'right',
+          labels: { boxWidth: 8, font: { size: 9 }, color: tickColor },
+        },
+        tooltip: {
+          mode: 'index',
+          intersect: false,
+          callbacks: {
+            title: (items) => items.length > 0 ? formatTrendTime(items[0].parsed.x) : '',
+          },
+        },
+      },
+      scales: {
+        x: {
+          type: 'linear',
+          grid: { color: gridColor },
+          ticks: {
+            font: { size: 9 },
+            color: tickColor,
+            maxTicksLimit: 6,
+            callback: (value) => formatTrendTime(value),
+          },
+        },
+        y: {
+          beginAtZero: true,
+          grid: { color: gridColor },
+          ticks: { font: { size: 9 }, color: tickColor, maxTicksLimit: 4 },
+        },
+      },
+      interaction: {
+        mode: 'index',
+        intersect: false,
+      },
+    }
+  }, [chart, sources.length, theme])
+
+  return (
+    <div className="qeeg-trend-chart">
+      <span className="qeeg-trend-title">{chart.title}</span>
+      <div className="qeeg-trend-canvas">
+        <Line data={data} options={options} />
+      </div>
+    </div>
+  )
+}
+
+/**
+ * qEEG index trends (see utils/qeeg.js) of the session, per hemisphere or for one channel
+ */
+export default function QEEGTrends({ theme = 'light' }) {
+  const { qeegTrend, montageInfo } = useEEG()
+  const [sourceId, setSourceId] = useState('hemispheres')
+  const labels = montageInfo?.labels || []
+
+  // Thin long trends so every chart draws at most MAX_TREND_POINTS points per line
+  const points = useMemo(() => {
+    if (qeegTrend.length <= MAX_TREND_POINTS) return qeegTrend
+    const stride = qeegTrend.length / MAX_TREND_POINTS
+    return Array.from({ length: MAX_TREND_POINTS }, (_, i) => qeegTrend[Math.floor(i * stride)])
+  }, [qeegTrend])
+
+  const sources = useMemo(() => {
+    if (sourceId === 'hemispheres') {
+      return HEMISPHERE_SOURCES.map(source => ({ ...source, read: point => point.hemispheres?.[source.id] }))
+    }
+    const channel = parseInt(sourceId, 10)
+    return [{ id: sourceId, label: labels[channel] || `Ch${channel + 1}`, color: '#3b82f6', read: point => point.channels?.[channel] }]
+  }, [sourceId, labels])
+
+  const latest = qeegTrend[qeegTrend.length - 1]
+
+  return (
+    <div className="qeeg-trends">
+      <div className="qeeg-trends-header">
+        <h2>qEEG Trends</h2>
+        <div className="qeeg-trends-controls">
+          {latest && latest.bsi !== null && latest.bsi !== undefined && (
+            <span className="qeeg-trends-latest">BSI {latest.bsi.toFixed(2)}</span>
+          )}
+          <select
+            className="qeeg-trends-source"
+            value={sourceId}
+            onChange={(e) => setSourceId(e.target.value)}
+            title="Channels the trends are shown for"
+          >
+            <option value="hemispheres">Left vs Right Hemisphere</option>
+            {labels.map((label, index) => (
+              <option key={index} value={String(index)}>{label}</option>
+            ))}
+          </select>
+        </div>
+      </div>
+      {qeegTrend.length === 0 ? (
+        <div className="qeeg-trends-empty">Trends appear once the stream or EDF playback has run for a few seconds</div>
+      ) : (
+        <div className="qeeg-trends-grid">
+          {TREND_CHARTS.map(chart => (
+            <TrendChart key={chart.id} chart={chart} points={points} sources={sources} theme={theme} />
+          ))}
+        </div>
+      )}
+    </div>
+  )
+}
@@ -1,29 +1,25 @@
 import { useMemo } from 'react'
 import { useEEG } from '../store/EEGContext'
 import { ChannelSpectrogram } from './Spectrogram'
+import { SCALP_QUADRANTS, quadrantChannels } from '../utils/qeeg'
+import { getChannelLabel } from '../utils/montages'
 import './QuadrantDSA.css'
 
-const QUADRANT_CONFIGS = [
-  { id: 'left-anterior', label: 'Left Anterior', channels: [0, 1, 2, 3] },
-  { id: 'right-anterior', label: 'Right Anterior', channels: [4, 5, 6, 7] },
-  { id: 'left-posterior', label: 'Left Posterior', channels: [0, 1] },
-  { id: 'right-posterior', label: 'Right Posterior', channels: [4, 5] },
-]
-
 export default function QuadrantDSA({ data, theme }) {
-  const { settings } = useEEG()
+  const { settings, montageInfo } = useEEG()
   const { spectrogram: spectrogramSettings, display: displaySettings } = settings
 
   // Aggregate data for each quadrant (average of channels)
   const quadrantData = useMemo(() => {
     if (!data || data.length === 0) return []
+    const labels = data.map((_, index) => montageInfo?.labels?.[index] || getChannelLabel(displaySettings.montage, index))
 
-    return QUADRANT_CONFIGS.map(config => {
-      const channelDataList = config.channels.map(chIdx => data[chIdx] || [])
+    return SCALP_QUADRANTS.map(config => {
+      const channelDataList = quadrantChannels(config, labels).map(chIdx => data[chIdx] || [])
       
       // Average the spectrogram data across channels in this quadrant
       const aggregatedData = []
-      const maxLength = Math.max(...channelDataList.map(d => d.length))
+      const maxLength = Math.max(0, ...channelDataList.map(d => d.length))
       
       for (let i = 0; i < maxLength; i++) {
         const timePoints = channelDataList
@@ -63,7 +59,7 @@ export default function QuadrantDSA({ data, theme }) {
         data: aggregatedData
       }
     })
-  }, [data])
+  }, [data, montageInfo, displaySettings.montage])
 
   return (
     <div className="quadrant-dsa">
@@ -1,8 +1,14 @@
-import { useState } from 'react'
+import { useState, useMemo } from 'react'
 import { useEEG } from '../store/EEGContext'
+import { BASELINE_DURATION_RANGE, formatPercentChange } from '../utils/baseline'
+import { filterChainSections, frequencyResponse, filterWarnings } from '../utils/filters'
+import { LINE_NOISE_ANALYSIS_SECONDS, suggestedNotch } from '../utils/lineNoise'
+import { CARD_WIDTH_MM, CARD_HEIGHT_MM, PIXELS_PER_MM_RANGE, screenPixelsPerMm } from '../utils/screenCalibration'
+import { pageDuration } from '../utils/traceRenderer'
 import PresetManager from './PresetManager'
 import AnnotationPanel from './AnnotationPanel'
 import MeasurementTools from './MeasurementTools'
+import ExportTools from './ExportTools'
 import './SettingsPanel.css'
 
 export default function SettingsPanel() {
@@ -22,6 +28,7 @@ export default function SettingsPanel() {
     { id: 'presets', label: 'Presets' },
     { id: 'annotations', label: 'Annotations' },
     { id: 'measurements', label: 'Measurements' },
+    { id: 'export', label: 'Export' },
   ]
 
   return (
@@ -60,13 +67,14 @@ export default function SettingsPanel() {
         {activeTab === 'presets' && <PresetManager />}
         {activeTab === 'annotations' && <AnnotationPanel />}
         {activeTab === 'measurements' && <MeasurementTools />}
+        {activeTab === 'export' && <ExportTools />}
       </div>
     </div>
   )
 }
 
 function DisplaySettings() {
-  const { settings, actions } = useEEG()
+  const { settings, montageInfo, actions } = useEEG()
   const { display } = settings
 
   return (
@@ -76,7 +84,7 @@ function DisplaySettings() {
       <div className="setting-group">
         <label>Channel Visibility</label>
         <div className="channel-visibility-grid">
-          {['F3-P3', 'P3-O1', 'F3-T3', 'T3-O1', 'F4-P4', 'P4-O2', 'F4-T4', 'T4-O2'].map((name, idx) => (
+          {montageInfo.labels.slice(0, display.channelVisibility.length).map((name, idx) => (
             <label key={idx} className="checkbox-label">
               <input
                 type="checkbox"
@@ -117,16 +125,13 @@ function DisplaySettings() {
         />
       </div>
 
+      <ScreenCalibrationSettings />
+
       <div className="setting-group">
         <label>Time Window (seconds)</label>
-        <input
-          type="number"
-          step="1"
-          min="5"
-          max="60"
-          value={display.timeWindow}
-          onChange={(e) => actions.updateSettings('display', { timeWindow: parseInt(e.target.value) })}
-        />
+        <span className="setting-value">
+          {pageDuration(display).toFixed(1)} s per page, derived from the width of the trace area and the timebase
+        </span>
       </div>
 
       <div className="setting-group">
@@ -171,9 +176,54 @@ function DisplaySettings() {
               })}
             />
           </div>
+          <div>
+            <label>Filter Order</label>
+            <select
+              value={display.filters.order || 1}
+              onChange={(e) => actions.updateSettings('display', {
+                filters: { ...display.filters, order: parseInt(e.target.value) }
+              })}
+            >
+              <option value="1">1 (6 dB/oct)</option>
+              <option value="2">2 (12 dB/oct)</option>
+              <option value="4">4 (24 dB/oct)</option>
+              <option value="6">6 (36 dB/oct)</option>
+              <option value="8">8 (48 dB/oct)</option>
+            </select>
+          </div>
+          <div>
+            <label>Notch Harmonics</label>
+            <select
+              value={display.filters.notchHarmonics || 1}
+              onChange={(e) => actions.updateSettings('display', {
+                filters: { ...display.filters, notchHarmonics: parseInt(e.target.value) }
+              })}
+            >
+              <option value="1">Line frequency only</option>
+              <option value="2">Up to 2nd harmonic</option>
+              <option value="3">Up to 3rd harmonic</option>
+            </select>
+          </div>
         </div>
       </div>
 
+      <FilterResponsePreview filters={display.filters} />
+
+      <LineNoiseSettings />
+
+      <div className="setting-group">
+        <label className="checkbox-label">
+          <input
+            type="checkbox"
+            checked={!!display.filters.zeroPhase}
+            onChange={(e) => actions.updateSettings('display', {
+              filters: { ...display.filters, zeroPhase: e.target.checked }
+            })}
+          />
+          Zero-Phase Filtering in Review (paused EDF)
+        </label>
+      </div>
+
       <div className="setting-group">
         <label className="checkbox-label">
           <input
@@ -199,8 +249,241 @@ function DisplaySettings() {
   )
 }
 
+// Frequency response plots span RESPONSE_MIN_FREQ Hz to the Nyquist frequency on a log axis
+const RESPONSE_MIN_FREQ = 0.1
+const RESPONSE_POINTS = 160
+const RESPONSE_WIDTH = 260
+const RESPONSE_HEIGHT = 80
+const RESPONSE_MIN_DB = -60
+
+// Frequency response of the active filter chain at the current sample rate, with warnings for
+// cutoffs that would hide the delta/alpha changes detection relies on
+function FilterResponsePreview({ filters }) {
+  const { eegBuffer } = useEEG()
+  const sampleRate = eegBuffer?.sampleRate(0) || 250
+
+  const response = useMemo(() => {
+    const nyquist = sampleRate / 2
+    const logMin = Math.log10(RESPONSE_MIN_FREQ)
+    const logMax = Math.log10(nyquist)
+    const frequencies = Array.from({ length: RESPONSE_POINTS }, (_, i) =>
+      Math.pow(10, logMin + (logMax - logMin) * i / (RESPONSE_POINTS - 1)))
+    const { magnitudeDb, phaseDeg } = frequencyResponse(filterChainSections(filters, sampleRate), sampleRate, frequencies)
+    const x = (freq) => (Math.log10(freq) - logMin) / (logMax - logMin) * RESPONSE_WIDTH
+    const toPolyline = (values, min, max) => frequencies.map((freq, i) => {
+      const clamped = Math.max(min, Math.min(max, values[i]))
+      return `${x(freq).toFixed(1)},${((max - clamped) / (max - min) * RESPONSE_HEIGHT).toFixed(1)}`
+    }).join(' ')
+    const maxDb = Math.max(3, Math.ceil(Math.max(...magnitudeDb)))
+    return {
+      magnitude: toPolyline(magnitudeDb, RESPONSE_MIN_DB, maxDb),
+      phase: toPolyline(phaseDeg, -180, 180),
+      maxDb,
+      zeroDbY: maxDb / (maxDb - RESPONSE_MIN_DB) * RESPONSE_HEIGHT,
+      ticks: [1, 10, 100].filter(freq => freq < nyquist).map(freq => ({ freq, x: x(freq) })),
+      nyquist,
+      warnings: filterWarnings(filters, sampleRate)
+    }
+  }, [filters, sampleRate])
+
+  return (
+    <div className="setting-group filter-response">
+      <label>Filter Response ({sampleRate} Hz)</label>
+      <span className="setting-value">
+        LFF {filters.highPass} Hz · HFF {filters.lowPass} Hz · Notch {filters.notch ? `${filters.notch} Hz${filters.notchHarmonics > 1 ? ` ×${filters.notchHarmonics}` : ''}` : 'off'}
+        {filters.order > 0 ? ` · order ${filters.order}` : ' · first order'}
+      </span>
+      {[
+        { title: 'Magnitude', points: response.magnitude, top: `${response.maxDb} dB`, bottom: `${RESPONSE_MIN_DB} dB`, zeroY: response.zeroDbY },
+        { title: 'Phase', points: response.phase, top: '180°', bottom: '-180°', zeroY: RESPONSE_HEIGHT / 2 }
+      ].map(plot => (
+        <div key={plot.title} className="filter-response-plot">
+          <span className="filter-response-title">{plot.title}</span>
+          <svg viewBox={`0 0 ${RESPONSE_WIDTH} ${RESPONSE_HEIGHT}`} preserveAspectRatio="none">
+            {response.ticks.map(tick => (
+              <line key={tick.freq} className="filter-response-grid" x1={tick.x} x2={tick.x} y1="0" y2={RESPONSE_HEIGHT} />
+            ))}
+            <line className="filter-response-grid" x1="0" x2={RESPONSE_WIDTH} y1={plot.zeroY} y2={plot.zeroY} />
+            <polyline className="filter-response-line" points={plot.points} />
+          </svg>
+          <div className="filter-response-axis">
+            <span>{plot.bottom} … {plot.top}</span>
+            <span>{RESPONSE_MIN_FREQ} Hz – {response.nyquist} Hz (log)</span>
+          </div>
+        </div>
+      ))}
+      {filters.zeroPhase && (
+        <span className="setting-value">Paused EDF review is filtered forward-backward: zero phase, magnitude squared</span>
+      )}
+      {response.warnings.map(warning => (
+        <div key={warning} className="filter-warning">⚠ {warning}</div>
+      ))}
+    </div>
+  )
+}
+
+// Length of the check ruler drawn at the saved calibration (mm)
+const CHECK_RULER_MM = 50
+// Corner radius of an ID-1 card (mm)
+const CARD_CORNER_RADIUS_MM = 3.18
+
+// Per-workstation screen calibration: the user scales a card outline until it matches a physical
+// ID-1 card held against the screen; a ruler drawn at the saved value checks it against a real one
+function ScreenCalibrationSettings() {
+  const { screenCalibration, actions } = useEEG()
+  const pixelsPerMm = screenPixelsPerMm(screenCalibration)
+  // Pixels per mm being adjusted, null while not calibrating
+  const [draft, setDraft] = useState(null)
+
+  const status = screenCalibration
+    ? `${pixelsPerMm.toFixed(2)} px/mm (${(pixelsPerMm * 25.4).toFixed(0)} px/inch), calibrated ${new Date(screenCalibration.calibratedAt).toLocaleDateString()}`
+    : `Not calibrated: assuming 96 px/inch (${pixelsPerMm.toFixed(2)} px/mm), so µV/mm and mm/sec are only approximate`
+  const adjust = (value) => setDraft(Math.min(PIXELS_PER_MM_RANGE.max, Math.max(PIXELS_PER_MM_RANGE.min, value)))
+
+  return (
+    <div className="setting-group screen-calibration">
+      <label title="Measure this screen so that µV/mm and mm/sec match paper">Screen Calibration</label>
+      <span className="setting-value">{status}</span>
+      {draft === null ? (
+        <>
+          <svg
+            className="calibration-ruler"
+            width={CHECK_RULER_MM * pixelsPerMm + 2}
+            height="24"
+          >
+            <title>Should measure {CHECK_RULER_MM} mm on a ruler</title>
+            <line x1="1" x2={CHECK_RULER_MM * pixelsPerMm + 1} y1="1" y2="1" />
+            {Array.from({ length: CHECK_RULER_MM + 1 }, (_, mm) => (
+              <line key={mm} x1={mm * pixelsPerMm + 1} x2={mm * pixelsPerMm + 1} y1="1" y2={mm % 10 === 0 ? 14 : mm % 5 === 0 ? 10 : 6} />
+            ))}
+            {[0, 10, 20, 30, 40, 50].map(mm => (
+              <text key={mm} x={mm * pixelsPerMm + 1} y="23">{mm}</text>
+            ))}
+          </svg>
+          <span className="setting-value">This ruler should measure {CHECK_RULER_MM} mm</span>
+          <div className="button-group">
+            <button className="action-button" onClick={() => setDraft(pixelsPerMm)}>
+              {screenCalibration ? 'Recalibrate Screen' : 'Calibrate Screen'}
+            </button>
+            {screenCalibration && (
+              <button className="action-button secondary" onClick={() => actions.setScreenCalibration(null)}>
+                Reset to 96 px/inch
+              </button>
+            )}
+          </div>
+        </>
+      ) : (
+        <>
+          <span className="setting-value">
+            Hold a credit or ID card against the screen and adjust until the outline is exactly as wide as the card.
+          </span>
+          <div className="calibration-card-area">
+            <div
+              className="calibration-card"
+              style={{ width: `${CARD_WIDTH_MM * draft}px`, height: `${CARD_HEIGHT_MM * draft}px`, borderRadius: `${CARD_CORNER_RADIUS_MM * draft}px` }}
+            >
+              {CARD_WIDTH_MM} × {CARD_HEIGHT_MM} mm
+            </div>
+          </div>
+          <div className="calibration-adjust">
+            <button className="action-button" onClick={() => adjust(draft - 0.01)} title="Narrower">−</button>
+            <input
+              type="range"
+              min={PIXELS_PER_MM_RANGE.min}
+              max={PIXELS_PER_MM_RANGE.max}
+              step="0.01"
+              value={draft}
+              onChange={(e) => adjust(parseFloat(e.target.value))}
+            />
+            <button className="action-button" onClick={() => adjust(draft + 0.01)} title="Wider">+</button>
+          </div>
+          <span className="setting-value">{draft.toFixed(2)} px/mm ({(draft * 25.4).toFixed(0)} px/inch)</span>
+          <div className="button-group">
+            <button
+              className="action-button start"
+              onClick={() => {
+                actions.setScreenCalibration(draft)
+                setDraft(null)
+              }}
+            >
+              Save Calibration
+            </button>
+            <button className="action-button secondary" onClick={() => setDraft(null)}>
+              Cancel
+            </button>
+          </div>
+        </>
+      )}
+    </div>
+  )
+}
+
+function LineNoiseSettings() {
+  const { settings, lineNoise, montageInfo, actions } = useEEG()
+  const { display } = settings
+  const labels = montageInfo?.labels || []
+  // Channel levels only apply to the channels they were measured on
+  const channels = lineNoise && lineNoise.labels.join('|') === labels.join('|') ? lineNoise.channels : []
+  const notch = suggestedNotch(lineNoise, display.filters)
+
+  let status = `Measured on the first ${LINE_NOISE_ANALYSIS_SECONDS} s of the stream or file`
+  if (lineNoise) {
+    status = lineNoise.frequency
+      ? `${lineNoise.frequency} Hz mains${lineNoise.harmonics > 1 ? ` with harmonics up to ${lineNoise.harmonics}x` : ''} on ${lineNoise.channelsDetected} channel(s)`
+      : 'No mains line noise found'
+  }
+
+  return (
+    <div className="setting-group">
+      <label title="Estimate the mains frequency (50/60 Hz) from the raw signal and match the notch to it">
+        Line Noise Detection
+      </label>
+      <select
+        value={display.lineNoiseDetection || 'suggest'}
+        onChange={(e) => actions.updateSettings('display', { lineNoiseDetection: e.target.value })}
+      >
+        <option value="off">Off</option>
+        <option value="suggest">Suggest notch</option>
+        <option value="auto">Set notch automatically</option>
+      </select>
+      {display.lineNoiseDetection !== 'off' && (
+        <>
+          <span className="setting-value">{status}</span>
+          {notch && (
+            <button className="action-button" onClick={actions.applyLineNoiseNotch}>
+              Apply {notch.notch} Hz Notch{notch.notchHarmonics > 1 ? ` (${notch.notchHarmonics} harmonics)` : ''}
+            </button>
+          )}
+          {channels.some(Boolean) && (
+            <table className="line-noise-table" title="Line noise well above the other channels suggests a poor electrode contact">
+              <thead>
+                <tr>
+                  <th>Channel</th>
+                  <th>µV RMS</th>
+                  <th>dB over floor</th>
+                  <th>Level</th>
+                </tr>
+              </thead>
+              <tbody>
+                {channels.map((channel, idx) => channel && (
+                  <tr key={idx} className={`line-noise-${channel.level}`}>
+                    <td>{labels[idx] || `Ch${idx + 1}`}</td>
+                    <td>{channel.rms.toFixed(1)}</td>
+                    <td>{Number.isFinite(channel.ratioDb) ? channel.ratioDb.toFixed(0) : '-'}</td>
+                    <td>{channel.level}</td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          )}
+        </>
+      )}
+    </div>
+  )
+}
+
 function SpectrogramSettings() {
-  const { settings, actions } = useEEG()
+  const { settings, montageInfo, actions } = useEEG()
   const { spectrogram } = settings
 
   return (
@@ -213,7 +496,7 @@ function SpectrogramSettings() {
           value={spectrogram.selectedChannel}
           onChange={(e) => actions.updateSettings('spectrogram', { selectedChannel: parseInt(e.target.value) })}
         >
-          {['F3-P3', 'P3-O1', 'F3-T3', 'T3-O1', 'F4-P4', 'P4-O2', 'F4-T4', 'T4-O2'].map((name, idx) => (
+          {montageInfo.labels.map((name, idx) => (
             <option key={idx} value={idx}>{name}</option>
           ))}
         </select>
@@ -338,8 +621,24 @@ function SpectrogramSettings() {
 }
 
 function DetectionSettings() {
-  const { settings, actions } = useEEG()
+  const { settings, eegState, actions } = useEEG()
   const { detection } = settings
+  const [analysisProgress, setAnalysisProgress] = useState(null)
+  const [analysisResult, setAnalysisResult] = useState(null)
+
+  const handleAnalyzeRecording = async () => {
+    setAnalysisResult(null)
+    setAnalysisProgress(0)
+    try {
+      const events = await actions.analyzeEDFRecording(setAnalysisProgress)
+      setAnalysisResult(`${events.length} event${events.length === 1 ? '' : 's'} detected`)
+    } catch (error) {
+      console.error('[DetectionSettings] Recording analysis failed:', error)
+      setAnalysisResult('Analysis failed')
+    } finally {
+      setAnalysisProgress(null)
+    }
+  }
 
   return (
     <div className="settings-section">
@@ -401,7 +700,7 @@ function DetectionSettings() {
             />
           </div>
           <div>
-            <label>Burst Suppression</label>
+            <label title="Burst suppression ratio (fraction of the last minute suppressed) that raises a burst suppression event">Burst Suppression (BSR)</label>
             <input
               type="number"
               step="0.1"
@@ -484,6 +783,104 @@ function DetectionSettings() {
           </label>
         </div>
       </div>
+
+      <BaselineSettings />
+
+      {eegState.isLoaded && (
+        <div className="setting-group">
+          <label>Loaded Recording</label>
+          <button
+            className="action-button secondary"
+            onClick={handleAnalyzeRecording}
+            disabled={analysisProgress !== null}
+          >
+            {analysisProgress !== null
+              ? `Analyzing... ${Math.round(analysisProgress * 100)}%`
+              : 'Re-run Detection on Entire File'}
+          </button>
+          {analysisResult && <span className="setting-value">{analysisResult}</span>}
+        </div>
+      )}
+    </div>
+  )
+}
+
+function BaselineSettings() {
+  const { session, baselineRecording, baselineComparison, isStreaming, actions } = useEEG()
+  const { baseline } = session
+  const durationOptions = []
+  for (let sec = BASELINE_DURATION_RANGE.min; sec <= BASELINE_DURATION_RANGE.max; sec += 60) {
+    durationOptions.push(sec)
+  }
+
+  return (
+    <div className="setting-group">
+      <label>Baseline</label>
+      {baselineRecording.isRecording ? (
+        <div className="button-group">
+          <span className="setting-value">
+            Recording baseline... {Math.round(baselineRecording.progress * 100)}% of {baselineRecording.duration / 60} min
+            {!isStreaming && ' (paused - start the stream to continue)'}
+          </span>
+          <button className="action-button stop" onClick={actions.cancelBaselineRecording}>
+            Cancel Baseline Recording
+          </button>
+        </div>
+      ) : (
+        <div className="button-group">
+          <select
+            value={baselineRecording.duration}
+            onChange={(e) => actions.setBaselineDuration(parseInt(e.target.value))}
+          >
+            {durationOptions.map(sec => (
+              <option key={sec} value={sec}>{sec / 60} minutes</option>
+            ))}
+          </select>
+          <button
+            className="action-button start"
+            onClick={() => actions.startBaselineRecording(baselineRecording.duration)}
+            disabled={!isStreaming}
+            title={isStreaming ? 'Record the upcoming stream as the baseline' : 'Start the stream to record a baseline'}
+          >
+            {baseline ? 'Re-establish Baseline' : 'Establish Baseline'}
+          </button>
+        </div>
+      )}
+
+      {baseline && (
+        <div className="baseline-summary">
+          <span className="setting-value">
+            {baseline.startTime.toFixed(1)}s - {baseline.endTime.toFixed(1)}s ({(baseline.duration / 60).toFixed(1)} min)
+          </span>
+          <table className="baseline-table">
+            <thead>
+              <tr>
+                <th>Channel</th>
+                <th>δ µV²</th>
+                <th>θ µV²</th>
+                <th>α µV²</th>
+                <th>β µV²</th>
+                <th>Now</th>
+              </tr>
+            </thead>
+            <tbody>
+              {baseline.channels.map(ch => (
+                <tr key={ch.channel}>
+                  <td>{ch.label}</td>
+                  <td>{ch.bandPowers.delta.toFixed(1)}</td>
+                  <td>{ch.bandPowers.theta.toFixed(1)}</td>
+                  <td>{ch.bandPowers.alpha.toFixed(1)}</td>
+                  <td>{ch.bandPowers.beta.toFixed(1)}</td>
+                  <td>{formatPercentChange(baselineComparison?.channels?.[ch.channel]?.total)}</td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+          <button className="action-button secondary" onClick={actions.resetBaseline}>
+            Reset Baseline
+          </button>
+        </div>
+      )}
     </div>
   )
 }
@@ -728,7 +1125,7 @@ function PatientSettings() {
       </div>
 
       <div className="setting-group">
-        <label className="checkbox-label">
+        <label className="checkbox-label" title="Leave epochs flagged as artifact (cautery, clipping, flat line, movement, transients) out of ischemia detection and the CSA/DSA. Artifacts are shaded and logged either way.">
           <input
             type="checkbox"
             checked={patient.artifactSuppression}
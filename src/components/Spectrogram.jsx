@@ -1,19 +1,44 @@
 import { useEffect, useRef, useMemo, useState } from 'react'
 import { useEEG } from '../store/EEGContext'
+import { getChannelLabel } from '../utils/montages'
+import { pageDuration } from '../utils/traceRenderer'
 import './Spectrogram.css'
 
-const CHANNEL_NAMES = [
-  'F3-P3',
-  'P3-O1',
-  'F3-T3',
-  'T3-O1',
-  'F4-P4',
-  'P4-O2',
-  'F4-T4',
-  'T4-O2'
-]
-
-export function ChannelSpectrogram({ channelIndex, channelData, channelName, theme, settings, displaySettings }) {
+// Columns of .channels-grid
+const GRID_COLUMNS = 2
+
+// Powers this far below the strongest bin on screen map to the bottom of the colormap
+const DYNAMIC_RANGE_DB = 40
+
+// Colormap level (0-1) of a power: dB below the strongest bin, then contrast around the middle
+// of the scale and intensity as a gain
+function spectrogramLevel(power, maxDb, intensity = 1, contrast = 1) {
+  if (!(power > 0)) return 0
+  let level = Math.min(1, Math.max(0, (10 * Math.log10(power) - maxDb) / DYNAMIC_RANGE_DB + 1))
+  level = 0.5 + (level - 0.5) * contrast
+  return Math.min(1, Math.max(0, level * intensity))
+}
+
+// RGB of a level (0-1) in the 'jet', 'hot' or 'cool' colormap
+function colormapRGB(level, colormap) {
+  const clamp = v => Math.round(255 * Math.min(1, Math.max(0, v)))
+  switch (colormap) {
+    case 'hot':
+      return [clamp(3 * level), clamp(3 * level - 1), clamp(3 * level - 2)]
+    case 'cool':
+      return [clamp(level), clamp(1 - level), 255]
+    case 'jet':
+    default:
+      return [clamp(1.5 - Math.abs(4 * level - 3)), clamp(1.5 - Math.abs(4 * level - 2)), clamp(1.5 - Math.abs(4 * level - 1))]
+  }
+}
+
+function spectrogramColor(level, colormap) {
+  const [r, g, b] = colormapRGB(level, colormap)
+  return `rgb(${r}, ${g}, ${b})`
+}
+
+export function ChannelSpectrogram({ channelIndex, isBottomRow = true, channelData, channelName, theme, settings, displaySettings }) {
   const canvasRef = useRef(null)
   const [cursorPos, setCursorPos] = useState(null)
 
@@ -22,10 +47,8 @@ export function ChannelSpectrogram({ channelIndex, channelData, channelName, the
 
     // Use the same time range calculation as raw EEG charts
     const timeWindow = displaySettings?.timeWindow || 10
-    const timeScale = displaySettings?.timeScale || 30
     const timeOffset = (displaySettings?.timeOffset !== undefined && displaySettings?.timeOffset !== null) ? displaySettings.timeOffset : 0
-    const baseTimeScale = 30
-    const adjustedTimeWindow = timeWindow * (baseTimeScale / timeScale)
+    const adjustedTimeWindow = pageDuration(displaySettings || {})
     
     // Get the actual data range
     const maxTime = channelData.length > 0 ? channelData[channelData.length - 1]?.time : 0
@@ -50,27 +73,12 @@ export function ChannelSpectrogram({ channelIndex, channelData, channelName, the
     // Filter data to visible range
     const filteredData = channelData.filter(row => row.time >= visibleMinTime && row.time <= visibleMaxTime)
 
-    // Build a matrix of time vs frequency
-    const maxFreq = settings?.frequencyRange?.[1] || 60 // Hz
-    const freqBins = Math.floor((settings?.fftSize || 256) / 2)
-    const timeSteps = filteredData.length
-    
-    const matrix = Array(timeSteps).fill(null).map(() => 
-      Array(freqBins).fill(0)
-    )
-
-    filteredData.forEach((row, timeIndex) => {
-      if (row.frequencies) {
-        row.frequencies.forEach(({ freq, power }) => {
-          const freqIndex = Math.floor((freq / maxFreq) * freqBins)
-          if (freqIndex >= 0 && freqIndex < freqBins) {
-            matrix[timeIndex][freqIndex] = power
-          }
-        })
-      }
-    })
+    // Build a matrix of time vs frequency; frames hold the bins within the frequency range
+    const freqs = filteredData[0]?.frequencies?.map(({ freq }) => freq) || []
+    const times = filteredData.map(row => row.time)
+    const matrix = filteredData.map(row => (row.frequencies || []).map(({ power }) => power))
 
-    return { matrix, visibleMinTime, visibleMaxTime, maxTime, dataMinTime }
+    return { matrix, times, freqs, visibleMinTime, visibleMaxTime, maxTime, dataMinTime }
   }, [channelData, settings, displaySettings])
 
   useEffect(() => {
@@ -85,11 +93,13 @@ export function ChannelSpectrogram({ channelIndex, channelData, channelName, the
     ctx.fillStyle = theme === 'dark' ? '#000000' : '#ffffff'
     ctx.fillRect(0, 0, width, height)
 
-    const matrix = spectrogramMatrix.matrix
+    const { matrix, times, freqs, visibleMinTime, visibleMaxTime } = spectrogramMatrix
     if (matrix.length === 0) return
 
     const timeSteps = matrix.length
-    const freqBins = matrix[0].length
+    const freqBins = freqs.length
+    const minFreq = settings?.frequencyRange?.[0] || 0
+    const maxFreq = settings?.frequencyRange?.[1] || 60
 
     // Find max power for normalization
     let maxPower = 0
@@ -98,30 +108,26 @@ export function ChannelSpectrogram({ channelIndex, channelData, channelName, the
         if (power > maxPower) maxPower = power
       })
     })
+    const maxDb = 10 * Math.log10(maxPower || 1)
 
     // Draw spectrogram
-    // Orientation: X-axis = Time (horizontal, left to right)
-    //              Y-axis = Frequency (vertical, 0 Hz at bottom, max Hz at top)
-    const cellWidth = width / timeSteps
-    const cellHeight = height / freqBins
+    // Orientation: X-axis = Time (horizontal, left to right), each frame centred on its time
+    //              Y-axis = Frequency (vertical, min Hz at bottom, max Hz at top), each bin centred on its frequency
+    const timeRange = (visibleMaxTime - visibleMinTime) || 1
+    const freqSpan = (maxFreq - minFreq) || 1
+    const timeStep = timeSteps > 1 ? times[1] - times[0] : timeRange
+    const freqStep = freqBins > 1 ? freqs[1] - freqs[0] : freqSpan
+    // One extra pixel closes hairline gaps between neighbouring cells
+    const cellWidth = (timeStep / timeRange) * width + 1
+    const cellHeight = (freqStep / freqSpan) * height + 1
 
     for (let t = 0; t < timeSteps; t++) {
+      const x = ((times[t] - timeStep / 2 - visibleMinTime) / timeRange) * width
       for (let f = 0; f < freqBins; f++) {
-        const power = matrix[t][f]
-        const normalizedPower = maxPower > 0 ? power / maxPower : 0
-        
-        // Color mapping: dark blue (low) to yellow/white (high)
-        const color = getSpectrogramColor(normalizedPower)
-        
-        ctx.fillStyle = color
-        // X position: time goes left to right (t * cellWidth)
-        // Y position: frequency 0 at bottom, max at top (height - (f + 1) * cellHeight)
-        ctx.fillRect(
-          t * cellWidth,                    // X-axis: Time (left to right)
-          height - (f + 1) * cellHeight,    // Y-axis: Frequency (0 at bottom, max at top)
-          cellWidth,
-          cellHeight
-        )
+        const level = spectrogramLevel(matrix[t][f], maxDb, settings?.intensity, settings?.contrast)
+        ctx.fillStyle = spectrogramColor(level, settings?.colormap)
+        const y = height - ((freqs[f] + freqStep / 2 - minFreq) / freqSpan) * height
+        ctx.fillRect(x, y, cellWidth, cellHeight)
       }
     }
 
@@ -133,8 +139,9 @@ export function ChannelSpectrogram({ channelIndex, channelData, channelName, the
       const { x, y } = cursorPos
       const timeRange = spectrogramMatrix.visibleMaxTime - spectrogramMatrix.visibleMinTime
       const time = spectrogramMatrix.visibleMinTime + (x / width) * timeRange
+      const minFreq = settings?.frequencyRange?.[0] || 0
       const maxFreq = settings?.frequencyRange?.[1] || 60
-      const freq = maxFreq - (y / height) * maxFreq
+      const freq = maxFreq - (y / height) * (maxFreq - minFreq)
       
       // Draw crosshair
       ctx.strokeStyle = '#ffffff'
@@ -157,42 +164,7 @@ export function ChannelSpectrogram({ channelIndex, channelData, channelName, the
       ctx.font = '10px monospace'
       ctx.fillText(infoText, x + 15, y - 6)
     }
-  }, [spectrogramMatrix, channelData, theme, cursorPos, settings])
-
-  const getSpectrogramColor = (normalizedPower) => {
-    // Color scale: dark blue -> blue -> green -> yellow -> white
-    if (normalizedPower < 0.2) {
-      const intensity = normalizedPower / 0.2
-      const r = Math.floor(0 + intensity * 0)
-      const g = Math.floor(0 + intensity * 0)
-      const b = Math.floor(50 + intensity * 100)
-      return `rgb(${r}, ${g}, ${b})`
-    } else if (normalizedPower < 0.4) {
-      const intensity = (normalizedPower - 0.2) / 0.2
-      const r = Math.floor(0)
-      const g = Math.floor(0 + intensity * 100)
-      const b = Math.floor(150 - intensity * 50)
-      return `rgb(${r}, ${g}, ${b})`
-    } else if (normalizedPower < 0.6) {
-      const intensity = (normalizedPower - 0.4) / 0.2
-      const r = Math.floor(0 + intensity * 100)
-      const g = Math.floor(100)
-      const b = Math.floor(100 - intensity * 100)
-      return `rgb(${r}, ${g}, ${b})`
-    } else if (normalizedPower < 0.8) {
-      const intensity = (normalizedPower - 0.6) / 0.2
-      const r = Math.floor(100 + intensity * 155)
-      const g = Math.floor(100 + intensity * 155)
-      const b = Math.floor(0)
-      return `rgb(${r}, ${g}, ${b})`
-    } else {
-      const intensity = (normalizedPower - 0.8) / 0.2
-      const r = Math.floor(255)
-      const g = Math.floor(255)
-      const b = Math.floor(0 + intensity * 255)
-      return `rgb(${r}, ${g}, ${b})`
-    }
-  }
+  }, [spectrogramMatrix, channelData, theme, cursorPos, settings, isBottomRow])
 
   const drawAxes = (ctx, width, height, timeSteps, freqBins, data, theme, visibleMinTime, visibleMaxTime) => {
     const gridColor = theme === 'dark' ? '#666666' : '#cccccc'
@@ -213,12 +185,15 @@ export function ChannelSpectrogram({ channelIndex, channelData, channelName, the
       { name: 'Gamma', min: 30, max: 60, color: 'rgba(139, 92, 246, 0.2)' },
     ]
     
+    const minFreq = settings?.frequencyRange?.[0] || 0
     const maxFreq = settings?.frequencyRange?.[1] || 60
+    const freqToY = freq => height - ((freq - minFreq) / ((maxFreq - minFreq) || 1)) * height
     
-    // Draw frequency band overlays
+    // Draw frequency band overlays (clipped to the frequency range)
     frequencyBands.forEach(band => {
-      const yMin = height - (band.max / maxFreq) * height
-      const yMax = height - (band.min / maxFreq) * height
+      if (band.max <= minFreq || band.min >= maxFreq) return
+      const yMin = freqToY(Math.min(band.max, maxFreq))
+      const yMax = freqToY(Math.max(band.min, minFreq))
       ctx.fillStyle = band.color
       ctx.fillRect(0, yMin, width, yMax - yMin)
       
@@ -233,9 +208,9 @@ export function ChannelSpectrogram({ channelIndex, channelData, channelName, the
 
     // Y-axis (Frequency) - only show on left column
     if (channelIndex % 2 === 0) {
-      const freqLabels = [0, 20, 40, 60]
+      const freqLabels = [0, 1, 2, 3].map(i => Math.round(minFreq + (i / 3) * (maxFreq - minFreq)))
       freqLabels.forEach(freq => {
-        const y = height - (freq / 60) * height
+        const y = freqToY(freq)
         ctx.beginPath()
         ctx.moveTo(0, y)
         ctx.lineTo(width, y)
@@ -274,7 +249,7 @@ export function ChannelSpectrogram({ channelIndex, channelData, channelName, the
 
     // X-axis (Time) - only show on bottom row
     // Use the visible time range to show correct time labels
-    if (channelIndex >= 6 && timeSteps > 0 && visibleMinTime !== undefined && visibleMaxTime !== undefined) {
+    if (isBottomRow && timeSteps > 0 && visibleMinTime !== undefined && visibleMaxTime !== undefined) {
       const numLabels = 3
       const timeRange = visibleMaxTime - visibleMinTime
       
@@ -353,27 +328,32 @@ export function ChannelSpectrogram({ channelIndex, channelData, channelName, the
 }
 
 export default function Spectrogram({ data, theme }) {
-  const { settings } = useEEG()
+  const { settings, montageInfo } = useEEG()
   const { spectrogram: spectrogramSettings, display: displaySettings } = settings
   
   // Show only selected channel or all channels based on settings
   const channelsToShow = data.map((channelData, index) => ({
     channelData,
     index,
-    name: CHANNEL_NAMES[index]
+    name: montageInfo?.labels?.[index] || getChannelLabel(displaySettings.montage, index)
   }))
 
   const { ui, actions } = useEEG()
 
+  // Legend gradient of the selected colormap
+  const colorBarStyle = {
+    background: `linear-gradient(to right, ${[0, 0.25, 0.5, 0.75, 1].map(level => spectrogramColor(level, spectrogramSettings.colormap)).join(', ')})`
+  }
+
   return (
     <div className="spectrogram">
       <div className="spectrogram-header">
         <h2>Spectrogram</h2>
         <div className="spectrogram-controls">
           <div className="color-scale">
-            <span>0</span>
-            <div className="color-bar"></div>
-            <span>1 μV²</span>
+            <span>-{DYNAMIC_RANGE_DB} dB</span>
+            <div className="color-bar" style={colorBarStyle} title="Power relative to the strongest bin shown"></div>
+            <span>0 dB</span>
           </div>
           <button
             className={`panel-toggle-btn ${ui.csaPanelOpen ? 'active' : ''}`}
@@ -396,6 +376,7 @@ export default function Spectrogram({ data, theme }) {
           <ChannelSpectrogram
             key={index}
             channelIndex={index}
+            isBottomRow={index >= channelsToShow.length - GRID_COLUMNS}
             channelData={channelData}
             channelName={name}
             theme={theme}
@@ -0,0 +1,58 @@
+import { useEffect, useRef } from 'react'
+import { TraceRenderer } from '../utils/traceRenderer'
+import './TraceCanvas.css'
+
+/**
+ * Canvas drawn by a TraceRenderer (utils/traceRenderer.js), sized to its container
+ * The scene is redrawn on the next animation frame after each render, once however many renders
+ * arrive before it. onResize receives the width left for the traces; rendererRef, when given,
+ * receives the renderer for hit testing.
+ */
+export default function TraceCanvas({ scene, rendererRef, onResize, className = '', ...props }) {
+  const containerRef = useRef(null)
+  const canvasRef = useRef(null)
+  const ownRendererRef = useRef(null)
+  const sceneRef = useRef(scene)
+  const onResizeRef = useRef(onResize)
+  const frameRef = useRef(0)
+  sceneRef.current = scene
+  onResizeRef.current = onResize
+
+  const requestDraw = () => {
+    if (frameRef.current) return
+    frameRef.current = requestAnimationFrame(() => {
+      frameRef.current = 0
+      const renderer = ownRendererRef.current
+      if (renderer && renderer.width > 0 && renderer.height > 0) renderer.draw(sceneRef.current)
+    })
+  }
+
+  useEffect(() => {
+    const renderer = new TraceRenderer(canvasRef.current)
+    ownRendererRef.current = renderer
+    if (rendererRef) rendererRef.current = renderer
+    const observer = new ResizeObserver(([entry]) => {
+      renderer.setSize(entry.contentRect.width, entry.contentRect.height)
+      onResizeRef.current?.(renderer.plotWidth(sceneRef.current))
+      requestDraw()
+    })
+    observer.observe(containerRef.current)
+    return () => {
+      observer.disconnect()
+      cancelAnimationFrame(frameRef.current)
+      frameRef.current = 0
+      ownRendererRef.current = null
+      if (rendererRef) rendererRef.current = null
+    }
+  }, [])
+
+  useEffect(() => {
+    requestDraw()
+  })
+
+  return (
+    <div ref={containerRef} className={`trace-canvas ${className}`} {...props}>
+      <canvas ref={canvasRef} />
+    </div>
+  )
+}
@@ -1,16 +1,182 @@
 import { createContext, useContext, useReducer, useCallback, useRef, useEffect } from 'react'
-import { FilterState } from '../utils/filters'
+import { severityFromConfidence, detectIschemiaInRecording, detectIschemiaInWindows } from '../utils/ischemiaDetector'
+import { BaselineRecorder, clampBaselineDuration } from '../utils/baseline'
+import { MONTAGES, getChannelLabel, resolveMontage, applyMontage, deriveChannels } from '../utils/montages'
+import { normalizeChannelLabels, needsMappingReview, getDeviceType, loadSavedMappings, storeSavedMappings } from '../utils/electrodeLabels'
+import { loadScreenCalibration, storeScreenCalibration, createScreenCalibration } from '../utils/screenCalibration'
+import { primarySampleRate, indexAtTime, interpolateAt } from '../utils/resample'
+import { EEGRingBuffer } from '../utils/ringBuffer'
+import { getDSPPipeline } from '../utils/dspPipeline'
+import { QEEG_TREND_MAX_POINTS } from '../utils/qeeg'
+import { ARTIFACT_EPOCH_SECONDS, ARTIFACT_TYPES, mergeArtifactSegments } from '../utils/artifacts'
+import { LINE_NOISE_ANALYSIS_SECONDS, suggestedNotch } from '../utils/lineNoise'
 
 const EEGContext = createContext(null)
 
+// Recordings whose samples would need more memory than this are read from the file window by window
+const EDF_IN_MEMORY_LIMIT_BYTES = 256 * 1024 * 1024
+
+// Part of a windowed recording kept in memory around the playback position (seconds)
+const EDF_WINDOW_BEHIND_SEC = 60
+const EDF_WINDOW_AHEAD_SEC = 120
+
+// Read the next window once less than this much data is left ahead of playback (seconds)
+const EDF_WINDOW_PREFETCH_SEC = 30
+
+// Simulated ischemia episodes in the mock stream (seconds)
+const SIMULATED_EPISODE_DURATION = 20
+const SIMULATED_EPISODE_INTERVAL = 40
+
+// The mock stream simulates an amplifier that records the BANANA derivations directly
+const MOCK_SOURCE_LABELS = MONTAGES.BANANA.labels
+const MOCK_CHANNEL_COUNT = MOCK_SOURCE_LABELS.length
+
+// Simulated mains interference: line frequency and amplitude per source channel (µV); one channel
+// picks up more, as through a poor electrode contact
+const MOCK_LINE_FREQUENCY = 60
+const MOCK_LINE_NOISE_UV = [1, 1.5, 1, 1, 1, 6, 1.5, 1]
+
+// Line noise is re-measured once playback or the stream has moved on this far
+const LINE_NOISE_REFRESH_SECONDS = 30
+
+// Streams whose filter and detector state the DSP worker keeps
+const MOCK_STREAM_ID = 'mock'
+const EDF_STREAM_ID = 'edf'
+
+// Seconds read either side of a window filtered forward-backward, so edge transients fall outside it
+const ZERO_PHASE_PAD_SEC = 5
+
+// EDF playback speeds offered (1 = real time)
+export const PLAYBACK_SPEEDS = [0.25, 0.5, 1, 2, 4, 8, 16]
+
+// Longest real-time gap between playback updates that is made up (ms); a longer stall (e.g. a
+// background tab) resumes where it stopped instead of jumping ahead
+const PLAYBACK_MAX_CATCH_UP_MS = 250
+
+// The session baseline only applies while the same channels are displayed
+function getApplicableBaseline(state) {
+  const baseline = state.session.baseline
+  const labels = state.montageInfo?.labels
+  if (!baseline || !labels || baseline.channels.length !== labels.length) return null
+  return baseline.channels.every((ch, idx) => ch.label === labels[idx]) ? baseline : null
+}
+
+// Display buffer for a number of channels, keeping settings.system.bufferSize seconds
+// buffer.unfiltered holds the same samples before filtering (raw overlay in RawEEGPlot)
+function createEEGBuffer(state, numChannels, timeOrigin = 0) {
+  const options = { capacitySec: state.settings.system.bufferSize || 3600, timeOrigin }
+  const buffer = new EEGRingBuffer(numChannels, options)
+  buffer.unfiltered = new EEGRingBuffer(numChannels, options)
+  return buffer
+}
+
+// Per-channel state (visibility, display order, impedance, bad flags) sized for a number of channels,
+// keeping the entries of channels that remain
+function resizeChannelState(state, numChannels) {
+  const { display } = state.settings
+  if (display.channelVisibility.length === numChannels && display.channelOrder.length === numChannels &&
+      state.channelImpedance.length === numChannels && state.badChannels.length === numChannels) {
+    return state
+  }
+  const resize = (values, fill) => Array.from({ length: numChannels }, (_, idx) => idx < values.length ? values[idx] : fill)
+  return {
+    ...state,
+    channelImpedance: Array.from({ length: numChannels }, (_, idx) => state.channelImpedance[idx] || {
+      value: null,
+      lastUpdated: null,
+      status: 'unknown'
+    }),
+    badChannels: resize(state.badChannels, false).map(bad => bad === true),
+    settings: {
+      ...state.settings,
+      display: {
+        ...display,
+        channelVisibility: resize(display.channelVisibility, true).map(visible => visible !== false),
+        // The order only survives while the channel count does
+        channelOrder: display.channelOrder.length === numChannels
+          ? display.channelOrder
+          : Array.from({ length: numChannels }, (_, idx) => idx),
+      },
+    },
+  }
+}
+
+// Raw samples of a time window of EDF playback, one chunk per channel (null for empty channels)
+// windowStartSec is the recording time of samples[0] (non-zero for windowed recordings)
+function readEDFWindow(channels, startTime, endTime, timeOffset, windowStartSec = 0) {
+  return channels.map(channel => {
+    if (!channel?.samples?.length) return null
+    const rate = channel.sampleRate
+    const first = Math.max(0, Math.round((startTime - timeOffset - windowStartSec) * rate))
+    const last = Math.min(channel.samples.length - 1, Math.round((endTime - timeOffset - windowStartSec) * rate))
+    if (last < first) return null
+    const samples = new Float32Array(last - first + 1)
+    for (let i = first; i <= last; i++) {
+      const value = channel.samples[i]
+      samples[i - first] = Number.isFinite(value) ? value : 0
+    }
+    return { samples, sampleRate: rate, startTime: first / rate + windowStartSec + timeOffset }
+  })
+}
+
+// Filter raw chunks ({ samples, sampleRate, startTime } per channel) of a stream in the DSP worker
+// and append them to a display buffer; detection (see utils/dspProcessor.js) runs alongside
+// The chunk and frame arrays are transferred to the worker
+// zeroPhase filters each chunk forward-backward; range ({ start, end }) keeps only that part of the chunks
+// Resolves to the worker's reply (detector transitions and analysis) once the buffer is written
+function filterIntoBuffer(streamId, buffer, chunks, filterSettings, { reset = false, detection = null, zeroPhase = false, range = null } = {}) {
+  const appendChunks = (target, chunkList) => {
+    chunkList.forEach((chunk, idx) => {
+      if (!chunk) return
+      const { samples, sampleRate, startTime } = chunk
+      let first = 0
+      let end = samples.length
+      if (range) {
+        first = Math.max(0, Math.round((range.start - startTime) * sampleRate))
+        end = Math.min(end, Math.round((range.end - startTime) * sampleRate) + 1)
+      }
+      if (end > first) target.append(idx, startTime + first / sampleRate, samples.subarray(first, end), sampleRate)
+    })
+  }
+  // Keep the raw samples before they are handed to the worker
+  if (buffer.unfiltered) appendChunks(buffer.unfiltered, chunks)
+
+  const transfer = chunks.filter(Boolean).map(chunk => chunk.samples.buffer)
+  if (detection) transfer.push(detection.frames.buffer)
+  return getDSPPipeline()
+    .post({ type: 'stream', streamId, channels: chunks, filterSettings, reset, zeroPhase, detection }, transfer)
+    .then(reply => {
+      appendChunks(buffer, reply.channels)
+      return reply
+    })
+}
+
+// Re-filter the EDF window [start, end] from the file into a display buffer while playback is paused
+// (review mode); with zero-phase filtering on, the window is filtered forward-backward with
+// ZERO_PHASE_PAD_SEC of the recording either side
+function refilterEDFWindow(state, channels, buffer, start, end) {
+  const filterSettings = state.settings.display.filters
+  const zeroPhase = !!filterSettings.zeroPhase
+  const pad = zeroPhase ? ZERO_PHASE_PAD_SEC : 0
+  const chunks = readEDFWindow(
+    channels,
+    start - pad,
+    end + pad,
+    state.eegState.trimmedTimeOffset || 0,
+    state.eegState.windowStartSec || 0
+  )
+  // Resuming playback starts the filters over anyway, so this window can share the EDF stream
+  return filterIntoBuffer(EDF_STREAM_ID, buffer, chunks, filterSettings, { reset: true, zeroPhase, range: { start, end } })
+}
+
 // Generate initial pre-loaded EEG data
-function generateInitialEEGData(duration = 30, sampleRate = 10) {
+function generateInitialEEGData(duration = 30, sampleRate = 10, numChannels = MOCK_CHANNEL_COUNT) {
   const numSamples = duration * sampleRate
-  const channels = Array(8).fill(null).map(() => [])
+  const channels = Array.from({ length: numChannels }, () => [])
   
   for (let i = 0; i < numSamples; i++) {
     const time = i / sampleRate
-    const samples = Array(8).fill(0).map((_, channelIndex) => {
+    const samples = Array.from({ length: numChannels }, (_, channelIndex) => {
       let signal = 0
       // Delta (0.5-4 Hz)
       signal += 5 * Math.sin(2 * Math.PI * 2 * time + channelIndex * 0.5)
@@ -45,19 +211,21 @@ function generateInitialEEGData(duration = 30, sampleRate = 10) {
 // Initial state - start with empty data for live streaming
 const initialState = {
   // EEG Data - start empty for live streaming
-  eegBuffer: Array(8).fill(null).map(() => []),
+  eegBuffer: new EEGRingBuffer(MOCK_CHANNEL_COUNT), // Display samples per channel (see utils/ringBuffer)
+  eegBufferVersion: 0, // Bumped whenever eegBuffer is written, so consumers re-read it
   currentTime: 0,
   isStreaming: false,
   
+  // Per-channel arrays follow the channels of the active source (see resizeChannelState)
   // Channel impedance values (kΩ) - updated during streaming
-  channelImpedance: Array(8).fill(null).map(() => ({
+  channelImpedance: Array.from({ length: MOCK_CHANNEL_COUNT }, () => ({
     value: Math.random() * 5 + 0.5, // Random between 0.5-5.5 kΩ
     lastUpdated: Date.now(),
     status: 'good' // 'good' | 'fair' | 'poor' | 'bad'
   })),
   
   // Bad channels - channels marked as bad/excluded
-  badChannels: Array(8).fill(false),
+  badChannels: Array(MOCK_CHANNEL_COUNT).fill(false),
   
   // Ischemia Events - start empty, will be detected during streaming
   ischemiaEvents: [],
@@ -82,8 +250,49 @@ const initialState = {
     startTime: null,
     sessionId: null,
     sessionType: 'OR',
+    baseline: null, // Per-channel band-power baseline (see utils/baseline.js)
+  },
+  
+  // Baseline recording in progress
+  baselineRecording: {
+    isRecording: false,
+    duration: 180, // seconds (2-5 minutes)
+    progress: 0, // 0-1
+    startTime: null, // Stream time of the first recorded sample
   },
   
+  // Latest current-vs-baseline percentage change per channel ({ delta, theta, alpha, beta, total } or null)
+  baselineComparison: null,
+  
+  // qEEG metrics of each detector epoch in time order: { time, channels, hemispheres, bsi, bsr } (see utils/qeeg.js)
+  qeegTrend: [],
+  
+  // Artifact segments flagged by the detector in time order: { channel, start, end, type } (see utils/artifacts.js)
+  artifacts: [],
+  
+  // Mains frequency estimate and line noise per channel (see utils/lineNoise.js), plus time (end of
+  // the analysed signal), labels (channel labels it was measured on) and dismissed (notch suggestion
+  // dismissed); null until the first LINE_NOISE_ANALYSIS_SECONDS of a stream or file are analysed
+  lineNoise: null,
+  
+  // How the displayed channels are derived from the source channels (see resolveMontage)
+  montageInfo: resolveMontage('BANANA', MOCK_SOURCE_LABELS),
+  
+  // Electrode mapping of the loaded EDF file's signal labels (see utils/electrodeLabels.js)
+  labelMapping: {
+    deviceKey: null,
+    deviceName: null,
+    entries: [], // normalizeChannelLabels result per source channel
+    needsReview: false, // Some labels are ambiguous or unknown
+    dialogOpen: false,
+  },
+  
+  // Confirmed label mappings per device type: { [deviceKey]: { name, labels: { [label]: electrode }, updatedAt } }
+  channelMappings: loadSavedMappings(),
+  
+  // Measured CSS pixels per mm of this workstation's screen, null when uncalibrated (see utils/screenCalibration.js)
+  screenCalibration: loadScreenCalibration(),
+  
   // Presets
   presets: {
     saved: [],
@@ -94,18 +303,23 @@ const initialState = {
   settings: {
     // Display Settings
     display: {
-      channelVisibility: Array(8).fill(true),
-      channelOrder: [0, 1, 2, 3, 4, 5, 6, 7],
-      montage: 'BANANA', // 'BANANA' | '10-20' | 'BIPOLAR' | 'REFERENCE'
+      channelVisibility: Array(MOCK_CHANNEL_COUNT).fill(true),
+      channelOrder: Array.from({ length: MOCK_CHANNEL_COUNT }, (_, idx) => idx),
+      montage: 'BANANA', // 'BANANA' | '10-20' | 'BIPOLAR' | 'REFERENCE' | 'AVERAGE' | 'LAPLACIAN'
       amplitudeScale: 7.0, // μV/mm
       timeScale: 60, // mm/sec (default timebase)
-      timeWindow: 5, // seconds - default window for live streaming
+      timeWindow: 5, // seconds at 30 mm/sec, derived from the page width by RawEEGPlot (see pageDuration)
       timeOffset: 0, // seconds - offset from the end of data (0 = showing most recent)
       filters: {
         highPass: 1.0, // Hz
         lowPass: 30, // Hz
-        notch: 60 // Hz
+        notch: 60, // Hz
+        order: 4, // Butterworth order of the high-/low-pass (settings without one use first-order stages)
+        notchHarmonics: 1, // Notches at the line frequency and its harmonics (1 = line frequency only)
+        zeroPhase: false, // Forward-backward filtering while reviewing a paused EDF
       },
+      rawOverlay: false, // Draw the unfiltered signal behind each filtered trace
+      lineNoiseDetection: 'suggest', // Mains frequency check: 'off' | 'suggest' (offer the notch) | 'auto' (set it)
       baselineStabilization: false,
       colorMode: 'channel', // 'channel' | 'grayscale'
     },
@@ -201,12 +415,15 @@ const initialState = {
   // EDF State
   edfData: null, // Store loaded EDF data
   edfFileInfo: null, // Store EDF file metadata
+  edfLoading: null, // { fileName, phase, progress } while an EDF file is being read
   eegState: {
     isLoaded: false,
     channels: null, // Float32Array channels from EDF
     durationSec: 0,
     startTimeSec: 0,
     trimmedTimeOffset: 0, // Time offset from trimming leading zeros (preserves original EDF time context)
+    isWindowed: false, // Long recording read from the file window by window
+    windowStartSec: 0, // Recording time of samples[0] of the channels (non-zero for windowed recordings)
   },
   playback: {
     isPlaying: false,
@@ -217,7 +434,8 @@ const initialState = {
 
 // Action types
 const ActionTypes = {
-  APPEND_EEG_SAMPLES: 'APPEND_EEG_SAMPLES',
+  SET_EEG_BUFFER: 'SET_EEG_BUFFER',
+  EEG_BUFFER_UPDATED: 'EEG_BUFFER_UPDATED',
   SET_IS_STREAMING: 'SET_IS_STREAMING',
   ADD_ISCHEMIA_EVENT: 'ADD_ISCHEMIA_EVENT',
   UPDATE_ISCHEMIA_EVENT: 'UPDATE_ISCHEMIA_EVENT',
@@ -240,12 +458,24 @@ const ActionTypes = {
   SET_MEASUREMENT: 'SET_MEASUREMENT',
   CLEAR_MEASUREMENT: 'CLEAR_MEASUREMENT',
   SET_SESSION: 'SET_SESSION',
+  SET_BASELINE: 'SET_BASELINE',
+  SET_BASELINE_RECORDING: 'SET_BASELINE_RECORDING',
+  SET_BASELINE_COMPARISON: 'SET_BASELINE_COMPARISON',
+  APPEND_QEEG_TREND: 'APPEND_QEEG_TREND',
+  APPEND_ARTIFACTS: 'APPEND_ARTIFACTS',
+  SET_LINE_NOISE: 'SET_LINE_NOISE',
+  SET_MONTAGE_INFO: 'SET_MONTAGE_INFO',
+  SET_LABEL_MAPPING: 'SET_LABEL_MAPPING',
+  SAVE_CHANNEL_MAPPING: 'SAVE_CHANNEL_MAPPING',
+  SET_SCREEN_CALIBRATION: 'SET_SCREEN_CALIBRATION',
   SAVE_PRESET: 'SAVE_PRESET',
   LOAD_PRESET: 'LOAD_PRESET',
   DELETE_PRESET: 'DELETE_PRESET',
   UPDATE_IMPEDANCE: 'UPDATE_IMPEDANCE',
   TOGGLE_BAD_CHANNEL: 'TOGGLE_BAD_CHANNEL',
   LOAD_EDF_DATA: 'LOAD_EDF_DATA',
+  SET_EDF_LOADING: 'SET_EDF_LOADING',
+  SET_EDF_WINDOW: 'SET_EDF_WINDOW',
   SET_EDF_FILE_INFO: 'SET_EDF_FILE_INFO',
   SET_EEG_STATE: 'SET_EEG_STATE',
   SET_PLAYBACK: 'SET_PLAYBACK',
@@ -255,10 +485,18 @@ const ActionTypes = {
 // Reducer
 function eegReducer(state, action) {
   switch (action.type) {
-    case ActionTypes.APPEND_EEG_SAMPLES:
+    case ActionTypes.SET_EEG_BUFFER:
       return {
         ...state,
         eegBuffer: action.payload,
+        eegBufferVersion: state.eegBufferVersion + 1,
+      }
+    
+    case ActionTypes.EEG_BUFFER_UPDATED:
+      // The buffer is written in place by the streams; this only tells consumers to re-read it
+      return {
+        ...state,
+        eegBufferVersion: state.eegBufferVersion + 1,
       }
     
     case ActionTypes.SET_IS_STREAMING:
@@ -308,8 +546,12 @@ function eegReducer(state, action) {
     case ActionTypes.RESET_EEG_BUFFER:
       return {
         ...state,
-        eegBuffer: Array(8).fill(null).map(() => []),
+        eegBuffer: createEEGBuffer(state, state.montageInfo.labels.length),
+        eegBufferVersion: state.eegBufferVersion + 1,
         currentTime: 0,
+        qeegTrend: [],
+        artifacts: [],
+        lineNoise: null,
       }
     
     case ActionTypes.SET_CURRENT_TIME:
@@ -455,6 +697,103 @@ function eegReducer(state, action) {
         },
       }
     
+    case ActionTypes.SET_BASELINE:
+      // Setting or clearing the baseline also ends any baseline recording
+      return {
+        ...state,
+        session: {
+          ...state.session,
+          baseline: action.payload,
+        },
+        baselineRecording: {
+          ...state.baselineRecording,
+          isRecording: false,
+          progress: 0,
+          startTime: null,
+        },
+        baselineComparison: null,
+      }
+    
+    case ActionTypes.SET_BASELINE_RECORDING:
+      return {
+        ...state,
+        baselineRecording: {
+          ...state.baselineRecording,
+          ...action.payload,
+        },
+      }
+    
+    case ActionTypes.SET_BASELINE_COMPARISON:
+      return {
+        ...state,
+        baselineComparison: action.payload,
+      }
+    
+    case ActionTypes.APPEND_QEEG_TREND: {
+      // Points earlier than the end of the trend (playback moved back) replace the points after them
+      const firstTime = action.payload[0].time
+      const previous = state.qeegTrend
+      const kept = previous.length > 0 && previous[previous.length - 1].time >= firstTime
+        ? previous.filter(point => point.time < firstTime)
+        : previous
+      return {
+        ...state,
+        qeegTrend: [...kept, ...action.payload].slice(-QEEG_TREND_MAX_POINTS),
+      }
+    }
+    
+    case ActionTypes.APPEND_ARTIFACTS: {
+      // Epochs earlier than the end of the segments (playback moved back) replace the segments after them
+      const firstStart = action.payload[0].start
+      const kept = state.artifacts.some(segment => segment.end > firstStart + 1e-6)
+        ? state.artifacts.filter(segment => segment.start < firstStart)
+        : state.artifacts
+      return {
+        ...state,
+        artifacts: mergeArtifactSegments(kept, action.payload),
+      }
+    }
+    
+    case ActionTypes.SET_LINE_NOISE:
+      return {
+        ...state,
+        lineNoise: action.payload,
+      }
+    
+    case ActionTypes.SET_MONTAGE_INFO:
+      return resizeChannelState({
+        ...state,
+        montageInfo: action.payload,
+      }, action.payload.labels.length)
+    
+    case ActionTypes.SET_LABEL_MAPPING:
+      return {
+        ...state,
+        labelMapping: {
+          ...state.labelMapping,
+          ...action.payload,
+        },
+      }
+    
+    case ActionTypes.SAVE_CHANNEL_MAPPING:
+      return {
+        ...state,
+        channelMappings: {
+          ...state.channelMappings,
+          [action.payload.deviceKey]: {
+            name: action.payload.deviceName,
+            labels: action.payload.labels,
+            updatedAt: new Date().toISOString(),
+          },
+        },
+      }
+    
+    case ActionTypes.SET_SCREEN_CALIBRATION:
+      return {
+        ...state,
+        screenCalibration: action.payload,
+      }
+    
     case ActionTypes.SAVE_PRESET:
       return {
         ...state,
@@ -511,6 +850,31 @@ function eegReducer(state, action) {
       return {
         ...state,
         edfData: action.payload,
+        qeegTrend: [],
+        artifacts: [],
+        lineNoise: null,
+      }
+    
+    case ActionTypes.SET_EDF_LOADING:
+      return {
+        ...state,
+        edfLoading: action.payload,
+      }
+    
+    case ActionTypes.SET_EDF_WINDOW:
+      // Next window of a windowed recording: source channels and their montage derivation
+      return {
+        ...state,
+        edfData: state.edfData && {
+          ...state.edfData,
+          channels: action.payload.sourceChannels,
+          windowStartSec: action.payload.windowStartSec,
+        },
+        eegState: {
+          ...state.eegState,
+          channels: action.payload.channels,
+          windowStartSec: action.payload.windowStartSec,
+        },
       }
     
     case ActionTypes.SET_EDF_FILE_INFO:
@@ -519,61 +883,19 @@ function eegReducer(state, action) {
         edfFileInfo: action.payload,
       }
     
-    case ActionTypes.SET_EEG_STATE:
-      // If channels are being set, update channel-related arrays to match
-      const numChannels = action.payload.channels?.length || state.eegState?.channels?.length || 8
-      const currentNumChannels = state.settings.display.channelVisibility?.length || 8
-      
-      // Only update arrays if channel count changed
-      let updatedState = {
+    case ActionTypes.SET_EEG_STATE: {
+      const updatedState = {
         ...state,
         eegState: {
           ...state.eegState,
           ...action.payload,
         },
       }
-      
-      if (numChannels !== currentNumChannels && action.payload.channels) {
-        // Resize channelVisibility array
-        const newChannelVisibility = Array(numChannels).fill(true)
-        // Preserve existing visibility for channels that still exist
-        for (let i = 0; i < Math.min(numChannels, currentNumChannels); i++) {
-          newChannelVisibility[i] = state.settings.display.channelVisibility[i] !== false
-        }
-        
-        // Resize channelImpedance array
-        const newChannelImpedance = Array(numChannels).fill(null).map((_, idx) => {
-          if (idx < currentNumChannels && state.channelImpedance[idx]) {
-            return state.channelImpedance[idx]
-          }
-          return {
-            value: null,
-            lastUpdated: null,
-            status: 'unknown'
-          }
-        })
-        
-        // Resize badChannels array
-        const newBadChannels = Array(numChannels).fill(false)
-        for (let i = 0; i < Math.min(numChannels, currentNumChannels); i++) {
-          newBadChannels[i] = state.badChannels[i] || false
-        }
-        
-        updatedState = {
-          ...updatedState,
-          settings: {
-            ...updatedState.settings,
-            display: {
-              ...updatedState.settings.display,
-              channelVisibility: newChannelVisibility,
-            },
-          },
-          channelImpedance: newChannelImpedance,
-          badChannels: newBadChannels,
-        }
-      }
-      
-      return updatedState
+      // Channel-related arrays follow the channels being set
+      return action.payload.channels
+        ? resizeChannelState(updatedState, action.payload.channels.length)
+        : updatedState
+    }
     
     case ActionTypes.SET_PLAYBACK:
       return {
@@ -585,38 +907,37 @@ function eegReducer(state, action) {
       }
     
     case ActionTypes.RESET_TO_LIVE_MODE:
-      // Reset to default 8 channels for live mode
+      // Back to the channels of the mock device
       return {
         ...state,
         edfData: null,
         edfFileInfo: null,
-        eegState: {
-          isLoaded: false,
-          channels: null,
-          durationSec: 0,
-          startTimeSec: 0,
-          trimmedTimeOffset: 0,
-        },
+        labelMapping: initialState.labelMapping,
+        eegState: initialState.eegState,
         playback: {
           isPlaying: false,
           playbackTimeSec: 0,
           playbackSpeed: 1.0,
         },
-        eegBuffer: Array(8).fill(null).map(() => []),
+        eegBuffer: createEEGBuffer(state, MOCK_CHANNEL_COUNT),
+        eegBufferVersion: state.eegBufferVersion + 1,
         currentTime: 0,
         isStreaming: false,
-        // Reset channel arrays to default 8 channels
-        channelImpedance: Array(8).fill(null).map(() => ({
+        qeegTrend: [],
+        artifacts: [],
+        lineNoise: null,
+        channelImpedance: Array.from({ length: MOCK_CHANNEL_COUNT }, () => ({
           value: null,
           lastUpdated: null,
           status: 'unknown'
         })),
-        badChannels: Array(8).fill(false),
+        badChannels: Array(MOCK_CHANNEL_COUNT).fill(false),
         settings: {
           ...state.settings,
           display: {
             ...state.settings.display,
-            channelVisibility: Array(8).fill(true),
+            channelVisibility: Array(MOCK_CHANNEL_COUNT).fill(true),
+            channelOrder: Array.from({ length: MOCK_CHANNEL_COUNT }, (_, idx) => idx),
           },
         },
       }
@@ -630,9 +951,14 @@ function eegReducer(state, action) {
 export function EEGProvider({ children }) {
   const [state, dispatch] = useReducer(eegReducer, initialState)
   const streamIntervalRef = useRef(null)
-  const detectionIntervalRef = useRef(null)
-  const lastAlertTimeRef = useRef({})
+  // Pending baseline recording: { durationSec, recorder }
+  const baselineRecorderRef = useRef(null)
   const stateRef = useRef(state)
+  // Artifact annotations being extended, per artifact type (see publishArtifacts)
+  const artifactLogRef = useRef({ loggedUntil: -Infinity, episodes: {} })
+  // Line-noise analysis in flight; replaced for every new file or live session so that results for
+  // the previous one are dropped
+  const lineNoiseRef = useRef({ pending: false })
   
   // Log initial amplitudeScale value for debugging
   useEffect(() => {
@@ -645,37 +971,246 @@ export function EEGProvider({ children }) {
     stateRef.current = state
   }, [state])
   
+  // Keep confirmed channel mappings across sessions
+  useEffect(() => {
+    storeSavedMappings(state.channelMappings)
+  }, [state.channelMappings])
+
+  // Keep the screen calibration for this workstation
+  useEffect(() => {
+    storeScreenCalibration(state.screenCalibration)
+  }, [state.screenCalibration])
+
+  // Resize the display buffer when the buffer size setting changes
+  useEffect(() => {
+    const buffer = stateRef.current.eegBuffer
+    if (buffer.capacitySec === state.settings.system.bufferSize) return
+    buffer.setCapacity(state.settings.system.bufferSize)
+    buffer.unfiltered?.setCapacity(state.settings.system.bufferSize)
+    dispatch({ type: ActionTypes.EEG_BUFFER_UPDATED })
+  }, [state.settings.system.bufferSize])
+
   // Note: amplitudeScale defaults to 7.0 in initialState
   // Users can change it to any value (2.5, 5.0, 7.0, 10.0, 20.0) via the dropdown
 
   // Actions
-  const appendEEGSamples = useCallback((samples, timestamp) => {
-    const currentState = stateRef.current
-    const newBuffer = currentState.eegBuffer.map((channelData, index) => {
-      const newPoint = { x: timestamp, y: samples[index] }
-      const updated = [...(channelData || []), newPoint]
-      // Don't trim buffer - keep all data so user can navigate through entire recording
-      // Chart.js will handle rendering only the visible range
-      return updated
+  const appendEEGSamples = useCallback((samples, timestamp, sampleRate = 250) => {
+    const buffer = stateRef.current.eegBuffer
+    // Keep the last settings.system.bufferSize seconds so the user can navigate back through them
+    // The views only read the visible range
+    samples.forEach((value, index) => {
+      if (index < buffer.numChannels) buffer.push(index, timestamp, value, sampleRate)
     })
     
     // Debug: log first few samples
-    if (newBuffer[0] && newBuffer[0].length <= 10) {
+    if (buffer.length(0) > 0 && buffer.length(0) <= 10) {
       console.log('Appending samples:', {
         timestamp: timestamp.toFixed(3),
-        sampleCount: newBuffer[0].length,
-        firstPoint: newBuffer[0][0],
-        lastPoint: newBuffer[0][newBuffer[0].length - 1],
+        sampleCount: buffer.length(0),
+        firstPoint: { x: buffer.timeAt(0, 0), y: buffer.valueAt(0, 0) },
+        lastPoint: buffer.lastPoint(0),
         sampleValues: samples.slice(0, 3)
       })
     }
     
-    dispatch({ type: ActionTypes.APPEND_EEG_SAMPLES, payload: newBuffer })
+    dispatch({ type: ActionTypes.EEG_BUFFER_UPDATED })
     dispatch({ type: ActionTypes.SET_CURRENT_TIME, payload: timestamp })
   }, [])
 
 
 
+  // Apply event transitions reported by an IschemiaDetector to the store
+  const applyDetectionTransitions = useCallback((transitions) => {
+    transitions.forEach(transition => {
+      if (transition.type === 'start') {
+        const newEvent = transition.event
+        console.log('🩺 Ischemia START detected at', newEvent.startTime.toFixed(2), 'seconds', newEvent.detectionCriteria)
+        dispatch({ type: ActionTypes.ADD_ISCHEMIA_EVENT, payload: newEvent })
+        
+        // Trigger alert notification
+        if (stateRef.current.settings.alerts.onScreenNotifications) {
+          window.dispatchEvent(new CustomEvent('ischemia-alert', {
+            detail: newEvent,
+          }))
+        }
+      } else if (transition.type === 'end') {
+        console.log('✅ Ischemia STOP detected at', transition.updates.endTime.toFixed(2), 'seconds')
+        dispatch({ type: ActionTypes.UPDATE_ISCHEMIA_EVENT, payload: { id: transition.id, updates: transition.updates } })
+      }
+    })
+  }, [])
+
+  // Feed one raw multi-channel sample to a pending baseline recording
+  const feedBaselineRecorder = useCallback((samples, time, sampleRate) => {
+    const pending = baselineRecorderRef.current
+    if (!pending) return
+    
+    // (Re)start the recorder if the channel layout changed mid-recording
+    if (!pending.recorder || pending.recorder.numChannels !== samples.length || pending.recorder.sampleRate !== sampleRate) {
+      pending.recorder = new BaselineRecorder(samples.length, sampleRate, pending.durationSec)
+    }
+    
+    const recorder = pending.recorder
+    const previousSecond = Math.floor(recorder.count / sampleRate)
+    const isComplete = recorder.addSample(samples, time)
+    
+    if (isComplete) {
+      baselineRecorderRef.current = null
+      // Defer the spectral summary so it does not stall the current stream tick
+      setTimeout(() => {
+        const { montageInfo, settings } = stateRef.current
+        const labels = Array.from({ length: recorder.numChannels }, (_, idx) =>
+          montageInfo?.labels?.[idx] || getChannelLabel(settings.display.montage, idx)
+        )
+        const baseline = recorder.finalize(labels)
+        console.log(`[Baseline] Established from ${baseline.startTime.toFixed(2)}s to ${baseline.endTime.toFixed(2)}s`, baseline.channels.map(ch => ch.bandPowers))
+        dispatch({ type: ActionTypes.SET_BASELINE, payload: baseline })
+      }, 0)
+    } else if (Math.floor(recorder.count / sampleRate) !== previousSecond) {
+      dispatch({
+        type: ActionTypes.SET_BASELINE_RECORDING,
+        payload: { progress: recorder.progress, startTime: recorder.startTime },
+      })
+    }
+  }, [])
+
+  // Publish the latest epoch analysis (per-channel change vs. the session baseline) of a detector
+  const publishBaselineComparison = useCallback((analysis) => {
+    if (!analysis || !getApplicableBaseline(stateRef.current)) return
+    dispatch({
+      type: ActionTypes.SET_BASELINE_COMPARISON,
+      payload: {
+        time: analysis.time,
+        channels: analysis.channels.map(ch => ch.baselineChange),
+      },
+    })
+  }, [])
+
+  // Append the qEEG metrics of the epochs a detector completed to the trend
+  const publishQEEG = useCallback((points) => {
+    if (!points?.length) return
+    dispatch({ type: ActionTypes.APPEND_QEEG_TREND, payload: points })
+  }, [])
+
+  // Add the artifact epochs a detector flagged to the artifact segments and log them as artifact
+  // annotations: one per stretch of an artifact type, extended while the artifact continues
+  const publishArtifacts = useCallback((epochs) => {
+    if (!epochs?.length) return
+    dispatch({ type: ActionTypes.APPEND_ARTIFACTS, payload: epochs })
+
+    const log = artifactLogRef.current
+    const labels = stateRef.current.montageInfo?.labels || []
+    const touched = new Set()
+    epochs.forEach(epoch => {
+      // Stretches replayed after playback moved back were logged already
+      if (epoch.end <= log.loggedUntil) return
+      let episode = log.episodes[epoch.type]
+      if (!episode || epoch.start - episode.end > ARTIFACT_EPOCH_SECONDS / 10 || epoch.start < episode.start) {
+        episode = { id: null, start: epoch.start, end: epoch.end, channels: new Set() }
+        log.episodes[epoch.type] = episode
+      }
+      episode.end = Math.max(episode.end, epoch.end)
+      episode.channels.add(epoch.channel)
+      touched.add(epoch.type)
+    })
+    log.loggedUntil = Math.max(log.loggedUntil, ...epochs.map(epoch => epoch.end))
+
+    touched.forEach(type => {
+      const episode = log.episodes[type]
+      const channelIds = Array.from(episode.channels).sort((a, b) => a - b)
+      const fields = {
+        duration: episode.end - episode.start,
+        text: `${ARTIFACT_TYPES[type]} (${channelIds.map(ch => labels[ch] || `Ch${ch + 1}`).join(', ')})`,
+        channelIds,
+      }
+      if (episode.id !== null) {
+        dispatch({ type: ActionTypes.UPDATE_ANNOTATION, payload: { id: episode.id, updates: fields } })
+        return
+      }
+      episode.id = Date.now() + Math.random()
+      dispatch({
+        type: ActionTypes.ADD_ANNOTATION,
+        payload: {
+          id: episode.id,
+          timestamp: episode.start,
+          type: 'artifact',
+          source: 'detector',
+          createdAt: new Date().toISOString(),
+          ...fields,
+        },
+      })
+    })
+  }, [])
+
+  const updateSettings = useCallback((category, updates) => {
+    console.log('[EEGContext] updateSettings called:', { category, updates })
+    dispatch({
+      type: ActionTypes.UPDATE_SETTINGS,
+      payload: { category, updates },
+    })
+  }, [])
+
+  // Publish a line-noise estimate of the signal up to `time`, measured on channels `labels`; the first
+  // one of a file or live session sets the notch when settings.display.lineNoiseDetection is 'auto'
+  const publishLineNoise = useCallback((estimate, time, labels) => {
+    const latestState = stateRef.current
+    const previous = latestState.lineNoise
+    console.log('[LineNoise] Estimate:', {
+      frequency: estimate.frequency,
+      harmonics: estimate.harmonics,
+      channelsDetected: estimate.channelsDetected,
+      time,
+    })
+    dispatch({
+      type: ActionTypes.SET_LINE_NOISE,
+      payload: { ...estimate, time, labels: labels || [], dismissed: previous?.dismissed || false },
+    })
+    if (previous || latestState.settings.display.lineNoiseDetection !== 'auto') return
+    const { filters } = latestState.settings.display
+    const notch = suggestedNotch(estimate, filters)
+    if (notch) {
+      console.log('[LineNoise] Setting the notch for the detected mains frequency:', notch)
+      updateSettings('display', { filters: { ...filters, ...notch } })
+    }
+  }, [updateSettings])
+
+  // Measure the line noise of raw channels ({ samples, sampleRate } or null) in the DSP worker
+  const requestLineNoise = useCallback((channels, time, labels) => {
+    const tracker = lineNoiseRef.current
+    tracker.pending = true
+    getDSPPipeline()
+      .post({ type: 'lineNoise', channels })
+      .then(reply => {
+        if (lineNoiseRef.current === tracker) publishLineNoise(reply.lineNoise, time, labels)
+      })
+      .catch(error => console.error('[LineNoise] Analysis failed:', error))
+      .finally(() => {
+        tracker.pending = false
+      })
+  }, [publishLineNoise])
+
+  // Measure the line noise of the latest raw samples in a display buffer once it holds
+  // LINE_NOISE_ANALYSIS_SECONDS, again every LINE_NOISE_REFRESH_SECONDS and after montage changes
+  const checkLineNoise = useCallback((buffer) => {
+    const latestState = stateRef.current
+    const raw = buffer?.unfiltered
+    if (!raw || lineNoiseRef.current.pending || latestState.settings.display.lineNoiseDetection === 'off') return
+    const { start, end } = raw.timeRange()
+    if (end - start < LINE_NOISE_ANALYSIS_SECONDS) return
+    const labels = latestState.montageInfo?.labels || []
+    const previous = latestState.lineNoise
+    if (previous && Math.abs(end - previous.time) < LINE_NOISE_REFRESH_SECONDS &&
+        previous.labels.join('|') === labels.join('|')) return
+    const channels = Array.from({ length: raw.numChannels }, (_, ch) => {
+      const rate = raw.sampleRate(ch)
+      if (!rate) return null
+      const samples = new Float32Array(Math.round(LINE_NOISE_ANALYSIS_SECONDS * rate))
+      const count = raw.readLatest(ch, LINE_NOISE_ANALYSIS_SECONDS, samples)
+      return count > 0 ? { samples: samples.subarray(0, count), sampleRate: rate } : null
+    })
+    requestLineNoise(channels, end, labels)
+  }, [requestLineNoise])
+
   const startMockStream = useCallback(() => {
     if (streamIntervalRef.current) {
       console.log('Stream already running')
@@ -695,20 +1230,23 @@ export function EEGProvider({ children }) {
     const actualSampleRate = samplesPerUpdate * refreshRate // Effective sample rate
     const timeIncrement = 1 / actualSampleRate // Time increment per sample
     
-    // Initialize filter states for each channel
-    const mockFilterStates = {}
-    for (let i = 0; i < 8; i++) {
-      mockFilterStates[i] = new FilterState()
+    // Derive the selected montage from the simulated source channels
+    let mockMontage = resolveMontage(currentState.settings.display.montage, MOCK_SOURCE_LABELS)
+    dispatch({ type: ActionTypes.SET_MONTAGE_INFO, payload: mockMontage })
+    
+    // Filtering and signal-driven ischemia detection (on the raw, pre-display-filter samples) run in
+    // the DSP worker; its filter and detector state start over with the stream and on montage changes
+    let resetStream = true
+    
+    // Simulated ischemia episodes - these only shape the generated signal;
+    // events are raised by the detector from what it measures
+    let simulatedEpisode = {
+      startTime: time + 30, // Leave time for the detector reference to build up
+      endTime: time + 30 + SIMULATED_EPISODE_DURATION,
+      isSevere: true,
+      primaryChannels: [0, 1, 4, 5], // Most affected channels (anterior and posterior)
     }
     
-    // Track last filter settings to detect changes
-    let lastMockFilterSettings = JSON.stringify(currentState.settings.display.filters)
-    
-    // Mock ischemia event scheduling
-    let nextIschemiaStart = 15 // Start first ischemia at 15 seconds
-    let nextIschemiaEnd = null
-    let ischemiaDuration = 5 // 5 seconds duration
-    
     console.log('Stream config:', { 
       refreshRate, 
       interval, 
@@ -717,147 +1255,70 @@ export function EEGProvider({ children }) {
       actualSampleRate,
       startTime: time 
     })
-    console.log('Mock ischemia will start at:', nextIschemiaStart, 'seconds')
+    console.log('Simulated ischemia episode will start at:', simulatedEpisode.startTime.toFixed(2), 'seconds')
     
     streamIntervalRef.current = setInterval(() => {
       const latestState = stateRef.current
       
       // Generate multiple samples per update for realistic sample rate
-      const samplesToAdd = []
+      const rawFrames = []
       
       for (let sampleIdx = 0; sampleIdx < samplesPerUpdate; sampleIdx++) {
         const sampleTime = time + (sampleIdx * timeIncrement)
         
-        // Check if we should start a new ischemia event (check once per update, not per sample)
-        if (sampleIdx === 0 && sampleTime >= nextIschemiaStart && !nextIschemiaEnd) {
-        console.log('🩺 Mock ischemia START detected at', time.toFixed(2), 'seconds')
-        
-        // Realistic ischemia detection criteria based on actual signal changes
-        // The signal generator creates:
-        // - Delta increase: 3 → 8-20 (2.7x to 6.7x increase)
-        // - Alpha decrease: 6-8 → 0.5-2 (75-90% decrease)
-        // - Beta decrease: 4 → 0.2-1.2 (70-95% decrease)
-        // - Overall power: decreases due to alpha/beta loss
-        
-        const affectedChannels = [0, 1, 2, 3, 4, 5, 6, 7] // All channels for mock
-        const primaryChannels = [0, 1, 4, 5] // Most affected channels (anterior and posterior)
-        
-        // Calculate realistic detection criteria based on clinical research
-        // Kamitaki et al. found: Alpha 52.1% decrease, Beta 41.6% decrease, Theta 36.4% decrease
-        // Visser et al.: Severe ischemia shows alpha/beta reduction + delta/theta increase
-        
-        // Relative power drop: primarily from alpha (52.1%) and beta (41.6%) decreases
-        // Normal: alpha ~8, beta ~4 = 12 total
-        // Ischemia: alpha ~3.8 (52.1% drop), beta ~2.3 (41.6% drop) = 6.1 total
-        // Drop = (12 - 6.1) / 12 = 49.2% (more realistic per research)
-        const relativePowerDrop = 0.45 + Math.random() * 0.15 // 45-60% drop (matches research)
-        
-        // Alpha/Delta ratio (ADR): key qEEG parameter per research
-        // Normal: alpha ~8, delta ~3, ADR = 8/3 = 2.67
-        // Ischemia: alpha ~3.8 (52.1% drop), delta ~15 (severe) or ~3 (mild), ADR = 0.25 (severe) or 1.27 (mild)
-        // For severe ischemia: 0.25 / 2.67 = 0.094 (90.6% decrease)
-        const alphaDeltaRatio = 0.08 + Math.random() * 0.12 // 0.08-0.20 (matches severe ischemia)
-        
-        // Slow wave (delta) increase: only in severe ischemia
-        // Normal delta: ~3, Severe ischemia delta: ~15
-        // Increase: (15 - 3) / 3 = 400% = 4x increase
-        const slowWaveIncrease = 3.0 + Math.random() * 2.0 // 300-500% increase (severe ischemia)
-        
-        // Confidence based on severity of changes
-        const baseConfidence = 0.80 + (relativePowerDrop - 0.70) * 0.5 // Higher drop = higher confidence
-        const confidence = Math.min(0.95, Math.max(0.70, baseConfidence + (Math.random() - 0.5) * 0.1))
-        const severity = confidence > 0.90 ? 'critical' : confidence > 0.80 ? 'warning' : 'info'
-        
-        const newEvent = {
-          id: Date.now() + Math.random(),
-          startTime: time,
-          endTime: null,
-          confidence: confidence,
-          severity: severity,
-          channelIds: affectedChannels,
-          primaryChannels: primaryChannels, // Most affected channels
-          detectionCriteria: {
-            relativePowerDrop: relativePowerDrop,
-            alphaDeltaRatio: alphaDeltaRatio,
-            slowWaveIncrease: slowWaveIncrease,
-            affectedChannels: affectedChannels.length,
-            primaryChannels: primaryChannels.length,
-          },
-          acknowledged: false,
-        }
-        dispatch({ type: ActionTypes.ADD_ISCHEMIA_EVENT, payload: newEvent })
-        
-        // Trigger alert notification
-        if (latestState.settings.alerts.onScreenNotifications) {
-          window.dispatchEvent(new CustomEvent('ischemia-alert', {
-            detail: newEvent,
-          }))
-        }
-        
-          nextIschemiaEnd = sampleTime + ischemiaDuration
-        }
-        
-        // Check if we should end the current ischemia event (check once per update)
-        if (sampleIdx === 0 && nextIschemiaEnd && sampleTime >= nextIschemiaEnd) {
-        const activeEvents = latestState.ischemiaEvents.filter(e => !e.endTime)
-        if (activeEvents.length > 0) {
-          const eventToEnd = activeEvents[activeEvents.length - 1]
-          console.log('✅ Mock ischemia STOP detected at', sampleTime.toFixed(2), 'seconds')
-          dispatch({ type: ActionTypes.UPDATE_ISCHEMIA_EVENT, payload: { id: eventToEnd.id, updates: { endTime: sampleTime } } })
-        }
-          nextIschemiaEnd = null
-          // Schedule next ischemia event 20 seconds after this one ends
-          nextIschemiaStart = sampleTime + 20
-          console.log('Next mock ischemia will start at:', nextIschemiaStart.toFixed(2), 'seconds')
+        // Schedule the next simulated episode once the current one has passed
+        if (sampleTime >= simulatedEpisode.endTime) {
+          const nextStart = simulatedEpisode.endTime + SIMULATED_EPISODE_INTERVAL
+          simulatedEpisode = {
+            ...simulatedEpisode,
+            startTime: nextStart,
+            endTime: nextStart + SIMULATED_EPISODE_DURATION,
+            isSevere: !simulatedEpisode.isSevere,
+          }
+          console.log('Next simulated ischemia episode will start at:', nextStart.toFixed(2), 'seconds')
         }
         
-        // Get filter settings from current state (check once per update)
+        // Re-derive channels if the montage changed; the new channels need fresh filter and detector state
         if (sampleIdx === 0) {
-          const filterSettings = latestState.settings.display.filters || {
-            highPass: 1.0,
-            lowPass: 30,
-            notch: 60
-          }
-          
-          // Reset filter states if filter settings changed
-          const currentMockFilterSettings = JSON.stringify(filterSettings)
-          if (currentMockFilterSettings !== lastMockFilterSettings) {
-            console.log('[startMockStream] Filter settings changed, resetting filter states')
-            Object.values(mockFilterStates).forEach(state => state.reset())
-            lastMockFilterSettings = currentMockFilterSettings
+          const montage = latestState.settings.display.montage
+          if (montage !== mockMontage.montage) {
+            console.log('[startMockStream] Montage changed to', montage)
+            mockMontage = resolveMontage(montage, MOCK_SOURCE_LABELS)
+            dispatch({ type: ActionTypes.SET_MONTAGE_INFO, payload: mockMontage })
+            resetStream = true
           }
         }
         
         // Generate realistic mock EEG samples with proper frequency characteristics
-        const samples = Array(8).fill(0).map((_, i) => {
+        const sourceSamples = MOCK_SOURCE_LABELS.map((_, i) => {
           const t = sampleTime
         let signal = 0
         
-        // Check if we're in an active ischemia event
-        const activeEvent = latestState.ischemiaEvents.find(
-          e => !e.endTime && sampleTime >= e.startTime
-        )
+        // Check if we're inside a simulated ischemia episode
+        const activeEpisode = sampleTime >= simulatedEpisode.startTime && sampleTime < simulatedEpisode.endTime
+          ? simulatedEpisode
+          : null
         
         // Channel-specific characteristics (simulate different brain regions)
         const channelPhase = i * 0.3 // Phase offset per channel
         const channelVariation = 0.8 + (i % 3) * 0.1 // Slight amplitude variation
         
-        if (activeEvent) {
+        if (activeEpisode) {
           // ISCHEMIA PATTERN: Based on clinical research (Visser et al., Kamitaki et al.)
           // Severe ischemia: reduction in alpha/beta, increase in delta/theta
           // Mild ischemia: only reduction in alpha
           // Power decreases: Alpha 52.1%, Beta 41.6%, Theta 36.4% (but increases in severe)
           
           // Time since ischemia started (for gradual changes)
-          const ischemiaTime = sampleTime - activeEvent.startTime
+          const ischemiaTime = sampleTime - activeEpisode.startTime
           const ischemiaProgress = Math.min(1.0, ischemiaTime / 2.0) // Gradual onset over 2 seconds
           
           // Primary affected channels show stronger changes
-          const isPrimaryChannel = activeEvent.primaryChannels?.includes(i) || false
+          const isPrimaryChannel = activeEpisode.primaryChannels.includes(i)
           const severityFactor = isPrimaryChannel ? 1.0 : 0.6
           
           // Determine severity: severe shows delta/theta increase, mild only alpha decrease
-          const isSevereIschemia = activeEvent.severity === 'critical' || activeEvent.severity === 'warning'
+          const isSevereIschemia = activeEpisode.isSevere
           
           // DELTA (0-4 Hz): INCREASED during severe ischemia (per Visser et al.)
           // Multiple delta components for realism
@@ -966,34 +1427,70 @@ export function EEGProvider({ children }) {
           }
         }
         
-          // Apply digital filters based on current settings
-          const filterState = mockFilterStates[i]
-          const filterSettings = latestState.settings.display.filters || {
-            highPass: 1.0,
-            lowPass: 30,
-            notch: 60
-          }
-          signal = filterState.applyFilters(signal, filterSettings, actualSampleRate)
+          // Mains interference
+          signal += MOCK_LINE_NOISE_UV[i] * Math.sin(2 * Math.PI * MOCK_LINE_FREQUENCY * t + channelPhase)
           
           return signal
         })
         
-        samplesToAdd.push({ samples, time: sampleTime })
+        // Montage derivations of the raw samples
+        const rawSamples = applyMontage(sourceSamples, mockMontage)
+        rawFrames.push(rawSamples)
+        feedBaselineRecorder(rawSamples, sampleTime, actualSampleRate)
       }
       
+      // One chunk per channel for the display filters, plus the same raw samples for detection
+      const updateStartTime = time
+      const numChannels = rawFrames[0].length
+      const count = rawFrames.length
+      const frames = new Float32Array(numChannels * count)
+      const chunks = Array.from({ length: numChannels }, (_, ch) => {
+        const samples = new Float32Array(count)
+        rawFrames.forEach((rawSamples, i) => {
+          samples[i] = rawSamples[ch]
+          frames[ch * count + i] = rawSamples[ch]
+        })
+        return { samples, sampleRate: actualSampleRate, startTime: updateStartTime }
+      })
+      const filterSettings = latestState.settings.display.filters || {
+        highPass: 1.0,
+        lowPass: 30,
+        notch: 60
+      }
+      filterIntoBuffer(MOCK_STREAM_ID, latestState.eegBuffer, chunks, filterSettings, {
+        reset: resetStream,
+        detection: {
+          frames,
+          numChannels,
+          count,
+          sampleRate: actualSampleRate,
+          startTime: updateStartTime,
+          settings: latestState.settings.detection,
+          baseline: getApplicableBaseline(latestState),
+          labels: latestState.montageInfo?.labels,
+          artifactSuppression: latestState.settings.patient.artifactSuppression,
+          reset: resetStream,
+        },
+      }).then(reply => {
+        if (!streamIntervalRef.current) return
+        dispatch({ type: ActionTypes.EEG_BUFFER_UPDATED })
+        applyDetectionTransitions(reply.transitions)
+        publishBaselineComparison(reply.analysis)
+        publishQEEG(reply.qeeg)
+        publishArtifacts(reply.artifacts)
+        checkLineNoise(latestState.eegBuffer)
+      }).catch(error => console.error('[startMockStream] DSP processing failed:', error))
+      resetStream = false
+      
       // Update time for next interval
       time += (samplesPerUpdate * timeIncrement)
-      
-      // Add all samples from this update
-      samplesToAdd.forEach(({ samples, time: sampleTime }) => {
-        appendEEGSamples(samples, sampleTime)
-      })
+      const lastSampleTime = updateStartTime + (count - 1) * timeIncrement
+      dispatch({ type: ActionTypes.SET_CURRENT_TIME, payload: lastSampleTime })
       
       // Log every second for debugging
-      const lastSampleTime = samplesToAdd[samplesToAdd.length - 1]?.time || time
       if (Math.floor(lastSampleTime) !== Math.floor(lastSampleTime - (samplesPerUpdate * timeIncrement))) {
         const activeEvents = latestState.ischemiaEvents.filter(e => !e.endTime)
-        console.log('Streaming at time:', lastSampleTime.toFixed(2), 's, buffer size:', latestState.eegBuffer[0]?.length || 0, 
+        console.log('Streaming at time:', lastSampleTime.toFixed(2), 's, buffer size:', latestState.eegBuffer.length(0), 
                    activeEvents.length > 0 ? `[ISCHEMIA ACTIVE]` : '', 
                    `(${actualSampleRate.toFixed(0)} Hz effective sample rate)`)
       }
@@ -1007,7 +1504,7 @@ export function EEGProvider({ children }) {
       samplesPerUpdate,
       actualSampleRate: actualSampleRate.toFixed(0) + 'Hz'
     })
-  }, [appendEEGSamples, dispatch])
+  }, [applyDetectionTransitions, publishBaselineComparison, publishQEEG, publishArtifacts, checkLineNoise, feedBaselineRecorder, dispatch])
 
   const stopMockStream = useCallback(() => {
     if (streamIntervalRef.current) {
@@ -1019,7 +1516,7 @@ export function EEGProvider({ children }) {
 
   const addIschemiaEvent = useCallback((event) => {
     const confidence = event.confidence || 0.8
-    const severity = confidence > 0.85 ? 'critical' : confidence > 0.75 ? 'warning' : 'info'
+    const severity = severityFromConfidence(confidence)
     const newEvent = {
       id: Date.now() + Math.random(),
       startTime: event.startTime,
@@ -1041,12 +1538,19 @@ export function EEGProvider({ children }) {
     })
   }, [])
 
-  const updateSettings = useCallback((category, updates) => {
-    console.log('[EEGContext] updateSettings called:', { category, updates })
-    dispatch({
-      type: ActionTypes.UPDATE_SETTINGS,
-      payload: { category, updates },
-    })
+  // Set the notch the line-noise estimate calls for
+  const applyLineNoiseNotch = useCallback(() => {
+    const { lineNoise, settings } = stateRef.current
+    const notch = suggestedNotch(lineNoise, settings.display.filters)
+    if (!notch) return
+    console.log('[LineNoise] Applying the suggested notch:', notch)
+    updateSettings('display', { filters: { ...settings.display.filters, ...notch } })
+  }, [updateSettings])
+
+  const dismissLineNoiseSuggestion = useCallback(() => {
+    const { lineNoise } = stateRef.current
+    if (!lineNoise) return
+    dispatch({ type: ActionTypes.SET_LINE_NOISE, payload: { ...lineNoise, dismissed: true } })
   }, [])
 
   const toggleSettingsPanel = useCallback(() => {
@@ -1104,6 +1608,13 @@ export function EEGProvider({ children }) {
     dispatch({ type: ActionTypes.DELETE_ANNOTATION, payload: id })
   }, [])
 
+  // Remove annotations that were read from a loaded EDF+ file
+  const clearEDFAnnotations = useCallback(() => {
+    stateRef.current.annotations
+      .filter(ann => ann.source === 'edf')
+      .forEach(ann => dispatch({ type: ActionTypes.DELETE_ANNOTATION, payload: ann.id }))
+  }, [])
+
   const acknowledgeAlert = useCallback((alertId) => {
     dispatch({ type: ActionTypes.ACKNOWLEDGE_ALERT, payload: alertId })
     // Also update the ischemia event if it exists
@@ -1129,6 +1640,39 @@ export function EEGProvider({ children }) {
     dispatch({ type: ActionTypes.SET_SESSION, payload: session })
   }, [])
 
+  const setBaselineDuration = useCallback((durationSec) => {
+    dispatch({
+      type: ActionTypes.SET_BASELINE_RECORDING,
+      payload: { duration: clampBaselineDuration(durationSec) },
+    })
+  }, [])
+
+  // Record the next durationSec seconds of the stream as the session baseline
+  const startBaselineRecording = useCallback((durationSec) => {
+    const duration = clampBaselineDuration(durationSec)
+    console.log(`[Baseline] Recording ${duration}s baseline...`)
+    baselineRecorderRef.current = { durationSec: duration, recorder: null }
+    dispatch({
+      type: ActionTypes.SET_BASELINE_RECORDING,
+      payload: { isRecording: true, duration, progress: 0, startTime: null },
+    })
+  }, [])
+
+  const cancelBaselineRecording = useCallback(() => {
+    console.log('[Baseline] Recording cancelled')
+    baselineRecorderRef.current = null
+    dispatch({
+      type: ActionTypes.SET_BASELINE_RECORDING,
+      payload: { isRecording: false, progress: 0, startTime: null },
+    })
+  }, [])
+
+  const resetBaseline = useCallback(() => {
+    console.log('[Baseline] Baseline reset')
+    baselineRecorderRef.current = null
+    dispatch({ type: ActionTypes.SET_BASELINE, payload: null })
+  }, [])
+
   const savePreset = useCallback((preset) => {
     const newPreset = {
       id: Date.now() + Math.random(),
@@ -1175,16 +1719,62 @@ export function EEGProvider({ children }) {
   const edfStreamIntervalRef = useRef(null)
   // Track when the user has manually paused/stopped to prevent auto-restart
   const edfUserPausedRef = useRef(false)
+  // Identifies the live detector for EDF playback, which the DSP worker keeps across pause/resume;
+  // null when the next playback needs a fresh one
+  const edfDetectorRef = useRef(null)
+  // Set once the whole loaded file has been analysed; playback detection is then skipped to avoid duplicates
+  const edfRecordingAnalyzedRef = useRef(false)
+  // Open file of a recording too long to hold in memory; its samples are read window by window
+  const edfSourceRef = useRef(null)
+  // In-flight window read, shared by callers asking for the same data
+  const edfWindowRequestRef = useRef(null)
+  // Time range of the last window handed to the reducer ({ startSec, endSec } in file seconds)
+  const edfLoadedWindowRef = useRef(null)
+  // Cancels the file load in progress
+  const edfLoadControllerRef = useRef(null)
 
   const loadEDFFile = useCallback(async (file) => {
+    // A new load replaces one still in progress
+    if (edfLoadControllerRef.current) {
+      edfLoadControllerRef.current.abort()
+    }
+    const controller = new AbortController()
+    edfLoadControllerRef.current = controller
+    const reportProgress = (phase) => (progress) => {
+      dispatch({ type: ActionTypes.SET_EDF_LOADING, payload: { fileName: file.name, phase, progress } })
+    }
+    
     try {
       console.log('[loadEDFFile] Starting to load file:', file.name, 'Size:', file.size)
+      reportProgress('Reading header')(0)
       
       // Import EDF reader dynamically
-      const { readEDFFile, parseEDFPatientInfo } = await import('../utils/edfReader')
+      const { readEDFFile, EDFFileSource, parseEDFPatientInfo, parseAnnotationText } = await import('../utils/edfReader')
       
-      // Read EDF file
-      const edfData = await readEDFFile(file)
+      // Recordings whose samples would not fit the memory budget stay on disk and are read in windows
+      const source = await EDFFileSource.open(file)
+      let edfData
+      if (source.decodedBytes > EDF_IN_MEMORY_LIMIT_BYTES) {
+        console.log(`[loadEDFFile] Recording needs ${(source.decodedBytes / 1024 / 1024).toFixed(0)} MB decoded; reading it in windows`)
+        const annotations = await source.readAnnotations({ onProgress: reportProgress('Reading annotations'), signal: controller.signal })
+        const firstWindow = await source.readWindow(0, EDF_WINDOW_AHEAD_SEC, { onProgress: reportProgress('Reading first window'), signal: controller.signal })
+        edfData = {
+          header: source.header,
+          channels: firstWindow.channels,
+          annotations,
+          durationSec: source.durationSec,
+          startTimeSec: 0,
+          isWindowed: true,
+          windowStartSec: firstWindow.startSec
+        }
+        edfSourceRef.current = source
+        edfLoadedWindowRef.current = { startSec: firstWindow.startSec, endSec: firstWindow.startSec + firstWindow.channels[0].samples.length / firstWindow.channels[0].sampleRate }
+      } else {
+        edfData = await readEDFFile(file, { onProgress: reportProgress('Reading samples'), signal: controller.signal })
+        edfSourceRef.current = null
+        edfLoadedWindowRef.current = null
+      }
+      edfWindowRequestRef.current = null
       
       if (!edfData || !edfData.header || !edfData.channels) {
         throw new Error('EDF file parsing returned invalid data')
@@ -1264,8 +1854,14 @@ export function EEGProvider({ children }) {
       const MIN_SIGNAL_THRESHOLD = 1.0 // µV - need at least this much signal to consider it real data
       const MIN_SAMPLES_FOR_SIGNAL = 10 // Need at least N consecutive samples above threshold
       
-      // Find the minimum length across all channels with data
-      const minChannelLength = Math.min(...channelsWithData.map(ch => ch.samples.length))
+      // Scan the channels at the primary rate; channels at other rates are trimmed to the same time
+      const scanRate = primarySampleRate(channelsWithData)
+      const scanChannels = channelsWithData.filter(ch => ch.sampleRate === scanRate)
+      const hasMixedRates = scanChannels.length < channelsWithData.length
+      
+      // Find the minimum length across the scanned channels
+      // Windowed recordings are played as recorded (trimming would shift every window)
+      const minChannelLength = edfData.isWindowed ? 0 : Math.min(...scanChannels.map(ch => ch.samples.length))
       
       let firstSignalIndex = 0
       let consecutiveSignalCount = 0
@@ -1273,7 +1869,7 @@ export function EEGProvider({ children }) {
       // Scan through samples to find where real signal starts
       for (let i = 0; i < minChannelLength; i++) {
         // Check if any channel has significant signal at this index
-        const hasSignal = channelsWithData.some(ch => {
+        const hasSignal = scanChannels.some(ch => {
           const value = Math.abs(ch.samples[i])
           return value > MIN_SIGNAL_THRESHOLD
         })
@@ -1294,7 +1890,7 @@ export function EEGProvider({ children }) {
       if (firstSignalIndex === 0) {
         // Find first index where at least one channel is not near zero
         for (let i = 0; i < minChannelLength; i++) {
-          const allNearZero = channelsWithData.every(ch => Math.abs(ch.samples[i]) < ZERO_THRESHOLD)
+          const allNearZero = scanChannels.every(ch => Math.abs(ch.samples[i]) < ZERO_THRESHOLD)
           if (!allNearZero) {
             firstSignalIndex = i
             break
@@ -1306,17 +1902,21 @@ export function EEGProvider({ children }) {
       const originalDurationSec = edfData.durationSec
       let trimmedTimeOffset = 0
       
-      if (firstSignalIndex > 0) {
-        const sampleRate = channelsWithData[0]?.sampleRate || 250
-        trimmedTimeOffset = firstSignalIndex / sampleRate
-        console.log(`[loadEDFFile] Preprocessing: Trimming ${firstSignalIndex} leading samples (~${trimmedTimeOffset.toFixed(2)}s) to remove zero/near-zero data`)
+      trimmedTimeOffset = firstSignalIndex / scanRate
+      // With mixed rates, trim at a data record boundary so every channel is cut at a whole sample
+      if (hasMixedRates && edfData.header.duration > 0) {
+        trimmedTimeOffset = Math.floor(trimmedTimeOffset / edfData.header.duration) * edfData.header.duration
+      }
+      
+      if (trimmedTimeOffset > 0) {
+        console.log(`[loadEDFFile] Preprocessing: Trimming ${firstSignalIndex} leading samples at ${scanRate} Hz (~${trimmedTimeOffset.toFixed(2)}s) to remove zero/near-zero data`)
         console.log(`[loadEDFFile] Preprocessing: Original duration: ${originalDurationSec.toFixed(2)}s, will preserve time context`)
         
         // Trim all channels consistently
         edfData.channels = edfData.channels.map(channel => {
           if (!channel.samples || channel.samples.length === 0) return channel
           
-          const trimmedSamples = channel.samples.slice(firstSignalIndex)
+          const trimmedSamples = channel.samples.slice(Math.round(trimmedTimeOffset * channel.sampleRate))
           return {
             ...channel,
             samples: trimmedSamples
@@ -1324,9 +1924,9 @@ export function EEGProvider({ children }) {
         })
         
         // Recalculate duration based on trimmed data (for playback purposes)
-        const trimmedMinSamples = Math.min(...edfData.channels.map(ch => ch.samples?.length || 0))
-        if (trimmedMinSamples > 0) {
-          edfData.durationSec = trimmedMinSamples / sampleRate
+        const trimmedDurationSec = Math.min(...edfData.channels.map(ch => (ch.samples?.length || 0) / ch.sampleRate))
+        if (trimmedDurationSec > 0) {
+          edfData.durationSec = trimmedDurationSec
           console.log(`[loadEDFFile] Preprocessing: Trimmed duration: ${edfData.durationSec.toFixed(2)}s (original: ${originalDurationSec.toFixed(2)}s)`)
         }
       } else {
@@ -1335,22 +1935,83 @@ export function EEGProvider({ children }) {
       
       // New file load should allow auto-start again
       edfUserPausedRef.current = false
+      edfDetectorRef.current = null
+      edfRecordingAnalyzedRef.current = false
+      // A baseline from another recording does not apply to this file
+      baselineRecorderRef.current = null
+      dispatch({ type: ActionTypes.SET_BASELINE, payload: null })
       
-      // Store EDF data
+      // Store EDF data (source channels as recorded)
       dispatch({ type: ActionTypes.LOAD_EDF_DATA, payload: edfData })
+      artifactLogRef.current = { loggedUntil: -Infinity, episodes: {} }
+      lineNoiseRef.current = { pending: false }
+      
+      // Replace annotations from a previously loaded file with this file's EDF+ annotations
+      // Onsets are relative to the file start, which is also the stream time origin
+      clearEDFAnnotations()
+      const edfAnnotations = edfData.annotations || []
+      edfAnnotations.forEach(({ onset, duration, text }) => {
+        const { type, text: annotationText } = parseAnnotationText(text)
+        addAnnotation({ timestamp: onset, duration, type, text: annotationText, source: 'edf' })
+      })
+      if (edfAnnotations.length > 0) {
+        console.log(`[loadEDFFile] Loaded ${edfAnnotations.length} EDF+ annotation(s)`)
+      }
+      
+      // Map the signal labels onto electrodes, reusing a confirmed mapping for this device type
+      const sourceLabels = edfData.channels.map(ch => ch.label)
+      const device = getDeviceType(edfData.header)
+      const savedMapping = stateRef.current.channelMappings[device.key]
+      const entries = normalizeChannelLabels(sourceLabels, savedMapping?.labels)
+      const needsReview = needsMappingReview(entries)
+      console.log('[loadEDFFile] Channel labels:', {
+        device: device.name,
+        savedMapping: !!savedMapping,
+        needsReview,
+        labels: entries.map(e => `${e.label} -> ${e.electrode || e.derivation || e.status}`)
+      })
+      dispatch({
+        type: ActionTypes.SET_LABEL_MAPPING,
+        payload: { deviceKey: device.key, deviceName: device.name, entries, needsReview, dialogOpen: needsReview },
+      })
+      
+      // Derive the displayed channels for the selected montage
+      const montageInfo = resolveMontage(stateRef.current.settings.display.montage, sourceLabels, entries)
+      const displayChannels = deriveChannels(edfData.channels, montageInfo)
+      console.log('[loadEDFFile] Montage:', {
+        montage: montageInfo.montage,
+        passthrough: montageInfo.passthrough,
+        channels: montageInfo.labels,
+        missingElectrodes: montageInfo.missing
+      })
+      dispatch({ type: ActionTypes.SET_MONTAGE_INFO, payload: montageInfo })
       
       // Store EDF state (this will also update channel arrays)
       dispatch({
         type: ActionTypes.SET_EEG_STATE,
         payload: {
           isLoaded: true,
-          channels: edfData.channels,
+          channels: displayChannels,
           durationSec: edfData.durationSec, // Trimmed duration for playback
           startTimeSec: edfData.startTimeSec || 0,
           trimmedTimeOffset: trimmedTimeOffset, // Store offset to preserve original time context
+          isWindowed: !!edfData.isWindowed,
+          windowStartSec: edfData.windowStartSec || 0,
         }
       })
       
+      // Mains frequency and line noise from the first seconds of the file
+      if (stateRef.current.settings.display.lineNoiseDetection !== 'off') {
+        const windowStartSec = edfData.windowStartSec || 0
+        const analysisStart = windowStartSec + trimmedTimeOffset
+        const analysisEnd = analysisStart + LINE_NOISE_ANALYSIS_SECONDS
+        requestLineNoise(
+          readEDFWindow(displayChannels, analysisStart, analysisEnd, trimmedTimeOffset, windowStartSec),
+          analysisEnd,
+          montageInfo.labels
+        )
+      }
+      
       // Store file info (use original duration to preserve time context)
       const fileInfo = {
         fileName: file.name,
@@ -1380,9 +2041,8 @@ export function EEGProvider({ children }) {
       }
       
       // Adjust buffer size if needed
-      if (edfData.channels.length !== 8) {
-        const newBuffer = Array(edfData.channels.length).fill(null).map(() => [])
-        dispatch({ type: ActionTypes.APPEND_EEG_SAMPLES, payload: newBuffer })
+      if (displayChannels.length !== stateRef.current.eegBuffer.numChannels) {
+        dispatch({ type: ActionTypes.SET_EEG_BUFFER, payload: createEEGBuffer(stateRef.current, displayChannels.length, trimmedTimeOffset) })
       }
       
       console.log('[loadEDFFile] EDF file loaded successfully')
@@ -1402,16 +2062,69 @@ export function EEGProvider({ children }) {
       
       return edfData
     } catch (error) {
+      if (error.name === 'AbortError') {
+        console.log('[loadEDFFile] Loading cancelled:', file.name)
+        return null
+      }
       console.error('[loadEDFFile] Error loading EDF file:', error)
       alert(`Error loading EDF file: ${error.message}\n\nCheck browser console for details.`)
       throw error
+    } finally {
+      if (edfLoadControllerRef.current === controller) {
+        edfLoadControllerRef.current = null
+        dispatch({ type: ActionTypes.SET_EDF_LOADING, payload: null })
+      }
+    }
+  }, [state.settings.patient, updateSettings, requestLineNoise, addAnnotation, clearEDFAnnotations])
+
+  const cancelEDFLoad = useCallback(() => {
+    if (edfLoadControllerRef.current) {
+      console.log('[cancelEDFLoad] Cancelling EDF file load')
+      edfLoadControllerRef.current.abort()
     }
-  }, [state.settings.patient, updateSettings])
+  }, [])
+
+  // Read the window of a windowed recording around a time (file seconds) and derive its montage channels
+  // Resolves with the window's start time once the reducer has it; concurrent requests share one read
+  const requestEDFWindow = useCallback((timeSec) => {
+    const source = edfSourceRef.current
+    if (!source) return Promise.resolve(null)
+    if (edfWindowRequestRef.current) return edfWindowRequestRef.current
+    
+    const startSec = Math.max(0, timeSec - EDF_WINDOW_BEHIND_SEC)
+    const endSec = Math.min(source.durationSec, timeSec + EDF_WINDOW_AHEAD_SEC)
+    const request = source.readWindow(startSec, endSec)
+      .then(loaded => {
+        // Drop the result if another file was loaded meanwhile
+        if (edfSourceRef.current !== source) return null
+        const channels = deriveChannels(loaded.channels, stateRef.current.montageInfo)
+        const windowEndSec = loaded.startSec + loaded.channels[0].samples.length / loaded.channels[0].sampleRate
+        console.log(`[requestEDFWindow] Loaded ${loaded.startSec.toFixed(1)}s - ${windowEndSec.toFixed(1)}s`)
+        edfLoadedWindowRef.current = { startSec: loaded.startSec, endSec: windowEndSec }
+        dispatch({
+          type: ActionTypes.SET_EDF_WINDOW,
+          payload: { sourceChannels: loaded.channels, channels, windowStartSec: loaded.startSec }
+        })
+        return loaded.startSec
+      })
+      .catch(error => {
+        console.error('[requestEDFWindow] Error reading EDF window:', error)
+        return null
+      })
+      .finally(() => {
+        if (edfWindowRequestRef.current === request) edfWindowRequestRef.current = null
+      })
+    edfWindowRequestRef.current = request
+    return request
+  }, [])
 
-  const startEDFStream = useCallback(() => {
+  // Play the loaded EDF file at playback.playbackSpeed; the timebase only sets how densely it is drawn
+  // With { stepSeconds } the next stepSeconds of the recording are streamed at once and playback
+  // stays paused
+  const startEDFStream = useCallback(({ stepSeconds = null } = {}) => {
     // User explicitly (or auto) started playback
     edfUserPausedRef.current = false
-    console.log('[startEDFStream] Starting EDF playback...')
+    console.log(stepSeconds ? `[startEDFStream] Stepping EDF playback by ${stepSeconds}s...` : '[startEDFStream] Starting EDF playback...')
     
     // Stop any existing stream
     if (edfStreamIntervalRef.current) {
@@ -1451,29 +2164,32 @@ export function EEGProvider({ children }) {
     }))
     
     // Create a map of valid channel indices for efficient lookup (must be declared before use)
-    const validChannelIndices = validChannels.map(ch => channels.indexOf(ch))
+    let validChannelIndices = validChannels.map(ch => channels.indexOf(ch))
     
     const durationSec = currentState.eegState.durationSec
-    const sampleRate = validChannels[0]?.sampleRate || 250
-    const playbackSpeed = currentState.playback.playbackSpeed || 1.0
+    // Playback clock and detection run at the primary rate; each channel streams at its own rate
+    const sampleRate = primarySampleRate(validChannels)
+    let playbackSpeed = currentState.playback.playbackSpeed || 1.0
     const trimmedTimeOffset = currentState.eegState.trimmedTimeOffset || 0 // Get trimmed offset to preserve original EDF time
-    
-    // Calculate playback speed based on timebase (timeScale)
-    // 30mm/sec is the standard (1x speed), so we normalize to that
-    const baseTimeScale = 30 // 30mm/sec = 1x speed (standard EEG paper speed)
-    const currentTimeScale = currentState.settings.display.timeScale || baseTimeScale
-    const timebasePlaybackSpeed = currentTimeScale / baseTimeScale // 30mm/sec = 1x, 60mm/sec = 2x, 15mm/sec = 0.5x
-    const effectivePlaybackSpeed = playbackSpeed * timebasePlaybackSpeed
+    // Windowed recordings hold only part of the file; samples[0] of each channel is at windowStartSec
+    const isWindowed = !!currentState.eegState.isWindowed
     
     // Optimize: Use fewer samples per update to prevent browser freezing
-    // Update at ~30fps (every ~33ms) with reasonable sample chunks
+    // Update at ~30fps (every ~33ms); each update streams the recording time that elapsed since the
+    // last one at the playback speed, carrying the fraction of a sample over to the next
     const targetFPS = 30
     const updateInterval = 1000 / targetFPS // ~33ms
-    const samplesPerUpdate = Math.max(1, Math.floor((sampleRate * updateInterval * effectivePlaybackSpeed) / 1000))
-    
-    // Limit buffer size to prevent memory issues (keep last 60 seconds of data)
-    const maxBufferDuration = 60 // seconds
-    const maxBufferSamples = Math.floor(maxBufferDuration * sampleRate)
+    const samplesPerUpdate = Math.max(1, Math.floor((sampleRate * updateInterval * playbackSpeed) / 1000))
+    let pendingSamples = 0
+    // Samples left to stream in step mode
+    let stepSamples = stepSeconds ? Math.max(1, Math.round(stepSeconds * sampleRate)) : 0
+    
+    // The display buffer keeps the last settings.system.bufferSize seconds of each channel
+    const bufferSeconds = currentState.settings.system.bufferSize
+    const mixedRates = validChannels.some(ch => ch.sampleRate !== sampleRate)
+    if (mixedRates) {
+      console.log('[startEDFStream] Channels have mixed sample rates; detection frames are interpolated to', sampleRate, 'Hz')
+    }
     
     let playbackTime = currentState.playback.playbackTimeSec || 0
     let sampleIndex = Math.floor(playbackTime * sampleRate)
@@ -1484,7 +2200,6 @@ export function EEGProvider({ children }) {
     const streamStartEDFTime = playbackTime
     let lastMonitorTime = streamStartTime
     let lastMonitorEDFTime = streamStartEDFTime
-    let monitorLogCount = 0
     
     // EDF Data Integrity Monitoring
     const dataIntegrityMonitor = {
@@ -1497,14 +2212,14 @@ export function EEGProvider({ children }) {
       lastValidationTime: 0
     }
     
-    // Store original EDF samples for comparison (first channel only)
-    const originalEDFSamples = validChannels[0]?.samples ? Array.from(validChannels[0].samples) : null
+    // Store original EDF samples for comparison (first channel only; not available when windowed)
+    const originalEDFSamples = !isWindowed && validChannels[0]?.samples ? Array.from(validChannels[0].samples) : null
     if (originalEDFSamples) {
       console.log('[EDF DATA MONITOR] ✓ Original EDF samples stored for validation', {
         channel: validChannels[0].label || 'Channel 0',
         totalSamples: originalEDFSamples.length,
         first10Samples: originalEDFSamples.slice(0, 10).map(v => v.toFixed(4)),
-        sampleRate
+        sampleRate: validChannels[0].sampleRate
       })
     }
     
@@ -1512,29 +2227,16 @@ export function EEGProvider({ children }) {
       durationSec,
       sampleRate,
       playbackSpeed,
-      timeScale: currentTimeScale,
-      timebasePlaybackSpeed,
-      effectivePlaybackSpeed,
+      stepSeconds,
       updateInterval,
       samplesPerUpdate,
-      maxBufferSamples,
+      bufferSeconds,
       startTime: playbackTime,
       startSampleIndex: sampleIndex,
       trimmedTimeOffset: trimmedTimeOffset > 0 ? `${trimmedTimeOffset.toFixed(2)}s (timebase will show original EDF time)` : 'none'
     })
     
-    // Verify timebase speed calculation
-    if (currentTimeScale === 60) {
-      console.log('[TIMEBASE MONITOR] ✓ Timebase set to 60mm/sec - Expected 2x speed')
-      console.log('[TIMEBASE MONITOR] Verification:', {
-        timebase: currentTimeScale,
-        baseTimeScale,
-        calculatedSpeed: timebasePlaybackSpeed,
-        expectedSpeed: 2.0,
-        isCorrect: Math.abs(timebasePlaybackSpeed - 2.0) < 0.01 ? '✓ PASS' : '✗ FAIL',
-        effectivePlaybackSpeed
-      })
-    }
+    console.log(`[PLAYBACK MONITOR] Playback speed ${playbackSpeed}x (timebase ${currentState.settings.display.timeScale} mm/sec only sets the display density)`)
     
     // EDF Data Monitoring Initialization
     console.log('[EDF DATA MONITOR] 🔍 Starting EDF data integrity monitoring:', {
@@ -1547,43 +2249,53 @@ export function EEGProvider({ children }) {
     })
     
     // Decide if we're resuming from a pause (keep buffer/time) or starting fresh
-    const existingBuffer = stateRef.current.eegBuffer || []
-    const hasExistingBuffer = existingBuffer.length === channels.length && existingBuffer.some(ch => (ch?.length || 0) > 0)
+    const existingBuffer = stateRef.current.eegBuffer
+    const hasExistingBuffer = existingBuffer.numChannels === channels.length && !existingBuffer.isEmpty
     const isResumeFromPause = playbackTime > 0 && hasExistingBuffer
     
-    let initialBuffer
+    // Written in place each frame; consumers are told through EEG_BUFFER_UPDATED
+    let buffer
     if (isResumeFromPause) {
       console.log('[startEDFStream] Resuming from pause; preserving buffer/state', {
         playbackTime,
         sampleIndex,
         channelCount: channels.length,
-        bufferLengths: existingBuffer.map(ch => ch?.length || 0)
+        bufferLengths: channels.map((_, idx) => existingBuffer.length(idx))
       })
-      initialBuffer = existingBuffer
+      buffer = existingBuffer
     } else {
       // Fresh start: clear buffer and time
-      initialBuffer = Array(channels.length).fill(null).map(() => [])
+      buffer = createEEGBuffer(currentState, channels.length, trimmedTimeOffset)
       console.log('[startEDFStream] Initializing buffer for fresh start:', {
         channelCount: channels.length,
-        bufferLength: initialBuffer.length,
+        bufferLength: buffer.numChannels,
         validChannelIndices: validChannelIndices
       })
-      dispatch({ type: ActionTypes.APPEND_EEG_SAMPLES, payload: initialBuffer })
+      dispatch({ type: ActionTypes.SET_EEG_BUFFER, payload: buffer })
       dispatch({ type: ActionTypes.SET_CURRENT_TIME, payload: 0 })
     }
     
-    // Use a local buffer to track data (more reliable than state)
-    let localBuffer = initialBuffer
-    const maxSamples = Math.max(...validChannels.map(ch => ch.samples.length))
+    // Fresh start gets a fresh detector; resume keeps the reference built so far
+    let resetDetector = !isResumeFromPause || !edfDetectorRef.current
+    if (resetDetector) {
+      edfDetectorRef.current = {}
+    }
+    let detectorToken = edfDetectorRef.current
+    let validChannelSet = new Set(validChannelIndices)
     
-    // Initialize filter states for each channel
-    const filterStates = {}
-    channels.forEach((_, idx) => {
-      filterStates[idx] = new FilterState()
-    })
+    // Raw samples of one channel for the current update, reused across frames
+    let scratch = new Float32Array(Math.ceil(sampleRate))
+    // Length of the recording in primary-rate samples
+    const maxSamples = isWindowed
+      ? Math.floor(durationSec * sampleRate)
+      : Math.max(...validChannels.map(ch => Math.round(ch.samples.length * sampleRate / ch.sampleRate)))
+    
+    // The DSP worker keeps the filter states; they start over with each stream
+    let resetFilters = true
     
-    // Track last filter settings to detect changes
-    let lastFilterSettings = JSON.stringify(currentState.settings.display.filters)
+    // Montage of the streamed channels; a change re-derives them and the buffer is rebuilt
+    // (a new window of a windowed recording replaces the channels without a rebuild)
+    let streamedMontage = currentState.montageInfo
     
     // Use requestAnimationFrame for smoother updates
     let animationFrameId = null
@@ -1608,6 +2320,39 @@ export function EEGProvider({ children }) {
         return
       }
       
+      const windowStartSec = latestState.eegState.windowStartSec || 0
+      
+      // Montage changed: the channels were re-derived, so re-render the buffered window from them
+      if (latestState.montageInfo !== streamedMontage) {
+        console.log('[startEDFStream] Channels re-derived for montage change, rebuilding buffer')
+        streamedMontage = latestState.montageInfo
+        validChannelIndices = currentChannels
+          .map((ch, idx) => (ch.samples && ch.samples.length > 0 ? idx : -1))
+          .filter(idx => idx >= 0)
+        validChannelSet = new Set(validChannelIndices)
+        const lastStreamedTime = (sampleIndex - 1) / sampleRate + trimmedTimeOffset
+        const firstBufferedTime = buffer.isEmpty ? lastStreamedTime : buffer.timeRange().start
+        const filterSettings = latestState.settings.display.filters || { highPass: 1.0, lowPass: 30, notch: 60 }
+        buffer = createEEGBuffer(latestState, currentChannels.length, trimmedTimeOffset)
+        dispatch({ type: ActionTypes.SET_EEG_BUFFER, payload: buffer })
+        // Filters start over on the buffered window; the following updates continue from its filter state
+        filterIntoBuffer(
+          EDF_STREAM_ID, buffer,
+          readEDFWindow(currentChannels, firstBufferedTime, lastStreamedTime, trimmedTimeOffset, windowStartSec),
+          filterSettings, { reset: true }
+        )
+          .then(() => dispatch({ type: ActionTypes.EEG_BUFFER_UPDATED }))
+          .catch(error => console.error('[startEDFStream] DSP processing failed:', error))
+        resetFilters = false
+        edfDetectorRef.current = null
+      }
+      
+      // The detector was dropped (new montage or recording): start a fresh one with this update
+      if (edfDetectorRef.current !== detectorToken) {
+        detectorToken = edfDetectorRef.current = {}
+        resetDetector = true
+      }
+      
       // Re-verify valid channels (in case state changed)
       const currentValidChannels = currentChannels.filter((ch, idx) => 
         ch.samples && ch.samples.length > 0 && validChannelIndices.includes(idx)
@@ -1629,10 +2374,7 @@ export function EEGProvider({ children }) {
         // Final performance summary
         const totalRealTime = (Date.now() - streamStartTime) / 1000
         const totalEDFTime = playbackTime - streamStartEDFTime
-        const finalSpeedRatio = totalEDFTime / totalRealTime
-        const finalTimeScale = latestState.settings.display.timeScale || baseTimeScale
-        const expectedSpeedRatio = finalTimeScale / baseTimeScale
-        
+
         console.log('[startEDFStream] Reached end of EDF data', {
           sampleIndex,
           maxSamples,
@@ -1640,14 +2382,12 @@ export function EEGProvider({ children }) {
           maxTime
         })
         
-        if (finalTimeScale === 60) {
-          console.log('[TIMEBASE MONITOR] 📊 Final Summary (60mm/sec):', {
+        if (!stepSeconds) {
+          console.log('[PLAYBACK MONITOR] 📊 Final Summary:', {
             totalRealTime: totalRealTime.toFixed(2) + 's',
             totalEDFTime: totalEDFTime.toFixed(2) + 's',
-            finalSpeedRatio: finalSpeedRatio.toFixed(2) + 'x',
-            expectedSpeedRatio: expectedSpeedRatio.toFixed(2) + 'x',
-            speedAccuracy: ((1 - Math.abs(finalSpeedRatio - expectedSpeedRatio) / expectedSpeedRatio) * 100).toFixed(1) + '%',
-            status: Math.abs(finalSpeedRatio - expectedSpeedRatio) < 0.1 ? '✓ PASS' : '✗ FAIL'
+            averageSpeedRatio: (totalEDFTime / totalRealTime).toFixed(2) + 'x',
+            playbackSpeed: playbackSpeed + 'x'
           })
         }
         
@@ -1697,75 +2437,92 @@ export function EEGProvider({ children }) {
       }
       
       // Get samples for this update (limit to prevent blocking)
-      // Recalculate effective playback speed in case timeScale changed during playback
-      const latestTimeScale = latestState.settings.display.timeScale || baseTimeScale
-      const latestTimebaseSpeed = latestTimeScale / baseTimeScale
-      const latestEffectiveSpeed = playbackSpeed * latestTimebaseSpeed
-      const latestSamplesPerUpdate = Math.max(1, Math.floor((sampleRate * updateInterval * latestEffectiveSpeed) / 1000))
-      
-      // Monitor timebase changes during playback
-      if (latestTimeScale === 60 && monitorLogCount === 0) {
-        console.log('[TIMEBASE MONITOR] Timebase changed to 60mm/sec during playback')
-        console.log('[TIMEBASE MONITOR] Speed verification:', {
-          timebase: latestTimeScale,
-          timebaseSpeed: latestTimebaseSpeed,
-          expectedSpeed: 2.0,
-          isCorrect: Math.abs(latestTimebaseSpeed - 2.0) < 0.01 ? '✓ PASS' : '✗ FAIL',
-          effectiveSpeed: latestEffectiveSpeed,
-          samplesPerUpdate: latestSamplesPerUpdate
-        })
+      // The speed can change during playback; the speed monitor starts over when it does
+      const latestPlaybackSpeed = latestState.playback.playbackSpeed || 1.0
+      if (latestPlaybackSpeed !== playbackSpeed) {
+        console.log(`[PLAYBACK MONITOR] Playback speed changed from ${playbackSpeed}x to ${latestPlaybackSpeed}x`)
+        playbackSpeed = latestPlaybackSpeed
+        lastMonitorTime = now
+        lastMonitorEDFTime = playbackTime
+      }
+      let samplesToAdd
+      if (stepSeconds) {
+        samplesToAdd = Math.min(stepSamples, maxSamples - sampleIndex)
+      } else {
+        pendingSamples += sampleRate * Math.min(elapsed, PLAYBACK_MAX_CATCH_UP_MS) * playbackSpeed / 1000
+        samplesToAdd = Math.min(Math.floor(pendingSamples), maxSamples - sampleIndex)
+        // Slow playback of a low-rate recording: nothing due yet
+        if (samplesToAdd <= 0) {
+          animationFrameId = requestAnimationFrame(streamFrame)
+          return
+        }
       }
-      
-      const samplesToAdd = Math.min(latestSamplesPerUpdate, maxSamples - sampleIndex)
       // Time increment in EDF file time (accounts for playback speed)
       // At 2x speed, we advance through 2 seconds of EDF time per 1 second of real time
       const timeIncrement = samplesToAdd / sampleRate
+      const updateStartTime = sampleIndex / sampleRate
+      const updateEndTime = (sampleIndex + samplesToAdd) / sampleRate
+      
+      if (isWindowed) {
+        const firstChannel = currentChannels[validChannelIndices[0]]
+        const windowEndSec = windowStartSec + firstChannel.samples.length / firstChannel.sampleRate
+        // Playback (or a seek) left the loaded window: wait for the window around it
+        if (updateStartTime < windowStartSec || updateEndTime > windowEndSec + 1e-9) {
+          requestEDFWindow(updateStartTime)
+          // Waiting does not build up samples to catch up on
+          pendingSamples = 0
+          animationFrameId = requestAnimationFrame(streamFrame)
+          return
+        }
+        // Running out of data ahead: read the next window while playing on
+        const loadedEndSec = edfLoadedWindowRef.current?.endSec ?? windowEndSec
+        if (loadedEndSec < Math.min(durationSec, updateEndTime + EDF_WINDOW_PREFETCH_SEC)) {
+          requestEDFWindow(updateStartTime)
+        }
+      }
+      
+      // Get filter settings from current state
+      const filterSettings = latestState.settings.display.filters || {
+        highPass: 1.0,
+        lowPass: 30,
+        notch: 60
+      }
       
-      // Extract samples and add to buffer - only process valid channels
-      // Ensure buffer has the correct number of channels (match currentChannels length)
+      // Extract the raw samples of this update - only process valid channels
+      // One chunk per channel (matching the currentChannels length); filtering happens in the DSP worker
       const numChannels = currentChannels.length
-      const newBuffer = Array(numChannels).fill(null).map((_, channelIdx) => {
+      const chunks = new Array(numChannels).fill(null)
+      for (let channelIdx = 0; channelIdx < numChannels; channelIdx++) {
         // Skip channels without data
         if (!validChannelIndices.includes(channelIdx)) {
-          return localBuffer[channelIdx] || []
+          continue
         }
         
         const channel = currentChannels[channelIdx]
         if (!channel || !channel.samples) {
           console.warn(`[startEDFStream] Channel ${channelIdx} is missing samples`)
-          return localBuffer[channelIdx] || []
-        }
-        
-        const currentChannelBuffer = localBuffer[channelIdx] || []
-        const newPoints = []
-        
-        // Get filter settings from current state
-        const filterSettings = latestState.settings.display.filters || {
-          highPass: 1.0,
-          lowPass: 30,
-          notch: 60
+          continue
         }
         
-        // Reset filter states if filter settings changed
-        const currentFilterSettings = JSON.stringify(filterSettings)
-        if (currentFilterSettings !== lastFilterSettings) {
-          console.log('[startEDFStream] Filter settings changed, resetting filter states')
-          Object.values(filterStates).forEach(state => state.reset())
-          lastFilterSettings = currentFilterSettings
+        // Samples of this channel (at its own rate) that fall within this update
+        const rate = channel.sampleRate || sampleRate
+        // Index of samples[0] in the whole recording (non-zero for windowed recordings)
+        const channelOffset = Math.round(windowStartSec * rate)
+        const firstIndex = indexAtTime(updateStartTime, rate)
+        const endIndex = Math.min(channelOffset + channel.samples.length, indexAtTime(updateEndTime, rate))
+        if (scratch.length < endIndex - firstIndex) {
+          scratch = new Float32Array(endIndex - firstIndex)
         }
+        let pointCount = 0
         
-        // Get filter state for this channel
-        const filterState = filterStates[channelIdx]
-        
-        for (let i = 0; i < samplesToAdd && (sampleIndex + i) < channel.samples.length; i++) {
-          const idx = sampleIndex + i
+        for (let idx = firstIndex; idx < endIndex; idx++) {
           // Add trimmedTimeOffset to preserve original EDF time context
-          const time = playbackTime + (i / sampleRate) + trimmedTimeOffset
-          let sampleValue = channel.samples[idx]
+          const time = idx / rate + trimmedTimeOffset
+          let sampleValue = channel.samples[idx - channelOffset]
           
           // EDF Data Integrity Monitoring - Track original sample
           const originalSampleValue = sampleValue
-          const expectedTime = idx / sampleRate
+          const expectedTime = idx / rate
           
           // Validate sample value
           if (isNaN(sampleValue) || !isFinite(sampleValue)) {
@@ -1779,6 +2536,8 @@ export function EEGProvider({ children }) {
                 channel: channel.label || `Channel-${channelIdx}`
               })
             }
+            // Keep the slot so the channel stays on its time base (and the filters stay finite)
+            scratch[pointCount++] = 0
             continue
           }
           
@@ -1811,7 +2570,7 @@ export function EEGProvider({ children }) {
             // Validate at specific time points
             const timePoints = [0, 5, 10, 15, 20, 25, 30]
             timePoints.forEach(timeSec => {
-              const targetIndex = Math.floor(timeSec * sampleRate)
+              const targetIndex = Math.floor(timeSec * rate)
               if (idx === targetIndex && !dataIntegrityMonitor.timePointValidations[timeSec]) {
                 const originalAtTime = originalEDFSamples[targetIndex]
                 const matches = Math.abs(originalAtTime - originalSampleValue) < 0.0001
@@ -1835,36 +2594,32 @@ export function EEGProvider({ children }) {
             })
           }
           
-          // Apply digital filters based on current settings
-          // Filters are applied in sequence: High-pass -> Low-pass -> Notch
-          const filteredValue = filterState.applyFilters(sampleValue, filterSettings, sampleRate)
-          sampleValue = filteredValue
-          
-          newPoints.push({ x: time, y: sampleValue })
+          scratch[pointCount++] = sampleValue
           dataIntegrityMonitor.totalSamplesStreamed++
         }
+        const firstPointTime = firstIndex / rate + trimmedTimeOffset
         
         // Debug: log first few samples to verify data (only for first valid channel)
-        if (channelIdx === validChannelIndices[0] && sampleIndex < 50 && newPoints.length > 0) {
-          const firstPoint = newPoints[0]
-          const yValues = newPoints.slice(0, 10).map(p => p.y)
+        if (channelIdx === validChannelIndices[0] && firstIndex < 50 && pointCount > 0) {
+          const newValues = Array.from(scratch.subarray(0, pointCount))
+          const yValues = newValues.slice(0, 10)
           const yStats = {
-            min: Math.min(...newPoints.map(p => p.y)),
-            max: Math.max(...newPoints.map(p => p.y)),
-            avg: newPoints.reduce((sum, p) => sum + p.y, 0) / newPoints.length,
-            nonZeroCount: newPoints.filter(p => Math.abs(p.y) > 0.001).length
+            min: Math.min(...newValues),
+            max: Math.max(...newValues),
+            avg: newValues.reduce((sum, y) => sum + y, 0) / pointCount,
+            nonZeroCount: newValues.filter(y => Math.abs(y) > 0.001).length
           }
           
           // Validate against original EDF data
           let validationInfo = ''
-          if (originalEDFSamples && sampleIndex < originalEDFSamples.length) {
-            const originalValue = originalEDFSamples[sampleIndex]
-            const streamedValue = channel.samples[sampleIndex]
+          if (originalEDFSamples && firstIndex < originalEDFSamples.length) {
+            const originalValue = originalEDFSamples[firstIndex]
+            const streamedValue = channel.samples[firstIndex - channelOffset]
             const matches = Math.abs(originalValue - streamedValue) < 0.0001
             validationInfo = ` | Original EDF: ${originalValue.toFixed(6)} | Streamed: ${streamedValue.toFixed(6)} | Match: ${matches ? '✓' : '✗'}`
             
-            if (!matches && sampleIndex < 10) {
-              console.warn(`[EDF DATA MONITOR] ⚠️ First sample mismatch at index ${sampleIndex}:`, {
+            if (!matches && firstIndex < 10) {
+              console.warn(`[EDF DATA MONITOR] ⚠️ First sample mismatch at index ${firstIndex}:`, {
                 original: originalValue.toFixed(6) + ' µV',
                 streamed: streamedValue.toFixed(6) + ' µV',
                 difference: Math.abs(originalValue - streamedValue).toFixed(6) + ' µV'
@@ -1873,11 +2628,11 @@ export function EEGProvider({ children }) {
           }
           
           // Log values directly as strings to avoid [object Object] issue
-          console.log(`[startEDFStream] Channel ${channelIdx} (${channel.label || `Channel-${channelIdx}`}) - Sample ${sampleIndex}:`, 
-            `First point: x=${firstPoint.x.toFixed(3)}, y=${firstPoint.y.toFixed(3)}`,
-            `Raw sample: ${channel.samples[sampleIndex]}`,
+          console.log(`[startEDFStream] Channel ${channelIdx} (${channel.label || `Channel-${channelIdx}`}) - Sample ${firstIndex}:`, 
+            `First point: x=${firstPointTime.toFixed(3)}, y=${scratch[0].toFixed(3)}`,
+            `Raw sample: ${channel.samples[firstIndex - channelOffset]}`,
             `Y values (first 10): ${yValues.map(v => v.toFixed(3)).join(', ')}`,
-            `Stats: min=${yStats.min.toFixed(3)}, max=${yStats.max.toFixed(3)}, avg=${yStats.avg.toFixed(3)}, nonZero=${yStats.nonZeroCount}/${newPoints.length}${validationInfo}`
+            `Stats: min=${yStats.min.toFixed(3)}, max=${yStats.max.toFixed(3)}, avg=${yStats.avg.toFixed(3)}, nonZero=${yStats.nonZeroCount}/${pointCount}${validationInfo}`
           )
         }
         
@@ -1885,39 +2640,86 @@ export function EEGProvider({ children }) {
         if (channelIdx === validChannelIndices[0]) {
           const timePoints = [0, 10, 20, 30, 40]
           timePoints.forEach(timeSec => {
-            const targetSampleIndex = Math.floor(timeSec * sampleRate)
-            if (sampleIndex <= targetSampleIndex && (sampleIndex + samplesToAdd) > targetSampleIndex) {
-              const relativeIndex = targetSampleIndex - sampleIndex
-              if (relativeIndex >= 0 && relativeIndex < newPoints.length) {
-                const pointAtTime = newPoints[relativeIndex]
-                const absValue = Math.abs(pointAtTime.y)
-                if (absValue > 0.001) {
-                  console.log(`[startEDFStream] ✓ Data detected at ${timeSec}s: Channel ${channelIdx}, time=${pointAtTime.x.toFixed(3)}s, value=${pointAtTime.y.toFixed(4)} µV`)
+            const targetSampleIndex = Math.floor(timeSec * rate)
+            if (firstIndex <= targetSampleIndex && endIndex > targetSampleIndex) {
+              const relativeIndex = targetSampleIndex - firstIndex
+              if (relativeIndex >= 0 && relativeIndex < pointCount) {
+                const pointTime = firstPointTime + relativeIndex / rate
+                const pointValue = scratch[relativeIndex]
+                if (Math.abs(pointValue) > 0.001) {
+                  console.log(`[startEDFStream] ✓ Data detected at ${timeSec}s: Channel ${channelIdx}, time=${pointTime.toFixed(3)}s, value=${pointValue.toFixed(4)} µV`)
                 } else {
-                  console.log(`[startEDFStream] ⚠️  Near-zero data at ${timeSec}s: Channel ${channelIdx}, time=${pointAtTime.x.toFixed(3)}s, value=${pointAtTime.y.toFixed(4)} µV`)
+                  console.log(`[startEDFStream] ⚠️  Near-zero data at ${timeSec}s: Channel ${channelIdx}, time=${pointTime.toFixed(3)}s, value=${pointValue.toFixed(4)} µV`)
                 }
               }
             }
           })
         }
         
-        // Combine with existing buffer
-        let updatedBuffer = [...currentChannelBuffer, ...newPoints]
-        
-        // Trim buffer if it exceeds max size (keep most recent data)
-        if (updatedBuffer.length > maxBufferSamples) {
-          const trimCount = updatedBuffer.length - maxBufferSamples
-          updatedBuffer = updatedBuffer.slice(trimCount)
+        if (pointCount > 0) {
+          chunks[channelIdx] = { samples: scratch.slice(0, pointCount), sampleRate: rate, startTime: firstPointTime }
         }
-        
-        return updatedBuffer
-      })
+      }
       
-      // Update local buffer
-      localBuffer = newBuffer
+      // Run ischemia detection and baseline recording on the raw (unfiltered) samples of this update
+      // Channels at another rate are interpolated onto the primary-rate time base
+      const frame = new Array(numChannels).fill(0)
+      const frames = new Float32Array(numChannels * samplesToAdd)
+      const frameOffset = Math.round(windowStartSec * sampleRate)
+      for (let i = 0; i < samplesToAdd; i++) {
+        const idx = sampleIndex + i
+        for (let ch = 0; ch < numChannels; ch++) {
+          if (!validChannelSet.has(ch)) {
+            frame[ch] = 0
+          } else if (currentChannels[ch].sampleRate === sampleRate) {
+            frame[ch] = currentChannels[ch].samples[idx - frameOffset]
+          } else {
+            frame[ch] = interpolateAt(currentChannels[ch].samples, currentChannels[ch].sampleRate, idx / sampleRate - windowStartSec)
+          }
+          frames[ch * samplesToAdd + i] = frame[ch]
+        }
+        const sampleTime = playbackTime + (i / sampleRate) + trimmedTimeOffset
+        feedBaselineRecorder(frame, sampleTime, sampleRate)
+      }
+      
+      // Filter and run detection in the DSP worker; the buffer is written when the reply arrives
+      const jobDetectorToken = detectorToken
+      filterIntoBuffer(EDF_STREAM_ID, buffer, chunks, filterSettings, {
+        reset: resetFilters,
+        detection: {
+          frames,
+          numChannels,
+          count: samplesToAdd,
+          sampleRate,
+          startTime: playbackTime + trimmedTimeOffset,
+          settings: latestState.settings.detection,
+          baseline: getApplicableBaseline(latestState),
+          labels: latestState.montageInfo?.labels,
+          physicalRanges: currentChannels.map(ch => ch?.physicalRange || null),
+          artifactSuppression: latestState.settings.patient.artifactSuppression,
+          reset: resetDetector,
+        },
+      }).then(reply => {
+        // Always dispatch buffer updates so charts receive data
+        dispatch({ type: ActionTypes.EEG_BUFFER_UPDATED })
+        // Transitions of a dropped detector no longer apply
+        if (edfDetectorRef.current !== jobDetectorToken) return
+        // Once the whole file has been analysed its events stand in for playback detection
+        if (!edfRecordingAnalyzedRef.current) {
+          applyDetectionTransitions(reply.transitions)
+        }
+        publishBaselineComparison(reply.analysis)
+        publishQEEG(reply.qeeg)
+        publishArtifacts(reply.artifacts)
+        checkLineNoise(buffer)
+      }).catch(error => console.error('[startEDFStream] DSP processing failed:', error))
+      resetFilters = false
+      resetDetector = false
       
       playbackTime += timeIncrement
       sampleIndex += samplesToAdd
+      pendingSamples -= samplesToAdd
+      stepSamples -= samplesToAdd
       
       // Performance monitoring: Track actual speed ratio (real-time vs EDF time)
       const currentRealTime = Date.now()
@@ -1996,38 +2798,34 @@ export function EEGProvider({ children }) {
       }
       
       // Monitor every 2 seconds of real time
-      if (realTimeElapsed >= 2.0) {
+      if (!stepSeconds && realTimeElapsed >= 2.0) {
         const actualSpeedRatio = edfTimeElapsed / realTimeElapsed
-        const expectedSpeedRatio = latestTimebaseSpeed
-        const speedError = Math.abs(actualSpeedRatio - expectedSpeedRatio)
+        const expectedSpeedRatio = playbackSpeed
+        const speedError = Math.abs(actualSpeedRatio - expectedSpeedRatio) / expectedSpeedRatio
         const isWithinTolerance = speedError < 0.1 // Allow 10% tolerance
         
-        // Always log when timebase is 60mm/sec
-        if (latestTimeScale === 60) {
-          console.log('[TIMEBASE MONITOR] ⚡ Speed Verification (60mm/sec):', {
-            realTimeElapsed: realTimeElapsed.toFixed(2) + 's',
-            edfTimeElapsed: edfTimeElapsed.toFixed(2) + 's',
-            actualSpeedRatio: actualSpeedRatio.toFixed(2) + 'x',
-            expectedSpeedRatio: expectedSpeedRatio.toFixed(2) + 'x',
-            speedError: speedError.toFixed(3),
-            status: isWithinTolerance ? '✓ PASS (2x speed confirmed)' : '✗ FAIL (speed mismatch)',
-            samplesPerUpdate: latestSamplesPerUpdate,
-            timeIncrement: timeIncrement.toFixed(4) + 's'
+        console.log(`[PLAYBACK MONITOR] ⚡ Speed Verification (${playbackSpeed}x):`, {
+          realTimeElapsed: realTimeElapsed.toFixed(2) + 's',
+          edfTimeElapsed: edfTimeElapsed.toFixed(2) + 's',
+          actualSpeedRatio: actualSpeedRatio.toFixed(2) + 'x',
+          expectedSpeedRatio: expectedSpeedRatio.toFixed(2) + 'x',
+          timebase: latestState.settings.display.timeScale + ' mm/sec',
+          speedError: (speedError * 100).toFixed(1) + '%',
+          status: isWithinTolerance ? `✓ PASS (${playbackSpeed}x speed confirmed)` : '✗ FAIL (speed mismatch)',
+          timeIncrement: timeIncrement.toFixed(4) + 's'
+        })
+        
+        if (!isWithinTolerance) {
+          console.warn('[PLAYBACK MONITOR] ⚠️ WARNING: Speed ratio mismatch!', {
+            actual: actualSpeedRatio.toFixed(2) + 'x',
+            expected: expectedSpeedRatio.toFixed(2) + 'x',
+            difference: (speedError * 100).toFixed(1) + '%'
           })
-          
-          if (!isWithinTolerance) {
-            console.warn('[TIMEBASE MONITOR] ⚠️ WARNING: Speed ratio mismatch!', {
-              actual: actualSpeedRatio.toFixed(2) + 'x',
-              expected: expectedSpeedRatio.toFixed(2) + 'x',
-              difference: (speedError * 100).toFixed(1) + '%'
-            })
-          }
         }
         
         // Reset monitoring counters
         lastMonitorTime = currentRealTime
         lastMonitorEDFTime = playbackTime
-        monitorLogCount++
       }
       
       // Log progress every second
@@ -2035,10 +2833,9 @@ export function EEGProvider({ children }) {
         console.log('[startEDFStream] Streaming progress:', {
           time: playbackTime.toFixed(2),
           sampleIndex,
-          bufferSize: newBuffer[0]?.length || 0,
+          bufferSize: buffer.length(0),
           samplesAdded: samplesToAdd,
-          timebase: latestTimeScale,
-          speedRatio: latestTimebaseSpeed.toFixed(2) + 'x'
+          speedRatio: playbackSpeed.toFixed(2) + 'x'
         })
       }
       
@@ -2049,10 +2846,10 @@ export function EEGProvider({ children }) {
       // Debug: Log buffer update details (throttled)
       if (sampleIndex < 100 || (sampleIndex % 1000 === 0)) {
         const bufferStats = {
-          channelCount: newBuffer.length,
-          channel0Length: newBuffer[0]?.length || 0,
-          channel0First: newBuffer[0]?.[0] ? { x: newBuffer[0][0].x.toFixed(3), y: newBuffer[0][0].y.toFixed(3) } : null,
-          channel0Last: newBuffer[0]?.[newBuffer[0].length - 1] ? { x: newBuffer[0][newBuffer[0].length - 1].x.toFixed(3), y: newBuffer[0][newBuffer[0].length - 1].y.toFixed(3) } : null,
+          channelCount: buffer.numChannels,
+          channel0Length: buffer.length(0),
+          channel0First: buffer.length(0) > 0 ? { x: buffer.timeAt(0, 0).toFixed(3), y: buffer.valueAt(0, 0).toFixed(3) } : null,
+          channel0Last: buffer.length(0) > 0 ? { x: buffer.lastPoint(0).x.toFixed(3), y: buffer.lastPoint(0).y.toFixed(3) } : null,
           sampleIndex,
           playbackTime: playbackTime.toFixed(3),
           samplesAdded: samplesToAdd
@@ -2060,15 +2857,23 @@ export function EEGProvider({ children }) {
         console.log('[startEDFStream] Buffer update:', bufferStats)
       }
       
-      // Always dispatch buffer updates so charts receive data
-      dispatch({ type: ActionTypes.APPEND_EEG_SAMPLES, payload: newBuffer })
-      
       // Only update time-related state at throttled rate
-      if (shouldUpdateTime) {
+      if (shouldUpdateTime || stepSeconds) {
         dispatch({ type: ActionTypes.SET_CURRENT_TIME, payload: playbackTime })
         dispatch({ type: ActionTypes.SET_PLAYBACK, payload: { playbackTimeSec: playbackTime } })
       }
       
+      // Step done: stay paused where it ended
+      if (stepSeconds && stepSamples <= 0) {
+        console.log(`[startEDFStream] Stepped to ${playbackTime.toFixed(2)}s`)
+        animationFrameId = null
+        edfStreamIntervalRef.current = null
+        edfUserPausedRef.current = true
+        dispatch({ type: ActionTypes.SET_IS_STREAMING, payload: false })
+        dispatch({ type: ActionTypes.SET_PLAYBACK, payload: { isPlaying: false } })
+        return
+      }
+      
       // Continue streaming
       animationFrameId = requestAnimationFrame(streamFrame)
     }
@@ -2085,7 +2890,7 @@ export function EEGProvider({ children }) {
     dispatch({ type: ActionTypes.SET_IS_STREAMING, payload: true })
     dispatch({ type: ActionTypes.SET_PLAYBACK, payload: { isPlaying: true } })
     console.log('[startEDFStream] Playback started')
-  }, [])
+  }, [applyDetectionTransitions, publishBaselineComparison, publishQEEG, publishArtifacts, checkLineNoise, feedBaselineRecorder, requestEDFWindow])
 
   const pauseEDFStream = useCallback(() => {
     // Prevent auto-restart after a manual pause
@@ -2103,6 +2908,18 @@ export function EEGProvider({ children }) {
     dispatch({ type: ActionTypes.SET_PLAYBACK, payload: { isPlaying: false } })
   }, [])
 
+  // Playback speed of the EDF file (1 = real time); a running stream picks it up on its next update
+  const setPlaybackSpeed = useCallback((speed) => {
+    const playbackSpeed = Math.min(PLAYBACK_SPEEDS[PLAYBACK_SPEEDS.length - 1], Math.max(PLAYBACK_SPEEDS[0], speed))
+    dispatch({ type: ActionTypes.SET_PLAYBACK, payload: { playbackSpeed } })
+  }, [])
+
+  // Advance paused EDF playback by a number of seconds
+  const stepEDFStream = useCallback((seconds) => {
+    if (stateRef.current.isStreaming) return
+    startEDFStream({ stepSeconds: seconds })
+  }, [startEDFStream])
+
   const stopEDFStream = useCallback(() => {
     // Prevent auto-restart after a manual stop
     edfUserPausedRef.current = true
@@ -2118,10 +2935,14 @@ export function EEGProvider({ children }) {
     dispatch({ type: ActionTypes.SET_IS_STREAMING, payload: false })
     dispatch({ type: ActionTypes.SET_PLAYBACK, payload: { isPlaying: false, playbackTimeSec: 0 } })
     dispatch({ type: ActionTypes.SET_CURRENT_TIME, payload: 0 })
+    edfDetectorRef.current = null
     
     // Clear buffer
-    const newBuffer = Array(stateRef.current.eegState?.channels?.length || 8).fill(null).map(() => [])
-    dispatch({ type: ActionTypes.APPEND_EEG_SAMPLES, payload: newBuffer })
+    const currentState = stateRef.current
+    dispatch({
+      type: ActionTypes.SET_EEG_BUFFER,
+      payload: createEEGBuffer(currentState, currentState.eegState?.channels?.length || MOCK_CHANNEL_COUNT, currentState.eegState?.trimmedTimeOffset || 0),
+    })
   }, [])
 
   const resetToLiveMode = useCallback(() => {
@@ -2130,7 +2951,52 @@ export function EEGProvider({ children }) {
       clearInterval(edfStreamIntervalRef.current)
       edfStreamIntervalRef.current = null
     }
+    edfDetectorRef.current = null
+    edfRecordingAnalyzedRef.current = false
+    edfSourceRef.current = null
+    edfLoadedWindowRef.current = null
+    baselineRecorderRef.current = null
+    dispatch({ type: ActionTypes.SET_BASELINE, payload: null })
+    clearEDFAnnotations()
     dispatch({ type: ActionTypes.RESET_TO_LIVE_MODE })
+    artifactLogRef.current = { loggedUntil: -Infinity, episodes: {} }
+    lineNoiseRef.current = { pending: false }
+    dispatch({
+      type: ActionTypes.SET_MONTAGE_INFO,
+      payload: resolveMontage(stateRef.current.settings.display.montage, MOCK_SOURCE_LABELS),
+    })
+  }, [clearEDFAnnotations])
+
+  // Run ischemia detection over the entire loaded EDF file and replace the event list
+  // Alerts are not raised since these events are retrospective
+  const analyzeEDFRecording = useCallback(async (onProgress) => {
+    const currentState = stateRef.current
+    const channels = currentState.eegState?.channels
+    if (!currentState.eegState?.isLoaded || !channels || channels.length === 0) {
+      console.warn('[analyzeEDFRecording] No EDF file loaded')
+      return []
+    }
+
+    console.log('[analyzeEDFRecording] Running ischemia detection over entire recording...')
+    const options = {
+      timeOffset: currentState.eegState.trimmedTimeOffset || 0,
+      onProgress,
+      baseline: getApplicableBaseline(currentState),
+      artifactSuppression: currentState.settings.patient.artifactSuppression,
+    }
+    const source = edfSourceRef.current
+    const events = currentState.eegState.isWindowed && source
+      // Read the file window by window and derive each with the displayed montage
+      ? await detectIschemiaInWindows(async (startSec, endSec) => {
+        const loaded = await source.readWindow(startSec, endSec)
+        return { startSec: loaded.startSec, channels: deriveChannels(loaded.channels, currentState.montageInfo) }
+      }, source.durationSec, currentState.settings.detection, options)
+      : await detectIschemiaInRecording(channels, currentState.settings.detection, options)
+    console.log(`[analyzeEDFRecording] Detected ${events.length} ischemia event(s)`)
+
+    edfRecordingAnalyzedRef.current = true
+    dispatch({ type: ActionTypes.SET_ISCHEMIA_EVENTS, payload: events })
+    return events
   }, [])
 
   // Periodically update impedance values during streaming
@@ -2165,84 +3031,103 @@ export function EEGProvider({ children }) {
     }
   }, [state.eegState.isLoaded, state.playback.isPlaying, state.isStreaming, startEDFStream])
 
-  // Mock ischemia detection - DISABLED
-  // We're using scheduled ischemia events in startMockStream instead
-  // This random detection was causing alerts to pop up when settings changed
-  // useEffect(() => {
-  //   if (!state.isStreaming) return
-  //   
-  //   const interval = 2000 // Check every 2 seconds
-  //   let detectionStartTime = null
-  //   let lastCheckTime = state.currentTime
-  //   
-  //   detectionIntervalRef.current = setInterval(() => {
-  //     const currentTime = state.currentTime
-  //     const sensitivity = state.settings.detection.sensitivity
-  //     const minDuration = state.settings.detection.minDuration
-  //     
-  //     // Simple mock detection: random trigger based on sensitivity
-  //     const shouldDetect = Math.random() < (sensitivity * 0.1) // Scale sensitivity
-  //     
-  //     if (shouldDetect && !detectionStartTime) {
-  //       // Start new event
-  //       detectionStartTime = currentTime
-  //     } else if (detectionStartTime) {
-  //       // Check if we should end the event
-  //       const duration = currentTime - detectionStartTime
-  //       if (duration >= minDuration) {
-  //         // End the event
-  //         const activeEvent = state.ischemiaEvents.find(
-  //           e => !e.endTime && e.startTime === detectionStartTime
-  //         )
-  //         
-  //         if (!activeEvent) {
-  //           // Create new event
-  //           const event = addIschemiaEvent({
-  //             startTime: detectionStartTime,
-  //             confidence: 0.7 + Math.random() * 0.2,
-  //           })
-  //           
-  //           // Trigger alert
-  //           if (state.settings.alerts.onScreenNotifications) {
-  //             const now = Date.now()
-  //             const lastAlert = lastAlertTimeRef.current[event.id] || 0
-  //             const cooldown = state.settings.alerts.cooldownPeriod * 1000
-  //             
-  //             if (now - lastAlert > cooldown) {
-  //               // Trigger alert (will be handled by AlertBanner)
-  //               window.dispatchEvent(new CustomEvent('ischemia-alert', {
-  //                 detail: event,
-  //               }))
-  //               lastAlertTimeRef.current[event.id] = now
-  //             }
-  //           }
-  //         } else {
-  //           // Update existing event
-  //           updateIschemiaEvent(activeEvent.id, {
-  //             endTime: currentTime,
-  //           })
-  //         }
-  //         
-  //         detectionStartTime = null
-  //       }
-  //     }
-  //     
-  //     lastCheckTime = currentTime
-  //   }, interval)
-  //   
-  //   return () => {
-  //     if (detectionIntervalRef.current) {
-  //       clearInterval(detectionIntervalRef.current)
-  //     }
-  //   }
-  // }, [
-  //   state.isStreaming,
-  //   state.currentTime,
-  //   state.settings.detection,
-  //   state.ischemiaEvents,
-  //   addIschemiaEvent,
-  //   updateIschemiaEvent,
-  // ])
+  // Re-derive the displayed EDF channels for a montage and label mapping
+  // A running stream picks up the new derivation itself; otherwise it is applied here
+  const rederiveEDFChannels = useCallback((montage, entries) => {
+    const currentState = stateRef.current
+    const edfData = currentState.edfData
+    if (!currentState.eegState.isLoaded || !edfData?.channels) return
+    
+    const montageInfo = resolveMontage(montage, edfData.channels.map(ch => ch.label), entries)
+    const displayChannels = deriveChannels(edfData.channels, montageInfo)
+    console.log('[Montage] Re-derived EDF channels:', {
+      montage: montageInfo.montage,
+      passthrough: montageInfo.passthrough,
+      channels: montageInfo.labels,
+      missingElectrodes: montageInfo.missing
+    })
+    edfDetectorRef.current = null
+    dispatch({ type: ActionTypes.SET_MONTAGE_INFO, payload: montageInfo })
+    dispatch({ type: ActionTypes.SET_EEG_STATE, payload: { channels: displayChannels } })
+    
+    // Re-render the paused window so the display reflects the new montage straight away
+    if (!edfStreamIntervalRef.current) {
+      const trimmedTimeOffset = currentState.eegState.trimmedTimeOffset || 0
+      const buffer = createEEGBuffer(currentState, displayChannels.length, trimmedTimeOffset)
+      dispatch({ type: ActionTypes.SET_EEG_BUFFER, payload: buffer })
+      if (!currentState.eegBuffer.isEmpty) {
+        const { start, end } = currentState.eegBuffer.timeRange()
+        refilterEDFWindow(currentState, displayChannels, buffer, start, end)
+          .then(() => dispatch({ type: ActionTypes.EEG_BUFFER_UPDATED }))
+          .catch(error => console.error('[Montage] DSP processing failed:', error))
+      }
+    }
+  }, [])
+
+  // In review (EDF loaded, playback paused) filter changes re-filter the displayed window from the
+  // file, forward-backward when zero-phase filtering is on; during playback the stream picks them up
+  useEffect(() => {
+    const currentState = stateRef.current
+    if (!state.eegState.isLoaded || edfStreamIntervalRef.current || currentState.eegBuffer.isEmpty) return
+    
+    const channels = currentState.eegState.channels
+    const { start, end } = currentState.eegBuffer.timeRange()
+    const buffer = createEEGBuffer(currentState, channels.length, currentState.eegState.trimmedTimeOffset || 0)
+    console.log('[Filters] Re-filtering review window:', { start, end, filters: state.settings.display.filters })
+    refilterEDFWindow(currentState, channels, buffer, start, end)
+      .then(() => {
+        // Playback started meanwhile: its stream owns the buffer now
+        if (edfStreamIntervalRef.current) return
+        dispatch({ type: ActionTypes.SET_EEG_BUFFER, payload: buffer })
+      })
+      .catch(error => console.error('[Filters] DSP processing failed:', error))
+  }, [state.settings.display.filters])
+
+  // Re-derive the displayed channels when the montage changes
+  useEffect(() => {
+    const currentState = stateRef.current
+    const montage = state.settings.display.montage
+    if (currentState.montageInfo?.montage === montage) return
+    
+    if (!state.eegState.isLoaded || !currentState.edfData?.channels) {
+      if (!streamIntervalRef.current) {
+        dispatch({ type: ActionTypes.SET_MONTAGE_INFO, payload: resolveMontage(montage, MOCK_SOURCE_LABELS) })
+      }
+      return
+    }
+    
+    rederiveEDFChannels(montage, currentState.labelMapping.entries)
+  }, [state.settings.display.montage, state.eegState.isLoaded, rederiveEDFChannels])
+
+  // Open/close the channel mapping dialog
+  const setChannelMappingDialog = useCallback((open) => {
+    dispatch({ type: ActionTypes.SET_LABEL_MAPPING, payload: { dialogOpen: open } })
+  }, [])
+
+  // Confirm the electrode of each signal label ({ [label]: electrode | IGNORE_CHANNEL })
+  // The mapping is kept for the device type so its other files load without asking again
+  const saveChannelMapping = useCallback((labels) => {
+    const currentState = stateRef.current
+    const { deviceKey, deviceName } = currentState.labelMapping
+    const edfData = currentState.edfData
+    if (!deviceKey || !edfData?.channels) return
+    
+    const entries = normalizeChannelLabels(edfData.channels.map(ch => ch.label), labels)
+    console.log('[Channel Mapping] Saved mapping for', deviceName, labels)
+    dispatch({ type: ActionTypes.SAVE_CHANNEL_MAPPING, payload: { deviceKey, deviceName, labels } })
+    dispatch({
+      type: ActionTypes.SET_LABEL_MAPPING,
+      payload: { entries, needsReview: needsMappingReview(entries), dialogOpen: false },
+    })
+    rederiveEDFChannels(currentState.settings.display.montage, entries)
+  }, [rederiveEDFChannels])
+
+  // Save the measured CSS pixels per mm of the screen, or null to go back to the browser's 96 px per inch
+  const setScreenCalibration = useCallback((pixelsPerMm) => {
+    const calibration = pixelsPerMm ? createScreenCalibration(pixelsPerMm) : null
+    console.log('[Screen Calibration]', calibration ? `${calibration.pixelsPerMm.toFixed(3)} px/mm` : 'reset to default')
+    dispatch({ type: ActionTypes.SET_SCREEN_CALIBRATION, payload: calibration })
+  }, [])
 
   // Auto-start disabled - user controls streaming via buttons
   // Uncomment below to enable auto-start on device connection
@@ -2271,6 +3156,8 @@ export function EEGProvider({ children }) {
       addIschemiaEvent,
       updateIschemiaEvent,
       updateSettings,
+      applyLineNoiseNotch,
+      dismissLineNoiseSuggestion,
       toggleSettingsPanel,
       toggleEventLog,
       toggleCompactSidebar,
@@ -2284,6 +3171,10 @@ export function EEGProvider({ children }) {
       setMeasurement,
       clearMeasurement,
       setSession,
+      setBaselineDuration,
+      startBaselineRecording,
+      cancelBaselineRecording,
+      resetBaseline,
       savePreset,
       loadPreset,
       deletePreset,
@@ -2292,10 +3183,18 @@ export function EEGProvider({ children }) {
       toggleCsaPanel,
       toggleQdsaPanel,
       loadEDFFile,
+      cancelEDFLoad,
+      requestEDFWindow,
       startEDFStream,
       pauseEDFStream,
+      stepEDFStream,
+      setPlaybackSpeed,
       stopEDFStream,
       resetToLiveMode,
+      analyzeEDFRecording,
+      setChannelMappingDialog,
+      saveChannelMapping,
+      setScreenCalibration,
     },
   }
 
@@ -0,0 +1,228 @@
+/**
+ * Artifact Detection
+ * Classifies every channel over consecutive ARTIFACT_EPOCH_SECONDS epochs of raw samples as clean or as
+ * one artifact type: electrocautery, clipping at the amplifier's digital min/max, flat line, movement or
+ * a high-amplitude transient. Clipping is tested against each channel's physical range (the physical
+ * min/max of the EDF header, which the digital min/max map to); channels without a recorded range, such
+ * as the mock source, fall back to spotting a signal pinned at its own extremes.
+ * IschemiaDetector runs one on its frames and, with artifact suppression on
+ * (settings.patient.artifactSuppression), leaves flagged channels out of its features; the app shades
+ * flagged epochs, leaves them out of the CSA/DSA and logs them as artifact annotations.
+ */
+
+// Length of the classified epochs
+export const ARTIFACT_EPOCH_SECONDS = 1
+
+// Artifact segments kept by the app for shading and CSA/DSA exclusion
+export const ARTIFACT_MAX_SEGMENTS = 2000
+
+// Display name of each artifact type
+export const ARTIFACT_TYPES = {
+  cautery: 'Electrocautery',
+  clipping: 'Clipping',
+  flat: 'Flat line',
+  movement: 'Movement',
+  transient: 'High-amplitude transient',
+}
+
+// Flat line: peak-to-peak below this (µV)
+const FLAT_PEAK_TO_PEAK_UV = 1
+
+// Clipping: the signal sits at the amplifier's limit for this long. Without a physical range the limit
+// is guessed as the epoch's own extreme value, which also needs a swing of at least CLIP_MIN_PEAK_TO_PEAK_UV
+const CLIP_RUN_SECONDS = 0.04
+const CLIP_MIN_PEAK_TO_PEAK_UV = 100
+const CLIP_TOLERANCE_UV = 1e-4
+
+// Electrocautery: large, broadband high-frequency noise. The RMS of the first difference relative to the
+// RMS of the signal is about 2·sin(πf/fs) for a sine (0.25 for 10 Hz at 250 Hz) and √2 for white noise
+const CAUTERY_DIFF_RMS_UV = 30
+const CAUTERY_HF_RATIO = 0.9
+
+// Movement: large, slow excursions
+const MOVEMENT_PEAK_TO_PEAK_UV = 300
+const MOVEMENT_HF_RATIO = 0.2
+
+// Transient: a deviation from the median this large and this many robust standard deviations out
+const TRANSIENT_UV = 150
+const TRANSIENT_FACTOR = 8
+
+/**
+ * Artifact type of one epoch of a channel
+ *
+ * @param {Float32Array} samples - Raw epoch (µV)
+ * @param {number} sampleRate - Sample rate in Hz
+ * @param {{ min: number, max: number, resolution: number }|null} physicalRange - Amplifier range of the
+ *   channel (µV) and the size of one digital step; null when the source does not record one
+ * @returns {string|null} Key of ARTIFACT_TYPES, null for a clean epoch
+ */
+export function classifyArtifact(samples, sampleRate, physicalRange = null) {
+  const n = samples.length
+  if (n < 2) return null
+  const minRun = Math.max(3, Math.round(CLIP_RUN_SECONDS * sampleRate))
+
+  // Samples at the amplifier's limits, even a channel stuck on one of them
+  if (physicalRange) {
+    const tolerance = Math.max(CLIP_TOLERANCE_UV, (physicalRange.resolution || 0) / 2)
+    if (longestRunAt(samples, physicalRange.min + tolerance, physicalRange.max - tolerance) >= minRun) return 'clipping'
+  }
+
+  let min = Infinity
+  let max = -Infinity
+  let mean = 0
+  let diffSquares = 0
+  for (let i = 0; i < n; i++) {
+    const value = samples[i]
+    if (value < min) min = value
+    if (value > max) max = value
+    mean += value
+    if (i > 0) {
+      const diff = value - samples[i - 1]
+      diffSquares += diff * diff
+    }
+  }
+  mean /= n
+  const peakToPeak = max - min
+  if (peakToPeak < FLAT_PEAK_TO_PEAK_UV) return 'flat'
+
+  // No recorded range: longest run pinned at either extreme of the epoch
+  if (!physicalRange && peakToPeak >= CLIP_MIN_PEAK_TO_PEAK_UV &&
+    longestRunAt(samples, min + CLIP_TOLERANCE_UV, max - CLIP_TOLERANCE_UV) >= minRun) return 'clipping'
+
+  let squares = 0
+  for (let i = 0; i < n; i++) {
+    const centred = samples[i] - mean
+    squares += centred * centred
+  }
+  const rms = Math.sqrt(squares / n)
+  const diffRms = Math.sqrt(diffSquares / (n - 1))
+  const hfRatio = rms > 0 ? diffRms / rms : 0
+  if (diffRms >= CAUTERY_DIFF_RMS_UV && hfRatio >= CAUTERY_HF_RATIO) return 'cautery'
+  if (peakToPeak >= MOVEMENT_PEAK_TO_PEAK_UV && hfRatio < MOVEMENT_HF_RATIO) return 'movement'
+
+  // Robust spread (median absolute deviation) so the transient itself does not widen it
+  const sorted = Float32Array.from(samples).sort()
+  const median = sorted[n >> 1]
+  const deviations = sorted.map(value => Math.abs(value - median)).sort()
+  const robustStd = deviations[n >> 1] * 1.4826
+  const largest = Math.max(max - median, median - min)
+  if (largest >= TRANSIENT_UV && largest >= TRANSIENT_FACTOR * robustStd) return 'transient'
+
+  return null
+}
+
+// Longest run of samples at or below low or at or above high
+function longestRunAt(samples, low, high) {
+  let run = 0
+  let longestRun = 0
+  for (let i = 0; i < samples.length; i++) {
+    run = samples[i] <= low || samples[i] >= high ? run + 1 : 0
+    if (run > longestRun) longestRun = run
+  }
+  return longestRun
+}
+
+/**
+ * Streaming artifact detector
+ * Feed one multi-channel sample at a time; each completed epoch returns its flagged channels
+ */
+export class ArtifactDetector {
+  /**
+   * @param {number} numChannels - Number of channels in each sample frame
+   * @param {number} sampleRate - Sample rate in Hz
+   */
+  constructor(numChannels, sampleRate) {
+    this.numChannels = numChannels
+    this.sampleRate = sampleRate
+    this.epochSamples = Math.max(2, Math.round(ARTIFACT_EPOCH_SECONDS * sampleRate))
+    this.physicalRanges = []
+    this.reset()
+  }
+
+  /**
+   * Set the amplifier range of each channel ({ min, max, resolution } in µV, or null), which clipping
+   * is tested against
+   */
+  setPhysicalRanges(ranges) {
+    this.physicalRanges = ranges || []
+  }
+
+  /**
+   * Clear the current epoch and the artifact history
+   */
+  reset() {
+    this.buffers = Array.from({ length: this.numChannels }, () => new Float32Array(this.epochSamples))
+    this.count = 0
+    this.epochStart = null
+    // End time of each channel's latest flagged epoch
+    this.lastArtifactEnd = new Array(this.numChannels).fill(-Infinity)
+  }
+
+  /**
+   * Add one sample per channel
+   *
+   * @param {number[]} samples - Sample value per channel (µV)
+   * @param {number} time - Sample time in seconds
+   * @returns {Array<{ channel, start, end, type }>} Flagged channels of the epoch this sample completed
+   */
+  addSample(samples, time) {
+    if (this.count === 0) this.epochStart = time
+    for (let ch = 0; ch < this.numChannels; ch++) {
+      const value = samples[ch]
+      this.buffers[ch][this.count] = Number.isFinite(value) ? value : 0
+    }
+    this.count++
+    if (this.count < this.epochSamples) return []
+
+    this.count = 0
+    const end = time + 1 / this.sampleRate
+    const flagged = []
+    for (let ch = 0; ch < this.numChannels; ch++) {
+      const type = classifyArtifact(this.buffers[ch], this.sampleRate, this.physicalRanges[ch] || null)
+      if (!type) continue
+      flagged.push({ channel: ch, start: this.epochStart, end, type })
+      this.lastArtifactEnd[ch] = end
+    }
+    return flagged
+  }
+
+  /**
+   * Whether a channel had an artifact flagged after a time
+   */
+  flaggedSince(channel, time) {
+    return this.lastArtifactEnd[channel] > time
+  }
+}
+
+/**
+ * Add artifact epochs to a list of artifact segments, extending a channel's last segment when the
+ * epoch continues it with the same type
+ *
+ * @param {Array<{ channel, start, end, type }>} segments - Segments in time order
+ * @param {Array<{ channel, start, end, type }>} epochs - Flagged epochs in time order
+ * @returns {Array} New segment list (the input is not changed), at most ARTIFACT_MAX_SEGMENTS long
+ */
+export function mergeArtifactSegments(segments, epochs) {
+  const merged = segments.slice()
+  const lastIndex = new Map()
+  merged.forEach((segment, index) => lastIndex.set(segment.channel, index))
+  epochs.forEach(epoch => {
+    const index = lastIndex.get(epoch.channel)
+    const last = index === undefined ? null : merged[index]
+    // Tolerate a sample of rounding between epochs
+    if (last && last.type === epoch.type && epoch.start - last.end <= ARTIFACT_EPOCH_SECONDS / 10) {
+      merged[index] = { ...last, end: Math.max(last.end, epoch.end) }
+      return
+    }
+    lastIndex.set(epoch.channel, merged.length)
+    merged.push({ ...epoch })
+  })
+  return merged.slice(-ARTIFACT_MAX_SEGMENTS)
+}
+
+/**
+ * Artifact intervals of one channel as [start, end] pairs
+ */
+export function channelArtifactIntervals(segments, channel) {
+  return segments.filter(segment => segment.channel === channel).map(segment => [segment.start, segment.end])
+}
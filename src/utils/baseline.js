@@ -0,0 +1,204 @@
+/**
+ * Baseline Utilities
+ * Records a window of raw EEG and summarises it as a per-channel band-power spectrum
+ * that later measurements are compared against (current vs. baseline percentage change)
+ */
+
+import { computePowerSpectrum, integrateBand, EEG_BANDS, TOTAL_POWER_RANGE } from './spectral'
+
+// Allowed baseline recording length in seconds (2-5 minutes)
+export const BASELINE_DURATION_RANGE = { min: 120, max: 300 }
+
+// Epoch length used to average the baseline spectrum (matches the detector epoch)
+export const BASELINE_EPOCH_SECONDS = 2
+
+// Highest frequency kept in the stored baseline spectrum (Hz)
+export const BASELINE_MAX_FREQUENCY = TOTAL_POWER_RANGE[1]
+
+const EPSILON = 1e-9
+
+/**
+ * Clamp a requested baseline duration to the allowed range
+ */
+export function clampBaselineDuration(durationSec) {
+  const value = Number.isFinite(durationSec) ? durationSec : BASELINE_DURATION_RANGE.min
+  return Math.max(BASELINE_DURATION_RANGE.min, Math.min(BASELINE_DURATION_RANGE.max, value))
+}
+
+/**
+ * Average power spectrum of a signal over 50% overlapping epochs (Welch's method)
+ *
+ * @param {Float32Array} samples - Signal (µV)
+ * @param {number} sampleRate - Sample rate in Hz
+ * @param {number} epochSeconds - Epoch length in seconds
+ * @returns {{ psd: Float32Array, freqResolution: number }}
+ */
+function averagePowerSpectrum(samples, sampleRate, epochSeconds) {
+  const epochSamples = Math.max(2, Math.round(epochSeconds * sampleRate))
+  const step = Math.max(1, Math.floor(epochSamples / 2))
+  let sum = null
+  let freqResolution = 0
+  let count = 0
+
+  for (let start = 0; start + epochSamples <= samples.length; start += step) {
+    const spectrum = computePowerSpectrum(samples.subarray(start, start + epochSamples), sampleRate)
+    if (!sum) {
+      sum = new Float32Array(spectrum.psd.length)
+      freqResolution = spectrum.freqResolution
+    }
+    for (let i = 0; i < sum.length; i++) sum[i] += spectrum.psd[i]
+    count++
+  }
+
+  if (!sum) return { psd: new Float32Array(0), freqResolution: 0 }
+  for (let i = 0; i < sum.length; i++) sum[i] /= count
+  return { psd: sum, freqResolution }
+}
+
+/**
+ * Summarise recorded channels as a session baseline
+ *
+ * @param {Float32Array[]} channelSamples - Raw samples per channel (µV)
+ * @param {number} sampleRate - Sample rate in Hz
+ * @param {Object} info
+ * @param {number} info.startTime - Stream time of the first sample (seconds)
+ * @param {number} info.endTime - Stream time of the last sample (seconds)
+ * @param {string[]} info.labels - Channel labels
+ * @returns {Object} Baseline: { startTime, endTime, duration, createdAt, sampleRate, channels: [{ channel, label, bandPowers, spectrum }] }
+ */
+export function computeBaseline(channelSamples, sampleRate, { startTime, endTime, labels = [] }) {
+  const channels = channelSamples.map((samples, channel) => {
+    const { psd, freqResolution } = averagePowerSpectrum(samples, sampleRate, BASELINE_EPOCH_SECONDS)
+
+    const bandPowers = {}
+    Object.entries(EEG_BANDS).forEach(([band, [fLow, fHigh]]) => {
+      bandPowers[band] = integrateBand(psd, freqResolution, fLow, fHigh)
+    })
+    bandPowers.total = integrateBand(psd, freqResolution, TOTAL_POWER_RANGE[0], TOTAL_POWER_RANGE[1])
+
+    // Keep the spectrum up to BASELINE_MAX_FREQUENCY as a plain array so it serialises with the session
+    const numBins = freqResolution > 0
+      ? Math.min(psd.length, Math.floor(BASELINE_MAX_FREQUENCY / freqResolution) + 1)
+      : 0
+
+    return {
+      channel,
+      label: labels[channel] || `Channel ${channel + 1}`,
+      bandPowers,
+      spectrum: {
+        freqResolution,
+        psd: Array.from(psd.subarray(0, numBins)),
+      },
+    }
+  })
+
+  return {
+    startTime,
+    endTime,
+    duration: endTime - startTime,
+    createdAt: new Date().toISOString(),
+    sampleRate,
+    channels,
+  }
+}
+
+/**
+ * Accumulates raw multi-channel samples until the requested baseline duration is reached
+ */
+export class BaselineRecorder {
+  /**
+   * @param {number} numChannels - Number of channels in each sample frame
+   * @param {number} sampleRate - Sample rate in Hz
+   * @param {number} durationSec - Baseline length (clamped to BASELINE_DURATION_RANGE)
+   */
+  constructor(numChannels, sampleRate, durationSec) {
+    this.numChannels = numChannels
+    this.sampleRate = sampleRate
+    this.durationSec = clampBaselineDuration(durationSec)
+    this.totalSamples = Math.round(this.durationSec * sampleRate)
+    this.buffers = Array(numChannels).fill(null).map(() => new Float32Array(this.totalSamples))
+    this.count = 0
+    this.startTime = null
+    this.endTime = null
+  }
+
+  /**
+   * Fraction of the baseline recorded so far (0-1)
+   */
+  get progress() {
+    return this.totalSamples > 0 ? this.count / this.totalSamples : 1
+  }
+
+  get isComplete() {
+    return this.count >= this.totalSamples
+  }
+
+  /**
+   * Add one sample per channel
+   *
+   * @param {number[]} samples - Sample value per channel (µV)
+   * @param {number} time - Sample time in seconds
+   * @returns {boolean} True once the recording is complete
+   */
+  addSample(samples, time) {
+    if (this.isComplete) return true
+
+    if (this.startTime === null) this.startTime = time
+    this.endTime = time
+    for (let ch = 0; ch < this.numChannels; ch++) {
+      const value = samples[ch]
+      this.buffers[ch][this.count] = Number.isFinite(value) ? value : 0
+    }
+    this.count++
+    return this.isComplete
+  }
+
+  /**
+   * Build the baseline from everything recorded so far
+   *
+   * @param {string[]} labels - Channel labels
+   */
+  finalize(labels = []) {
+    const recorded = this.buffers.map(buffer => buffer.subarray(0, this.count))
+    return computeBaseline(recorded, this.sampleRate, {
+      startTime: this.startTime,
+      endTime: this.endTime,
+      labels,
+    })
+  }
+}
+
+/**
+ * Percentage change of a value relative to a reference (null when there is no usable reference)
+ */
+export function percentChange(current, reference) {
+  if (!Number.isFinite(current) || !(reference > EPSILON)) return null
+  return (current / reference - 1) * 100
+}
+
+/**
+ * Percentage change of each band power relative to a baseline channel
+ *
+ * @param {Object} powers - Band powers from computeBandPowers
+ * @param {Object} baselineChannel - Entry of baseline.channels
+ * @returns {Object|null} { delta, theta, alpha, beta, total } in percent
+ */
+export function compareToBaseline(powers, baselineChannel) {
+  if (!powers || !baselineChannel?.bandPowers) return null
+
+  const change = {}
+  Object.keys(baselineChannel.bandPowers).forEach(band => {
+    change[band] = percentChange(powers[band], baselineChannel.bandPowers[band])
+  })
+  return change
+}
+
+/**
+ * Format a percentage change for display, e.g. "+12%" or "−35%"
+ */
+export function formatPercentChange(value) {
+  if (value === null || value === undefined || !Number.isFinite(value)) return '—'
+  const rounded = Math.round(value)
+  if (rounded === 0) return '0%'
+  return rounded > 0 ? `+${rounded}%` : `−${Math.abs(rounded)}%`
+}
@@ -0,0 +1,272 @@
+/**
+ * Burst Suppression Detection
+ * Segments the EEG into bursts and suppressions by envelope amplitude and duration, tracks the burst
+ * suppression ratio (BSR) over a sliding window and opens/closes burst suppression events while the
+ * BSR stays above settings.detection.thresholds.burstSuppression. IschemiaDetector runs one on the same
+ * raw frames, so ischemia events that open during suppression (e.g. from anaesthesia) can be flagged.
+ */
+
+import { SUPPRESSION_UV, SUPPRESSION_MIN_SECONDS } from './qeeg'
+
+// Event type of burst suppression events in ischemiaEvents (ischemia events have no type)
+export const BURST_SUPPRESSION_EVENT = 'burstSuppression'
+
+// The BSR is the fraction of the last BSR_WINDOW_SECONDS spent in suppression
+export const BSR_WINDOW_SECONDS = 60
+
+// Events are only evaluated once this much of the window is filled
+const MIN_WINDOW_SECONDS = 15
+
+// Interval between BSR evaluations
+const STEP_SECONDS = 1
+
+// Envelope: high-pass (removes offset and drift), rectify, smooth
+const ENVELOPE_HIGH_PASS_HZ = 0.5
+const ENVELOPE_SMOOTHING_SECONDS = 0.1
+
+// The mean of a rectified sine is 2/π of its amplitude; the envelope is scaled back to amplitude
+const RECTIFIED_TO_AMPLITUDE = Math.PI / 2
+
+/**
+ * True for burst suppression events (as opposed to ischemia events)
+ */
+export function isBurstSuppressionEvent(event) {
+  return event?.type === BURST_SUPPRESSION_EVENT
+}
+
+/**
+ * Alert severity of burst suppression, from the highest BSR reached
+ * Near-continuous suppression is critical whatever its cause
+ */
+export function burstSuppressionSeverity(bsr) {
+  return bsr >= 0.9 ? 'critical' : 'warning'
+}
+
+/**
+ * Streaming burst suppression detector
+ * Feed one multi-channel sample at a time; the envelope is the median over channels, so a single
+ * flat or noisy channel does not decide the segmentation
+ */
+export class BurstSuppressionDetector {
+  /**
+   * @param {number} numChannels - Number of channels in each sample frame
+   * @param {number} sampleRate - Sample rate in Hz
+   */
+  constructor(numChannels, sampleRate) {
+    this.numChannels = numChannels
+    this.sampleRate = sampleRate
+    const dt = 1 / sampleRate
+    const rc = 1 / (2 * Math.PI * ENVELOPE_HIGH_PASS_HZ)
+    this.highPassAlpha = rc / (rc + dt)
+    this.smoothing = dt / (ENVELOPE_SMOOTHING_SECONDS + dt)
+    this.windowSamples = Math.max(1, Math.round(BSR_WINDOW_SECONDS * sampleRate))
+    this.minWindowSamples = Math.round(MIN_WINDOW_SECONDS * sampleRate)
+    this.minSuppressionSamples = Math.max(1, Math.round(SUPPRESSION_MIN_SECONDS * sampleRate))
+    this.stepSamples = Math.max(1, Math.round(STEP_SECONDS * sampleRate))
+    this.channelEnvelopes = new Float32Array(numChannels)
+    this.reset()
+  }
+
+  /**
+   * Clear envelope, window and event state
+   */
+  reset() {
+    this.highPass = Array.from({ length: this.numChannels }, () => ({ input: 0, output: 0, primed: false }))
+    this.envelopes = new Float32Array(this.numChannels)
+    // 1 for samples in a suppression, over the last windowSamples samples
+    this.flags = new Uint8Array(this.windowSamples)
+    this.writeIndex = 0
+    this.filled = 0
+    this.suppressedCount = 0
+    this.lowRun = 0
+    // Segments overlapping the window: { type: 'burst' | 'suppression', start, end }; the last one is open
+    this.segments = []
+    this.samplesSinceStep = 0
+    this.bsr = 0
+    this.candidateStart = null
+    this.recoveryStart = null
+    this.activeEvent = null
+  }
+
+  /**
+   * Whether a burst suppression event is open
+   */
+  get isActive() {
+    return this.activeEvent !== null
+  }
+
+  /**
+   * Add one sample per channel
+   *
+   * @param {number[]} samples - Sample value per channel (µV)
+   * @param {number} time - Sample time in seconds
+   * @param {Object} detectionSettings - settings.detection
+   * @returns {Array} Transitions: { type: 'start', event } | { type: 'end', id, updates }
+   */
+  addSample(samples, time, detectionSettings) {
+    const suppressed = this.envelopeAt(samples) * RECTIFIED_TO_AMPLITUDE <= SUPPRESSION_UV
+    this.recordSample(suppressed, time)
+
+    this.samplesSinceStep++
+    if (this.samplesSinceStep < this.stepSamples) return []
+    this.samplesSinceStep = 0
+    this.bsr = this.filled > 0 ? this.suppressedCount / this.filled : 0
+    if (this.filled < this.minWindowSamples) return []
+    return this.updateEventState(time, detectionSettings)
+  }
+
+  /**
+   * Median over channels of each channel's smoothed rectified high-passed signal
+   */
+  envelopeAt(samples) {
+    for (let ch = 0; ch < this.numChannels; ch++) {
+      const value = Number.isFinite(samples[ch]) ? samples[ch] : 0
+      const state = this.highPass[ch]
+      if (!state.primed) {
+        state.input = value
+        state.primed = true
+      }
+      state.output = this.highPassAlpha * (state.output + value - state.input)
+      state.input = value
+      this.envelopes[ch] += this.smoothing * (Math.abs(state.output) - this.envelopes[ch])
+    }
+    this.channelEnvelopes.set(this.envelopes)
+    this.channelEnvelopes.sort()
+    const middle = this.numChannels >> 1
+    return this.numChannels % 2 === 1
+      ? this.channelEnvelopes[middle]
+      : (this.channelEnvelopes[middle - 1] + this.channelEnvelopes[middle]) / 2
+  }
+
+  /**
+   * Add a sample to the window; low-envelope runs only count as suppression once they last
+   * SUPPRESSION_MIN_SECONDS, at which point the whole run is marked
+   */
+  recordSample(isLow, time) {
+    const dt = 1 / this.sampleRate
+    if (this.filled === this.windowSamples) {
+      this.suppressedCount -= this.flags[this.writeIndex]
+    } else {
+      this.filled++
+    }
+
+    this.lowRun = isLow ? this.lowRun + 1 : 0
+    let type = 'burst'
+    if (this.lowRun >= this.minSuppressionSamples) {
+      type = 'suppression'
+      if (this.lowRun === this.minSuppressionSamples) {
+        // Mark the earlier samples of the run, which were recorded as burst
+        for (let back = 1; back < this.minSuppressionSamples; back++) {
+          const index = (this.writeIndex - back + this.windowSamples) % this.windowSamples
+          if (!this.flags[index]) this.suppressedCount++
+          this.flags[index] = 1
+        }
+      }
+    }
+    this.flags[this.writeIndex] = type === 'suppression' ? 1 : 0
+    if (type === 'suppression') this.suppressedCount++
+    this.writeIndex = (this.writeIndex + 1) % this.windowSamples
+
+    // Segments: a confirmed suppression starts where its low run started
+    const current = this.segments[this.segments.length - 1]
+    if (!current || current.type !== type) {
+      const start = type === 'suppression' ? time - (this.lowRun - 1) * dt : time
+      if (current) current.end = start
+      this.segments.push({ type, start, end: time + dt })
+    } else {
+      current.end = time + dt
+    }
+    const windowStart = time - BSR_WINDOW_SECONDS
+    while (this.segments.length > 1 && this.segments[0].end < windowStart) {
+      this.segments.shift()
+    }
+  }
+
+  /**
+   * Burst rate and mean suppression length over the window
+   */
+  windowStatistics() {
+    const bursts = this.segments.filter(segment => segment.type === 'burst').length
+    const suppressions = this.segments.filter(segment => segment.type === 'suppression')
+    const windowSeconds = this.filled / this.sampleRate
+    return {
+      burstsPerMinute: windowSeconds > 0 ? bursts * 60 / windowSeconds : 0,
+      meanSuppressionSec: suppressions.length > 0
+        ? suppressions.reduce((sum, segment) => sum + (segment.end - segment.start), 0) / suppressions.length
+        : 0,
+    }
+  }
+
+  /**
+   * Advance the open/close state machine
+   * An event opens once the BSR stays at or above the threshold for minDuration and closes
+   * after it stays below for minDuration
+   */
+  updateEventState(time, detectionSettings) {
+    const threshold = detectionSettings?.thresholds?.burstSuppression ?? 0.6
+    const minDuration = detectionSettings?.minDuration ?? 5
+    const isSuppressed = this.bsr >= threshold
+
+    if (!this.activeEvent) {
+      if (!isSuppressed) {
+        this.candidateStart = null
+        return []
+      }
+      if (this.candidateStart === null) {
+        this.candidateStart = time
+      }
+      if (time - this.candidateStart < minDuration) {
+        return []
+      }
+
+      const detectionCriteria = {
+        bsr: this.bsr,
+        maxBsr: this.bsr,
+        threshold,
+        windowSeconds: BSR_WINDOW_SECONDS,
+        ...this.windowStatistics(),
+      }
+      const event = {
+        id: Date.now() + Math.random(),
+        type: BURST_SUPPRESSION_EVENT,
+        startTime: this.candidateStart,
+        endTime: null,
+        confidence: null,
+        severity: burstSuppressionSeverity(this.bsr),
+        channelIds: Array.from({ length: this.numChannels }, (_, ch) => ch),
+        detectionCriteria,
+        acknowledged: false,
+      }
+      this.activeEvent = { id: event.id, detectionCriteria }
+      this.candidateStart = null
+      return [{ type: 'start', event }]
+    }
+
+    if (isSuppressed) {
+      this.recoveryStart = null
+      this.activeEvent.detectionCriteria.maxBsr = Math.max(this.activeEvent.detectionCriteria.maxBsr, this.bsr)
+      return []
+    }
+
+    if (this.recoveryStart === null) {
+      this.recoveryStart = time
+    }
+    if (time - this.recoveryStart < minDuration) {
+      return []
+    }
+
+    const { detectionCriteria } = this.activeEvent
+    const transition = {
+      type: 'end',
+      id: this.activeEvent.id,
+      updates: {
+        endTime: this.recoveryStart,
+        severity: burstSuppressionSeverity(detectionCriteria.maxBsr),
+        detectionCriteria: { ...detectionCriteria },
+      },
+    }
+    this.activeEvent = null
+    this.recoveryStart = null
+    return [transition]
+  }
+}
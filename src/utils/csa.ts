@@ -13,6 +13,7 @@ export interface CSASlice {
   timeSec: number
   freqBins: Float32Array
   sef95Hz: number
+  artifact?: boolean // Left out because its window overlaps an artifact; freqBins are empty
 }
 
 export interface CSAResult {
@@ -20,6 +21,11 @@ export interface CSAResult {
   freqAxisHz: number[]
 }
 
+// Fixed CSA colour scale in dB (μV²/Hz, the DSA's units): freqBins hold power normalized against it,
+// so the same power gets the same colour whatever else is on screen
+export const CSA_MIN_DB = 0
+export const CSA_MAX_DB = 80
+
 const DEFAULT_CONFIG: CSAConfig = {
   windowSeconds: 2,
   stepSeconds: 1,
@@ -113,6 +119,79 @@ function computeSEF95(powerSpectrum: Float32Array, freqArray: number[], maxFreqH
   return freqArray[validIndices[validIndices.length - 1]] || 0
 }
 
+/**
+ * Power spectrum (positive frequencies, in μV²) of a Hamming-windowed segment zero-padded to a power of 2
+ */
+function windowedPowerSpectrum(segment: Float32Array): { powerSpectrum: Float32Array, fftSize: number } {
+  // Apply Hamming window
+  const windowed = applyHammingWindow(segment)
+  
+  // Zero-pad to next power of 2 for FFT
+  const fftSize = Math.pow(2, Math.ceil(Math.log2(segment.length)))
+  const padded = new Float32Array(fftSize)
+  windowed.forEach((val, i) => { padded[i] = val })
+  
+  // Convert to complex array for FFT
+  const complex = Array.from(padded, val => [val, 0])
+  
+  // Compute FFT
+  const fftResult = fft(complex)
+  
+  // Compute power spectrum (only positive frequencies)
+  const numFreqPoints = Math.floor(fftSize / 2)
+  const powerSpectrum = new Float32Array(numFreqPoints)
+  for (let i = 0; i < numFreqPoints; i++) {
+    const real = fftResult[i][0]
+    const imag = fftResult[i][1]
+    powerSpectrum[i] = real * real + imag * imag
+  }
+  
+  return { powerSpectrum, fftSize }
+}
+
+/**
+ * Compute one CSA slice from a window of the signal
+ * Each log-spaced bin holds the mean power density of the FFT bins mapped to it, in dB scaled onto
+ * [CSA_MIN_DB, CSA_MAX_DB] (0-1); bins no FFT bin maps to stay 0
+ */
+function computeCSASlice(
+  segment: Float32Array,
+  samplingRate: number,
+  cfg: CSAConfig,
+  freqAxisHz: number[]
+): Omit<CSASlice, 'timeSec'> {
+  const { powerSpectrum, fftSize } = windowedPowerSpectrum(segment)
+  const numFreqPoints = powerSpectrum.length
+  const freqResolution = samplingRate / fftSize
+  
+  // Map to log-spaced bins
+  const binPower = new Float32Array(cfg.numFreqBins)
+  const binCount = new Uint16Array(cfg.numFreqBins)
+  for (let i = 0; i < numFreqPoints; i++) {
+    const freq = i * freqResolution
+    if (freq > cfg.maxFreqHz) break
+    
+    const binIdx = freqToBinIndex(freq, freqAxisHz)
+    if (binIdx >= 0 && binIdx < cfg.numFreqBins) {
+      binPower[binIdx] += powerSpectrum[i]
+      binCount[binIdx]++
+    }
+  }
+  
+  const freqBins = new Float32Array(cfg.numFreqBins)
+  for (let i = 0; i < cfg.numFreqBins; i++) {
+    if (binCount[i] === 0) continue
+    const dbPower = 10 * Math.log10(Math.max(binPower[i] / binCount[i] / freqResolution, 1e-10))
+    freqBins[i] = Math.max(0, Math.min(1, (dbPower - CSA_MIN_DB) / (CSA_MAX_DB - CSA_MIN_DB)))
+  }
+  
+  // Compute SEF95 from power spectrum
+  const freqArray = Array.from({ length: numFreqPoints }, (_, i) => i * freqResolution)
+  const sef95Hz = computeSEF95(powerSpectrum, freqArray, cfg.maxFreqHz)
+  
+  return { freqBins, sef95Hz }
+}
+
 /**
  * Compute CSA (Compressed Spectral Array) for a signal
  */
@@ -150,86 +229,12 @@ export function computeCSA(
   
   // Process overlapping windows
   for (let startIdx = 0; startIdx <= signal.length - windowSamples; startIdx += stepSamples) {
-    const window = signal.slice(startIdx, startIdx + windowSamples)
-    
-    // Apply Hamming window
-    const windowed = applyHammingWindow(window)
-    
-    // Zero-pad to next power of 2 for FFT
-    const fftSize = Math.pow(2, Math.ceil(Math.log2(windowSamples)))
-    const padded = new Float32Array(fftSize)
-    windowed.forEach((val, i) => { padded[i] = val })
-    
-    // Convert to complex array for FFT
-    const complex = padded.map(val => [val, 0])
-    
-    // Compute FFT
-    const fftResult = fft(complex)
-    
-    // Compute power spectrum (only positive frequencies)
-    const numFreqPoints = Math.floor(fftSize / 2)
-    const powerSpectrum = new Float32Array(numFreqPoints)
-    const freqResolution = samplingRate / fftSize
-    
-    for (let i = 0; i < numFreqPoints; i++) {
-      const real = fftResult[i][0]
-      const imag = fftResult[i][1]
-      const power = real * real + imag * imag
-      powerSpectrum[i] = power
-    }
-    
-    // Map to log-spaced bins
-    const freqBins = new Float32Array(cfg.numFreqBins)
-    
-    for (let i = 0; i < numFreqPoints; i++) {
-      const freq = i * freqResolution
-      if (freq > cfg.maxFreqHz) break
-      
-      const binIdx = freqToBinIndex(freq, freqAxisHz)
-      if (binIdx >= 0 && binIdx < cfg.numFreqBins) {
-        // Use log power
-        const logPower = Math.log10(powerSpectrum[i] + 1e-12)
-        freqBins[binIdx] += logPower
-      }
-    }
-    
-    // Compute SEF95 from power spectrum
-    const freqArray = Array.from({ length: numFreqPoints }, (_, i) => i * freqResolution)
-    const sef95Hz = computeSEF95(powerSpectrum, freqArray, cfg.maxFreqHz)
+    const slice = computeCSASlice(signal.subarray(startIdx, startIdx + windowSamples), samplingRate, cfg, freqAxisHz)
     
     // Center time of this window
     const timeSec = (startIdx + windowSamples / 2) / samplingRate
     
-    slices.push({
-      timeSec,
-      freqBins,
-      sef95Hz,
-    })
-  }
-  
-  // Normalize log power across all slices for this channel
-  if (slices.length > 0) {
-    let minLogPower = Infinity
-    let maxLogPower = -Infinity
-    
-    slices.forEach(slice => {
-      slice.freqBins.forEach(power => {
-        if (power > 0) {
-          minLogPower = Math.min(minLogPower, power)
-          maxLogPower = Math.max(maxLogPower, power)
-        }
-      })
-    })
-    
-    const range = maxLogPower - minLogPower || 1
-    
-    slices.forEach(slice => {
-      for (let i = 0; i < slice.freqBins.length; i++) {
-        if (slice.freqBins[i] > 0) {
-          slice.freqBins[i] = (slice.freqBins[i] - minLogPower) / range
-        }
-      }
-    })
+    slices.push({ timeSec, ...slice })
   }
   
   return { slices, freqAxisHz }
@@ -252,6 +257,7 @@ export interface DSASlice {
   sef95Hz: number
   minPower: number // Min power in dB μV²/Hz for this slice
   maxPower: number // Max power in dB μV²/Hz for this slice
+  artifact?: boolean // Left out because its window overlaps an artifact; powerSpectrum is empty
 }
 
 export interface DSAResult {
@@ -268,6 +274,118 @@ const DEFAULT_DSA_CONFIG: DSAConfig = {
   freqResolutionHz: 0.5, // 0.5 Hz resolution for full density
 }
 
+/**
+ * Compute one DSA slice from a window of the signal
+ * Power is normalized by frequency resolution to get spectral density, then converted to dB
+ */
+function computeDSASlice(
+  segment: Float32Array,
+  samplingRate: number,
+  cfg: DSAConfig,
+  freqAxisHz: number[]
+): Omit<DSASlice, 'timeSec'> {
+  const freqResolution = cfg.freqResolutionHz || 0.5
+  const numFreqBins = freqAxisHz.length
+  const { powerSpectrum: fftPower, fftSize } = windowedPowerSpectrum(segment)
+  const numFreqPoints = fftPower.length
+  const fftFreqResolution = samplingRate / fftSize
+  
+  // Compute power spectrum (only positive frequencies, in μV²)
+  const powerSpectrum = new Float32Array(numFreqBins)
+  
+  // Map FFT frequencies to linear frequency bins
+  for (let i = 0; i < numFreqPoints; i++) {
+    const freq = i * fftFreqResolution
+    if (freq > cfg.maxFreqHz) break
+    
+    // Find the closest bin in linear frequency axis
+    const binIdx = Math.round(freq / freqResolution)
+    if (binIdx >= 0 && binIdx < numFreqBins) {
+      powerSpectrum[binIdx] += fftPower[i]
+    }
+  }
+  
+  // Convert to power spectral density (μV²/Hz) by dividing by frequency resolution
+  // Then convert to dB: 10 * log10(powerDensity)
+  const powerSpectralDensity = new Float32Array(numFreqBins)
+  for (let i = 0; i < numFreqBins; i++) {
+    if (powerSpectrum[i] > 0) {
+      // Normalize by frequency resolution to get spectral density
+      const psd = powerSpectrum[i] / freqResolution
+      // Convert to dB: 10 * log10(psd)
+      // Use a small epsilon to avoid log(0)
+      const dbPower = 10 * Math.log10(Math.max(psd, 1e-10))
+      powerSpectralDensity[i] = dbPower
+    } else {
+      powerSpectralDensity[i] = -100 // Set to minimum dB value for zero power
+    }
+  }
+  
+  // Compute SEF95 from original FFT power spectrum
+  const fftFreqArray: number[] = []
+  for (let i = 0; i < numFreqPoints; i++) {
+    const freq = i * fftFreqResolution
+    if (freq > cfg.maxFreqHz) break
+    fftFreqArray.push(freq)
+  }
+  const sef95Hz = computeSEF95(fftPower, fftFreqArray, cfg.maxFreqHz)
+  
+  // Find min/max power for this slice (in dB)
+  let minPower = Infinity
+  let maxPower = -Infinity
+  for (let i = 0; i < powerSpectralDensity.length; i++) {
+    const dbPower = powerSpectralDensity[i]
+    if (isFinite(dbPower)) {
+      minPower = Math.min(minPower, dbPower)
+      maxPower = Math.max(maxPower, dbPower)
+    }
+  }
+  
+  return {
+    powerSpectrum: powerSpectralDensity, // Power spectral density in dB μV²/Hz
+    freqAxisHz: freqAxisHz.slice(), // Copy of frequency axis
+    sef95Hz,
+    minPower: minPower < Infinity ? minPower : -100,
+    maxPower: maxPower > -Infinity ? maxPower : 0,
+  }
+}
+
+/**
+ * Linear frequency axis of the DSA (0 to maxFreqHz with the configured resolution)
+ */
+function createLinearFreqBins(cfg: DSAConfig): number[] {
+  const freqResolution = cfg.freqResolutionHz || 0.5
+  const numFreqBins = Math.ceil(cfg.maxFreqHz / freqResolution) + 1
+  const freqAxisHz: number[] = []
+  for (let i = 0; i < numFreqBins; i++) {
+    freqAxisHz.push(i * freqResolution)
+  }
+  return freqAxisHz
+}
+
+/**
+ * Global power range of DSA slices, clamped to reasonable dB values
+ */
+function dsaResult(slices: DSASlice[], freqAxisHz: number[]): DSAResult {
+  let globalMinPower = Infinity
+  let globalMaxPower = -Infinity
+  slices.forEach(slice => {
+    globalMinPower = Math.min(globalMinPower, slice.minPower)
+    globalMaxPower = Math.max(globalMaxPower, slice.maxPower)
+  })
+  
+  // Clamp global power range to reasonable dB values
+  const clampedMinPower = globalMinPower < Infinity ? Math.max(globalMinPower, -100) : -100
+  const clampedMaxPower = globalMaxPower > -Infinity ? Math.min(globalMaxPower, 0) : 0
+  
+  return {
+    slices,
+    freqAxisHz,
+    globalMinPower: clampedMinPower,
+    globalMaxPower: clampedMaxPower > clampedMinPower ? clampedMaxPower : clampedMinPower + 1,
+  }
+}
+
 /**
  * Compute DSA (Density Spectral Array) for a signal
  * DSA shows power spectral density in dB μV²/Hz
@@ -287,124 +405,163 @@ export function computeDSA(
     return { slices: [], freqAxisHz: [], globalMinPower: -100, globalMaxPower: 0 }
   }
   
-  // Create linear frequency axis (0 to maxFreqHz with specified resolution)
-  const freqResolution = cfg.freqResolutionHz || 0.5
-  const numFreqBins = Math.ceil(cfg.maxFreqHz / freqResolution) + 1
-  const freqAxisHz: number[] = []
-  for (let i = 0; i < numFreqBins; i++) {
-    freqAxisHz.push(i * freqResolution)
-  }
-  
+  const freqAxisHz = createLinearFreqBins(cfg)
   const slices: DSASlice[] = []
-  let globalMinPower = Infinity
-  let globalMaxPower = -Infinity
   
   // Process overlapping windows
   for (let startIdx = 0; startIdx <= signal.length - windowSamples; startIdx += stepSamples) {
-    const window = signal.slice(startIdx, startIdx + windowSamples)
-    
-    // Apply Hamming window
-    const windowed = applyHammingWindow(window)
-    
-    // Zero-pad to next power of 2 for FFT
-    const fftSize = Math.pow(2, Math.ceil(Math.log2(windowSamples)))
-    const padded = new Float32Array(fftSize)
-    windowed.forEach((val, i) => { padded[i] = val })
-    
-    // Convert to complex array for FFT
-    const complex = padded.map(val => [val, 0])
+    const slice = computeDSASlice(signal.subarray(startIdx, startIdx + windowSamples), samplingRate, cfg, freqAxisHz)
     
-    // Compute FFT
-    const fftResult = fft(complex)
-    
-    // Compute power spectrum (only positive frequencies, in μV²)
-    const numFreqPoints = Math.floor(fftSize / 2)
-    const powerSpectrum = new Float32Array(numFreqBins)
-    const fftFreqResolution = samplingRate / fftSize
+    // Center time of this window
+    const timeSec = (startIdx + windowSamples / 2) / samplingRate
     
-    // Map FFT frequencies to linear frequency bins
-    for (let i = 0; i < numFreqPoints; i++) {
-      const freq = i * fftFreqResolution
-      if (freq > cfg.maxFreqHz) break
-      
-      const real = fftResult[i][0]
-      const imag = fftResult[i][1]
-      const power = real * real + imag * imag // Power in μV² (assuming input is in μV)
-      
-      // Find the closest bin in linear frequency axis
-      const binIdx = Math.round(freq / freqResolution)
-      if (binIdx >= 0 && binIdx < numFreqBins) {
-        powerSpectrum[binIdx] += power
-      }
+    slices.push({ timeSec, ...slice })
+  }
+  
+  return dsaResult(slices, freqAxisHz)
+}
+
+/**
+ * Hash of a run of samples (FNV-1a over the float bits), used to tell whether a window changed
+ */
+function hashSamples(signal: Float32Array, start: number, length: number): number {
+  const words = new Uint32Array(signal.buffer, signal.byteOffset + start * 4, length)
+  let hash = 2166136261
+  for (let i = 0; i < length; i++) {
+    hash = Math.imul(hash ^ words[i], 16777619)
+  }
+  return hash >>> 0
+}
+
+/**
+ * Placeholder for a slice left out because of an artifact; it keeps the slice's place on the time axis
+ * without affecting the power range
+ */
+function artifactSlice(kind: 'csa' | 'dsa', freqAxisHz: number[]): Omit<CSASlice, 'timeSec'> | Omit<DSASlice, 'timeSec'> {
+  return kind === 'csa'
+    ? { freqBins: new Float32Array(freqAxisHz.length), sef95Hz: NaN, artifact: true }
+    : {
+      powerSpectrum: new Float32Array(freqAxisHz.length).fill(-100),
+      freqAxisHz: freqAxisHz.slice(),
+      sef95Hz: NaN,
+      minPower: Infinity,
+      maxPower: -Infinity,
+      artifact: true,
     }
-    
-    // Convert to power spectral density (μV²/Hz) by dividing by frequency resolution
-    // Then convert to dB: 10 * log10(powerDensity)
-    const powerSpectralDensity = new Float32Array(numFreqBins)
-    for (let i = 0; i < numFreqBins; i++) {
-      if (powerSpectrum[i] > 0) {
-        // Normalize by frequency resolution to get spectral density
-        const psd = powerSpectrum[i] / freqResolution
-        // Convert to dB: 10 * log10(psd)
-        // Use a small epsilon to avoid log(0)
-        const dbPower = 10 * Math.log10(Math.max(psd, 1e-10))
-        powerSpectralDensity[i] = dbPower
-      } else {
-        powerSpectralDensity[i] = -100 // Set to minimum dB value for zero power
-      }
+}
+
+interface CachedSlice<S> {
+  hash: number
+  slice: Omit<S, 'timeSec'>
+}
+
+interface MontageCache<S> {
+  configKey: string
+  slices: Map<number, CachedSlice<S>>
+}
+
+/**
+ * Incremental CSA or DSA of montages whose signal grows as samples arrive
+ * Slices sit on a grid of absolute times (one every stepSeconds), so a stretch of signal always
+ * yields the same slice wherever the visible window starts. A slice is computed once and reused
+ * for as long as its samples are unchanged; only new slices (and ones whose samples were rewritten,
+ * e.g. after a montage or file change) are windowed and transformed. Slices that scroll out of the
+ * signal are dropped.
+ */
+export class SpectralArrayEngine {
+  kind: 'csa' | 'dsa'
+  montages: Map<string, MontageCache<CSASlice | DSASlice>>
+
+  constructor(kind: 'csa' | 'dsa') {
+    this.kind = kind
+    this.montages = new Map()
+  }
+
+  /**
+   * Update the slices of a montage
+   *
+   * @param key - Montage id
+   * @param signal - Samples of the montage
+   * @param samplingRate - Sample rate in Hz
+   * @param startTime - Absolute time of signal[0] in seconds
+   * @param config - CSA or DSA configuration
+   * @param artifacts - [start, end] absolute times of artifacts; slices whose window overlaps one are
+   *   returned as artifact placeholders
+   * @returns CSA or DSA result with slice times relative to signal[0], like computeCSA/computeDSA
+   */
+  update(
+    key: string,
+    signal: Float32Array,
+    samplingRate: number,
+    startTime: number,
+    config?: Partial<CSAConfig> | Partial<DSAConfig>,
+    artifacts: Array<[number, number]> = []
+  ): CSAResult | DSAResult {
+    const cfg = this.kind === 'csa'
+      ? { ...DEFAULT_CONFIG, ...config } as CSAConfig
+      : { ...DEFAULT_DSA_CONFIG, ...config } as DSAConfig
+    const windowSamples = Math.floor(cfg.windowSeconds * samplingRate)
+    if (windowSamples < 2 || signal.length < windowSamples || !(cfg.stepSeconds > 0)) {
+      this.montages.delete(key)
+      return this.kind === 'csa'
+        ? { slices: [], freqAxisHz: [] }
+        : { slices: [], freqAxisHz: [], globalMinPower: -100, globalMaxPower: 0 }
     }
-    
-    // Compute SEF95 from original FFT power spectrum
-    const fftPowerSpectrum = new Float32Array(numFreqPoints)
-    const fftFreqArray: number[] = []
-    for (let i = 0; i < numFreqPoints; i++) {
-      const freq = i * fftFreqResolution
-      if (freq > cfg.maxFreqHz) break
-      const real = fftResult[i][0]
-      const imag = fftResult[i][1]
-      fftPowerSpectrum[i] = real * real + imag * imag
-      fftFreqArray.push(freq)
+
+    // Cached slices only hold for the same rate and configuration
+    const configKey = `${samplingRate}|${JSON.stringify(cfg)}`
+    let cache = this.montages.get(key)
+    if (!cache || cache.configKey !== configKey) {
+      cache = { configKey, slices: new Map() }
     }
-    const sef95Hz = computeSEF95(fftPowerSpectrum, fftFreqArray, cfg.maxFreqHz)
-    
-    // Find min/max power for this slice (in dB)
-    let minPower = Infinity
-    let maxPower = -Infinity
-    for (let i = 0; i < powerSpectralDensity.length; i++) {
-      const dbPower = powerSpectralDensity[i]
-      if (isFinite(dbPower)) {
-        minPower = Math.min(minPower, dbPower)
-        maxPower = Math.max(maxPower, dbPower)
+
+    const freqAxisHz = this.kind === 'csa'
+      ? createLogFreqBins(cfg.maxFreqHz, (cfg as CSAConfig).numFreqBins)
+      : createLinearFreqBins(cfg as DSAConfig)
+
+    const slices: Array<CSASlice | DSASlice> = []
+    const kept = new Map<number, CachedSlice<CSASlice | DSASlice>>()
+    const firstStep = Math.ceil(startTime / cfg.stepSeconds - 1e-6)
+    for (let step = firstStep; ; step++) {
+      const startIdx = Math.round((step * cfg.stepSeconds - startTime) * samplingRate)
+      if (startIdx + windowSamples > signal.length) break
+      if (startIdx < 0) continue
+
+      // Center time of this window
+      const timeSec = (startIdx + windowSamples / 2) / samplingRate
+
+      // Artifact placeholders are not cached, so the slice is computed once the artifact is no longer flagged
+      const windowStart = startTime + startIdx / samplingRate
+      const windowEnd = windowStart + windowSamples / samplingRate
+      if (artifacts.some(([start, end]) => start < windowEnd && end > windowStart)) {
+        const cachedSlice = cache.slices.get(step)
+        if (cachedSlice) kept.set(step, cachedSlice)
+        slices.push({ timeSec, ...artifactSlice(this.kind, freqAxisHz) } as CSASlice | DSASlice)
+        continue
       }
+
+      const hash = hashSamples(signal, startIdx, windowSamples)
+      let cached = cache.slices.get(step)
+      if (!cached || cached.hash !== hash) {
+        const segment = signal.subarray(startIdx, startIdx + windowSamples)
+        const slice = this.kind === 'csa'
+          ? computeCSASlice(segment, samplingRate, cfg as CSAConfig, freqAxisHz)
+          : computeDSASlice(segment, samplingRate, cfg as DSAConfig, freqAxisHz)
+        cached = { hash, slice }
+      }
+      kept.set(step, cached)
+      slices.push({ timeSec, ...cached.slice } as CSASlice | DSASlice)
     }
-    
-    if (minPower < Infinity) {
-      globalMinPower = Math.min(globalMinPower, minPower)
-      globalMaxPower = Math.max(globalMaxPower, maxPower)
-    }
-    
-    // Center time of this window
-    const timeSec = (startIdx + windowSamples / 2) / samplingRate
-    
-    slices.push({
-      timeSec,
-      powerSpectrum: powerSpectralDensity, // Power spectral density in dB μV²/Hz
-      freqAxisHz: freqAxisHz.slice(), // Copy of frequency axis
-      sef95Hz,
-      minPower: minPower < Infinity ? minPower : -100,
-      maxPower: maxPower > -Infinity ? maxPower : 0,
-    })
+    cache.slices = kept
+    this.montages.set(key, cache)
+
+    return this.kind === 'csa'
+      ? { slices: slices as CSASlice[], freqAxisHz }
+      : dsaResult(slices as DSASlice[], freqAxisHz)
   }
-  
-  // Clamp global power range to reasonable dB values
-  const clampedMinPower = globalMinPower < Infinity ? Math.max(globalMinPower, -100) : -100
-  const clampedMaxPower = globalMaxPower > -Infinity ? Math.min(globalMaxPower, 0) : 0
-  
-  return {
-    slices,
-    freqAxisHz,
-    globalMinPower: clampedMinPower,
-    globalMaxPower: clampedMaxPower > clampedMinPower ? clampedMaxPower : clampedMinPower + 1,
+
+  // Forget the slices of a montage
+  release(key: string) {
+    this.montages.delete(key)
   }
 }
-
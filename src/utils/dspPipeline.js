@@ -0,0 +1,128 @@
+/**
+ * DSP Pipeline
+ * Main-thread client of the DSP worker (workers/dspWorker.js). Samples go in and filtered traces,
+ * detector transitions and features, spectrogram frames and CSA/DSA come out, so none of this runs
+ * inside React renders. Sample arrays are handed over as transferable buffers: an array passed in
+ * `transfer` is detached on the caller's side once posted, and arrays in the reply belong to the caller.
+ *
+ * Messages (see utils/dspProcessor.js for the payloads):
+ * - stream: filter one chunk per channel and run detection on it (live and EDF playback)
+ * - spectrogram: spectrogram frames of the latest samples of each channel
+ * - csa / dsa: compressed / density spectral arrays of each montage
+ * - lineNoise: mains frequency and line noise of each channel
+ * - release: drop the state kept for a stream
+ *
+ * Where workers are not available the same processor runs on the main thread, still asynchronously.
+ */
+
+import { DSPProcessor } from './dspProcessor'
+
+export class DSPPipeline {
+  constructor() {
+    this.nextId = 1
+    // id -> { resolve, reject }
+    this.pending = new Map()
+    // key -> { busy, queued } for requests where only the latest matters
+    this.latest = new Map()
+    this.processor = null
+    this.worker = null
+
+    if (typeof Worker !== 'undefined') {
+      try {
+        this.worker = new Worker(new URL('../workers/dspWorker.js', import.meta.url), { type: 'module' })
+        this.worker.onmessage = (event) => this.settle(event.data)
+        this.worker.onerror = (event) => {
+          console.error('[DSPPipeline] Worker failed, processing on the main thread from now on:', event.message)
+          this.worker.terminate()
+          this.worker = null
+          this.pending.forEach(({ reject }) => reject(new Error('DSP worker failed')))
+          this.pending.clear()
+        }
+      } catch (error) {
+        console.warn('[DSPPipeline] Web Workers unavailable, processing on the main thread:', error)
+        this.worker = null
+      }
+    }
+  }
+
+  /**
+   * Send a message; replies arrive in the order messages were posted
+   *
+   * @param {Object} message - { type, ...payload }
+   * @param {ArrayBuffer[]} transfer - Buffers handed over to the worker
+   * @returns {Promise<Object>} The reply
+   */
+  post(message, transfer = []) {
+    const id = this.nextId++
+    return new Promise((resolve, reject) => {
+      this.pending.set(id, { resolve, reject })
+      if (this.worker) {
+        this.worker.postMessage({ ...message, id }, transfer)
+      } else {
+        // Keep replies asynchronous so callers behave the same with and without a worker
+        Promise.resolve().then(() => {
+          if (!this.processor) this.processor = new DSPProcessor()
+          try {
+            this.settle(this.processor.handle({ ...message, id }).result)
+          } catch (error) {
+            this.settle({ id, error: error.message })
+          }
+        })
+      }
+    })
+  }
+
+  /**
+   * Send a message for which only the most recent request matters (e.g. a view refresh)
+   * While one is being processed, newer requests with the same key replace each other and only
+   * the last is sent; superseded requests resolve to null
+   */
+  postLatest(key, message, transfer = []) {
+    let slot = this.latest.get(key)
+    if (!slot) {
+      slot = { busy: false, queued: null }
+      this.latest.set(key, slot)
+    }
+    return new Promise((resolve, reject) => {
+      if (slot.queued) slot.queued.resolve(null)
+      slot.queued = { message, transfer, resolve, reject }
+      this.flushLatest(slot)
+    })
+  }
+
+  flushLatest(slot) {
+    if (slot.busy || !slot.queued) return
+    const { message, transfer, resolve, reject } = slot.queued
+    slot.queued = null
+    slot.busy = true
+    this.post(message, transfer)
+      .then(resolve, reject)
+      .finally(() => {
+        slot.busy = false
+        this.flushLatest(slot)
+      })
+  }
+
+  settle(reply) {
+    const request = this.pending.get(reply.id)
+    if (!request) return
+    this.pending.delete(reply.id)
+    if (reply.error) {
+      request.reject(new Error(reply.error))
+    } else {
+      request.resolve(reply)
+    }
+  }
+}
+
+let sharedPipeline = null
+
+/**
+ * The application's DSP pipeline (one worker shared by the streams and views)
+ */
+export function getDSPPipeline() {
+  if (!sharedPipeline) {
+    sharedPipeline = new DSPPipeline()
+  }
+  return sharedPipeline
+}
@@ -0,0 +1,211 @@
+/**
+ * DSP Processor
+ * Signal processing behind the DSP worker (see utils/dspPipeline.js): filtering, ischemia detection,
+ * spectrogram frames and CSA/DSA. Each message is handled synchronously and answered with a result
+ * plus the list of buffers to transfer back. Filter and detector state is kept per stream, so live
+ * and EDF playback chunks continue seamlessly from one message to the next.
+ */
+
+import { FilterState, filterZeroPhase } from './filters'
+import { IschemiaDetector } from './ischemiaDetector'
+import { SpectralArrayEngine } from './csa'
+import { computePowerSpectrum } from './spectral'
+import { analyzeLineNoise } from './lineNoise'
+
+// Spectrogram frames overlap by 75%
+const SPECTROGRAM_HOP_FRACTION = 0.25
+
+export class DSPProcessor {
+  constructor() {
+    // Per-stream state: { filterStates, filterKey, detector }
+    this.streams = new Map()
+    // Cached CSA/DSA slices per montage
+    this.spectralArrays = {
+      csa: new SpectralArrayEngine('csa'),
+      dsa: new SpectralArrayEngine('dsa')
+    }
+  }
+
+  /**
+   * Handle one message
+   *
+   * @param {Object} message - { id, type, ...payload }
+   * @returns {{ result: Object, transfer: ArrayBuffer[] }}
+   */
+  handle(message) {
+    switch (message.type) {
+      case 'stream':
+        return this.processStream(message)
+      case 'spectrogram':
+        return this.computeSpectrogram(message)
+      case 'csa':
+      case 'dsa':
+        return this.computeSpectralArrays(message, this.spectralArrays[message.type])
+      case 'lineNoise':
+        return this.computeLineNoise(message)
+      case 'release':
+        this.streams.delete(message.streamId)
+        return { result: { id: message.id }, transfer: [] }
+      default:
+        throw new Error(`Unknown DSP message type: ${message.type}`)
+    }
+  }
+
+  /**
+   * Filter a chunk of each channel in place and run detection on its raw frames
+   *
+   * message.channels: per channel { samples: Float32Array, sampleRate } or null (channel skipped)
+   * message.filterSettings: settings.display.filters
+   * message.reset: start the stream's filters over (e.g. a new stream or a re-rendered window)
+   * message.zeroPhase: filter each chunk forward-backward as a whole (review of a recording) instead
+   *   of continuing the stream's filters
+   * message.detection: optional { frames, numChannels, count, sampleRate, startTime, settings,
+   *   baseline, labels, physicalRanges, artifactSuppression, reset } where frames holds `count` raw samples
+   *   per channel, channel after channel, labels (the channel labels) group channels into hemispheres for
+   *   the qEEG metrics, physicalRanges (the amplifier range of each channel, null when unknown) are what
+   *   clipping is tested against and artifactSuppression (settings.patient) keeps channels with artifacts
+   *   out of detection
+   *
+   * @returns {{ result: { id, channels, transitions, analysis, qeeg, artifacts } }} Filtered chunks,
+   *   detector transitions, the latest epoch analysis (null when no epoch completed), the qEEG metrics
+   *   ({ time, channels, hemispheres, bsi, bsr }) of every epoch completed and the artifact epochs
+   *   ({ channel, start, end, type }) flagged
+   */
+  processStream(message) {
+    const { id, streamId, channels, filterSettings, reset, zeroPhase, detection } = message
+    let stream = this.streams.get(streamId)
+    if (!stream) {
+      stream = { filterStates: [], filterKey: null, detector: null }
+      this.streams.set(streamId, stream)
+    }
+
+    // Detection runs first, on the raw samples
+    const transitions = []
+    let analysis = null
+    const qeeg = []
+    let artifacts = []
+    if (detection) {
+      const { frames, numChannels, count, sampleRate, startTime, settings, baseline } = detection
+      const detector = stream.detector
+      if (detection.reset || !detector || detector.numChannels !== numChannels || detector.sampleRate !== sampleRate) {
+        stream.detector = new IschemiaDetector(numChannels, sampleRate)
+      }
+      stream.detector.setChannelLabels(detection.labels)
+      stream.detector.setPhysicalRanges(detection.physicalRanges)
+      stream.detector.setArtifactSuppression(detection.artifactSuppression)
+      const frame = new Array(numChannels)
+      for (let i = 0; i < count; i++) {
+        for (let ch = 0; ch < numChannels; ch++) {
+          frame[ch] = frames[ch * count + i]
+        }
+        transitions.push(...stream.detector.addSample(frame, startTime + i / sampleRate, settings, baseline))
+        const epochAnalysis = stream.detector.takeAnalysis()
+        if (epochAnalysis) {
+          analysis = epochAnalysis
+          qeeg.push({ time: epochAnalysis.time, ...epochAnalysis.qeeg })
+        }
+      }
+      artifacts = stream.detector.takeArtifacts()
+    }
+
+    // Reset filter states when the stream starts over or the filter settings change
+    const filterKey = JSON.stringify(filterSettings)
+    if (reset || zeroPhase || filterKey !== stream.filterKey) {
+      stream.filterStates = []
+      stream.filterKey = filterKey
+    }
+    const transfer = []
+    channels.forEach((channel, idx) => {
+      if (!channel) return
+      const { samples, sampleRate } = channel
+      transfer.push(samples.buffer)
+      if (zeroPhase) {
+        filterZeroPhase(samples, filterSettings, sampleRate)
+        return
+      }
+      if (!stream.filterStates[idx]) stream.filterStates[idx] = new FilterState()
+      const filterState = stream.filterStates[idx]
+      for (let i = 0; i < samples.length; i++) {
+        samples[i] = filterState.applyFilters(samples[i], filterSettings, sampleRate)
+      }
+    })
+
+    return { result: { id, channels, transitions, analysis, qeeg, artifacts }, transfer }
+  }
+
+  /**
+   * Spectrogram (short-time Fourier transform) of each channel
+   * Each frame is the power spectrum of a Hamming-windowed segment of windowLength seconds, zero-padded
+   * to at least fftSize points, placed at the segment's centre. With smoothing > 0 every frame is
+   * averaged exponentially with the previous one (smoothing is the weight of the previous frame).
+   *
+   * message.channels: per channel { samples, sampleRate, startTime } or null
+   * message.fftSize, windowLength, smoothing, frequencyRange: settings.spectrogram
+   *
+   * @returns {{ result: { id, frames: Array<Array<{ time, frequencies: Array<{ freq, power }> }>> } }}
+   *   Frames per channel with the power (µV²/Hz) of each bin within frequencyRange
+   */
+  computeSpectrogram(message) {
+    const { id, channels, fftSize, windowLength, smoothing = 0, frequencyRange = [0, Infinity] } = message
+    const [minFreq, maxFreq] = frequencyRange
+    const frames = channels.map(channel => {
+      if (!channel || channel.samples.length === 0) return []
+      const { samples, sampleRate, startTime } = channel
+
+      const windowSize = Math.max(2, Math.round(windowLength * sampleRate))
+      const hopSize = Math.max(1, Math.round(windowSize * SPECTROGRAM_HOP_FRACTION))
+      const spectrogramPoints = []
+      let previous = null
+      for (let i = 0; i + windowSize <= samples.length; i += hopSize) {
+        const { psd, freqResolution } = computePowerSpectrum(samples.subarray(i, i + windowSize), sampleRate, fftSize)
+        if (previous && smoothing > 0) {
+          for (let bin = 0; bin < psd.length; bin++) {
+            psd[bin] = smoothing * previous[bin] + (1 - smoothing) * psd[bin]
+          }
+        }
+        previous = psd
+
+        const frequencies = []
+        const firstBin = Math.max(0, Math.ceil(minFreq / freqResolution))
+        const lastBin = Math.min(psd.length - 1, Math.floor(maxFreq / freqResolution))
+        for (let bin = firstBin; bin <= lastBin; bin++) {
+          frequencies.push({ freq: bin * freqResolution, power: psd[bin] })
+        }
+        spectrogramPoints.push({
+          time: startTime + (i + windowSize / 2) / sampleRate,
+          frequencies
+        })
+      }
+      return spectrogramPoints
+    })
+    return { result: { id, frames }, transfer: [] }
+  }
+
+  /**
+   * CSA or DSA of each montage, computing only the slices not cached from earlier messages
+   * message.montages: per montage { id, data: Float32Array, samplingRate, startTime, artifacts } or null,
+   *   where startTime is the absolute time of data[0] and artifacts optional [start, end] times of
+   *   artifacts whose slices are left out
+   *
+   * Slice arrays stay in the cache, so they are copied to the reply rather than transferred
+   */
+  computeSpectralArrays(message, engine) {
+    const { id, montages, config } = message
+    const results = montages.map((montage, index) => {
+      if (!montage || montage.data.length === 0) return null
+      return engine.update(montage.id ?? String(index), montage.data, montage.samplingRate, montage.startTime || 0, config, montage.artifacts || [])
+    })
+    return { result: { id, results }, transfer: [] }
+  }
+
+  /**
+   * Mains frequency and per-channel line noise (see utils/lineNoise.js)
+   * message.channels: per channel { samples, sampleRate } of raw signal, or null
+   *
+   * @returns {{ result: { id, lineNoise: { frequency, harmonics, channelsDetected, channels } } }}
+   */
+  computeLineNoise(message) {
+    const { id, channels } = message
+    return { result: { id, lineNoise: analyzeLineNoise(channels) }, transfer: [] }
+  }
+}
@@ -1,8 +1,55 @@
 /**
  * EDF File Reader Utility
- * Reads EDF (European Data Format) files and extracts EEG data
+ * Reads EDF (European Data Format) and BDF (BioSemi 24-bit) files, including their EDF+/BDF+
+ * annotations, and extracts EEG data
  */
 
+// Labels of the EDF+/BDF+ annotation signal, which carries TALs instead of samples
+const ANNOTATION_SIGNAL_LABELS = ['EDF Annotations', 'BDF Annotations']
+
+// TAL separators (EDF+ specification section 2.2.2)
+const TAL_DURATION = '\x15'
+const TAL_TEXT = '\x14'
+const TAL_END = '\x00'
+
+// Bytes of data records read per Blob.slice
+const READ_CHUNK_BYTES = 8 * 1024 * 1024
+
+/**
+ * True for the EDF+ annotation signal
+ */
+export function isAnnotationSignal(signal) {
+  return ANNOTATION_SIGNAL_LABELS.includes((signal?.label || '').trim())
+}
+
+/**
+ * Split an EDF+ annotation text into an annotation type and text
+ * Texts written by our own export carry a type prefix ("Seizure: ..."); anything else is a marker event
+ */
+export function parseAnnotationText(text) {
+  const match = String(text || '').match(/^(note|seizure|artifact|event):\s*(.*)$/is)
+  if (match) {
+    return { type: match[1].toLowerCase(), text: match[2].trim() }
+  }
+  return { type: 'event', text: String(text || '').trim() }
+}
+
+/**
+ * Wall-clock start of a recording from the EDF header start date ("dd.mm.yy") and time ("hh.mm.ss")
+ * Two-digit years 85-99 are 1985-1999, others 2000-2084 (EDF clipping date convention)
+ * Returns null if the fields cannot be parsed
+ */
+export function parseEDFStartDate(startDate, startTime) {
+  const dateMatch = String(startDate || '').trim().match(/^(\d{2})\.(\d{2})\.(\d{2})$/)
+  if (!dateMatch) return null
+  const timeMatch = String(startTime || '').trim().match(/^(\d{2})\.(\d{2})\.(\d{2})$/)
+  const [, dd, mm, yy] = dateMatch.map(Number)
+  const [, hh, mi, ss] = timeMatch ? timeMatch.map(Number) : [0, 0, 0, 0]
+  const year = yy >= 85 ? 1900 + yy : 2000 + yy
+  const date = new Date(year, mm - 1, dd, hh, mi, ss)
+  return isNaN(date.getTime()) ? null : date
+}
+
 /**
  * Parse patient information from EDF patient ID field
  * EDF format: patientId field (80 bytes) can contain structured info
@@ -143,91 +190,234 @@ export function parseEDFPatientInfo(patientIdString, recordingIdString = '') {
   return patientInfo
 }
 
-export async function readEDFFile(file) {
-  return new Promise((resolve, reject) => {
-    const reader = new FileReader()
+/**
+ * Read a whole EDF/BDF file into memory
+ * Data records are read in chunks through Blob.slice and decoded straight into Float32Arrays,
+ * so memory use stays close to the size of the decoded samples
+ *
+ * @param {File|Blob} file
+ * @param {Object} options
+ * @param {Function} options.onProgress - Called with the fraction read (0-1)
+ * @param {AbortSignal} options.signal - Cancels the read (rejects with an AbortError)
+ * @returns {Promise<{ header, channels, annotations, durationSec, startTimeSec }>}
+ */
+export async function readEDFFile(file, { onProgress, signal } = {}) {
+  console.log('[readEDFFile] Starting to parse EDF file:', file.name, 'Size:', file.size, 'bytes')
+  const source = await EDFFileSource.open(file)
+  const { channels, annotations } = await source.readAll({ onProgress, signal })
+  
+  if (annotations.length > 0) {
+    console.log(`[readEDFFile] Parsed ${annotations.length} EDF+ annotation(s):`, annotations.slice(0, 10))
+  }
+  logChannelStatistics(channels, source.waveforms.map(w => w.signal))
+  
+  const durationSec = source.durationSec
+  
+  // Calculate actual duration from sample data for verification
+  const actualDurationSec = channels.length > 0 && channels[0]?.samples?.length > 0 && channels[0]?.sampleRate > 0
+    ? channels[0].samples.length / channels[0].sampleRate
+    : durationSec
+  
+  console.log('[readEDFFile] EDF file parsed successfully:', {
+    numChannels: channels.length,
+    headerDurationSec: durationSec,
+    headerDurationFormatted: `${Math.floor(durationSec / 3600)}:${Math.floor((durationSec % 3600) / 60).toString().padStart(2, '0')}:${(durationSec % 60).toFixed(1)}`,
+    actualDurationSec: actualDurationSec,
+    numDataRecords: source.numRecords,
+    recordDuration: source.recordDuration,
+    totalSamples: channels[0]?.samples?.length || 0,
+    sampleRates: [...new Set(channels.map(ch => ch.sampleRate))],
+    durationMismatch: Math.abs(durationSec - actualDurationSec) > 1 ? '⚠️ WARNING: Header duration does not match actual data duration!' : '✓ OK'
+  })
+  
+  return {
+    header: source.header,
+    channels,
+    annotations,
+    durationSec,
+    startTimeSec: 0
+  }
+}
+
+/**
+ * EDF/BDF file read on demand
+ * Only the header is held in memory; data records are read through Blob.slice when a time
+ * window (playback, review) or the whole recording is requested, so multi-hour recordings
+ * never have to be loaded at once
+ */
+export class EDFFileSource {
+  constructor(file, header) {
+    this.file = file
+    this.header = header
+    this.recordDuration = header.duration
     
-    reader.onload = (e) => {
-      try {
-        console.log('[readEDFFile] Starting to parse EDF file:', file.name, 'Size:', file.size, 'bytes')
-        const arrayBuffer = e.target.result
-        const dataView = new DataView(arrayBuffer)
-        
-        // Parse EDF header (256 bytes)
-        console.log('[readEDFFile] Parsing EDF header...')
-        const header = parseEDFHeader(dataView)
-        console.log('[readEDFFile] Header parsed:', {
-          numSignals: header.numSignals,
-          numDataRecords: header.numDataRecords,
-          duration: header.duration,
-          totalDuration: header.numDataRecords * header.duration
-        })
-        
-        // Parse EDF data records
-        console.log('[readEDFFile] Parsing EDF records...')
-        const records = parseEDFRecords(dataView, header)
-        console.log('[readEDFFile] Records parsed:', {
-          numRecords: records.length,
-          firstRecordSamples: records[0]?.samples?.length,
-          firstRecordTime: records[0]?.time
-        })
-        
-        // Extract channels to Float32Array format
-        console.log('[readEDFFile] Extracting channels to Float32Array...')
-        const channels = extractChannels(records, header)
-        console.log('[readEDFFile] Channels extracted:', {
-          numChannels: channels.length,
-          firstChannel: channels[0] ? {
-            label: channels[0].label,
-            sampleRate: channels[0].sampleRate,
-            samplesLength: channels[0].samples?.length,
-            samplesType: channels[0].samples?.constructor?.name
-          } : null
-        })
-        
-        const durationSec = header.numDataRecords * header.duration
-        
-        // Calculate actual duration from sample data for verification
-        const actualDurationSec = channels.length > 0 && channels[0]?.samples?.length > 0 && channels[0]?.sampleRate > 0
-          ? channels[0].samples.length / channels[0].sampleRate
-          : durationSec
-        
-        const result = {
-          header,
-          records,
-          channels,
-          durationSec,
-          startTimeSec: 0
-        }
-        
-        console.log('[readEDFFile] EDF file parsed successfully:', {
-          numChannels: channels.length,
-          headerDurationSec: durationSec,
-          headerDurationFormatted: `${Math.floor(durationSec / 3600)}:${Math.floor((durationSec % 3600) / 60).toString().padStart(2, '0')}:${(durationSec % 60).toFixed(1)}`,
-          actualDurationSec: actualDurationSec,
-          actualDurationFormatted: `${Math.floor(actualDurationSec / 3600)}:${Math.floor((actualDurationSec % 3600) / 60).toString().padStart(2, '0')}:${(actualDurationSec % 60).toFixed(1)}`,
-          numDataRecords: header.numDataRecords,
-          recordDuration: header.duration,
-          totalSamples: channels[0]?.samples?.length || 0,
-          sampleRate: channels[0]?.sampleRate || 0,
-          durationMismatch: Math.abs(durationSec - actualDurationSec) > 1 ? '⚠️ WARNING: Header duration does not match actual data duration!' : '✓ OK'
-        })
-        
-        resolve(result)
-      } catch (error) {
-        console.error('[readEDFFile] Error parsing EDF file:', error)
-        console.error('[readEDFFile] Error stack:', error.stack)
-        reject(error)
+    // Byte layout of one data record
+    let recordOffset = 0
+    const layout = header.signals.map(signal => {
+      const entry = {
+        signal,
+        offset: recordOffset,
+        bytes: signal.numSamples * header.bytesPerSample,
+        isAnnotation: isAnnotationSignal(signal)
+      }
+      recordOffset += entry.bytes
+      return entry
+    })
+    this.bytesPerRecord = recordOffset
+    this.annotationSignals = layout.filter(entry => entry.isAnnotation)
+    
+    // Waveform signals with their sample rate and digital -> µV conversion
+    this.waveforms = layout.filter(entry => !entry.isAnnotation).map((entry, channelIndex) => {
+      const { signal } = entry
+      const sampleRate = signal.numSamples / header.duration
+      if (!signal.numSamples || !isFinite(sampleRate) || sampleRate <= 0) {
+        throw new Error(`Invalid sample rate calculated for signal ${channelIndex} (${signal.label}): ${sampleRate} (numSamples=${signal.numSamples}, duration=${header.duration})`)
       }
+      const unitScale = microvoltScale(signal, channelIndex)
+      const physicalAtZero = convertToPhysical(0, signal.digitalMin, signal.digitalMax, signal.physicalMin, signal.physicalMax)
+      const physicalAtOne = convertToPhysical(1, signal.digitalMin, signal.digitalMax, signal.physicalMin, signal.physicalMax)
+      const gain = (physicalAtOne - physicalAtZero) * unitScale
+      return {
+        ...entry,
+        label: signal.label || `Channel ${channelIndex}`,
+        sampleRate,
+        gain,
+        physicalOffset: physicalAtZero * unitScale,
+        physicalRange: physicalRange(signal, unitScale, gain)
+      }
+    })
+    
+    if (this.waveforms.length === 0) {
+      throw new Error('EDF file has no signals/channels')
     }
     
-    reader.onerror = (error) => {
-      console.error('[readEDFFile] FileReader error:', error)
-      reject(new Error('Failed to read file'))
+    // Files still being recorded may leave the record count at -1; trust the file size then
+    const availableRecords = Math.floor((file.size - header.headerBytes) / this.bytesPerRecord)
+    this.numRecords = header.numDataRecords > 0 ? Math.min(header.numDataRecords, availableRecords) : availableRecords
+    if (header.numDataRecords > 0 && availableRecords < header.numDataRecords) {
+      console.warn(`[EDF Reader] File holds ${availableRecords} of ${header.numDataRecords} data records; reading the complete ones`)
+    }
+    this.durationSec = this.numRecords * this.recordDuration
+  }
+  
+  /**
+   * Read and parse the header of a file
+   */
+  static async open(file) {
+    const fixed = new DataView(await file.slice(0, 256).arrayBuffer())
+    if (fixed.byteLength < 256) {
+      throw new Error('File is too small to be an EDF file')
+    }
+    const headerBytes = parseInt(readString(fixed, 184, 8).trim())
+    if (!(headerBytes >= 256)) {
+      throw new Error(`Invalid EDF header size: ${readString(fixed, 184, 8)}`)
     }
     
-    reader.readAsArrayBuffer(file)
-  })
+    console.log('[readEDFFile] Parsing EDF header...')
+    const header = parseEDFHeader(new DataView(await file.slice(0, headerBytes).arrayBuffer()))
+    if (!header.duration || header.duration <= 0) {
+      throw new Error(`Invalid EDF header: duration=${header.duration}`)
+    }
+    const source = new EDFFileSource(file, header)
+    console.log('[readEDFFile] Header parsed:', {
+      format: header.format,
+      numSignals: header.numSignals,
+      numDataRecords: source.numRecords,
+      duration: header.duration,
+      totalDuration: source.durationSec,
+      sampleRates: source.waveforms.map(w => `${w.label}: ${w.sampleRate} Hz`)
+    })
+    return source
+  }
+  
+  /**
+   * Memory needed to hold every sample of the recording as Float32Arrays
+   */
+  get decodedBytes() {
+    return this.waveforms.reduce((sum, w) => sum + w.signal.numSamples * 4, 0) * this.numRecords
+  }
+  
+  /**
+   * Read the samples of a time window (seconds from the start of the file)
+   * The window is widened to whole data records; startSec of the result is the time of samples[0]
+   */
+  async readWindow(startSec, endSec, options) {
+    const firstRecord = Math.max(0, Math.floor(startSec / this.recordDuration))
+    const lastRecord = Math.min(this.numRecords, Math.ceil(endSec / this.recordDuration))
+    return this.readRecords(firstRecord, Math.max(0, lastRecord - firstRecord), options)
+  }
+  
+  /**
+   * Read every sample of the recording
+   */
+  async readAll(options) {
+    return this.readRecords(0, this.numRecords, options)
+  }
+  
+  /**
+   * Read a range of data records in chunks
+   *
+   * @returns {Promise<{ startSec: number, channels: Array<{ label: string, sampleRate: number, samples: Float32Array, physicalRange: Object|null }>, annotations: Array }>}
+   *   physicalRange is the amplifier range of the channel in µV (see physicalRange)
+   */
+  async readRecords(firstRecord, count, { onProgress, signal } = {}) {
+    const channels = this.waveforms.map(w => ({
+      label: w.label,
+      sampleRate: w.sampleRate,
+      samples: new Float32Array(count * w.signal.numSamples),
+      physicalRange: w.physicalRange
+    }))
+    const annotations = []
+    
+    await this.readChunks(firstRecord, count, { onProgress, signal }, (dataView, chunkFirst, chunkCount) => {
+      for (let r = 0; r < chunkCount; r++) {
+        const recordOffset = r * this.bytesPerRecord
+        const targetRecord = chunkFirst - firstRecord + r
+        this.waveforms.forEach((w, channelIndex) => {
+          decodeSamples(dataView, recordOffset + w.offset, w, channels[channelIndex].samples, targetRecord * w.signal.numSamples, this.header.bytesPerSample)
+        })
+        this.annotationSignals.forEach(entry => {
+          const bytes = new Uint8Array(dataView.buffer, dataView.byteOffset + recordOffset + entry.offset, entry.bytes)
+          annotations.push(...parseTALs(bytes).annotations)
+        })
+      }
+    })
+    
+    return { startSec: firstRecord * this.recordDuration, channels, annotations }
+  }
+  
+  /**
+   * Read only the EDF+ annotations (TALs) of the whole recording
+   */
+  async readAnnotations({ onProgress, signal } = {}) {
+    const annotations = []
+    if (this.annotationSignals.length === 0) return annotations
+    
+    await this.readChunks(0, this.numRecords, { onProgress, signal }, (dataView, chunkFirst, chunkCount) => {
+      for (let r = 0; r < chunkCount; r++) {
+        this.annotationSignals.forEach(entry => {
+          const bytes = new Uint8Array(dataView.buffer, dataView.byteOffset + r * this.bytesPerRecord + entry.offset, entry.bytes)
+          annotations.push(...parseTALs(bytes).annotations)
+        })
+      }
+    })
+    return annotations
+  }
+  
+  // Read data records through Blob.slice, a few MB at a time
+  async readChunks(firstRecord, count, { onProgress, signal }, handleChunk) {
+    const recordsPerChunk = Math.max(1, Math.floor(READ_CHUNK_BYTES / this.bytesPerRecord))
+    for (let done = 0; done < count; done += recordsPerChunk) {
+      throwIfAborted(signal)
+      const chunkFirst = firstRecord + done
+      const chunkCount = Math.min(recordsPerChunk, count - done)
+      const start = this.header.headerBytes + chunkFirst * this.bytesPerRecord
+      const buffer = await this.file.slice(start, start + chunkCount * this.bytesPerRecord).arrayBuffer()
+      handleChunk(new DataView(buffer), chunkFirst, chunkCount)
+      if (onProgress) onProgress((done + chunkCount) / count)
+    }
+    throwIfAborted(signal)
+  }
 }
 
 function parseEDFHeader(dataView) {
@@ -236,6 +426,9 @@ function parseEDFHeader(dataView) {
   
   // Read header fields (all are ASCII strings)
   header.version = readString(dataView, 0, 8).trim()
+  // BDF (BioSemi) marks its version field with 0xFF followed by "BIOSEMI" and stores 24-bit samples
+  header.format = dataView.getUint8(0) === 0xFF && readString(dataView, 1, 7) === 'BIOSEMI' ? 'BDF' : 'EDF'
+  header.bytesPerSample = header.format === 'BDF' ? 3 : 2
   header.patientId = readString(dataView, 8, 80).trim()
   header.recordingId = readString(dataView, 88, 80).trim()
   header.startDate = readString(dataView, 168, 8).trim()
@@ -326,232 +519,144 @@ function parseEDFHeader(dataView) {
   return header
 }
 
-function parseEDFRecords(dataView, header) {
-  const records = []
-  const headerSize = header.headerBytes
-  const samplesPerRecord = header.signals.reduce((sum, sig) => sum + sig.numSamples, 0)
-  const bytesPerRecord = samplesPerRecord * 2 // Each sample is 2 bytes (int16)
-  
-  for (let recordIndex = 0; recordIndex < header.numDataRecords; recordIndex++) {
-    const recordOffset = headerSize + (recordIndex * bytesPerRecord)
-    const record = {
-      index: recordIndex,
-      time: recordIndex * header.duration,
-      samples: []
+/**
+ * Parse the time-stamped annotation lists (TALs) of one data record
+ * The first TAL of each record keeps time and has an empty first annotation
+ *
+ * @param {Uint8Array} bytes - Annotation signal bytes of the record
+ * @returns {{ recordStart: number|null, annotations: Array<{ onset: number, duration: number, text: string }> }}
+ */
+function parseTALs(bytes) {
+  const annotations = []
+  let recordStart = null
+  const text = new TextDecoder('utf-8').decode(bytes)
+
+  text.split(TAL_END).forEach((tal, talIndex) => {
+    if (!tal) return
+    const [timing, ...texts] = tal.split(TAL_TEXT)
+    const [onsetText, durationText] = timing.split(TAL_DURATION)
+    const onset = parseFloat(onsetText)
+    if (!Number.isFinite(onset)) {
+      console.warn('[EDF Reader] Skipping TAL with invalid onset:', JSON.stringify(tal))
+      return
     }
-    
-    let sampleOffset = recordOffset
-    for (let signalIndex = 0; signalIndex < header.numSignals; signalIndex++) {
-      const signal = header.signals[signalIndex]
-      const signalSamples = []
-      
-      for (let i = 0; i < signal.numSamples; i++) {
-        // Read int16 (little-endian)
-        const digitalValue = dataView.getInt16(sampleOffset, true)
-        
-        // Convert to physical value (usually in microvolts for EEG)
-        const physicalValue = convertToPhysical(
-          digitalValue,
-          signal.digitalMin,
-          signal.digitalMax,
-          signal.physicalMin,
-          signal.physicalMax
-        )
-        
-        signalSamples.push(physicalValue)
-        sampleOffset += 2
-        
-        // Debug first few samples of first signal and some later samples
-        if (signalIndex === 0) {
-          if (i < 5 || (i >= 100 && i < 105) || (i >= 1000 && i < 1005)) {
-            console.log(`[EDF Reader] Record ${recordIndex}, Signal ${signalIndex}, Sample ${i}: digital=${digitalValue}, physical=${physicalValue.toFixed(4)}, range=[${signal.digitalMin},${signal.digitalMax}]->[${signal.physicalMin},${signal.physicalMax}]`)
-          }
-        }
-      }
-      
-      record.samples.push(signalSamples)
+    const duration = durationText ? parseFloat(durationText) : 0
+
+    let entries = texts
+    if (talIndex === 0 && texts[0] === '') {
+      recordStart = onset
+      entries = texts.slice(1)
     }
-    
-    records.push(record)
+    entries
+      .map(entry => entry.trim())
+      .filter(entry => entry.length > 0)
+      .forEach(entry => annotations.push({ onset, duration: Number.isFinite(duration) ? duration : 0, text: entry }))
+  })
+
+  return { recordStart, annotations }
+}
+
+// Decode one signal's samples of a data record (int16 for EDF, int24 for BDF) into µV
+function decodeSamples(dataView, offset, waveform, target, targetOffset, bytesPerSample) {
+  const { gain, physicalOffset } = waveform
+  const numSamples = waveform.signal.numSamples
+  for (let i = 0; i < numSamples; i++) {
+    const digitalValue = bytesPerSample === 3
+      ? readInt24(dataView, offset + i * 3)
+      : dataView.getInt16(offset + i * 2, true)
+    target[targetOffset + i] = digitalValue * gain + physicalOffset
   }
-  
-  return records
 }
 
-/**
- * Extract channels from EDF records and convert to Float32Array format
- * Returns channel data with Float32Array samples in µV
- */
-function extractChannels(records, header) {
-  const numChannels = header.signals.length
-  
-  if (numChannels === 0) {
-    throw new Error('EDF file has no signals/channels')
+// Amplifier range of a signal in µV (header physical min/max) and one digital step; null without a usable range
+function physicalRange(signal, unitScale, gain) {
+  const { physicalMin, physicalMax } = signal
+  if (!isFinite(physicalMin) || !isFinite(physicalMax) || physicalMin === physicalMax || !isFinite(gain)) return null
+  return {
+    min: Math.min(physicalMin, physicalMax) * unitScale,
+    max: Math.max(physicalMin, physicalMax) * unitScale,
+    resolution: Math.abs(gain)
   }
+}
+
+// Factor converting a signal's physical dimension to µV
+function microvoltScale(signal, channelIndex) {
+  const dim = (signal?.physicalDimension || '').trim().toLowerCase()
   
-  // Calculate actual sample rate from first signal
-  const firstSignal = header.signals[0]
-  if (!firstSignal || !firstSignal.numSamples || !header.duration || header.duration <= 0) {
-    throw new Error(`Invalid EDF header: numSamples=${firstSignal?.numSamples}, duration=${header.duration}`)
+  if (dim === 'uv' || dim === 'µv' || dim === 'microv' || dim === 'microvolts') {
+    return 1 // Already in microvolts
   }
-  
-  const sampleRate = firstSignal.numSamples / header.duration
-  
-  if (!isFinite(sampleRate) || sampleRate <= 0) {
-    throw new Error(`Invalid sample rate calculated: ${sampleRate} (numSamples=${firstSignal.numSamples}, duration=${header.duration})`)
+  if (dim === 'mv' || dim === 'milliv' || dim === 'millivolts') {
+    return 1_000 // mV → µV
   }
-  
-  console.log('[extractChannels] Sample rate:', sampleRate, 'Hz')
-  
-  // First pass: collect all samples to determine total count per channel
-  const channelSampleCounts = Array(numChannels).fill(0)
-  records.forEach((record) => {
-    record.samples.forEach((signalSamples, channelIndex) => {
-      channelSampleCounts[channelIndex] += signalSamples.length
-    })
-  })
-  
-  // Create Float32Array for each channel
-  const channels = channelSampleCounts.map((count, idx) => ({
-    label: header.signals[idx].label || `Channel ${idx}`,
-    sampleRate: sampleRate,
-    samples: new Float32Array(count)
-  }))
-  
-  // Statistics for debugging
-  const channelStats = Array(numChannels).fill(null).map(() => ({
-    min: Infinity,
-    max: -Infinity,
-    sum: 0,
-    count: 0
-  }))
-  
-  // Second pass: fill Float32Arrays with converted samples
-  const sampleIndices = Array(numChannels).fill(0)
-  
-  try {
-    records.forEach((record, recordIndex) => {
-      if (!record || !record.samples || !Array.isArray(record.samples)) {
-        console.warn(`[EDF Reader] Invalid record at index ${recordIndex}`)
-        return
-      }
-      
-      record.samples.forEach((signalSamples, channelIndex) => {
-        if (channelIndex >= numChannels) {
-          console.warn(`[EDF Reader] Channel index ${channelIndex} exceeds number of channels ${numChannels}`)
-          return
-        }
-        
-        const signalInfo = header.signals[channelIndex]
-        const channel = channels[channelIndex]
-        
-        if (!channel || !channel.samples) {
-          console.error(`[EDF Reader] Channel ${channelIndex} is invalid`)
-          return
-        }
-        
-        let currentIndex = sampleIndices[channelIndex]
-        
-        // Check bounds
-        if (currentIndex >= channel.samples.length) {
-          console.warn(`[EDF Reader] Sample index ${currentIndex} exceeds array length ${channel.samples.length} for channel ${channelIndex}`)
-          return
-        }
-        
-        // Determine unit conversion factor based on physical dimension
-        const dim = (signalInfo?.physicalDimension || '').trim().toLowerCase()
-        let unitScale = 1 // default: already in µV
-        
-        if (dim === 'uv' || dim === 'µv' || dim === 'microv' || dim === 'microvolts') {
-          unitScale = 1 // Already in microvolts
-        } else if (dim === 'mv' || dim === 'milliv' || dim === 'millivolts') {
-          unitScale = 1_000 // mV → µV
-        } else if (dim === 'v' || dim === 'volts' || dim === 'volt') {
-          unitScale = 1_000_000 // V → µV
-        } else {
-          // If dimension is unknown or empty, assume it's already in µV (common for EEG)
-          if (dim && dim.length > 0) {
-            console.warn(`[EDF Reader] Unknown physical dimension "${dim}" for channel ${channelIndex} (${signalInfo?.label || 'unknown'}), assuming µV`)
-          }
-          unitScale = 1
-        }
-        
-        // Convert and store samples
-        if (!Array.isArray(signalSamples)) {
-          console.warn(`[EDF Reader] Signal samples for channel ${channelIndex} is not an array`)
-          return
-        }
-        
-        signalSamples.forEach((sample) => {
-          // Check bounds before storing
-          if (currentIndex >= channel.samples.length) {
-            console.warn(`[EDF Reader] Exceeded array bounds for channel ${channelIndex} at index ${currentIndex}`)
-            return
-          }
-          
-          // Convert sample to microvolts
-          const microvoltSample = sample * unitScale
-          
-          // Store in Float32Array
-          channel.samples[currentIndex] = microvoltSample
-          
-          // Track statistics (now in µV)
-          if (!isNaN(microvoltSample) && isFinite(microvoltSample)) {
-            const stats = channelStats[channelIndex]
-            stats.min = Math.min(stats.min, microvoltSample)
-            stats.max = Math.max(stats.max, microvoltSample)
-            stats.sum += microvoltSample
-            stats.count++
-          }
-          
-          currentIndex++
-        })
-        
-        sampleIndices[channelIndex] = currentIndex
-      })
-    })
-  } catch (error) {
-    console.error('[EDF Reader] Error in second pass (filling Float32Arrays):', error)
-    throw error
+  if (dim === 'v' || dim === 'volts' || dim === 'volt') {
+    return 1_000_000 // V → µV
   }
-  
-  // Log statistics for first few channels (now all in µV)
+  // If dimension is unknown or empty, assume it's already in µV (common for EEG)
+  if (dim && dim.length > 0) {
+    console.warn(`[EDF Reader] Unknown physical dimension "${dim}" for channel ${channelIndex} (${signal?.label || 'unknown'}), assuming µV`)
+  }
+  return 1
+}
+
+// Reject with an AbortError once the caller cancelled the read
+function throwIfAborted(signal) {
+  if (signal?.aborted) {
+    throw new DOMException('EDF file loading was cancelled', 'AbortError')
+  }
+}
+
+/**
+ * Log statistics of the first channels of a loaded recording (values in µV)
+ */
+function logChannelStatistics(channels, signals) {
   console.log('[EDF Reader] Channel statistics (all values normalized to µV, stored as Float32Array):')
-  channelStats.slice(0, Math.min(8, numChannels)).forEach((stats, idx) => {
-    const mean = stats.count > 0 ? stats.sum / stats.count : 0
-    const signalInfo = header.signals[idx]
+  channels.slice(0, Math.min(8, channels.length)).forEach((channel, idx) => {
+    const samples = channel.samples
+    const signalInfo = signals[idx]
     const dim = (signalInfo?.physicalDimension || '').trim()
-    const nonZeroCount = channels[idx]?.samples ? Array.from(channels[idx].samples).filter(v => Math.abs(v) > 0.001).length : 0
-    const firstFewSamples = channels[idx]?.samples ? Array.from(channels[idx].samples.slice(0, 10)) : []
-    const midSamples = channels[idx]?.samples && channels[idx].samples.length > 1000 ? Array.from(channels[idx].samples.slice(1000, 1010)) : []
+    
+    let min = Infinity
+    let max = -Infinity
+    let sum = 0
+    let count = 0
+    let nonZeroCount = 0
+    for (let i = 0; i < samples.length; i++) {
+      const value = samples[i]
+      if (!isFinite(value)) continue
+      if (value < min) min = value
+      if (value > max) max = value
+      sum += value
+      count++
+      if (Math.abs(value) > 0.001) nonZeroCount++
+    }
+    const mean = count > 0 ? sum / count : 0
+    const firstFewSamples = Array.from(samples.slice(0, 10))
+    const midSamples = samples.length > 1000 ? Array.from(samples.slice(1000, 1010)) : []
     
     // Check data at specific time points: 0s, 10s, 20s, 30s, 40s
     const timePoints = [0, 10, 20, 30, 40]
     const timePointData = {}
-    const channelSampleRate = channels[idx]?.sampleRate || sampleRate
-    if (channels[idx]?.samples && channels[idx].samples.length > 0) {
-      timePoints.forEach(timeSec => {
-        const sampleIndex = Math.floor(timeSec * channelSampleRate)
-        if (sampleIndex < channels[idx].samples.length) {
-          const samplesAtTime = Array.from(channels[idx].samples.slice(sampleIndex, Math.min(sampleIndex + 10, channels[idx].samples.length)))
-          const statsAtTime = {
-            min: Math.min(...samplesAtTime),
-            max: Math.max(...samplesAtTime),
-            avg: samplesAtTime.reduce((sum, v) => sum + v, 0) / samplesAtTime.length,
-            nonZero: samplesAtTime.filter(v => Math.abs(v) > 0.001).length,
-            samples: samplesAtTime.slice(0, 5).map(v => v.toFixed(4))
-          }
-          timePointData[timeSec] = statsAtTime
+    timePoints.forEach(timeSec => {
+      const sampleIndex = Math.floor(timeSec * channel.sampleRate)
+      if (sampleIndex < samples.length) {
+        const samplesAtTime = Array.from(samples.slice(sampleIndex, Math.min(sampleIndex + 10, samples.length)))
+        timePointData[timeSec] = {
+          min: Math.min(...samplesAtTime),
+          max: Math.max(...samplesAtTime),
+          avg: samplesAtTime.reduce((total, v) => total + v, 0) / samplesAtTime.length,
+          nonZero: samplesAtTime.filter(v => Math.abs(v) > 0.001).length,
+          samples: samplesAtTime.slice(0, 5).map(v => v.toFixed(4))
         }
-      })
-    }
+      }
+    })
     
     console.log(`  Channel ${idx} (${signalInfo?.label || 'unknown'}):`, 
-      `min=${stats.min.toFixed(4)} µV`,
-      `max=${stats.max.toFixed(4)} µV`,
+      `min=${min.toFixed(4)} µV`,
+      `max=${max.toFixed(4)} µV`,
       `mean=${mean.toFixed(4)} µV`,
-      `range=${(stats.max - stats.min).toFixed(4)} µV`,
-      `nonZero=${nonZeroCount}/${stats.count}`,
+      `range=${(max - min).toFixed(4)} µV`,
+      `nonZero=${nonZeroCount}/${count}`,
       `first10=[${firstFewSamples.map(v => v.toFixed(4)).join(', ')}]`,
       midSamples.length > 0 ? `mid10=[${midSamples.map(v => v.toFixed(4)).join(', ')}]` : '',
       `physicalRange=[${signalInfo?.physicalMin}, ${signalInfo?.physicalMax}] ${dim}`,
@@ -566,12 +671,15 @@ function extractChannels(records, header) {
     })
     
     // Check if first 30 seconds are all zeros/near-zero
-    if (channels[idx]?.samples && channels[idx].samples.length > 0) {
-      const channelSampleRate = channels[idx]?.sampleRate || sampleRate
-      const samples30Sec = Math.floor(30 * channelSampleRate)
-      const first30SecSamples = Array.from(channels[idx].samples.slice(0, Math.min(samples30Sec, channels[idx].samples.length)))
-      const first30SecNonZero = first30SecSamples.filter(v => Math.abs(v) > 0.001).length
-      const first30SecMax = first30SecSamples.length > 0 ? Math.max(...first30SecSamples.map(v => Math.abs(v))) : 0
+    if (samples.length > 0) {
+      const first30SecSamples = samples.subarray(0, Math.min(Math.floor(30 * channel.sampleRate), samples.length))
+      let first30SecNonZero = 0
+      let first30SecMax = 0
+      for (let i = 0; i < first30SecSamples.length; i++) {
+        const abs = Math.abs(first30SecSamples[i])
+        if (abs > 0.001) first30SecNonZero++
+        if (abs > first30SecMax) first30SecMax = abs
+      }
       
       if (first30SecNonZero === 0 || first30SecMax < 0.01) {
         console.warn(`  ⚠️  Channel ${idx}: First 30 seconds appear to be all zeros/near-zero (max abs value: ${first30SecMax.toFixed(4)} µV, non-zero samples: ${first30SecNonZero}/${first30SecSamples.length})`)
@@ -580,8 +688,6 @@ function extractChannels(records, header) {
       }
     }
   })
-  
-  return channels
 }
 
 function convertToPhysical(digital, digitalMin, digitalMax, physicalMin, physicalMax) {
@@ -598,6 +704,12 @@ function convertToPhysical(digital, digitalMin, digitalMax, physicalMin, physica
   return physical
 }
 
+// Signed 24-bit little-endian integer (BDF sample)
+function readInt24(dataView, offset) {
+  const value = dataView.getUint8(offset) | (dataView.getUint8(offset + 1) << 8) | (dataView.getUint8(offset + 2) << 16)
+  return value & 0x800000 ? value - 0x1000000 : value
+}
+
 function readString(dataView, offset, length) {
   let str = ''
   for (let i = 0; i < length; i++) {
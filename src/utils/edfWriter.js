@@ -0,0 +1,262 @@
+/**
+ * EDF+ File Writer
+ * Encodes signals and annotations as an EDF+ (continuous) file: ASCII header, per-signal headers,
+ * int16 data records with physical/digital scaling, and an "EDF Annotations" signal carrying
+ * time-stamped annotation lists (TALs)
+ */
+
+export const EDF_ANNOTATIONS_LABEL = 'EDF Annotations'
+
+const DIGITAL_MIN = -32768
+const DIGITAL_MAX = 32767
+
+const MONTHS = ['JAN', 'FEB', 'MAR', 'APR', 'MAY', 'JUN', 'JUL', 'AUG', 'SEP', 'OCT', 'NOV', 'DEC']
+
+// TAL separators (EDF+ specification section 2.2.2)
+const TAL_DURATION = '\x15'
+const TAL_TEXT = '\x14'
+const TAL_END = '\x00'
+
+// Longest data record we try to keep within (EDF+ recommends at most 61440 bytes)
+const MAX_RECORD_DURATION = 10
+
+const encoder = new TextEncoder()
+
+// Write an ASCII field, left-aligned and padded with spaces
+function writeField(bytes, offset, length, value) {
+  const text = String(value ?? '').replace(/[^\x20-\x7e]/g, ' ')
+  for (let i = 0; i < length; i++) {
+    bytes[offset + i] = i < text.length ? text.charCodeAt(i) : 0x20
+  }
+}
+
+// Number formatted to fit an EDF header field without exponent notation
+function formatNumber(value, length) {
+  for (let decimals = Math.max(0, length - 2); decimals >= 0; decimals--) {
+    const text = String(Number(value.toFixed(decimals)))
+    if (text.length <= length && !text.includes('e')) return text
+  }
+  throw new Error(`Value ${value} does not fit in an EDF field of ${length} characters`)
+}
+
+// Onset or duration in a TAL, e.g. "+12.5" (millisecond precision)
+function formatSeconds(seconds, signed) {
+  const text = String(Number(Math.abs(seconds).toFixed(3)))
+  if (!signed) return text
+  return `${seconds < 0 ? '-' : '+'}${text}`
+}
+
+// EDF+ sub-fields may not contain spaces
+function subfield(value) {
+  const text = String(value || '').trim().replace(/\s+/g, '_')
+  return text || 'X'
+}
+
+function formatEDFPlusDate(date) {
+  return `${String(date.getDate()).padStart(2, '0')}-${MONTHS[date.getMonth()]}-${date.getFullYear()}`
+}
+
+/**
+ * EDF+ patient identification field: "code sex birthdate name" with X for unknown sub-fields
+ */
+export function formatPatientField({ patientId, sex, dateOfBirth, firstName, lastName } = {}) {
+  const birth = dateOfBirth ? new Date(dateOfBirth) : null
+  const birthText = birth && !isNaN(birth.getTime()) ? formatEDFPlusDate(birth) : 'X'
+  const sexText = /^(M|F)/i.test(sex || '') ? sex[0].toUpperCase() : 'X'
+  const name = [firstName, lastName].filter(Boolean).join(' ')
+  return `${subfield(patientId)} ${sexText} ${birthText} ${subfield(name)}`
+}
+
+/**
+ * EDF+ recording identification field: "Startdate dd-MMM-yyyy admincode technician equipment"
+ */
+export function formatRecordingField(startDate, { adminCode, technician, equipment } = {}) {
+  return `Startdate ${formatEDFPlusDate(startDate)} ${subfield(adminCode)} ${subfield(technician)} ${subfield(equipment)}`
+}
+
+// Shortest record duration (whole seconds) that gives every signal a whole number of samples per record
+function chooseRecordDuration(sampleRates) {
+  for (let duration = 1; duration <= MAX_RECORD_DURATION; duration++) {
+    if (sampleRates.every(rate => Math.abs(rate * duration - Math.round(rate * duration)) < 1e-6)) {
+      return duration
+    }
+  }
+  console.warn('[edfWriter] Sample rates do not fit whole-second records, rounding samples per record:', sampleRates)
+  return 1
+}
+
+// Physical range covering the signal, widened to whole units so the header values are exact
+function physicalRange(samples) {
+  let min = Infinity
+  let max = -Infinity
+  for (let i = 0; i < samples.length; i++) {
+    const value = samples[i]
+    if (!Number.isFinite(value)) continue
+    if (value < min) min = value
+    if (value > max) max = value
+  }
+  if (!Number.isFinite(min)) return [-1, 1]
+  const low = Math.floor(min)
+  const high = Math.ceil(max)
+  return high > low ? [low, high] : [low - 1, low + 1]
+}
+
+// Encode the annotations of one data record as TALs; the first TAL keeps the record's start time
+function encodeRecordAnnotations(recordStart, annotations) {
+  let text = `${formatSeconds(recordStart, true)}${TAL_TEXT}${TAL_TEXT}${TAL_END}`
+  annotations.forEach(({ onset, duration, text: annotationText }) => {
+    const clean = String(annotationText || '').replace(/[\x00\x14\x15]/g, ' ').trim()
+    const durationText = duration > 0 ? `${TAL_DURATION}${formatSeconds(duration, false)}` : ''
+    text += `${formatSeconds(onset, true)}${durationText}${TAL_TEXT}${clean}${TAL_TEXT}${TAL_END}`
+  })
+  return encoder.encode(text)
+}
+
+/**
+ * Encode an EDF+ file
+ *
+ * @param {Object} options
+ * @param {Array<{ label: string, samples: Float32Array|number[], sampleRate: number, physicalDimension?: string, transducer?: string, prefiltering?: string }>} options.signals - Signals in µV (or physicalDimension units)
+ * @param {Array<{ onset: number, duration?: number, text: string }>} [options.annotations] - Onsets in seconds from the start of the file
+ * @param {Date} [options.startDate] - Wall-clock time of the first sample
+ * @param {string} [options.patient] - EDF+ patient field (see formatPatientField)
+ * @param {string} [options.recording] - EDF+ recording field (see formatRecordingField)
+ * @returns {ArrayBuffer} File contents
+ */
+export function writeEDF({ signals, annotations = [], startDate = new Date(), patient, recording }) {
+  if (!signals || signals.length === 0) {
+    throw new Error('No signals to write')
+  }
+  signals.forEach((signal, idx) => {
+    if (!(signal.sampleRate > 0)) {
+      throw new Error(`Signal ${idx} (${signal.label}) has an invalid sample rate: ${signal.sampleRate}`)
+    }
+  })
+
+  const recordDuration = chooseRecordDuration(signals.map(s => s.sampleRate))
+  const longest = Math.max(...signals.map(s => s.samples.length / s.sampleRate))
+  const numRecords = Math.max(1, Math.ceil(longest / recordDuration - 1e-9))
+
+  // Waveform signal headers
+  const waveforms = signals.map(signal => {
+    const [physicalMin, physicalMax] = physicalRange(signal.samples)
+    return {
+      label: signal.label,
+      transducer: signal.transducer || '',
+      physicalDimension: signal.physicalDimension || 'uV',
+      physicalMin,
+      physicalMax,
+      digitalMin: DIGITAL_MIN,
+      digitalMax: DIGITAL_MAX,
+      prefiltering: signal.prefiltering || '',
+      numSamples: Math.max(1, Math.round(signal.sampleRate * recordDuration)),
+      samples: signal.samples,
+    }
+  })
+
+  // Group annotations by the data record containing their onset
+  const recordAnnotations = Array(numRecords).fill(null).map(() => [])
+  annotations
+    .filter(a => Number.isFinite(a.onset))
+    .sort((a, b) => a.onset - b.onset)
+    .forEach(annotation => {
+      const record = Math.min(numRecords - 1, Math.max(0, Math.floor(annotation.onset / recordDuration)))
+      recordAnnotations[record].push(annotation)
+    })
+  const encodedAnnotations = recordAnnotations.map((list, record) => encodeRecordAnnotations(record * recordDuration, list))
+  const annotationSamples = Math.ceil(Math.max(...encodedAnnotations.map(bytes => bytes.length)) / 2)
+
+  const allSignals = [
+    ...waveforms,
+    {
+      label: EDF_ANNOTATIONS_LABEL,
+      transducer: '',
+      physicalDimension: '',
+      physicalMin: -1,
+      physicalMax: 1,
+      digitalMin: DIGITAL_MIN,
+      digitalMax: DIGITAL_MAX,
+      prefiltering: '',
+      numSamples: annotationSamples,
+    },
+  ]
+
+  const numSignals = allSignals.length
+  const headerBytes = 256 + numSignals * 256
+  const recordBytes = allSignals.reduce((sum, s) => sum + s.numSamples * 2, 0)
+  const buffer = new ArrayBuffer(headerBytes + numRecords * recordBytes)
+  const bytes = new Uint8Array(buffer)
+  const dataView = new DataView(buffer)
+
+  // ===== Main header (256 bytes) =====
+  const dd = String(startDate.getDate()).padStart(2, '0')
+  const mm = String(startDate.getMonth() + 1).padStart(2, '0')
+  const yy = String(startDate.getFullYear() % 100).padStart(2, '0')
+  const hh = String(startDate.getHours()).padStart(2, '0')
+  const mi = String(startDate.getMinutes()).padStart(2, '0')
+  const ss = String(startDate.getSeconds()).padStart(2, '0')
+
+  writeField(bytes, 0, 8, '0')
+  writeField(bytes, 8, 80, patient || formatPatientField())
+  writeField(bytes, 88, 80, recording || formatRecordingField(startDate))
+  writeField(bytes, 168, 8, `${dd}.${mm}.${yy}`)
+  writeField(bytes, 176, 8, `${hh}.${mi}.${ss}`)
+  writeField(bytes, 184, 8, headerBytes)
+  writeField(bytes, 192, 44, 'EDF+C')
+  writeField(bytes, 236, 8, numRecords)
+  writeField(bytes, 244, 8, formatNumber(recordDuration, 8))
+  writeField(bytes, 252, 4, numSignals)
+
+  // ===== Signal headers (each field stored for all signals in turn) =====
+  const fields = [
+    ['label', 16],
+    ['transducer', 80],
+    ['physicalDimension', 8],
+    ['physicalMin', 8],
+    ['physicalMax', 8],
+    ['digitalMin', 8],
+    ['digitalMax', 8],
+    ['prefiltering', 80],
+    ['numSamples', 8],
+    ['reserved', 32],
+  ]
+  let offset = 256
+  fields.forEach(([name, length]) => {
+    allSignals.forEach(signal => {
+      const value = signal[name]
+      writeField(bytes, offset, length, typeof value === 'number' ? formatNumber(value, length) : value)
+      offset += length
+    })
+  })
+
+  // ===== Data records =====
+  for (let record = 0; record < numRecords; record++) {
+    waveforms.forEach(signal => {
+      const { samples, numSamples, physicalMin, physicalMax } = signal
+      const scale = (DIGITAL_MAX - DIGITAL_MIN) / (physicalMax - physicalMin)
+      const first = record * numSamples
+      for (let i = 0; i < numSamples; i++) {
+        const index = first + i
+        // Pad the last record with zeros past the end of the signal
+        const value = index < samples.length && Number.isFinite(samples[index]) ? samples[index] : 0
+        const digital = Math.round((value - physicalMin) * scale + DIGITAL_MIN)
+        dataView.setInt16(offset, Math.max(DIGITAL_MIN, Math.min(DIGITAL_MAX, digital)), true)
+        offset += 2
+      }
+    })
+
+    // Annotation signal: TAL bytes padded with zeros
+    bytes.set(encodedAnnotations[record], offset)
+    offset += annotationSamples * 2
+  }
+
+  console.log('[edfWriter] EDF+ file encoded:', {
+    signals: waveforms.map(s => `${s.label} (${s.numSamples / recordDuration} Hz)`),
+    annotations: annotations.length,
+    numRecords,
+    recordDuration,
+    bytes: buffer.byteLength,
+  })
+
+  return buffer
+}
@@ -0,0 +1,220 @@
+/**
+ * EDF Channel Label Normalization
+ * Maps the signal labels written by different amplifiers ('EEG F3-REF', 'F3-A1', 'FP1', 'POL T7')
+ * onto 10-20 electrode positions, flags labels that need a manual mapping and keeps confirmed
+ * mappings per device type
+ */
+
+// Scalp electrodes of the 10-20 system (ear references A1/A2 excluded)
+export const SCALP_ELECTRODES = [
+  'Fp1', 'Fp2', 'F7', 'F3', 'Fz', 'F4', 'F8',
+  'T3', 'C3', 'Cz', 'C4', 'T4',
+  'T5', 'P3', 'Pz', 'P4', 'T6',
+  'O1', 'O2'
+]
+
+// 10-10 positions between the 10-20 ones, found on higher-density caps (e.g. 32 channels)
+export const EXTENDED_ELECTRODES = [
+  'Fpz', 'AF7', 'AF3', 'AFz', 'AF4', 'AF8',
+  'F5', 'F1', 'F2', 'F6',
+  'FT7', 'FC5', 'FC3', 'FC1', 'FCz', 'FC2', 'FC4', 'FC6', 'FT8',
+  'C5', 'C1', 'C2', 'C6',
+  'TP7', 'CP5', 'CP3', 'CP1', 'CPz', 'CP2', 'CP4', 'CP6', 'TP8',
+  'P5', 'P1', 'P2', 'P6',
+  'PO7', 'PO3', 'POz', 'PO4', 'PO8',
+  'Oz'
+]
+
+export const EAR_ELECTRODES = ['A1', 'A2']
+
+export const KNOWN_ELECTRODES = [...SCALP_ELECTRODES, ...EXTENDED_ELECTRODES, ...EAR_ELECTRODES]
+
+// Modern 10-10 names for the same positions (mastoids are treated as the ear references)
+const ELECTRODE_ALIASES = { T7: 'T3', T8: 'T4', P7: 'T5', P8: 'T6', M1: 'A1', M2: 'A2' }
+
+// Suffixes meaning "recorded against the amplifier's common reference"
+const COMMON_REFERENCE_NAMES = ['REF', 'LE', 'RE', 'LINK', 'ORG']
+
+// Suffixes meaning "recorded against the average of all electrodes"
+const AVERAGE_REFERENCE_NAMES = ['AVG', 'AR', 'CAR']
+
+// Signal-type prefixes some amplifiers put in front of the electrode name
+const SIGNAL_PREFIX = /^(EEG|POL)[\s_-]+/i
+
+// Non-EEG signals that should never be mapped to an electrode
+const NON_EEG_SIGNAL = /^(ECG|EKG|EMG|EOG|LOC|ROC|RESP|SPO2|SAO2|PULSE|PLETH|HR|PHOTIC|EVENT|STATUS|TRIG|TRIGGER|MARK|MARKER|DC\d*|EDF ANNOTATIONS|BDF ANNOTATIONS)\b/i
+
+// Value stored in a saved mapping for channels the user chose not to use
+export const IGNORE_CHANNEL = 'IGNORE'
+
+// Saved mappings are kept in the browser between sessions
+const STORAGE_KEY = 'eegViewer.channelMappings'
+
+// Canonical spelling of an electrode name ('FP1' -> 'Fp1', 'T7' -> 'T3'), or null if unknown
+function canonicalElectrode(name) {
+  const upper = String(name || '').trim().toUpperCase()
+  if (!upper) return null
+  const alias = Object.keys(ELECTRODE_ALIASES).find(key => key === upper)
+  if (alias) return ELECTRODE_ALIASES[alias]
+  return KNOWN_ELECTRODES.find(electrode => electrode.toUpperCase() === upper) || null
+}
+
+// Reference named by a label suffix: null for the common reference, 'AVG', an ear electrode,
+// or undefined when the suffix is not a reference
+function referenceFromSuffix(suffix) {
+  const upper = String(suffix || '').trim().toUpperCase()
+  if (COMMON_REFERENCE_NAMES.includes(upper)) return null
+  if (AVERAGE_REFERENCE_NAMES.includes(upper)) return 'AVG'
+  const electrode = canonicalElectrode(upper)
+  return EAR_ELECTRODES.includes(electrode) ? electrode : undefined
+}
+
+/**
+ * Interpret a single EDF signal label
+ *
+ * @param {string} label - Signal label as written in the EDF header
+ * @returns {{
+ *   label: string,
+ *   status: 'mapped' | 'derivation' | 'ignored' | 'ambiguous' | 'unknown',
+ *   electrode: string|null,
+ *   reference: string|null,
+ *   derivation: string|null,
+ *   candidates: string[]
+ * }} electrode/reference are set for referential channels, derivation ('F3-P3') for bipolar ones;
+ *    candidates lists electrodes an ambiguous label may refer to
+ */
+export function mapLabel(label) {
+  const raw = String(label || '').trim()
+  const entry = { label: raw, status: 'unknown', electrode: null, reference: null, derivation: null, candidates: [] }
+  const name = raw.replace(SIGNAL_PREFIX, '').trim()
+
+  if (NON_EEG_SIGNAL.test(name)) {
+    entry.status = 'ignored'
+    return entry
+  }
+
+  const parts = name.split(/\s*-\s*/)
+  if (parts.length === 1 || parts.length === 2) {
+    const active = canonicalElectrode(parts[0])
+    if (active && parts.length === 1) {
+      return { ...entry, status: 'mapped', electrode: active }
+    }
+    if (active) {
+      const reference = referenceFromSuffix(parts[1])
+      if (reference !== undefined) {
+        return { ...entry, status: 'mapped', electrode: active, reference }
+      }
+      const second = canonicalElectrode(parts[1])
+      if (second) {
+        return { ...entry, status: 'derivation', derivation: `${active}-${second}` }
+      }
+    }
+  }
+
+  // Look for electrode names mixed with other text ('F3 1', 'EEG_F3_Ch2', 'F3-P3-REF')
+  const candidates = []
+  name.split(/[^A-Za-z0-9]+/).forEach(token => {
+    const electrode = canonicalElectrode(token)
+    if (electrode && !candidates.includes(electrode)) candidates.push(electrode)
+  })
+  if (candidates.length > 0) {
+    entry.status = 'ambiguous'
+    entry.candidates = candidates
+  }
+  return entry
+}
+
+/**
+ * Interpret all signal labels of a recording
+ * A saved mapping (raw label -> electrode, derivation or IGNORE_CHANNEL) overrides the automatic
+ * interpretation. A second channel mapping to an electrode that is already taken is ambiguous.
+ *
+ * @param {string[]} labels - Signal labels in file order
+ * @param {Object} savedMapping - Confirmed mapping for this device type
+ * @returns {Array<Object>} mapLabel entries with index and userMapped added
+ */
+export function normalizeChannelLabels(labels, savedMapping = {}) {
+  const taken = new Set()
+
+  return labels.map((label, index) => {
+    const raw = String(label || '').trim()
+    const saved = savedMapping?.[raw]
+    let entry
+
+    if (saved === IGNORE_CHANNEL) {
+      entry = { ...mapLabel(raw), status: 'ignored', electrode: null, reference: null, derivation: null, userMapped: true }
+    } else if (saved) {
+      const mapped = mapLabel(saved)
+      entry = { ...mapped, label: raw, userMapped: mapped.status === 'mapped' || mapped.status === 'derivation' }
+    } else {
+      entry = { ...mapLabel(raw), userMapped: false }
+    }
+
+    const key = entry.status === 'mapped' ? entry.electrode : entry.status === 'derivation' ? entry.derivation : null
+    if (key && taken.has(key)) {
+      entry = { ...entry, status: 'ambiguous', candidates: [entry.electrode || entry.derivation], electrode: null, reference: null, derivation: null }
+    } else if (key) {
+      taken.add(key)
+    }
+
+    return { ...entry, index }
+  })
+}
+
+/**
+ * True when some channels could not be mapped automatically and have no saved mapping
+ */
+export function needsMappingReview(entries) {
+  return entries.some(entry => (entry.status === 'ambiguous' || entry.status === 'unknown') && !entry.userMapped)
+}
+
+/**
+ * Identify the recording device so a confirmed mapping can be reused for its other files
+ * EDF+ names the equipment in the recording field; plain EDF does not, so the label set
+ * (which is fixed per amplifier configuration) identifies it instead
+ *
+ * @param {Object} header - Parsed EDF header
+ * @returns {{ key: string, name: string }}
+ */
+export function getDeviceType(header) {
+  const recording = (header?.recordingId || '').trim()
+  const signals = header?.signals || []
+
+  // EDF+: 'Startdate dd-MMM-yyyy <admin code> <technician> <equipment>'
+  if (/^Startdate\s/i.test(recording)) {
+    const equipment = recording.split(/\s+/)[4]
+    if (equipment && equipment !== 'X') {
+      const name = equipment.replace(/_/g, ' ')
+      return { key: `equipment:${name}`, name }
+    }
+  }
+
+  return {
+    key: `labels:${signals.map(s => s.label).join('|')}`,
+    name: `Unnamed device (${signals.length} signals)`,
+  }
+}
+
+/**
+ * Read saved mappings ({ [deviceKey]: { name, labels, updatedAt } }) from browser storage
+ */
+export function loadSavedMappings() {
+  try {
+    const stored = window.localStorage.getItem(STORAGE_KEY)
+    return stored ? JSON.parse(stored) : {}
+  } catch (error) {
+    console.warn('[electrodeLabels] Could not read saved channel mappings:', error)
+    return {}
+  }
+}
+
+/**
+ * Write saved mappings to browser storage
+ */
+export function storeSavedMappings(mappings) {
+  try {
+    window.localStorage.setItem(STORAGE_KEY, JSON.stringify(mappings))
+  } catch (error) {
+    console.warn('[electrodeLabels] Could not store channel mappings:', error)
+  }
+}
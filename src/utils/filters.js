@@ -1,8 +1,19 @@
 /**
  * Digital Filter Utilities for EEG Signal Processing
- * Implements IIR (Infinite Impulse Response) filters for real-time processing
+ * Implements IIR (Infinite Impulse Response) filters for real-time processing: the original
+ * first-order high-/low-pass stages and notch, plus Butterworth filters of any order built as
+ * cascades of biquad (second-order) sections, notch harmonics and forward-backward (zero-phase)
+ * filtering of whole recordings
  */
 
+import { EEG_BANDS } from './spectral'
+
+// Quality factor of the notch biquads
+const NOTCH_QUALITY = 30
+
+// Mean power gain over a band below which a filter warning is raised (dB, about 30% of the band's power lost)
+const BAND_WARNING_DB = -1.5
+
 /**
  * Apply a high-pass filter (removes low frequencies)
  * Uses a simple first-order IIR high-pass filter
@@ -97,6 +108,302 @@ export function applyNotch(sample, prevSample, prevPrevSample, prevOutput, prevP
   return b0n * sample + b1n * prevSample + b2n * prevPrevSample - a1n * prevOutput - a2n * prevPrevOutput
 }
 
+/**
+ * Butterworth filter as biquad sections { b0, b1, b2, a1, a2 } (a0 normalized to 1)
+ * Designed with the bilinear transform and a pre-warped cutoff; an odd order adds one first-order
+ * section. A band-pass is the high-pass of its lower edge cascaded with the low-pass of its upper edge.
+ *
+ * @param {'lowpass'|'highpass'|'bandpass'} type - Filter type
+ * @param {number} order - Filter order (per edge for band-pass)
+ * @param {number|number[]} cutoff - Cutoff in Hz, or [low, high] for band-pass
+ * @param {number} sampleRate - Sample rate in Hz
+ * @returns {Array<Object>} Biquad sections ([] when the cutoff is invalid)
+ */
+export function designButterworth(type, order, cutoff, sampleRate) {
+  if (type === 'bandpass') {
+    return [
+      ...designButterworth('highpass', order, cutoff[0], sampleRate),
+      ...designButterworth('lowpass', order, cutoff[1], sampleRate)
+    ]
+  }
+  if (!(cutoff > 0) || cutoff >= sampleRate / 2 || !(order >= 1)) {
+    return [] // No filtering if cutoff is invalid
+  }
+
+  const highPass = type === 'highpass'
+  const k = Math.tan(Math.PI * cutoff / sampleRate)
+  const sections = []
+
+  // One biquad per conjugate pole pair
+  for (let i = 0; i < Math.floor(order / 2); i++) {
+    const q = 1 / (2 * Math.sin((2 * i + 1) * Math.PI / (2 * order)))
+    const norm = 1 / (1 + k / q + k * k)
+    const b0 = highPass ? norm : k * k * norm
+    sections.push({
+      b0,
+      b1: highPass ? -2 * b0 : 2 * b0,
+      b2: b0,
+      a1: 2 * (k * k - 1) * norm,
+      a2: (1 - k / q + k * k) * norm
+    })
+  }
+
+  // Real pole of an odd order
+  if (order % 2 === 1) {
+    const norm = 1 / (1 + k)
+    const b0 = highPass ? norm : k * norm
+    sections.push({ b0, b1: highPass ? -b0 : b0, b2: 0, a1: (k - 1) * norm, a2: 0 })
+  }
+
+  return sections
+}
+
+/**
+ * Notch biquads at a line frequency and its harmonics (below Nyquist)
+ *
+ * @param {number} notchFreq - Line frequency in Hz (e.g. 50 or 60)
+ * @param {number} sampleRate - Sample rate in Hz
+ * @param {number} harmonics - Number of notches: 1 = the line frequency only, 2 adds 2x, ...
+ * @param {number} quality - Quality factor of each notch
+ * @returns {Array<Object>} Biquad sections
+ */
+export function designNotch(notchFreq, sampleRate, harmonics = 1, quality = NOTCH_QUALITY) {
+  const sections = []
+  if (!(notchFreq > 0)) return sections
+  for (let h = 1; h <= harmonics && h * notchFreq < sampleRate / 2; h++) {
+    const w0 = 2 * Math.PI * h * notchFreq / sampleRate
+    const alpha = Math.sin(w0) / (2 * quality)
+    const norm = 1 / (1 + alpha)
+    sections.push({
+      b0: norm,
+      b1: -2 * Math.cos(w0) * norm,
+      b2: norm,
+      a1: -2 * Math.cos(w0) * norm,
+      a2: (1 - alpha) * norm
+    })
+  }
+  return sections
+}
+
+/**
+ * Biquad sections for the display filter settings
+ * High- and low-pass are Butterworth of filterSettings.order (a band-pass when both are on),
+ * followed by the notch and filterSettings.notchHarmonics harmonics
+ *
+ * @param {Object} filterSettings - { highPass, lowPass, notch, order, notchHarmonics }
+ * @param {number} sampleRate - Sample rate in Hz
+ * @returns {Array<Object>} Biquad sections
+ */
+export function designFilterBank(filterSettings, sampleRate) {
+  const order = filterSettings.order || 1
+  return [
+    ...designButterworth('highpass', order, filterSettings.highPass, sampleRate),
+    ...designButterworth('lowpass', order, filterSettings.lowPass, sampleRate),
+    ...designNotch(filterSettings.notch, sampleRate, filterSettings.notchHarmonics || 1)
+  ]
+}
+
+/**
+ * Cascade of biquad sections run sample by sample (transposed direct form II)
+ */
+export class BiquadCascade {
+  constructor(sections) {
+    this.sections = sections
+    // Two delay elements per section
+    this.state = new Float64Array(sections.length * 2)
+  }
+
+  /**
+   * Filter one sample
+   */
+  process(sample) {
+    const { sections, state } = this
+    let x = sample
+    for (let i = 0; i < sections.length; i++) {
+      const { b0, b1, b2, a1, a2 } = sections[i]
+      const y = b0 * x + state[2 * i]
+      state[2 * i] = b1 * x - a1 * y + state[2 * i + 1]
+      state[2 * i + 1] = b2 * x - a2 * y
+      x = y
+    }
+    return x
+  }
+
+  /**
+   * Set the delay elements to the steady state for a constant input, so a signal starting
+   * at that value (e.g. with a DC offset) does not ring through the high-pass
+   */
+  prime(value) {
+    const { sections, state } = this
+    let x = value
+    for (let i = 0; i < sections.length; i++) {
+      const { b0, b1, b2, a1, a2 } = sections[i]
+      const y = x * (b0 + b1 + b2) / (1 + a1 + a2)
+      state[2 * i + 1] = b2 * x - a2 * y
+      state[2 * i] = b1 * x - a1 * y + state[2 * i + 1]
+      x = y
+    }
+  }
+
+  reset() {
+    this.state.fill(0)
+  }
+}
+
+/**
+ * Forward-backward (zero-phase) filtering of a whole signal, in place
+ * The signal is filtered, reversed and filtered again, which cancels the phase shift and squares
+ * the magnitude response (twice the attenuation, e.g. -6 dB at a Butterworth cutoff). Only usable
+ * when the whole stretch of signal is available, i.e. in review of a recording, not live.
+ * The ends are extended by odd reflection and the filter primed at the edge value to limit
+ * edge transients.
+ *
+ * @param {Float32Array} samples - Signal, overwritten with the filtered signal
+ * @param {Object} filterSettings - Display filter settings (see designFilterBank)
+ * @param {number} sampleRate - Sample rate in Hz
+ * @returns {Float32Array} samples
+ */
+export function filterZeroPhase(samples, filterSettings, sampleRate) {
+  const sections = designFilterBank(filterSettings, sampleRate)
+  const n = samples.length
+  if (sections.length === 0 || n < 2) return samples
+
+  // Odd reflection of the ends: x[-i] = 2 * x[0] - x[i]
+  const pad = Math.min(n - 1, 3 * (2 * sections.length + 1))
+  const extended = new Float64Array(n + 2 * pad)
+  for (let i = 0; i < pad; i++) {
+    extended[i] = 2 * samples[0] - samples[pad - i]
+    extended[n + pad + i] = 2 * samples[n - 1] - samples[n - 2 - i]
+  }
+  for (let i = 0; i < n; i++) extended[pad + i] = samples[i]
+
+  const cascade = new BiquadCascade(sections)
+  cascade.prime(extended[0])
+  for (let i = 0; i < extended.length; i++) {
+    extended[i] = cascade.process(extended[i])
+  }
+  cascade.prime(extended[extended.length - 1])
+  for (let i = extended.length - 1; i >= 0; i--) {
+    extended[i] = cascade.process(extended[i])
+  }
+
+  for (let i = 0; i < n; i++) samples[i] = extended[pad + i]
+  return samples
+}
+
+/**
+ * Biquad sections equivalent to what FilterState.applyFilters does with these settings, including
+ * the first-order stages and single notch used when the settings have no `order`
+ *
+ * @param {Object} filterSettings - Display filter settings
+ * @param {number} sampleRate - Sample rate in Hz
+ * @returns {Array<Object>} Biquad sections
+ */
+export function filterChainSections(filterSettings, sampleRate) {
+  if (filterSettings.order > 0) return designFilterBank(filterSettings, sampleRate)
+
+  const sections = []
+  const dt = 1.0 / sampleRate
+  const { highPass, lowPass, notch } = filterSettings
+  if (highPass > 0 && highPass < sampleRate / 2) {
+    const rc = 1.0 / (2.0 * Math.PI * highPass)
+    const alpha = rc / (rc + dt)
+    sections.push({ b0: alpha, b1: -alpha, b2: 0, a1: -alpha, a2: 0 })
+  }
+  if (lowPass > 0 && lowPass < sampleRate / 2) {
+    const rc = 1.0 / (2.0 * Math.PI * lowPass)
+    const alpha = dt / (rc + dt)
+    sections.push({ b0: alpha, b1: 0, b2: 0, a1: alpha - 1, a2: 0 })
+  }
+  if (notch > 0 && notch < sampleRate / 2) {
+    // Same coefficients as applyNotch
+    const w0 = 2 * Math.PI * notch / sampleRate
+    const bw = w0 / NOTCH_QUALITY
+    const sinw0 = Math.sin(w0)
+    const alpha = sinw0 * Math.sinh(Math.log(2) / 2 * bw * w0 / sinw0)
+    const norm = 1 + alpha
+    // applyFilters feeds this notch's delayed inputs from the raw sample, not the stage input
+    sections.push({ b0: 1 / norm, b1: -2 * Math.cos(w0) / norm, b2: 1 / norm, a1: -2 * Math.cos(w0) / norm, a2: (1 - alpha) / norm, rawHistory: true })
+  }
+  return sections
+}
+
+/**
+ * Magnitude and phase response of biquad sections
+ *
+ * @param {Array<Object>} sections - Biquad sections
+ * @param {number} sampleRate - Sample rate in Hz
+ * @param {number[]} frequencies - Frequencies to evaluate in Hz
+ * @returns {{ magnitudeDb: Float32Array, phaseDeg: Float32Array }} Gain in dB and phase in degrees
+ *   (wrapped to -180..180)
+ */
+export function frequencyResponse(sections, sampleRate, frequencies) {
+  const magnitudeDb = new Float32Array(frequencies.length)
+  const phaseDeg = new Float32Array(frequencies.length)
+  frequencies.forEach((freq, i) => {
+    const w = 2 * Math.PI * freq / sampleRate
+    // Response of the chain so far as a complex number
+    let re = 1
+    let im = 0
+    sections.forEach(({ b0, b1, b2, a1, a2, rawHistory }) => {
+      // H(e^jw) = (b0 + b1 e^-jw + b2 e^-2jw) / (1 + a1 e^-jw + a2 e^-2jw)
+      // With rawHistory only the b0 tap sees the chain so far: (b0 H + b1 e^-jw + b2 e^-2jw) / (...)
+      const tapsRe = b1 * Math.cos(w) + b2 * Math.cos(2 * w)
+      const tapsIm = -(b1 * Math.sin(w) + b2 * Math.sin(2 * w))
+      const denRe = 1 + a1 * Math.cos(w) + a2 * Math.cos(2 * w)
+      const denIm = -(a1 * Math.sin(w) + a2 * Math.sin(2 * w))
+      let numRe, numIm
+      if (rawHistory) {
+        numRe = b0 * re + tapsRe
+        numIm = b0 * im + tapsIm
+      } else {
+        const sectionRe = b0 + tapsRe
+        numRe = re * sectionRe - im * tapsIm
+        numIm = re * tapsIm + im * sectionRe
+      }
+      const denPower = denRe * denRe + denIm * denIm
+      re = (numRe * denRe + numIm * denIm) / denPower
+      im = (numIm * denRe - numRe * denIm) / denPower
+    })
+    magnitudeDb[i] = 20 * Math.log10(Math.max(Math.hypot(re, im), 1e-10))
+    phaseDeg[i] = Math.atan2(im, re) * 180 / Math.PI
+  })
+  return { magnitudeDb, phaseDeg }
+}
+
+/**
+ * Mean power gain of biquad sections over a band, in dB
+ */
+function bandGainDb(sections, sampleRate, [fLow, fHigh]) {
+  const steps = 32
+  const frequencies = Array.from({ length: steps }, (_, i) => fLow + (i + 0.5) * (fHigh - fLow) / steps)
+  const { magnitudeDb } = frequencyResponse(sections, sampleRate, frequencies)
+  const meanPower = magnitudeDb.reduce((sum, db) => sum + Math.pow(10, db / 10), 0) / steps
+  return 10 * Math.log10(Math.max(meanPower, 1e-10))
+}
+
+/**
+ * Warnings for filter settings that attenuate the delta or alpha band, whose changes
+ * (delta increase, alpha loss) are what ischemia detection looks for
+ *
+ * @param {Object} filterSettings - Display filter settings
+ * @param {number} sampleRate - Sample rate in Hz
+ * @returns {string[]} Warning messages (empty when both bands pass)
+ */
+export function filterWarnings(filterSettings, sampleRate) {
+  const sections = filterChainSections(filterSettings, sampleRate)
+  const warnings = []
+  const delta = bandGainDb(sections, sampleRate, EEG_BANDS.delta)
+  if (delta < BAND_WARNING_DB) {
+    warnings.push(`High-pass ${filterSettings.highPass} Hz attenuates delta (${EEG_BANDS.delta.join('-')} Hz) by ${Math.abs(delta).toFixed(1)} dB: the delta increase of ischemia may be hidden`)
+  }
+  const alpha = bandGainDb(sections, sampleRate, EEG_BANDS.alpha)
+  if (alpha < BAND_WARNING_DB) {
+    warnings.push(`Low-pass ${filterSettings.lowPass} Hz attenuates alpha (${EEG_BANDS.alpha.join('-')} Hz) by ${Math.abs(alpha).toFixed(1)} dB: alpha loss with ischemia may be hidden`)
+  }
+  return warnings
+}
+
 /**
  * Filter state for maintaining filter history across samples
  */
@@ -120,17 +427,33 @@ export class FilterState {
       prevOutput: 0,
       prevPrevOutput: 0
     }
+    
+    // Butterworth/notch biquad cascade, redesigned when its settings or the sample rate change
+    this.cascade = null
+    this.cascadeKey = null
   }
   
   /**
    * Apply all filters in sequence: High-pass -> Low-pass -> Notch
+   * Settings with an `order` use Butterworth filters of that order and notchHarmonics notches
+   * (see designFilterBank); settings without one keep the first-order stages and single notch
    * 
    * @param {number} sample - Raw sample value
-   * @param {Object} filterSettings - Filter settings { highPass, lowPass, notch }
+   * @param {Object} filterSettings - Filter settings { highPass, lowPass, notch, order?, notchHarmonics? }
    * @param {number} sampleRate - Sample rate in Hz
    * @returns {number} Fully filtered sample value
    */
   applyFilters(sample, filterSettings, sampleRate) {
+    if (filterSettings.order > 0) {
+      const key = `${sampleRate}|${filterSettings.highPass}|${filterSettings.lowPass}|${filterSettings.notch}|${filterSettings.order}|${filterSettings.notchHarmonics}`
+      if (key !== this.cascadeKey) {
+        this.cascade = new BiquadCascade(designFilterBank(filterSettings, sampleRate))
+        this.cascadeKey = key
+        this.cascade.prime(sample)
+      }
+      return this.cascade.process(sample)
+    }
+    
     let filtered = sample
     
     // Apply high-pass filter if enabled (> 0)
@@ -190,5 +513,7 @@ export class FilterState {
       prevOutput: 0,
       prevPrevOutput: 0
     }
+    this.cascade = null
+    this.cascadeKey = null
   }
 }
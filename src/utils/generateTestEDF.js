@@ -1,8 +1,14 @@
 /**
  * Generate a test EDF file for testing EDF loading and streaming
- * This creates a minimal valid EDF file with sample EEG data
+ * This creates a minimal valid EDF file with sample EEG data, optionally as BDF (24-bit samples)
+ * and/or with an EDF+ annotations signal
  */
 
+// TAL separators (EDF+ specification)
+const TAL_DURATION = '\x15'
+const TAL_TEXT = '\x14'
+const TAL_END = '\x00'
+
 /**
  * Write a string to a DataView at a specific offset
  */
@@ -21,24 +27,55 @@ function writeNumber(dataView, offset, length, num) {
   writeString(dataView, offset, length, numStr.padStart(length, ' '))
 }
 
+/**
+ * Time-keeping TAL of a data record followed by the annotations that start in it
+ */
+function recordTALs(recordStart, recordDuration, annotations) {
+  const tals = annotations
+    .filter(({ onset }) => onset >= recordStart && onset < recordStart + recordDuration)
+    .map(({ onset, duration, text }) => `+${onset}${duration ? TAL_DURATION + duration : ''}${TAL_TEXT}${text}${TAL_TEXT}${TAL_END}`)
+  return `+${recordStart}${TAL_TEXT}${TAL_TEXT}${TAL_END}${tals.join('')}`
+}
+
 /**
  * Generate a test EDF file
+ *
+ * @param {Object} options
+ * @param {string} options.format - 'EDF' (int16 samples) or 'BDF' (BioSemi, int24 samples)
+ * @param {Array<{ onset: number, duration?: number, text: string }>|null} options.annotations - Adds an
+ *   EDF+/BDF+ annotations signal carrying these annotations (onsets in seconds); null for a plain file
+ * @returns {ArrayBuffer}
  */
-export function generateTestEDF() {
+export function generateTestEDF({ format = 'EDF', annotations = null } = {}) {
   // EDF file structure:
   // - Header (256 bytes)
   // - Signal headers (256 bytes per signal)
   // - Data records
   
-  const numSignals = 8 // 8 EEG channels
+  const isBDF = format === 'BDF'
+  const bytesPerSample = isBDF ? 3 : 2 // int24 for BDF, int16 for EDF
+  const digitalMin = isBDF ? -8388608 : -32768
+  const digitalMax = isBDF ? 8388607 : 32767
+  const numEEGSignals = 8 // 8 EEG channels
+  const hasAnnotations = Array.isArray(annotations)
+  const numSignals = numEEGSignals + (hasAnnotations ? 1 : 0)
   const numRecords = 30 // 30 data records (30 seconds)
   const recordDuration = 1.0 // 1 second per record
   const samplesPerRecord = 256 // 256 samples per second per channel
   
+  // Annotation signal: room for the longest record's TALs, in whole samples
+  const encoder = new TextEncoder()
+  const recordAnnotations = hasAnnotations
+    ? Array.from({ length: numRecords }, (_, record) => encoder.encode(recordTALs(record * recordDuration, recordDuration, annotations)))
+    : []
+  const annotationSamples = hasAnnotations
+    ? Math.ceil(Math.max(...recordAnnotations.map(bytes => bytes.length + 1)) / bytesPerSample)
+    : 0
+  
   // Calculate sizes
   const headerSize = 256
   const signalHeaderSize = 256 * numSignals
-  const recordSize = samplesPerRecord * numSignals * 2 // 2 bytes per sample (int16)
+  const recordSize = (samplesPerRecord * numEEGSignals + annotationSamples) * bytesPerSample
   const totalSize = headerSize + signalHeaderSize + (numRecords * recordSize)
   
   // Create buffer
@@ -49,8 +86,13 @@ export function generateTestEDF() {
   
   // ===== EDF HEADER (256 bytes) =====
   
-  // Version (8 bytes): "0       "
-  writeString(dataView, offset, 8, '0')
+  // Version (8 bytes): "0       ", or 0xFF followed by "BIOSEMI" for BDF
+  if (isBDF) {
+    dataView.setUint8(offset, 0xFF)
+    writeString(dataView, offset + 1, 7, 'BIOSEMI')
+  } else {
+    writeString(dataView, offset, 8, '0')
+  }
   offset += 8
   
   // Patient ID (80 bytes)
@@ -75,8 +117,8 @@ export function generateTestEDF() {
   writeString(dataView, offset, 8, '        ')
   offset += 8
   
-  // Reserved (44 bytes)
-  writeString(dataView, offset, 44, '')
+  // Reserved (44 bytes): "EDF+C"/"BDF+C" for a continuous EDF+/BDF+ file, "24BIT" for plain BDF
+  writeString(dataView, offset, 44, hasAnnotations ? `${format}+C` : (isBDF ? '24BIT' : ''))
   offset += 44
   
   // Number of data records (8 bytes)
@@ -103,6 +145,8 @@ export function generateTestEDF() {
     'P3-O1',
     'P4-O2'
   ]
+  const annotationLabel = `${format} Annotations`
+  const isAnnotation = (i) => i >= numEEGSignals
   
   const signalHeaderStart = offset
   
@@ -124,63 +168,63 @@ export function generateTestEDF() {
   // 1. Labels (16 bytes each, all signals)
   const labelOffset = currentOffset
   for (let i = 0; i < numSignals; i++) {
-    writeString(dataView, labelOffset + (i * LABEL_SIZE), LABEL_SIZE, channelLabels[i])
+    writeString(dataView, labelOffset + (i * LABEL_SIZE), LABEL_SIZE, isAnnotation(i) ? annotationLabel : channelLabels[i])
   }
   currentOffset += numSignals * LABEL_SIZE
   
   // 2. Transducers (80 bytes each, all signals)
   const transducerOffset = currentOffset
   for (let i = 0; i < numSignals; i++) {
-    writeString(dataView, transducerOffset + (i * TRANSDUCER_SIZE), TRANSDUCER_SIZE, 'Ag/AgCl electrode')
+    writeString(dataView, transducerOffset + (i * TRANSDUCER_SIZE), TRANSDUCER_SIZE, isAnnotation(i) ? '' : 'Ag/AgCl electrode')
   }
   currentOffset += numSignals * TRANSDUCER_SIZE
   
   // 3. Physical dimension (8 bytes each, all signals)
   const physDimOffset = currentOffset
   for (let i = 0; i < numSignals; i++) {
-    writeString(dataView, physDimOffset + (i * PHYS_DIM_SIZE), PHYS_DIM_SIZE, 'uV')
+    writeString(dataView, physDimOffset + (i * PHYS_DIM_SIZE), PHYS_DIM_SIZE, isAnnotation(i) ? '' : 'uV')
   }
   currentOffset += numSignals * PHYS_DIM_SIZE
   
   // 4. Physical minimum (8 bytes each, all signals)
   const physMinOffset = currentOffset
   for (let i = 0; i < numSignals; i++) {
-    writeNumber(dataView, physMinOffset + (i * PHYS_MIN_SIZE), PHYS_MIN_SIZE, -3276.8)
+    writeNumber(dataView, physMinOffset + (i * PHYS_MIN_SIZE), PHYS_MIN_SIZE, isAnnotation(i) ? -1 : -3276.8)
   }
   currentOffset += numSignals * PHYS_MIN_SIZE
   
   // 5. Physical maximum (8 bytes each, all signals)
   const physMaxOffset = currentOffset
   for (let i = 0; i < numSignals; i++) {
-    writeNumber(dataView, physMaxOffset + (i * PHYS_MAX_SIZE), PHYS_MAX_SIZE, 3276.7)
+    writeNumber(dataView, physMaxOffset + (i * PHYS_MAX_SIZE), PHYS_MAX_SIZE, isAnnotation(i) ? 1 : 3276.7)
   }
   currentOffset += numSignals * PHYS_MAX_SIZE
   
   // 6. Digital minimum (8 bytes each, all signals)
   const digitalMinOffset = currentOffset
   for (let i = 0; i < numSignals; i++) {
-    writeNumber(dataView, digitalMinOffset + (i * DIGITAL_MIN_SIZE), DIGITAL_MIN_SIZE, -32768)
+    writeNumber(dataView, digitalMinOffset + (i * DIGITAL_MIN_SIZE), DIGITAL_MIN_SIZE, digitalMin)
   }
   currentOffset += numSignals * DIGITAL_MIN_SIZE
   
   // 7. Digital maximum (8 bytes each, all signals)
   const digitalMaxOffset = currentOffset
   for (let i = 0; i < numSignals; i++) {
-    writeNumber(dataView, digitalMaxOffset + (i * DIGITAL_MAX_SIZE), DIGITAL_MAX_SIZE, 32767)
+    writeNumber(dataView, digitalMaxOffset + (i * DIGITAL_MAX_SIZE), DIGITAL_MAX_SIZE, digitalMax)
   }
   currentOffset += numSignals * DIGITAL_MAX_SIZE
   
   // 8. Prefiltering (80 bytes each, all signals)
   const prefilterOffset = currentOffset
   for (let i = 0; i < numSignals; i++) {
-    writeString(dataView, prefilterOffset + (i * PREFILTER_SIZE), PREFILTER_SIZE, 'HP:0.1Hz LP:70Hz')
+    writeString(dataView, prefilterOffset + (i * PREFILTER_SIZE), PREFILTER_SIZE, isAnnotation(i) ? '' : 'HP:0.1Hz LP:70Hz')
   }
   currentOffset += numSignals * PREFILTER_SIZE
   
   // 9. Number of samples (8 bytes each, all signals) - CRITICAL FIELD
   const numSamplesOffset = currentOffset
   for (let i = 0; i < numSignals; i++) {
-    writeNumber(dataView, numSamplesOffset + (i * NUM_SAMPLES_SIZE), NUM_SAMPLES_SIZE, samplesPerRecord)
+    writeNumber(dataView, numSamplesOffset + (i * NUM_SAMPLES_SIZE), NUM_SAMPLES_SIZE, isAnnotation(i) ? annotationSamples : samplesPerRecord)
   }
   currentOffset += numSignals * NUM_SAMPLES_SIZE
   
@@ -203,7 +247,7 @@ export function generateTestEDF() {
   
   for (let record = 0; record < numRecords; record++) {
     // For each signal/channel
-    for (let channel = 0; channel < numSignals; channel++) {
+    for (let channel = 0; channel < numEEGSignals; channel++) {
       // Generate all samples for this signal in this record
       for (let sample = 0; sample < samplesPerRecord; sample++) {
         const time = (record * recordDuration) + (sample / samplesPerRecord)
@@ -217,15 +261,27 @@ export function generateTestEDF() {
         const noise = (Math.random() - 0.5) * 10
         value += noise
         
-        // Convert to digital value (scale to int16 range)
-        const digitalValue = Math.round((value / 3276.7) * 32767)
-        const clampedValue = Math.max(-32768, Math.min(32767, digitalValue))
+        // Convert to digital value (scale to int16/int24 range)
+        const digitalValue = Math.round((value / 3276.7) * digitalMax)
+        const clampedValue = Math.max(digitalMin, Math.min(digitalMax, digitalValue))
         
-        // Write as int16 (little-endian)
-        dataView.setInt16(offset, clampedValue, true)
-        offset += 2
+        // Write as int16 or int24 (little-endian)
+        if (isBDF) {
+          dataView.setUint8(offset, clampedValue & 0xFF)
+          dataView.setUint8(offset + 1, (clampedValue >> 8) & 0xFF)
+          dataView.setUint8(offset + 2, (clampedValue >> 16) & 0xFF)
+        } else {
+          dataView.setInt16(offset, clampedValue, true)
+        }
+        offset += bytesPerSample
       }
     }
+    
+    // Annotation signal: TALs padded with zero bytes
+    if (hasAnnotations) {
+      new Uint8Array(buffer, offset, annotationSamples * bytesPerSample).set(recordAnnotations[record])
+      offset += annotationSamples * bytesPerSample
+    }
   }
   
   return buffer
@@ -234,13 +290,13 @@ export function generateTestEDF() {
 /**
  * Create a downloadable EDF file
  */
-export function downloadTestEDF() {
-  const buffer = generateTestEDF()
+export function downloadTestEDF(options) {
+  const buffer = generateTestEDF(options)
   const blob = new Blob([buffer], { type: 'application/octet-stream' })
   const url = URL.createObjectURL(blob)
   const a = document.createElement('a')
   a.href = url
-  a.download = 'test_eeg.edf'
+  a.download = options?.format === 'BDF' ? 'test_eeg.bdf' : 'test_eeg.edf'
   document.body.appendChild(a)
   a.click()
   document.body.removeChild(a)
@@ -0,0 +1,539 @@
+/**
+ * Ischemia Detection Engine
+ * Measures band powers per channel from streamed samples and compares them
+ * against a rolling reference to open and close ischemia events; every epoch's
+ * qEEG metrics (see utils/qeeg.js) come along with the analysis
+ * Burst suppression (see utils/burstSuppression.js) is detected on the same samples
+ * and raised as its own event type; artifacts (see utils/artifacts.js) are flagged per
+ * channel and, with artifact suppression on, kept out of the features
+ */
+
+import { computePowerSpectrum, bandPowersFromSpectrum } from './spectral'
+import { computeQEEG } from './qeeg'
+import { compareToBaseline } from './baseline'
+import { BurstSuppressionDetector } from './burstSuppression'
+import { ArtifactDetector } from './artifacts'
+import { primarySampleRate, interpolateAt } from './resample'
+
+export const DEFAULT_DETECTOR_CONFIG = {
+  epochSeconds: 2, // Analysis window length
+  stepSeconds: 1, // Interval between analyses
+  referenceSeconds: 60, // Length of the rolling reference
+  minReferenceSeconds: 10, // Warm-up before detection starts
+  minAffectedChannels: 2, // Channels that must agree before an event opens
+  minCriteria: 2, // Criteria a channel must meet to count as affected
+}
+
+const EPSILON = 1e-9
+
+/**
+ * Map a detection confidence (0-1) to an alert severity
+ */
+export function severityFromConfidence(confidence) {
+  return confidence > 0.85 ? 'critical' : confidence > 0.75 ? 'warning' : 'info'
+}
+
+/**
+ * Scale the configured thresholds by sensitivity
+ * Sensitivity 0.5 uses the thresholds as configured; higher values need a smaller change
+ *
+ * @param {Object} detectionSettings - settings.detection
+ * @returns {{ relativePowerDrop: number, alphaDeltaRatio: number, slowWaveIncrease: number }}
+ */
+export function getEffectiveThresholds(detectionSettings) {
+  const thresholds = detectionSettings?.thresholds || {}
+  const sensitivity = Math.max(0, Math.min(1, detectionSettings?.sensitivity ?? 0.5))
+  const scale = 1.5 - sensitivity // 0.5 (most sensitive) .. 1.5 (least sensitive)
+
+  return {
+    relativePowerDrop: Math.min(0.95, (thresholds.relativePowerDrop ?? 0.3) * scale),
+    // ADR criterion is met when the ratio falls BELOW the threshold, so scale inversely
+    alphaDeltaRatio: Math.min(1, (thresholds.alphaDeltaRatio ?? 0.5) / scale),
+    slowWaveIncrease: (thresholds.slowWaveIncrease ?? 0.4) * scale,
+  }
+}
+
+/**
+ * Compare band powers against reference band powers
+ * - relativePowerDrop: fractional loss of fast (alpha + beta) power
+ * - alphaDeltaRatio: current alpha/delta ratio as a fraction of the reference ratio
+ * - slowWaveIncrease: fractional gain of slow (delta + theta) power
+ *
+ * @param {Object} powers - Band powers from computeBandPowers
+ * @param {Object} reference - Reference band powers
+ * @returns {{ relativePowerDrop: number, alphaDeltaRatio: number, slowWaveIncrease: number }}
+ */
+export function compareToReference(powers, reference) {
+  const fast = powers.alpha + powers.beta
+  const refFast = reference.alpha + reference.beta
+  const slow = powers.delta + powers.theta
+  const refSlow = reference.delta + reference.theta
+  const adr = powers.alpha / (powers.delta + EPSILON)
+  const refAdr = reference.alpha / (reference.delta + EPSILON)
+
+  return {
+    relativePowerDrop: refFast > EPSILON ? 1 - fast / refFast : 0,
+    alphaDeltaRatio: refAdr > EPSILON ? adr / refAdr : 1,
+    slowWaveIncrease: refSlow > EPSILON ? slow / refSlow - 1 : 0,
+  }
+}
+
+/**
+ * How far each criterion is past its threshold (>= 1 means the criterion is met)
+ */
+function criterionRatios(measures, thresholds) {
+  return [
+    measures.relativePowerDrop / thresholds.relativePowerDrop,
+    thresholds.alphaDeltaRatio / Math.max(measures.alphaDeltaRatio, EPSILON),
+    measures.slowWaveIncrease / thresholds.slowWaveIncrease,
+  ]
+}
+
+function averagePowers(epochs) {
+  const sum = { delta: 0, theta: 0, alpha: 0, beta: 0, total: 0 }
+  epochs.forEach(powers => {
+    Object.keys(sum).forEach(band => { sum[band] += powers[band] })
+  })
+  Object.keys(sum).forEach(band => { sum[band] /= epochs.length })
+  return sum
+}
+
+function mean(values) {
+  return values.length > 0 ? values.reduce((s, v) => s + v, 0) / values.length : 0
+}
+
+/**
+ * Streaming ischemia detector
+ * Feed one multi-channel sample at a time; every stepSeconds the last epochSeconds
+ * of each channel are analysed and any event transitions are returned
+ * When a session baseline is supplied it replaces the rolling reference
+ */
+export class IschemiaDetector {
+  /**
+   * @param {number} numChannels - Number of channels in each sample frame
+   * @param {number} sampleRate - Sample rate in Hz
+   * @param {Object} config - Overrides for DEFAULT_DETECTOR_CONFIG
+   */
+  constructor(numChannels, sampleRate, config = {}) {
+    this.numChannels = numChannels
+    this.sampleRate = sampleRate
+    this.config = { ...DEFAULT_DETECTOR_CONFIG, ...config }
+    this.channelLabels = []
+    this.artifactSuppression = true
+    this.epochSamples = Math.max(2, Math.round(this.config.epochSeconds * sampleRate))
+    this.stepSamples = Math.max(1, Math.round(this.config.stepSeconds * sampleRate))
+    this.maxReferenceEpochs = Math.max(1, Math.round(this.config.referenceSeconds / this.config.stepSeconds))
+    this.minReferenceEpochs = Math.max(1, Math.round(this.config.minReferenceSeconds / this.config.stepSeconds))
+    this.burstSuppression = new BurstSuppressionDetector(numChannels, sampleRate)
+    this.artifacts = new ArtifactDetector(numChannels, sampleRate)
+    this.reset()
+  }
+
+  /**
+   * Clear sample history, reference and event state
+   */
+  reset() {
+    this.buffers = Array(this.numChannels).fill(null).map(() => new Float32Array(this.epochSamples))
+    this.writeIndex = 0
+    this.samplesSeen = 0
+    this.samplesSinceAnalysis = 0
+    this.references = Array(this.numChannels).fill(null).map(() => [])
+    this.candidateStart = null
+    this.candidateChannels = new Set()
+    this.recoveryStart = null
+    this.activeEvent = null
+    this.latestAnalysis = null
+    this.pendingArtifacts = []
+    this.burstSuppression.reset()
+    this.artifacts.reset()
+  }
+
+  /**
+   * Add one sample per channel
+   *
+   * @param {number[]} samples - Sample value per channel (µV)
+   * @param {number} time - Sample time in seconds
+   * @param {Object} detectionSettings - settings.detection
+   * @param {Object} baseline - Optional session baseline (see utils/baseline.js)
+   * @returns {Array} Transitions: { type: 'start', event } | { type: 'end', id, updates },
+   *   burst suppression transitions first
+   */
+  addSample(samples, time, detectionSettings, baseline = null) {
+    const burstTransitions = this.burstSuppression.addSample(samples, time, detectionSettings)
+    const flagged = this.artifacts.addSample(samples, time)
+    if (flagged.length > 0) this.pendingArtifacts.push(...flagged)
+    for (let ch = 0; ch < this.numChannels; ch++) {
+      const value = samples[ch]
+      this.buffers[ch][this.writeIndex] = Number.isFinite(value) ? value : 0
+    }
+    this.writeIndex = (this.writeIndex + 1) % this.epochSamples
+    this.samplesSeen++
+    this.samplesSinceAnalysis++
+
+    if (this.samplesSeen < this.epochSamples || this.samplesSinceAnalysis < this.stepSamples) {
+      return burstTransitions
+    }
+    this.samplesSinceAnalysis = 0
+    const transitions = this.analyzeEpoch(time, detectionSettings, baseline)
+    return burstTransitions.length > 0 ? [...burstTransitions, ...transitions] : transitions
+  }
+
+  /**
+   * Set the channel labels, which group channels into hemispheres for the qEEG metrics
+   */
+  setChannelLabels(labels) {
+    this.channelLabels = labels || []
+  }
+
+  /**
+   * Set the amplifier range of each channel, which the artifact detector tests clipping against
+   * (see ArtifactDetector.setPhysicalRanges)
+   */
+  setPhysicalRanges(ranges) {
+    this.artifacts.setPhysicalRanges(ranges)
+  }
+
+  /**
+   * Leave channels with artifacts out of the features (settings.patient.artifactSuppression)
+   */
+  setArtifactSuppression(enabled) {
+    this.artifactSuppression = enabled !== false
+  }
+
+  /**
+   * Return the artifact epochs flagged since the last call, then clear them
+   * @returns {Array<{ channel, start, end, type }>}
+   */
+  takeArtifacts() {
+    const artifacts = this.pendingArtifacts
+    if (artifacts.length > 0) this.pendingArtifacts = []
+    return artifacts
+  }
+
+  /**
+   * Return the most recent epoch analysis once, then clear it
+   * @returns {{ time: number, channels: Array<{ powers, baselineChange }>, qeeg: Object }|null}
+   */
+  takeAnalysis() {
+    const analysis = this.latestAnalysis
+    this.latestAnalysis = null
+    return analysis
+  }
+
+  /**
+   * Copy the current epoch of a channel out of its ring buffer in time order
+   */
+  getEpoch(channelIndex) {
+    const buffer = this.buffers[channelIndex]
+    const epoch = new Float32Array(this.epochSamples)
+    epoch.set(buffer.subarray(this.writeIndex))
+    epoch.set(buffer.subarray(0, this.writeIndex), this.epochSamples - this.writeIndex)
+    return epoch
+  }
+
+  analyzeEpoch(time, detectionSettings, baseline) {
+    const thresholds = getEffectiveThresholds(detectionSettings)
+    const minCriteria = this.config.minCriteria
+    // A baseline recorded from a different montage/channel layout cannot be compared
+    const baselineChannels = baseline?.channels?.length === this.numChannels ? baseline.channels : null
+
+    const channelResults = []
+    const epochs = []
+    const spectra = []
+    const epochStart = time - this.config.epochSeconds
+    for (let ch = 0; ch < this.numChannels; ch++) {
+      epochs.push(this.getEpoch(ch))
+      spectra.push(computePowerSpectrum(epochs[ch], this.sampleRate))
+      const powers = bandPowersFromSpectrum(spectra[ch].psd, spectra[ch].freqResolution)
+      const referenceEpochs = this.references[ch]
+      const baselinePowers = baselineChannels?.[ch]?.bandPowers
+      const artifact = this.artifactSuppression && this.artifacts.flaggedSince(ch, epochStart)
+      const result = {
+        channel: ch,
+        powers,
+        artifact,
+        measures: null,
+        baselineChange: baselineChannels && !artifact ? compareToBaseline(powers, baselineChannels[ch]) : null,
+        criteriaMet: 0,
+        score: 0,
+      }
+
+      // Epochs with artifacts count towards nothing; their qEEG metrics are left empty
+      if (artifact) {
+        spectra[ch] = { psd: new Float32Array(0), freqResolution: spectra[ch].freqResolution }
+        channelResults.push(result)
+        continue
+      }
+
+      const reference = baselinePowers
+        ? baselinePowers
+        : referenceEpochs.length >= this.minReferenceEpochs ? averagePowers(referenceEpochs) : null
+
+      if (reference) {
+        result.measures = compareToReference(powers, reference)
+        const ratios = criterionRatios(result.measures, thresholds)
+        result.criteriaMet = ratios.filter(r => r >= 1).length
+        result.score = mean(ratios.map(r => Math.min(r, 3)))
+      }
+
+      channelResults.push(result)
+    }
+
+    const affected = channelResults.filter(r => r.criteriaMet >= minCriteria)
+    const qeeg = {
+      ...computeQEEG(spectra, epochs, this.sampleRate, this.channelLabels),
+      bsr: this.burstSuppression.bsr,
+    }
+    this.latestAnalysis = {
+      time,
+      channels: channelResults.map(r => ({ powers: r.powers, baselineChange: r.baselineChange })),
+      qeeg,
+    }
+
+    // Only grow the reference from normal-looking epochs outside of any event
+    if (!this.activeEvent && this.candidateStart === null) {
+      channelResults.forEach(r => {
+        if (r.artifact || r.criteriaMet >= minCriteria || r.powers.total <= EPSILON) return
+        const referenceEpochs = this.references[r.channel]
+        referenceEpochs.push(r.powers)
+        if (referenceEpochs.length > this.maxReferenceEpochs) {
+          referenceEpochs.shift()
+        }
+      })
+    }
+
+    return this.updateEventState(time - this.config.epochSeconds / 2, affected, detectionSettings, baselineChannels !== null, qeeg)
+  }
+
+  /**
+   * Advance the open/close state machine
+   * An event opens once enough channels stay affected for minDuration and closes
+   * after they stay unaffected for minDuration
+   *
+   * @param {number} epochTime - Centre time of the analysed epoch
+   * @param {boolean} usesBaseline - Whether measurements are relative to the session baseline
+   * @param {Object} qeeg - qEEG metrics of the epoch, recorded with an event that opens
+   */
+  updateEventState(epochTime, affected, detectionSettings, usesBaseline, qeeg) {
+    const minDuration = detectionSettings?.minDuration ?? 5
+    const isIschemic = affected.length >= this.config.minAffectedChannels
+
+    if (!this.activeEvent) {
+      if (!isIschemic) {
+        this.candidateStart = null
+        this.candidateChannels.clear()
+        return []
+      }
+
+      if (this.candidateStart === null) {
+        this.candidateStart = epochTime
+      }
+      affected.forEach(r => this.candidateChannels.add(r.channel))
+
+      if (epochTime - this.candidateStart < minDuration) {
+        return []
+      }
+
+      const event = this.createEvent(this.candidateStart, affected, usesBaseline, qeeg)
+      this.activeEvent = { id: event.id, channelIds: new Set(event.channelIds), duringBurstSuppression: event.duringBurstSuppression }
+      this.candidateStart = null
+      this.candidateChannels.clear()
+      return [{ type: 'start', event }]
+    }
+
+    if (this.burstSuppression.isActive) {
+      this.activeEvent.duringBurstSuppression = true
+    }
+
+    if (isIschemic) {
+      this.recoveryStart = null
+      affected.forEach(r => this.activeEvent.channelIds.add(r.channel))
+      return []
+    }
+
+    if (this.recoveryStart === null) {
+      this.recoveryStart = epochTime
+    }
+
+    if (epochTime - this.recoveryStart < minDuration) {
+      return []
+    }
+
+    const transition = {
+      type: 'end',
+      id: this.activeEvent.id,
+      updates: {
+        endTime: this.recoveryStart,
+        channelIds: Array.from(this.activeEvent.channelIds).sort((a, b) => a - b),
+        duringBurstSuppression: this.activeEvent.duringBurstSuppression,
+      },
+    }
+    this.activeEvent = null
+    this.recoveryStart = null
+    return [transition]
+  }
+
+  createEvent(startTime, affected, usesBaseline, qeeg) {
+    const channelIds = Array.from(new Set([...this.candidateChannels, ...affected.map(r => r.channel)]))
+      .sort((a, b) => a - b)
+
+    const ranked = [...affected].sort((a, b) => b.score - a.score)
+    let primary = ranked.filter(r => r.criteriaMet === 3)
+    if (primary.length === 0) primary = ranked.slice(0, 1)
+    const primaryChannels = primary.map(r => r.channel).sort((a, b) => a - b)
+
+    // Confidence grows with how far past threshold the channels are and how many agree
+    const meanScore = mean(affected.map(r => r.score))
+    const coverage = affected.length / this.numChannels
+    const confidence = Math.min(0.99, 0.6 + 0.2 * Math.min(1, Math.max(0, meanScore - 1)) + 0.2 * coverage)
+
+    return {
+      id: Date.now() + Math.random(),
+      startTime,
+      endTime: null,
+      confidence,
+      severity: severityFromConfidence(confidence),
+      channelIds,
+      primaryChannels,
+      detectionCriteria: {
+        relativePowerDrop: mean(affected.map(r => r.measures.relativePowerDrop)),
+        alphaDeltaRatio: mean(affected.map(r => r.measures.alphaDeltaRatio)),
+        slowWaveIncrease: mean(affected.map(r => r.measures.slowWaveIncrease)),
+        affectedChannels: channelIds.length,
+        primaryChannels: primaryChannels.length,
+        reference: usesBaseline ? 'baseline' : 'rolling',
+        channelMeasurements: affected.map(r => ({
+          channel: r.channel,
+          criteriaMet: r.criteriaMet,
+          ...r.measures,
+          baselineChange: r.baselineChange,
+          sef95: qeeg?.channels[r.channel]?.sef95 ?? null,
+          bsr: qeeg?.channels[r.channel]?.bsr ?? null,
+        })),
+        // Hemisphere indices and brain symmetry when the event opened
+        qeeg: qeeg ? { hemispheres: qeeg.hemispheres, bsi: qeeg.bsi } : null,
+        burstSuppressionRatio: this.burstSuppression.bsr,
+      },
+      // Suppression (e.g. from anaesthesia) also lowers power, so events that overlap it are flagged
+      duringBurstSuppression: this.burstSuppression.isActive,
+      acknowledged: false,
+    }
+  }
+}
+
+// Feed primary-rate frames [fromIndex, toIndex) of a block of channels to a detector and collect its events
+// startSec is the recording time of samples[0] of the block
+function detectInBlock(detector, channels, sampleRate, fromIndex, toIndex, startSec, events, detectionSettings, timeOffset, baseline) {
+  const numChannels = channels.length
+  const frame = new Array(numChannels).fill(0)
+  const blockOffset = Math.round(startSec * sampleRate)
+
+  for (let idx = fromIndex; idx < toIndex; idx++) {
+    for (let ch = 0; ch < numChannels; ch++) {
+      const channel = channels[ch]
+      const samples = channel?.samples
+      if (!samples || samples.length === 0) {
+        frame[ch] = 0
+      } else if (channel.sampleRate === sampleRate) {
+        const local = idx - blockOffset
+        frame[ch] = local < samples.length ? samples[local] : 0
+      } else {
+        frame[ch] = interpolateAt(samples, channel.sampleRate, idx / sampleRate - startSec)
+      }
+    }
+
+    const transitions = detector.addSample(frame, idx / sampleRate + timeOffset, detectionSettings, baseline)
+    // Artifact epochs are only logged during playback
+    detector.takeArtifacts()
+    transitions.forEach(transition => {
+      if (transition.type === 'start') {
+        events.push(transition.event)
+      } else if (transition.type === 'end') {
+        const event = events.find(e => e.id === transition.id)
+        if (event) Object.assign(event, transition.updates)
+      }
+    })
+  }
+}
+
+/**
+ * Run the detector over a complete recording (e.g. a loaded EDF file)
+ * Processes the file in chunks and yields to the event loop between them so the UI stays responsive
+ *
+ * @param {Array<{ samples: Float32Array, sampleRate: number, physicalRange?: Object }>} channels - Recording
+ *   channels (µV); channels at another rate than the primary one are interpolated onto its time base and
+ *   clipping is tested against the physicalRange of channels read from a file
+ * @param {Object} detectionSettings - settings.detection to apply
+ * @param {Object} options
+ * @param {number} options.timeOffset - Seconds added to sample times (e.g. trimmed leading offset)
+ * @param {Function} options.onProgress - Called with the fraction processed (0-1)
+ * @param {Object} options.config - Overrides for DEFAULT_DETECTOR_CONFIG
+ * @param {Object} options.baseline - Optional session baseline to compare against
+ * @param {boolean} options.artifactSuppression - Keep channels with artifacts out of detection
+ * @returns {Promise<Array>} Detected events, closed events carry their endTime
+ */
+export async function detectIschemiaInRecording(channels, detectionSettings, { timeOffset = 0, onProgress, config, baseline = null, artifactSuppression = true } = {}) {
+  const referenceChannel = channels.find(ch => ch?.samples?.length > 0)
+  if (!referenceChannel) return []
+
+  const sampleRate = primarySampleRate(channels)
+  const numSamples = Math.max(...channels
+    .filter(ch => ch?.samples?.length > 0)
+    .map(ch => Math.round(ch.samples.length * sampleRate / ch.sampleRate)))
+  const detector = new IschemiaDetector(channels.length, sampleRate, config)
+  detector.setArtifactSuppression(artifactSuppression)
+  detector.setPhysicalRanges(channels.map(ch => ch?.physicalRange || null))
+  const chunkSamples = Math.max(1, Math.round(30 * sampleRate)) // 30 seconds per chunk
+  const events = []
+
+  for (let chunkStart = 0; chunkStart < numSamples; chunkStart += chunkSamples) {
+    const chunkEnd = Math.min(numSamples, chunkStart + chunkSamples)
+    detectInBlock(detector, channels, sampleRate, chunkStart, chunkEnd, 0, events, detectionSettings, timeOffset, baseline)
+
+    if (onProgress) onProgress(chunkEnd / numSamples)
+    await new Promise(resolve => setTimeout(resolve, 0))
+  }
+
+  return events
+}
+
+/**
+ * Run the detector over a recording too long to hold in memory, one window at a time
+ *
+ * @param {Function} loadWindow - (startSec, endSec) => Promise<{ startSec, channels }>; startSec of the
+ *   result is the recording time of samples[0] and may be earlier than requested
+ * @param {number} durationSec - Length of the recording
+ * @param {Object} detectionSettings - settings.detection to apply
+ * @param {Object} options - As for detectIschemiaInRecording, plus options.windowSec (seconds per window)
+ * @returns {Promise<Array>} Detected events, closed events carry their endTime
+ */
+export async function detectIschemiaInWindows(loadWindow, durationSec, detectionSettings, { timeOffset = 0, onProgress, config, baseline = null, artifactSuppression = true, windowSec = 60 } = {}) {
+  let detector = null
+  let sampleRate = 0
+  let nextIndex = 0
+  const events = []
+
+  for (let windowStart = 0; windowStart < durationSec; windowStart += windowSec) {
+    const windowEnd = Math.min(durationSec, windowStart + windowSec)
+    const { startSec, channels } = await loadWindow(windowStart, windowEnd)
+    if (!detector) {
+      if (!channels.some(ch => ch?.samples?.length > 0)) return []
+      sampleRate = primarySampleRate(channels)
+      detector = new IschemiaDetector(channels.length, sampleRate, config)
+      detector.setArtifactSuppression(artifactSuppression)
+      detector.setPhysicalRanges(channels.map(ch => ch?.physicalRange || null))
+    }
+
+    // Frames not fed yet that this window holds
+    const endIndex = Math.min(Math.floor(durationSec * sampleRate), Math.max(...channels
+      .filter(ch => ch?.samples?.length > 0)
+      .map(ch => Math.round(startSec * sampleRate + ch.samples.length * sampleRate / ch.sampleRate))))
+    detectInBlock(detector, channels, sampleRate, nextIndex, endIndex, startSec, events, detectionSettings, timeOffset, baseline)
+    nextIndex = Math.max(nextIndex, endIndex)
+
+    if (onProgress) onProgress(windowEnd / durationSec)
+    await new Promise(resolve => setTimeout(resolve, 0))
+  }
+
+  return events
+}
@@ -0,0 +1,176 @@
+/**
+ * Line Noise Analysis
+ * Estimates the mains frequency (50 or 60 Hz) and how many of its harmonics stand out in the first
+ * seconds of a stream or file, plus the line-noise amplitude of every channel. The app uses the
+ * estimate to suggest or set the notch (settings.display.lineNoiseDetection) and shows each channel's
+ * level next to its label: mains pick-up well above the other channels points at a poor electrode contact.
+ */
+
+import { computePowerSpectrum, integrateBand } from './spectral'
+
+// Mains frequencies told apart
+export const LINE_FREQUENCIES = [50, 60]
+
+// Length of signal analysed
+export const LINE_NOISE_ANALYSIS_SECONDS = 10
+
+// Harmonics checked, the most the notch settings offer
+export const LINE_NOISE_MAX_HARMONICS = 3
+
+// Channel levels by RMS line-noise amplitude (µV)
+export const LINE_NOISE_LEVELS = { elevated: 2, high: 5 }
+
+// Spectra are averaged over segments of this length
+const SEGMENT_SECONDS = 2
+
+// Line power is taken within ±PEAK_HALF_WIDTH_HZ of each harmonic and compared to the noise floor
+// FLOOR_OFFSET_HZ either side of it, scaled to the same bandwidth
+const PEAK_HALF_WIDTH_HZ = 1
+const FLOOR_OFFSET_HZ = [2, 5]
+
+// A harmonic is present when its power is this many times the floor (6 dB)
+const DETECTION_RATIO = 4
+
+// The mains frequency must carry this many times the line power of the other candidate
+const DOMINANCE_RATIO = 2
+
+/**
+ * Segment-averaged power spectrum of a channel
+ */
+function averageSpectrum(samples, sampleRate) {
+  const segmentLength = Math.round(SEGMENT_SECONDS * sampleRate)
+  const segments = Math.floor(samples.length / segmentLength)
+  if (segments === 0) return null
+  let psd = null
+  let freqResolution = 0
+  for (let s = 0; s < segments; s++) {
+    const spectrum = computePowerSpectrum(samples.subarray(s * segmentLength, (s + 1) * segmentLength), sampleRate)
+    if (!psd) {
+      psd = spectrum.psd
+      freqResolution = spectrum.freqResolution
+    } else {
+      for (let bin = 0; bin < psd.length; bin++) psd[bin] += spectrum.psd[bin]
+    }
+  }
+  for (let bin = 0; bin < psd.length; bin++) psd[bin] /= segments
+  return { psd, freqResolution }
+}
+
+/**
+ * Line power above the noise floor at one frequency, null when the floor reaches Nyquist
+ */
+function lineComponent(psd, freqResolution, sampleRate, freq) {
+  const [near, far] = FLOOR_OFFSET_HZ
+  if (freq + far >= sampleRate / 2) return null
+  const peak = integrateBand(psd, freqResolution, freq - PEAK_HALF_WIDTH_HZ, freq + PEAK_HALF_WIDTH_HZ)
+  const floorDensity = (
+    integrateBand(psd, freqResolution, freq - far, freq - near) +
+    integrateBand(psd, freqResolution, freq + near, freq + far)
+  ) / (2 * (far - near))
+  const floor = floorDensity * 2 * PEAK_HALF_WIDTH_HZ
+  return {
+    power: Math.max(0, peak - floor),
+    ratio: floor > 0 ? peak / floor : (peak > 0 ? Infinity : 1),
+  }
+}
+
+/**
+ * Line components of one channel: per candidate frequency, one entry per harmonic (null above Nyquist)
+ */
+function channelComponents(channel) {
+  if (!channel?.samples?.length || !(channel.sampleRate > 0)) return null
+  const spectrum = averageSpectrum(channel.samples, channel.sampleRate)
+  if (!spectrum) return null
+  const components = {}
+  LINE_FREQUENCIES.forEach(freq => {
+    components[freq] = Array.from({ length: LINE_NOISE_MAX_HARMONICS }, (_, h) =>
+      lineComponent(spectrum.psd, spectrum.freqResolution, channel.sampleRate, (h + 1) * freq)
+    )
+  })
+  return components
+}
+
+/**
+ * Level of a channel's line-noise amplitude
+ */
+export function lineNoiseLevel(rms) {
+  if (rms >= LINE_NOISE_LEVELS.high) return 'high'
+  if (rms >= LINE_NOISE_LEVELS.elevated) return 'elevated'
+  return 'ok'
+}
+
+/**
+ * Estimate the mains frequency and the line noise of each channel
+ *
+ * @param {Array<{ samples: Float32Array, sampleRate: number }|null>} channels - Raw (unfiltered) signal
+ *   per channel, at least SEGMENT_SECONDS long; each channel may have its own rate
+ * @returns {{ frequency: number|null, harmonics: number, channelsDetected: number,
+ *   channels: Array<{ rms: number, ratioDb: number, level: string }|null> }} frequency is null when no
+ *   mains line stands out; harmonics is how many notches (line frequency and harmonics) it needs;
+ *   per channel rms is the line-noise amplitude in µV over those harmonics and ratioDb the
+ *   line frequency's power over the noise floor
+ */
+export function analyzeLineNoise(channels) {
+  const components = channels.map(channelComponents)
+  const valid = components.filter(Boolean)
+
+  // Candidate carrying the most line power at its line frequency
+  const candidates = LINE_FREQUENCIES.map(freq => {
+    const fundamentals = valid.map(c => c[freq][0]).filter(Boolean)
+    return {
+      freq,
+      power: fundamentals.reduce((sum, component) => sum + component.power, 0),
+      detected: fundamentals.filter(component => component.ratio >= DETECTION_RATIO).length,
+    }
+  }).sort((a, b) => b.power - a.power)
+  const [best, other] = candidates
+  const isMains = best.detected > 0 && best.power >= DOMINANCE_RATIO * other.power
+  const frequency = isMains ? best.freq : null
+
+  // Notches needed: up to the highest harmonic present on any channel
+  let harmonics = 1
+  if (frequency) {
+    for (let h = LINE_NOISE_MAX_HARMONICS; h > 1; h--) {
+      if (valid.some(c => c[frequency][h - 1]?.ratio >= DETECTION_RATIO)) {
+        harmonics = h
+        break
+      }
+    }
+  }
+
+  // Channel amplitudes at the estimate (or the strongest candidate when there is none)
+  const measured = frequency || best.freq
+  const measuredHarmonics = frequency ? harmonics : 1
+  return {
+    frequency,
+    harmonics,
+    channelsDetected: frequency ? best.detected : 0,
+    channels: components.map(c => {
+      if (!c) return null
+      const lines = c[measured].slice(0, measuredHarmonics).filter(Boolean)
+      if (lines.length === 0) return null
+      const rms = Math.sqrt(lines.reduce((sum, component) => sum + component.power, 0))
+      const ratio = lines[0].ratio
+      return {
+        rms,
+        ratioDb: Number.isFinite(ratio) ? 10 * Math.log10(Math.max(ratio, 1e-6)) : Infinity,
+        level: lineNoiseLevel(rms),
+      }
+    }),
+  }
+}
+
+/**
+ * Notch settings the estimate calls for, null when the filters already remove the line noise
+ * (or none was found); more harmonics than needed are kept
+ *
+ * @param {Object} estimate - analyzeLineNoise result
+ * @param {Object} filters - settings.display.filters
+ * @returns {{ notch: number, notchHarmonics: number }|null}
+ */
+export function suggestedNotch(estimate, filters) {
+  if (!estimate?.frequency) return null
+  const notchHarmonics = filters?.notchHarmonics || 1
+  if (filters?.notch === estimate.frequency && notchHarmonics >= estimate.harmonics) return null
+  return { notch: estimate.frequency, notchHarmonics: Math.max(notchHarmonics, estimate.harmonics) }
+}
@@ -1,65 +1,140 @@
+import { SCALP_ELECTRODES, EXTENDED_ELECTRODES, normalizeChannelLabels } from './electrodeLabels'
+import { resampleLinear } from './resample'
+
+export { SCALP_ELECTRODES }
+
 // Montage definitions for different viewing modes
-// Each montage maps physical channels (0-7) to display labels
+// Each montage lists its derivations; a derivation is an active electrode measured against
+// a reference electrode, the common average (AVG), a surface Laplacian (LAP) or nothing
+// (null = as recorded against the amplifier reference)
+// `derivations` is the eight-channel monitoring layout; `fullCap` gives the layout for a larger
+// source (e.g. a full 10-20 or 10-10 cap) from the electrodes present
+
+const bipolar = (active, reference) => ({ label: `${active}-${reference}`, active, reference })
+const referential = (active) => ({ label: active, active, reference: null })
+const average = (active) => ({ label: `${active}-AVG`, active, reference: 'AVG' })
+const laplacian = (active) => ({ label: `${active}-LAP`, active, reference: 'LAP' })
+
+const MONITORING_ELECTRODES = ['F3', 'P3', 'T3', 'O1', 'F4', 'P4', 'T4', 'O2']
+
+// Scalp electrodes in display order: the 10-20 positions, then the 10-10 ones
+const CAP_ELECTRODES = [...SCALP_ELECTRODES, ...EXTENDED_ELECTRODES]
+
+// Bipolar chains: temporal and parasagittal on each side (the double banana), then the midline
+const chain = (...electrodes) => electrodes.slice(1).map((electrode, i) => bipolar(electrodes[i], electrode))
+const PARASAGITTAL_CHAINS = [
+  ...chain('Fp1', 'F3', 'C3', 'P3', 'O1'),
+  ...chain('Fp2', 'F4', 'C4', 'P4', 'O2')
+]
+const DOUBLE_BANANA = [
+  ...chain('Fp1', 'F7', 'T3', 'T5', 'O1'),
+  ...chain('Fp1', 'F3', 'C3', 'P3', 'O1'),
+  ...chain('Fz', 'Cz', 'Pz'),
+  ...chain('Fp2', 'F4', 'C4', 'P4', 'O2'),
+  ...chain('Fp2', 'F8', 'T4', 'T6', 'O2')
+]
+
+// Left (odd-numbered) electrodes against A1, right (even) against A2, midline against A1
+const earReferenced = (active) => bipolar(active, /[02468]$/.test(active) ? 'A2' : 'A1')
 
 export const MONTAGES = {
   BANANA: {
     name: 'BANANA',
-    labels: [
-      'F3-P3',
-      'P3-O1',
-      'F3-T3',
-      'T3-O1',
-      'F4-P4',
-      'P4-O2',
-      'F4-T4',
-      'T4-O2'
+    derivations: [
+      bipolar('F3', 'P3'),
+      bipolar('P3', 'O1'),
+      bipolar('F3', 'T3'),
+      bipolar('T3', 'O1'),
+      bipolar('F4', 'P4'),
+      bipolar('P4', 'O2'),
+      bipolar('F4', 'T4'),
+      bipolar('T4', 'O2')
     ],
+    fullCap: () => DOUBLE_BANANA,
     description: 'Bipolar anterior-posterior montage'
   },
   '10-20': {
     name: '10-20',
-    labels: [
-      'F3',
-      'P3',
-      'T3',
-      'O1',
-      'F4',
-      'P4',
-      'T4',
-      'O2'
-    ],
+    derivations: MONITORING_ELECTRODES.map(referential),
+    fullCap: (electrodes) => electrodes.map(referential),
     description: '10-20 system referential montage'
   },
   BIPOLAR: {
     name: 'BIPOLAR',
-    labels: [
-      'Fp1-F3',
-      'F3-C3',
-      'C3-P3',
-      'P3-O1',
-      'Fp2-F4',
-      'F4-C4',
-      'C4-P4',
-      'P4-O2'
+    derivations: [
+      bipolar('Fp1', 'F3'),
+      bipolar('F3', 'C3'),
+      bipolar('C3', 'P3'),
+      bipolar('P3', 'O1'),
+      bipolar('Fp2', 'F4'),
+      bipolar('F4', 'C4'),
+      bipolar('C4', 'P4'),
+      bipolar('P4', 'O2')
     ],
+    fullCap: () => [...PARASAGITTAL_CHAINS, ...chain('Fz', 'Cz', 'Pz')],
     description: 'Bipolar longitudinal montage'
   },
   REFERENCE: {
     name: 'REFERENCE',
-    labels: [
-      'F3-A1',
-      'P3-A1',
-      'T3-A1',
-      'O1-A1',
-      'F4-A2',
-      'P4-A2',
-      'T4-A2',
-      'O2-A2'
+    derivations: [
+      bipolar('F3', 'A1'),
+      bipolar('P3', 'A1'),
+      bipolar('T3', 'A1'),
+      bipolar('O1', 'A1'),
+      bipolar('F4', 'A2'),
+      bipolar('P4', 'A2'),
+      bipolar('T4', 'A2'),
+      bipolar('O2', 'A2')
     ],
+    fullCap: (electrodes) => electrodes.map(earReferenced),
     description: 'Referential montage (A1/A2 reference)'
+  },
+  AVERAGE: {
+    name: 'AVERAGE',
+    derivations: MONITORING_ELECTRODES.map(average),
+    fullCap: (electrodes) => electrodes.map(average),
+    description: 'Common average reference montage'
+  },
+  LAPLACIAN: {
+    name: 'LAPLACIAN',
+    derivations: MONITORING_ELECTRODES.map(laplacian),
+    fullCap: (electrodes) => electrodes.filter(electrode => LAPLACIAN_NEIGHBOURS[electrode]).map(laplacian),
+    description: 'Surface Laplacian (Hjorth) montage'
   }
 }
 
+// Display labels per montage (monitoring layout)
+Object.values(MONTAGES).forEach(montage => {
+  montage.labels = montage.derivations.map(d => d.label)
+})
+
+// Nearest neighbours used for the Hjorth Laplacian
+export const LAPLACIAN_NEIGHBOURS = {
+  Fp1: ['Fp2', 'F7', 'F3'],
+  Fp2: ['Fp1', 'F4', 'F8'],
+  F7: ['Fp1', 'F3', 'T3'],
+  F3: ['Fp1', 'F7', 'Fz', 'C3'],
+  Fz: ['F3', 'F4', 'Cz'],
+  F4: ['Fp2', 'Fz', 'F8', 'C4'],
+  F8: ['Fp2', 'F4', 'T4'],
+  T3: ['F7', 'C3', 'T5'],
+  C3: ['F3', 'T3', 'Cz', 'P3'],
+  Cz: ['Fz', 'C3', 'C4', 'Pz'],
+  C4: ['F4', 'Cz', 'T4', 'P4'],
+  T4: ['F8', 'C4', 'T6'],
+  T5: ['T3', 'P3', 'O1'],
+  P3: ['C3', 'T5', 'Pz', 'O1'],
+  Pz: ['Cz', 'P3', 'P4'],
+  P4: ['C4', 'Pz', 'T6', 'O2'],
+  T6: ['T4', 'P4', 'O2'],
+  O1: ['P3', 'T5', 'O2'],
+  O2: ['P4', 'T6', 'O1']
+}
+
+// Minimum electrodes needed for computed references
+const MIN_AVERAGE_ELECTRODES = 3
+const MIN_LAPLACIAN_NEIGHBOURS = 2
+
 // Get channel label for a given montage and channel index
 export function getChannelLabel(montage, channelIndex) {
   const montageConfig = MONTAGES[montage] || MONTAGES.BANANA
@@ -72,3 +147,218 @@ export function getChannelLabels(montage) {
   return montageConfig.labels
 }
 
+/**
+ * Source electrodes a montage needs
+ * @param {string} montageKey - Key of MONTAGES
+ * @param {Array<Object>} [derivations] - Layout to use instead of the monitoring derivations
+ * @returns {string[]} Electrode names
+ */
+export function getMontageSources(montageKey, derivations = null) {
+  const montage = MONTAGES[montageKey] || MONTAGES.BANANA
+  const layout = derivations || montage.derivations
+  const sources = new Set()
+  layout.forEach(({ active, reference }) => {
+    sources.add(active)
+    if (reference === 'LAP') {
+      (LAPLACIAN_NEIGHBOURS[active] || []).forEach(n => sources.add(n))
+    } else if (reference === 'AVG') {
+      layout.forEach(d => sources.add(d.active))
+    } else if (reference) {
+      sources.add(reference)
+    }
+  })
+  return Array.from(sources)
+}
+
+// Whether the electrodes present are enough to compute a derivation
+function canDerive({ active, reference }, electrodes) {
+  if (!electrodes.has(active)) return false
+  if (reference === 'LAP') {
+    return (LAPLACIAN_NEIGHBOURS[active] || []).filter(n => electrodes.has(n)).length >= MIN_LAPLACIAN_NEIGHBOURS
+  }
+  return reference === null || reference === 'AVG' || electrodes.has(reference)
+}
+
+/**
+ * Derivations of a montage for the electrodes a source provides: the montage's full-cap layout,
+ * limited to the derivations the electrodes allow, when that shows more channels than the
+ * monitoring layout; otherwise the monitoring layout
+ *
+ * @param {string} montageKey - Key of MONTAGES
+ * @param {Set<string>} electrodes - Electrodes present in the source
+ * @returns {Array<Object>} Derivations ({ label, active, reference })
+ */
+export function montageLayout(montageKey, electrodes) {
+  const montage = MONTAGES[montageKey] || MONTAGES.BANANA
+  if (!montage.fullCap) return montage.derivations
+  const fullCap = montage.fullCap(CAP_ELECTRODES.filter(electrode => electrodes.has(electrode)))
+    .filter(derivation => canDerive(derivation, electrodes))
+  const monitoring = montage.derivations.filter(derivation => canDerive(derivation, electrodes))
+  return fullCap.length > monitoring.length ? fullCap : montage.derivations
+}
+
+/**
+ * Work out how to compute each derivation of a montage from the available source channels
+ * A derivation is taken directly from a source recorded as that derivation (e.g. 'F3-P3' or
+ * 'F3-A1'), otherwise computed from referential sources. If no derivation can be produced the
+ * sources are passed through as recorded.
+ *
+ * @param {string} montageKey - Key of MONTAGES
+ * @param {string[]} sourceLabels - Label of each source channel
+ * @param {Array<Object>} [sourceEntries] - Normalized labels (see normalizeChannelLabels); derived from sourceLabels if omitted
+ * @returns {{
+ *   montage: string,
+ *   passthrough: boolean,
+ *   labels: string[],
+ *   derivations: Array<{ label: string, inputs: Array<[number, number]>, available: boolean, missing: string[] }>,
+ *   required: string[],
+ *   missing: string[]
+ * }} inputs are [source index, weight] pairs
+ */
+export function resolveMontage(montageKey, sourceLabels, sourceEntries = null) {
+  const montage = MONTAGES[montageKey] || MONTAGES.BANANA
+  const entries = sourceEntries || normalizeChannelLabels(sourceLabels)
+  const electrodeIndex = {}
+  const derivationIndex = {}
+  entries.forEach((entry, idx) => {
+    if (entry.status === 'mapped') {
+      if (electrodeIndex[entry.electrode] === undefined) electrodeIndex[entry.electrode] = idx
+      // A channel recorded against an ear or the average is also that derivation
+      const key = entry.reference ? `${entry.electrode}-${entry.reference}` : null
+      if (key && derivationIndex[key] === undefined) derivationIndex[key] = idx
+    } else if (entry.status === 'derivation' && derivationIndex[entry.derivation] === undefined) {
+      derivationIndex[entry.derivation] = idx
+    }
+  })
+
+  const has = (electrode) => electrodeIndex[electrode] !== undefined
+  const scalpPool = CAP_ELECTRODES.filter(has)
+  const layout = montageLayout(montageKey, new Set(Object.keys(electrodeIndex)))
+
+  const derivations = layout.map(({ label, active, reference }) => {
+    // Recorded directly as this derivation
+    if (derivationIndex[label] !== undefined) {
+      return { label, inputs: [[derivationIndex[label], 1]], available: true, missing: [] }
+    }
+
+    const missing = []
+    if (!has(active)) missing.push(active)
+    let inputs = null
+
+    if (reference === null) {
+      if (has(active)) inputs = [[electrodeIndex[active], 1]]
+    } else if (reference === 'AVG') {
+      if (has(active) && scalpPool.length >= MIN_AVERAGE_ELECTRODES) {
+        const weight = 1 / scalpPool.length
+        inputs = scalpPool.map(e => [electrodeIndex[e], e === active ? 1 - weight : -weight])
+      }
+    } else if (reference === 'LAP') {
+      const neighbours = LAPLACIAN_NEIGHBOURS[active] || []
+      const present = neighbours.filter(has)
+      missing.push(...neighbours.filter(n => !has(n)))
+      if (has(active) && present.length >= MIN_LAPLACIAN_NEIGHBOURS) {
+        inputs = [[electrodeIndex[active], 1], ...present.map(n => [electrodeIndex[n], -1 / present.length])]
+      }
+    } else {
+      if (!has(reference)) missing.push(reference)
+      if (has(active) && has(reference)) {
+        inputs = [[electrodeIndex[active], 1], [electrodeIndex[reference], -1]]
+      }
+    }
+
+    return { label, inputs: inputs || [], available: inputs !== null, missing }
+  })
+
+  // Electrodes covered by derivations recorded directly do not count as missing
+  const covered = new Set()
+  derivations.forEach(d => {
+    if (d.available && derivationIndex[d.label] !== undefined) {
+      d.label.split('-').forEach(e => covered.add(e))
+    }
+  })
+  const required = getMontageSources(montageKey, layout)
+  const missing = required.filter(e => !has(e) && !covered.has(e))
+
+  // Nothing usable: show the sources as recorded rather than a page of flat lines
+  if (!derivations.some(d => d.available)) {
+    return {
+      montage: montage.name,
+      passthrough: true,
+      labels: sourceLabels.map((label, idx) => label || `Ch${idx + 1}`),
+      derivations: sourceLabels.map((label, idx) => ({
+        label: label || `Ch${idx + 1}`,
+        inputs: [[idx, 1]],
+        available: true,
+        missing: [],
+      })),
+      required,
+      missing,
+    }
+  }
+
+  return {
+    montage: montage.name,
+    passthrough: false,
+    labels: derivations.map(d => d.label),
+    derivations,
+    required,
+    missing,
+  }
+}
+
+/**
+ * Apply a resolved montage to one multi-channel sample
+ * @param {number[]} frame - Sample value per source channel
+ * @param {Object} resolved - Result of resolveMontage
+ * @returns {number[]} Sample value per derivation (0 for unavailable derivations)
+ */
+export function applyMontage(frame, resolved) {
+  return resolved.derivations.map(({ inputs }) => {
+    let value = 0
+    for (let i = 0; i < inputs.length; i++) {
+      value += frame[inputs[i][0]] * inputs[i][1]
+    }
+    return value
+  })
+}
+
+/**
+ * Compute derived channels for a whole recording
+ * Recorded channels passed through keep their other fields, such as the amplifier range (physicalRange);
+ * a derivation computed from several sources has no range of its own
+ * @param {Array<{ label: string, samples: Float32Array, sampleRate: number }>} sourceChannels
+ * @param {Object} resolved - Result of resolveMontage
+ * @returns {Array<{ label: string, samples: Float32Array, sampleRate: number, available: boolean, missing: string[] }>}
+ */
+export function deriveChannels(sourceChannels, resolved) {
+  const fallback = sourceChannels.find(ch => ch?.samples?.length > 0)
+  const defaultLength = fallback?.samples.length || 0
+  const defaultRate = fallback?.sampleRate || 250
+
+  return resolved.derivations.map(({ label, inputs, available, missing }) => {
+    const sources = inputs.map(([idx, weight]) => [sourceChannels[idx], weight])
+    // Pass recorded channels through untouched
+    if (sources.length === 1 && sources[0][1] === 1) {
+      return { ...sources[0][0], label, available, missing }
+    }
+
+    // Inputs recorded at another rate are resampled to the rate of the first input
+    const sampleRate = sources[0]?.[0]?.sampleRate || defaultRate
+    const resampled = sources.map(([ch, weight]) => [resampleLinear(ch.samples, ch.sampleRate, sampleRate), weight])
+    const length = resampled.length > 0
+      ? Math.min(...resampled.map(([input]) => input.length))
+      : defaultLength
+    const samples = new Float32Array(length)
+    resampled.forEach(([input, weight]) => {
+      for (let i = 0; i < length; i++) samples[i] += input[i] * weight
+    })
+
+    return {
+      label,
+      samples,
+      sampleRate,
+      available,
+      missing,
+    }
+  })
+}
@@ -0,0 +1,282 @@
+/**
+ * Quantitative EEG (qEEG) Metrics
+ * Indices of one analysis epoch per channel and per hemisphere: spectral edge (SEF95) and median
+ * frequency, alpha/delta and delta/alpha ratios, relative band powers and burst suppression ratio,
+ * plus the brain symmetry index between the hemispheres. The detector computes them for every epoch
+ * (see utils/ischemiaDetector.js) and the app keeps them as trends for the DSA and the report.
+ */
+
+import { EEG_BANDS, TOTAL_POWER_RANGE, bandPowersFromSpectrum } from './spectral'
+
+// Fraction of total power below the spectral edge frequency
+export const SPECTRAL_EDGE_FRACTION = 0.95
+
+// EEG within ±SUPPRESSION_UV for at least SUPPRESSION_MIN_SECONDS counts as suppressed
+export const SUPPRESSION_UV = 5
+export const SUPPRESSION_MIN_SECONDS = 0.5
+
+// Frequency range of the brain symmetry index (Hz)
+export const BSI_RANGE = [1, 25]
+
+// Trend points kept by the app (one per detector step, i.e. an hour at 1 s steps)
+export const QEEG_TREND_MAX_POINTS = 3600
+
+const EPSILON = 1e-9
+
+// 10-20 / 10-10 electrode names; odd numbers are over the left hemisphere, even over the right, z on the midline
+const ELECTRODE_PATTERN = /^(FP|AF|F|FC|FT|C|CP|T|TP|P|PO|O)(\d+|Z)$/
+
+// Electrode name matches of a channel label, in order ('EEG Fp1-REF' -> Fp1)
+function electrodeMatches(label) {
+  return String(label || '').toUpperCase().split(/[-\s:]+/)
+    .map(token => token.match(ELECTRODE_PATTERN))
+    .filter(Boolean)
+}
+
+/**
+ * Hemisphere a channel records from, by its electrode names ('F3-P3', 'Fp2-F8', 'EEG C3-REF', 'F4-AVG')
+ * Ear references and non-electrode names (REF, AVG, LAP) are ignored
+ *
+ * @param {string} label - Channel label
+ * @returns {'left'|'right'|null} null when the electrodes are on the midline, on both sides or unknown
+ */
+export function channelHemisphere(label) {
+  const sides = new Set()
+  electrodeMatches(label).forEach(match => {
+    sides.add(match[2] === 'Z' ? 'midline' : parseInt(match[2], 10) % 2 === 1 ? 'left' : 'right')
+  })
+  if (sides.size !== 1) return null
+  const [side] = sides
+  return side === 'midline' ? null : side
+}
+
+// Scalp quadrants: hemisphere by channelHemisphere, anterior when the first electrode is frontal
+// (Fp, AF, F, FC, FT)
+export const SCALP_QUADRANTS = [
+  { id: 'left-anterior', label: 'Left Anterior', hemisphere: 'left', anterior: true },
+  { id: 'right-anterior', label: 'Right Anterior', hemisphere: 'right', anterior: true },
+  { id: 'left-posterior', label: 'Left Posterior', hemisphere: 'left', anterior: false },
+  { id: 'right-posterior', label: 'Right Posterior', hemisphere: 'right', anterior: false },
+]
+
+const ANTERIOR_REGIONS = new Set(['FP', 'AF', 'F', 'FC', 'FT'])
+
+// Whether the first electrode of a channel label is frontal
+function isAnterior(label) {
+  const [first] = electrodeMatches(label)
+  return !!first && ANTERIOR_REGIONS.has(first[1])
+}
+
+/**
+ * Indices of the channels in a scalp quadrant
+ *
+ * @param {Object} quadrant - Entry of SCALP_QUADRANTS
+ * @param {string[]} labels - Channel labels
+ * @returns {number[]}
+ */
+export function quadrantChannels(quadrant, labels) {
+  return labels
+    .map((label, index) => ({ label, index }))
+    .filter(({ label }) => channelHemisphere(label) === quadrant.hemisphere &&
+      isAnterior(label) === quadrant.anterior)
+    .map(({ index }) => index)
+}
+
+/**
+ * Frequency below which a fraction of the power within fRange lies
+ *
+ * @param {Float32Array} psd - Power spectral density (µV²/Hz)
+ * @param {number} freqResolution - Hz per bin
+ * @param {number} fraction - e.g. 0.95 for SEF95, 0.5 for the median frequency
+ * @param {number[]} fRange - [fLow, fHigh] in Hz
+ * @returns {number|null} Frequency in Hz, null without power in the range
+ */
+export function spectralEdgeFrequency(psd, freqResolution, fraction, [fLow, fHigh] = TOTAL_POWER_RANGE) {
+  if (!freqResolution) return null
+  const start = Math.max(0, Math.ceil(fLow / freqResolution))
+  const end = Math.min(psd.length, Math.ceil(fHigh / freqResolution))
+  let total = 0
+  for (let i = start; i < end; i++) total += psd[i]
+  if (total <= EPSILON) return null
+
+  const target = fraction * total
+  let cumulative = 0
+  for (let i = start; i < end; i++) {
+    cumulative += psd[i]
+    if (cumulative >= target) return i * freqResolution
+  }
+  return (end - 1) * freqResolution
+}
+
+/**
+ * Fraction of a segment spent in suppression (burst suppression ratio)
+ * The segment's mean is removed first, so a DC offset does not hide suppression
+ *
+ * @param {Float32Array} samples - Signal (µV)
+ * @param {number} sampleRate - Sample rate in Hz
+ * @returns {number} 0 (no suppression) to 1 (suppressed throughout)
+ */
+export function burstSuppressionRatio(samples, sampleRate) {
+  const n = samples.length
+  if (n === 0) return 0
+  let mean = 0
+  for (let i = 0; i < n; i++) mean += samples[i]
+  mean /= n
+
+  const minRun = Math.max(1, Math.round(SUPPRESSION_MIN_SECONDS * sampleRate))
+  let suppressed = 0
+  let run = 0
+  for (let i = 0; i <= n; i++) {
+    if (i < n && Math.abs(samples[i] - mean) <= SUPPRESSION_UV) {
+      run++
+      continue
+    }
+    if (run >= minRun) suppressed += run
+    run = 0
+  }
+  return suppressed / n
+}
+
+/**
+ * Spectral metrics of one PSD
+ *
+ * @returns {{ sef95, medianFreq, adr, dar, relativePowers: { delta, theta, alpha, beta } }}
+ *   Frequencies in Hz (null without power), ratios unitless, relative powers as fractions of total power
+ */
+function spectralMetrics(psd, freqResolution) {
+  const powers = bandPowersFromSpectrum(psd, freqResolution)
+  const relativePowers = {}
+  Object.keys(EEG_BANDS).forEach(band => {
+    relativePowers[band] = powers.total > EPSILON ? powers[band] / powers.total : 0
+  })
+  return {
+    sef95: spectralEdgeFrequency(psd, freqResolution, SPECTRAL_EDGE_FRACTION),
+    medianFreq: spectralEdgeFrequency(psd, freqResolution, 0.5),
+    adr: powers.alpha / (powers.delta + EPSILON),
+    dar: powers.delta / (powers.alpha + EPSILON),
+    relativePowers,
+  }
+}
+
+/**
+ * Mean of PSDs of equal length
+ */
+function averageSpectra(spectra) {
+  const mean = new Float32Array(spectra[0].length)
+  spectra.forEach(psd => {
+    for (let i = 0; i < mean.length; i++) mean[i] += psd[i] / spectra.length
+  })
+  return mean
+}
+
+/**
+ * Brain symmetry index (van Putten): mean over BSI_RANGE of |(R - L) / (R + L)|, where R and L are the
+ * mean spectra of the right and left hemisphere channels
+ *
+ * @returns {number|null} 0 (symmetric) to 1, null without power
+ */
+export function brainSymmetryIndex(leftPsd, rightPsd, freqResolution) {
+  if (!freqResolution) return null
+  const start = Math.max(1, Math.ceil(BSI_RANGE[0] / freqResolution))
+  const end = Math.min(leftPsd.length, rightPsd.length, Math.floor(BSI_RANGE[1] / freqResolution) + 1)
+  let sum = 0
+  let count = 0
+  for (let i = start; i < end; i++) {
+    const total = leftPsd[i] + rightPsd[i]
+    if (total <= EPSILON) continue
+    sum += Math.abs((rightPsd[i] - leftPsd[i]) / total)
+    count++
+  }
+  return count > 0 ? sum / count : null
+}
+
+/**
+ * qEEG metrics of one epoch of every channel
+ *
+ * @param {Array<{ psd: Float32Array, freqResolution: number }>} spectra - Epoch spectrum per channel
+ *   (computePowerSpectrum), all of the same epoch length; an empty psd leaves the channel out
+ * @param {Float32Array[]} epochs - Epoch samples per channel (µV), for the burst suppression ratio
+ * @param {number} sampleRate - Sample rate in Hz
+ * @param {string[]} labels - Channel labels, to group channels by hemisphere
+ * @returns {{
+ *   channels: Array<{ sef95, medianFreq, adr, dar, relativePowers, bsr }|null>,
+ *   hemispheres: { left: Object|null, right: Object|null },
+ *   bsi: number|null
+ * }} Hemisphere metrics come from the mean spectrum of their channels (null without channels)
+ */
+export function computeQEEG(spectra, epochs, sampleRate, labels = []) {
+  const channels = spectra.map(({ psd, freqResolution }, ch) => psd.length === 0 ? null : {
+    ...spectralMetrics(psd, freqResolution),
+    bsr: burstSuppressionRatio(epochs[ch], sampleRate),
+  })
+
+  const freqResolution = spectra.find(spectrum => spectrum.psd.length > 0)?.freqResolution || 0
+  const hemispheres = {}
+  const hemisphereSpectra = {}
+  for (const side of ['left', 'right']) {
+    const members = spectra
+      .map((spectrum, ch) => ({ spectrum, ch }))
+      .filter(({ spectrum, ch }) => spectrum.psd.length > 0 && channelHemisphere(labels[ch]) === side)
+    if (members.length === 0) {
+      hemispheres[side] = null
+      continue
+    }
+    hemisphereSpectra[side] = averageSpectra(members.map(({ spectrum }) => spectrum.psd))
+    hemispheres[side] = {
+      ...spectralMetrics(hemisphereSpectra[side], freqResolution),
+      bsr: members.reduce((sum, { ch }) => sum + channels[ch].bsr, 0) / members.length,
+    }
+  }
+
+  const bsi = hemisphereSpectra.left && hemisphereSpectra.right
+    ? brainSymmetryIndex(hemisphereSpectra.left, hemisphereSpectra.right, freqResolution)
+    : null
+
+  return { channels, hemispheres, bsi }
+}
+
+/**
+ * Mean of each metric over a qEEG trend (e.g. for the session report), ignoring missing values
+ *
+ * @param {Array<{ time, channels, hemispheres, bsi }>} trend - Trend points
+ * @returns {{ start, end, count, channels: Object[], hemispheres: { left, right }, bsi }|null}
+ *   Metrics shaped like computeQEEG's; null for an empty trend
+ */
+export function summarizeQEEGTrend(trend) {
+  if (!trend || trend.length === 0) return null
+
+  const average = (metricsList) => {
+    const present = metricsList.filter(Boolean)
+    if (present.length === 0) return null
+    const meanOf = (read) => {
+      const values = present.map(read).filter(value => value !== null && value !== undefined && Number.isFinite(value))
+      return values.length > 0 ? values.reduce((sum, value) => sum + value, 0) / values.length : null
+    }
+    const relativePowers = {}
+    Object.keys(EEG_BANDS).forEach(band => {
+      relativePowers[band] = meanOf(m => m.relativePowers[band])
+    })
+    return {
+      sef95: meanOf(m => m.sef95),
+      medianFreq: meanOf(m => m.medianFreq),
+      adr: meanOf(m => m.adr),
+      dar: meanOf(m => m.dar),
+      relativePowers,
+      bsr: meanOf(m => m.bsr),
+    }
+  }
+
+  const numChannels = Math.max(...trend.map(point => point.channels?.length || 0))
+  const bsiValues = trend.map(point => point.bsi).filter(value => value !== null && value !== undefined)
+  return {
+    start: trend[0].time,
+    end: trend[trend.length - 1].time,
+    count: trend.length,
+    channels: Array.from({ length: numChannels }, (_, ch) => average(trend.map(point => point.channels?.[ch]))),
+    hemispheres: {
+      left: average(trend.map(point => point.hemispheres?.left)),
+      right: average(trend.map(point => point.hemispheres?.right)),
+    },
+    bsi: bsiValues.length > 0 ? bsiValues.reduce((sum, value) => sum + value, 0) / bsiValues.length : null,
+  }
+}
@@ -0,0 +1,70 @@
+/**
+ * Sample Rate Utilities
+ * EDF recordings may mix signals sampled at different rates (e.g. 256 Hz EEG with 1 Hz SpO2 or
+ * 512 Hz ECG); each channel keeps its own rate and these helpers put them on a common time base
+ */
+
+// Tolerance when converting between sample indices of different rates
+const INDEX_EPSILON = 1e-9
+
+/**
+ * Rate used as the common time base: the rate shared by most channels, the higher one on a tie
+ *
+ * @param {Array<{ sampleRate: number }>} channels
+ * @param {number} fallback - Returned when no channel has a valid rate
+ * @returns {number} Sample rate in Hz
+ */
+export function primarySampleRate(channels, fallback = 250) {
+  const counts = new Map()
+  channels.forEach(channel => {
+    const rate = channel?.sampleRate
+    if (rate > 0 && channel?.samples?.length !== 0) counts.set(rate, (counts.get(rate) || 0) + 1)
+  })
+  let best = null
+  counts.forEach((count, rate) => {
+    if (best === null || count > counts.get(best) || (count === counts.get(best) && rate > best)) {
+      best = rate
+    }
+  })
+  return best || fallback
+}
+
+/**
+ * First sample index of a channel at or after a time (seconds from the start of the channel)
+ */
+export function indexAtTime(time, sampleRate) {
+  return Math.max(0, Math.ceil(time * sampleRate - INDEX_EPSILON))
+}
+
+/**
+ * Linearly interpolated value of a channel at a time (seconds from the start of the channel)
+ * Times outside the recording return the nearest sample
+ */
+export function interpolateAt(samples, sampleRate, time) {
+  const length = samples?.length || 0
+  if (length === 0) return 0
+  const position = time * sampleRate
+  if (position <= 0) return samples[0]
+  if (position >= length - 1) return samples[length - 1]
+  const index = Math.floor(position)
+  const fraction = position - index
+  return samples[index] + (samples[index + 1] - samples[index]) * fraction
+}
+
+/**
+ * Resample a channel to another rate by linear interpolation
+ *
+ * @param {Float32Array|number[]} samples
+ * @param {number} fromRate - Rate of the input in Hz
+ * @param {number} toRate - Rate of the output in Hz
+ * @returns {Float32Array} Samples covering the same duration at toRate
+ */
+export function resampleLinear(samples, fromRate, toRate) {
+  if (fromRate === toRate) return samples instanceof Float32Array ? samples : Float32Array.from(samples)
+  const length = Math.max(0, Math.round(samples.length * toRate / fromRate))
+  const output = new Float32Array(length)
+  for (let i = 0; i < length; i++) {
+    output[i] = interpolateAt(samples, fromRate, i / toRate)
+  }
+  return output
+}
@@ -0,0 +1,341 @@
+/**
+ * EEG Ring Buffer
+ * Holds the most recent samples of every displayed channel in per-channel Float32Array rings
+ * instead of arrays of { x, y } points. Channels share one time base: the sample with absolute
+ * index n of a channel at rate r is at timeOrigin + n / r, so only values are stored and channels
+ * at different rates stay aligned. Every write bumps `version`; readers use it to tell whether
+ * the contents changed and copy windows into arrays they own.
+ */
+
+// Storage is grown in steps of this many seconds up to the capacity, so a long buffer setting
+// does not allocate an hour of samples per channel up front
+const INITIAL_CAPACITY_SEC = 30
+
+// Tolerance when mapping a time onto a sample index
+const INDEX_EPSILON = 1e-6
+
+function emptyChannel() {
+  return { sampleRate: 0, values: null, head: 0, count: 0, endIndex: 0 }
+}
+
+export class EEGRingBuffer {
+  /**
+   * @param {number} numChannels
+   * @param {Object} options
+   * @param {number} options.capacitySec - Seconds kept per channel (settings.system.bufferSize)
+   * @param {number} options.timeOrigin - Time of absolute sample index 0 (e.g. the EDF trimmed offset)
+   */
+  constructor(numChannels, { capacitySec = 3600, timeOrigin = 0 } = {}) {
+    this.numChannels = numChannels
+    this.capacitySec = capacitySec
+    this.timeOrigin = timeOrigin
+    this.version = 0
+    this.channels = Array.from({ length: numChannels }, emptyChannel)
+    this.scratch = new Float32Array(1)
+  }
+
+  sampleRate(channel) {
+    return this.channels[channel]?.sampleRate || 0
+  }
+
+  // Number of buffered samples of a channel
+  length(channel) {
+    return this.channels[channel]?.count || 0
+  }
+
+  get isEmpty() {
+    return this.channels.every(ch => ch.count === 0)
+  }
+
+  /**
+   * Append samples to a channel
+   * A write that starts inside the buffered span replaces the samples from there on; one that
+   * leaves a gap or changes the rate starts the channel over at the new position
+   *
+   * @param {number} channel
+   * @param {number} startTime - Time of values[0]
+   * @param {ArrayLike<number>} values
+   * @param {number} sampleRate - Rate of the channel in Hz
+   * @param {number} count - Number of values to take (defaults to all)
+   */
+  append(channel, startTime, values, sampleRate, count = values.length) {
+    const ch = this.channels[channel]
+    if (!ch || count <= 0 || !(sampleRate > 0)) return
+
+    const firstIndex = Math.round((startTime - this.timeOrigin) * sampleRate)
+    if (ch.sampleRate !== sampleRate) {
+      ch.sampleRate = sampleRate
+      ch.values = null
+      ch.count = 0
+    }
+    if (firstIndex < ch.endIndex && firstIndex >= ch.endIndex - ch.count) {
+      ch.count -= ch.endIndex - firstIndex
+    } else if (firstIndex !== ch.endIndex) {
+      ch.head = 0
+      ch.count = 0
+    }
+    ch.endIndex = firstIndex
+
+    const capacity = this.capacityOf(ch)
+    this.ensureStorage(ch, ch.count + count)
+    // Only the last `capacity` values can survive this write
+    const skip = Math.max(0, count - capacity)
+    const size = ch.values.length
+    for (let i = skip; i < count; i++) {
+      ch.values[(ch.head + ch.count) % size] = values[i]
+      if (ch.count < size) {
+        ch.count++
+      } else {
+        ch.head = (ch.head + 1) % size
+      }
+    }
+    ch.endIndex += count
+    this.version++
+  }
+
+  /**
+   * Append one sample to a channel
+   */
+  push(channel, time, value, sampleRate) {
+    this.scratch[0] = value
+    this.append(channel, time, this.scratch, sampleRate, 1)
+  }
+
+  // Drop every sample, keeping the channel count
+  clear() {
+    this.channels = Array.from({ length: this.numChannels }, emptyChannel)
+    this.version++
+  }
+
+  /**
+   * Change the number of seconds kept per channel; the most recent samples are kept
+   */
+  setCapacity(capacitySec) {
+    if (capacitySec === this.capacitySec) return
+    this.capacitySec = capacitySec
+    this.channels.forEach(ch => {
+      if (!ch.values) return
+      const capacity = this.capacityOf(ch)
+      const keep = Math.min(ch.count, capacity)
+      this.reallocate(ch, Math.min(capacity, Math.max(keep, ch.values.length)), keep)
+    })
+    this.version++
+  }
+
+  // Time of the i-th buffered sample of a channel (0 = oldest)
+  timeAt(channel, i) {
+    const ch = this.channels[channel]
+    return this.timeOrigin + (ch.endIndex - ch.count + i) / ch.sampleRate
+  }
+
+  // Value of the i-th buffered sample of a channel (0 = oldest)
+  valueAt(channel, i) {
+    const ch = this.channels[channel]
+    return ch.values[(ch.head + i) % ch.values.length]
+  }
+
+  // Latest buffered { x, y } of a channel, or null when it is empty
+  lastPoint(channel) {
+    const count = this.length(channel)
+    if (count === 0) return null
+    return { x: this.timeAt(channel, count - 1), y: this.valueAt(channel, count - 1) }
+  }
+
+  /**
+   * Time span covered by the buffer, taken across all channels so that channels with
+   * different rates share one time axis
+   *
+   * @returns {{ start: number, end: number }} Earliest and latest sample times (0 when empty)
+   */
+  timeRange() {
+    let start = Infinity
+    let end = -Infinity
+    this.channels.forEach((ch, channel) => {
+      if (ch.count === 0) return
+      start = Math.min(start, this.timeAt(channel, 0))
+      end = Math.max(end, this.timeAt(channel, ch.count - 1))
+    })
+    return Number.isFinite(end) ? { start, end } : { start: 0, end: 0 }
+  }
+
+  // Buffered index of the first sample of a channel at or after a time (0..length)
+  indexAtTime(channel, time) {
+    const ch = this.channels[channel]
+    if (!ch || ch.count === 0) return 0
+    const absolute = Math.ceil((time - this.timeOrigin) * ch.sampleRate - INDEX_EPSILON)
+    return Math.min(ch.count, Math.max(0, absolute - (ch.endIndex - ch.count)))
+  }
+
+  /**
+   * Buffered index range [first, end) of the samples of a channel within [startTime, endTime]
+   */
+  indexRange(channel, startTime, endTime) {
+    const ch = this.channels[channel]
+    if (!ch || ch.count === 0) return { first: 0, end: 0 }
+    const oldest = ch.endIndex - ch.count
+    const clamp = index => Math.min(ch.count, Math.max(0, index - oldest))
+    const first = clamp(Math.ceil((startTime - this.timeOrigin) * ch.sampleRate - INDEX_EPSILON))
+    const end = clamp(Math.floor((endTime - this.timeOrigin) * ch.sampleRate + INDEX_EPSILON) + 1)
+    return { first, end: Math.max(first, end) }
+  }
+
+  /**
+   * Copy the samples of a channel within [startTime, endTime] into `out`
+   * When the window holds more samples than `out`, the most recent ones are copied
+   *
+   * @returns {number} Number of samples copied (the last one is the last sample in the window)
+   */
+  read(channel, startTime, endTime, out) {
+    let { first, end } = this.indexRange(channel, startTime, endTime)
+    first = Math.max(first, end - out.length)
+    const ch = this.channels[channel]
+    for (let i = first; i < end; i++) {
+      out[i - first] = ch.values[(ch.head + i) % ch.values.length]
+    }
+    return end - first
+  }
+
+  /**
+   * Copy the last `durationSec` seconds of a channel into `out` (see read)
+   */
+  readLatest(channel, durationSec, out) {
+    const count = this.length(channel)
+    if (count === 0) return 0
+    const end = this.timeAt(channel, count - 1)
+    return this.read(channel, end - durationSec, end, out)
+  }
+
+  /**
+   * Decimation step readDecimated uses for a window: the number of samples per bucket, 1 when the
+   * window fits in maxPoints samples
+   */
+  envelopeStep(channel, startTime, endTime, maxPoints) {
+    const ch = this.channels[channel]
+    if (!ch || ch.count === 0) return 1
+    const { first, end } = this.indexRange(channel, startTime, endTime)
+    // One sample either side of the window (see readDecimated)
+    const span = Math.min(ch.count, end + 1) - Math.max(0, first - 1)
+    if (span <= maxPoints) return 1
+    // Two samples per bucket plus the window's end samples; aligned buckets covering `span` samples
+    // number at most (span - 1) / step + 2
+    const buckets = Math.floor((maxPoints - 2) / 2)
+    return Math.ceil(span / Math.max(1, buckets - 1))
+  }
+
+  /**
+   * Min/max envelope of a channel within [startTime, endTime], at most outValues.length samples
+   * Samples are grouped into buckets of `step` samples (one pixel column when outValues holds two
+   * samples per column), aligned to the absolute sample index so buckets stay put while the window
+   * scrolls. Each bucket contributes its minimum and maximum in the order they occur, so spikes and
+   * cautery bursts keep their true peaks however long the window. A window that fits is copied whole.
+   * One sample either side of the window is included, and the first and last samples are always
+   * kept, so traces reach the window edges.
+   *
+   * @param {Float32Array|Float64Array} outTimes - Receives the sample times
+   * @param {Float32Array} outValues - Receives the sample values
+   * @param {number} [step] - Bucket size to use instead of envelopeStep's, e.g. to redraw a stretch of
+   *   a trace with the buckets of the whole view
+   * @returns {number} Number of samples written
+   */
+  readDecimated(channel, startTime, endTime, outTimes, outValues, step = null) {
+    const ch = this.channels[channel]
+    if (!ch || ch.count === 0 || outValues.length === 0) return 0
+    let { first, end } = this.indexRange(channel, startTime, endTime)
+    first = Math.max(0, first - 1)
+    end = Math.min(ch.count, end + 1)
+    if (end <= first) return 0
+    const bucket = step || this.envelopeStep(channel, startTime, endTime, outValues.length)
+    const { values, head } = ch
+    const size = values.length
+
+    if (bucket <= 1) {
+      const count = Math.min(end - first, outValues.length)
+      for (let i = 0; i < count; i++) {
+        outTimes[i] = this.timeAt(channel, first + i)
+        outValues[i] = values[(head + first + i) % size]
+      }
+      return count
+    }
+
+    const oldest = ch.endIndex - ch.count
+    const last = end - 1
+    let written = 0
+    const write = index => {
+      outTimes[written] = this.timeAt(channel, index)
+      outValues[written++] = values[(head + index) % size]
+    }
+    write(first)
+    let i = first + 1
+    while (i < last && written + 3 <= outValues.length) {
+      const bucketEnd = Math.min(end, (Math.floor((oldest + i) / bucket) + 1) * bucket - oldest)
+      const bucketStop = Math.min(bucketEnd, last)
+      let minIndex = i
+      let maxIndex = i
+      let minValue = values[(head + i) % size]
+      let maxValue = minValue
+      for (let j = i + 1; j < bucketStop; j++) {
+        const value = values[(head + j) % size]
+        if (value < minValue) {
+          minValue = value
+          minIndex = j
+        } else if (value > maxValue) {
+          maxValue = value
+          maxIndex = j
+        }
+      }
+      // In time order; a flat bucket gives a single sample
+      write(Math.min(minIndex, maxIndex))
+      if (maxIndex !== minIndex) write(Math.max(minIndex, maxIndex))
+      i = bucketStop
+    }
+    if (last > first && written < outValues.length) write(last)
+    return written
+  }
+
+  /**
+   * { x, y } points of a channel within [startTime, endTime], decimated to at most maxPoints
+   * For chart libraries that need point objects; only the requested window is allocated
+   */
+  toPoints(channel, startTime = -Infinity, endTime = Infinity, maxPoints = Infinity) {
+    const count = this.length(channel)
+    if (count === 0) return []
+    const from = Number.isFinite(startTime) ? startTime : this.timeAt(channel, 0)
+    const to = Number.isFinite(endTime) ? endTime : this.timeAt(channel, count - 1)
+    const size = Math.min(count, Number.isFinite(maxPoints) ? maxPoints : count)
+    const times = new Float64Array(size)
+    const values = new Float32Array(size)
+    const written = this.readDecimated(channel, from, to, times, values)
+    const points = new Array(written)
+    for (let i = 0; i < written; i++) {
+      points[i] = { x: times[i], y: values[i] }
+    }
+    return points
+  }
+
+  // Samples a channel may hold at its rate
+  capacityOf(ch) {
+    return Math.max(1, Math.ceil(this.capacitySec * ch.sampleRate))
+  }
+
+  // Grow the storage of a channel (doubling, up to its capacity) to fit `needed` samples
+  ensureStorage(ch, needed) {
+    const capacity = this.capacityOf(ch)
+    const current = ch.values?.length || 0
+    if (current >= Math.min(needed, capacity)) return
+    let size = Math.max(current, Math.ceil(INITIAL_CAPACITY_SEC * ch.sampleRate))
+    while (size < needed && size < capacity) size *= 2
+    this.reallocate(ch, Math.min(size, capacity), ch.count)
+  }
+
+  // Move the newest `keep` samples of a channel into a new array of `size` samples
+  reallocate(ch, size, keep) {
+    const values = new Float32Array(size)
+    const old = ch.values
+    for (let i = 0; i < keep; i++) {
+      values[i] = old[(ch.head + ch.count - keep + i) % old.length]
+    }
+    ch.values = values
+    ch.head = 0
+    ch.count = keep
+  }
+}
@@ -0,0 +1,71 @@
+/**
+ * Screen Calibration
+ * Physical size of the CSS pixel on this workstation, so that µV/mm and mm/sec are true on the
+ * screen and a trace can be laid against paper. Browsers assume 96 px per inch whatever the monitor;
+ * the user measures the real value once (an on-screen card outline matched to a physical card) and it
+ * is kept in browser storage for the workstation.
+ */
+
+import { CSS_PIXELS_PER_MM } from './traceRenderer'
+
+const STORAGE_KEY = 'eegViewer.screenCalibration'
+
+// ISO/IEC 7810 ID-1 card (credit card, bank card, ID card)
+export const CARD_WIDTH_MM = 85.6
+export const CARD_HEIGHT_MM = 53.98
+
+// Accepted calibrations (CSS pixels per mm): about 25 to 300 px per inch
+export const PIXELS_PER_MM_RANGE = { min: 1, max: 12 }
+
+/**
+ * Read the saved calibration ({ pixelsPerMm, devicePixelRatio, calibratedAt }) from browser storage,
+ * null when the screen was never calibrated
+ */
+export function loadScreenCalibration() {
+  try {
+    const stored = window.localStorage.getItem(STORAGE_KEY)
+    if (!stored) return null
+    const calibration = JSON.parse(stored)
+    return calibration?.pixelsPerMm > 0 ? calibration : null
+  } catch (error) {
+    console.warn('[screenCalibration] Could not read screen calibration:', error)
+    return null
+  }
+}
+
+/**
+ * Write the calibration to browser storage (null removes it)
+ */
+export function storeScreenCalibration(calibration) {
+  try {
+    if (calibration) window.localStorage.setItem(STORAGE_KEY, JSON.stringify(calibration))
+    else window.localStorage.removeItem(STORAGE_KEY)
+  } catch (error) {
+    console.warn('[screenCalibration] Could not store screen calibration:', error)
+  }
+}
+
+/**
+ * Calibration measured now at the given pixels per mm
+ */
+export function createScreenCalibration(pixelsPerMm) {
+  return {
+    pixelsPerMm: Math.min(PIXELS_PER_MM_RANGE.max, Math.max(PIXELS_PER_MM_RANGE.min, pixelsPerMm)),
+    devicePixelRatio: window.devicePixelRatio || 1,
+    calibratedAt: new Date().toISOString(),
+  }
+}
+
+/**
+ * CSS pixels per mm to draw with. Browser zoom changes the device pixel ratio and the size of the
+ * CSS pixel in step, so a calibration made at another zoom level is scaled by the ratio change;
+ * without a calibration the CSS reference pixel is used.
+ *
+ * @param {Object|null} calibration - Saved calibration
+ * @returns {number}
+ */
+export function screenPixelsPerMm(calibration) {
+  if (!calibration) return CSS_PIXELS_PER_MM
+  const ratio = window.devicePixelRatio || 1
+  return calibration.pixelsPerMm * (calibration.devicePixelRatio || ratio) / ratio
+}
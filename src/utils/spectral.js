@@ -0,0 +1,114 @@
+/**
+ * Spectral Analysis Utilities
+ * Power spectrum and EEG band-power helpers shared by detection and analysis code
+ */
+
+import * as fftjs from 'fft-js'
+const { fft } = fftjs
+
+// Clinical EEG frequency bands (Hz) - alpha 8-12 / beta 12-30 per clinical standards
+export const EEG_BANDS = {
+  delta: [0.5, 4],
+  theta: [4, 8],
+  alpha: [8, 12],
+  beta: [12, 30],
+}
+
+// Frequency range used for total power (Hz)
+export const TOTAL_POWER_RANGE = [0.5, 30]
+
+/**
+ * Compute a one-sided power spectral density of a signal segment
+ * Removes the DC offset, applies a Hamming window and zero-pads to the next power of 2
+ *
+ * @param {Float32Array|number[]} samples - Signal segment (µV)
+ * @param {number} sampleRate - Sample rate in Hz
+ * @param {number} minFftSize - Smallest FFT length; pads further for a finer frequency grid
+ * @returns {{ psd: Float32Array, freqResolution: number }} PSD in µV²/Hz, bin i is at i * freqResolution Hz
+ */
+export function computePowerSpectrum(samples, sampleRate, minFftSize = 0) {
+  const n = samples.length
+  if (n < 2 || !(sampleRate > 0)) {
+    return { psd: new Float32Array(0), freqResolution: 0 }
+  }
+
+  let mean = 0
+  for (let i = 0; i < n; i++) mean += samples[i]
+  mean /= n
+
+  const fftSize = Math.pow(2, Math.ceil(Math.log2(Math.max(n, minFftSize))))
+  const complex = new Array(fftSize)
+  let windowPower = 0
+  for (let i = 0; i < fftSize; i++) {
+    if (i < n) {
+      const w = 0.54 - 0.46 * Math.cos((2 * Math.PI * i) / (n - 1))
+      windowPower += w * w
+      complex[i] = [(samples[i] - mean) * w, 0]
+    } else {
+      complex[i] = [0, 0]
+    }
+  }
+
+  const fftResult = fft(complex)
+  const numBins = Math.floor(fftSize / 2) + 1
+  const psd = new Float32Array(numBins)
+  const scale = 1 / (sampleRate * windowPower)
+
+  for (let i = 0; i < numBins; i++) {
+    const real = fftResult[i][0]
+    const imag = fftResult[i][1]
+    // Double all bins except DC and Nyquist to fold in negative frequencies
+    const fold = (i === 0 || i === fftSize / 2) ? 1 : 2
+    psd[i] = (real * real + imag * imag) * scale * fold
+  }
+
+  return { psd, freqResolution: sampleRate / fftSize }
+}
+
+/**
+ * Integrate a PSD over a frequency range
+ *
+ * @param {Float32Array} psd - Power spectral density (µV²/Hz)
+ * @param {number} freqResolution - Hz per bin
+ * @param {number} fLow - Lower edge (inclusive) in Hz
+ * @param {number} fHigh - Upper edge (exclusive) in Hz
+ * @returns {number} Band power in µV²
+ */
+export function integrateBand(psd, freqResolution, fLow, fHigh) {
+  if (!freqResolution) return 0
+  const start = Math.max(0, Math.ceil(fLow / freqResolution))
+  const end = Math.min(psd.length, Math.ceil(fHigh / freqResolution))
+  let power = 0
+  for (let i = start; i < end; i++) {
+    power += psd[i]
+  }
+  return power * freqResolution
+}
+
+/**
+ * Compute absolute power in each EEG band plus total power
+ *
+ * @param {Float32Array|number[]} samples - Signal segment (µV)
+ * @param {number} sampleRate - Sample rate in Hz
+ * @returns {{ delta: number, theta: number, alpha: number, beta: number, total: number }} Band powers in µV²
+ */
+export function computeBandPowers(samples, sampleRate) {
+  const { psd, freqResolution } = computePowerSpectrum(samples, sampleRate)
+  return bandPowersFromSpectrum(psd, freqResolution)
+}
+
+/**
+ * Absolute power in each EEG band plus total power of an already computed PSD
+ *
+ * @param {Float32Array} psd - Power spectral density (µV²/Hz)
+ * @param {number} freqResolution - Hz per bin
+ * @returns {{ delta: number, theta: number, alpha: number, beta: number, total: number }} Band powers in µV²
+ */
+export function bandPowersFromSpectrum(psd, freqResolution) {
+  const powers = {}
+  Object.entries(EEG_BANDS).forEach(([band, [fLow, fHigh]]) => {
+    powers[band] = integrateBand(psd, freqResolution, fLow, fHigh)
+  })
+  powers.total = integrateBand(psd, freqResolution, TOTAL_POWER_RANGE[0], TOTAL_POWER_RANGE[1])
+  return powers
+}
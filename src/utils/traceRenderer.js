@@ -0,0 +1,477 @@
+/**
+ * Trace Renderer
+ * Draws any number of EEG channels into one canvas: stacked rows on a shared time axis, with the
+ * paper grid, event and artifact shading, annotation markers and a calibration bar. Samples are read
+ * straight from an EEGRingBuffer into scratch arrays the renderer owns, so a redraw allocates nothing
+ * per sample and 32 channels at 500 Hz redraw within a frame. Scales are given in pixels; use
+ * calibratedScales to turn µV/mm and mm/sec into pixels.
+ */
+
+import { ARTIFACT_TYPES } from './artifacts'
+import { channelHemisphere } from './qeeg'
+
+// Pixels per millimetre of the CSS reference pixel (96 per inch)
+export const CSS_PIXELS_PER_MM = 96 / 25.4
+
+// Width of the channel label column and height of the time axis (CSS pixels)
+const LABEL_WIDTH = 96
+const TIME_AXIS_HEIGHT = 20
+
+// Samples drawn per pixel column: the minimum and maximum of the column's samples (see
+// EEGRingBuffer.readDecimated)
+const SAMPLES_PER_PIXEL = 2
+
+// Paper grid: minor and major vertical lines (seconds)
+const MINOR_TIME_STEP = 0.2
+const MAJOR_TIME_STEP = 1
+
+// Calibration bar heights tried, largest first (µV)
+const CALIBRATION_VALUES_UV = [500, 200, 100, 50, 20, 10, 5]
+
+// Trace colour by hemisphere: left blue, right red, midline and other channels green
+const HEMISPHERE_COLORS = {
+  left: '#2563eb', // Darker blue for better contrast
+  right: '#dc2626', // Darker red for better contrast
+}
+const MIDLINE_COLOR = '#059669'
+
+const ISCHEMIA_COLOR = '#dc2626'
+const BURST_SUPPRESSION_COLOR = '#7c3aed'
+const ANNOTATION_COLOR = '#f59e0b'
+
+/**
+ * Pixel scales of a calibrated display
+ *
+ * @param {number} amplitudeScale - Sensitivity in µV/mm
+ * @param {number} timeScale - Timebase in mm/sec
+ * @param {number} [pixelsPerMm] - Screen pixels per millimetre
+ * @returns {{ pixelsPerMicrovolt: number, pixelsPerSecond: number }}
+ */
+export function calibratedScales(amplitudeScale, timeScale, pixelsPerMm = CSS_PIXELS_PER_MM) {
+  return {
+    pixelsPerMicrovolt: pixelsPerMm / amplitudeScale,
+    pixelsPerSecond: pixelsPerMm * timeScale,
+  }
+}
+
+// Timebase at which settings.display.timeWindow is given (mm/sec)
+export const BASE_TIME_SCALE = 30
+
+/**
+ * Seconds of recording on the raw EEG page. display.timeWindow is not a user setting: RawEEGPlot
+ * derives it from the width of the trace area at BASE_TIME_SCALE, so the page holds it scaled to
+ * the current timebase.
+ *
+ * @param {Object} display - settings.display
+ * @returns {number}
+ */
+export function pageDuration(display) {
+  return (display.timeWindow || 10) * BASE_TIME_SCALE / (display.timeScale || BASE_TIME_SCALE)
+}
+
+// Trace colour of a channel label
+export function traceColor(label) {
+  return HEMISPHERE_COLORS[channelHemisphere(label)] || MIDLINE_COLOR
+}
+
+function themeColors(theme) {
+  const dark = theme === 'dark'
+  return {
+    text: dark ? '#ffffff' : '#0f172a',
+    textSecondary: dark ? '#a0a0a0' : '#475569',
+    border: dark ? '#333333' : '#cbd5e1',
+    gridMajor: dark ? 'rgba(74, 222, 128, 0.45)' : 'rgba(52, 211, 153, 0.65)',
+    gridMinor: dark ? 'rgba(74, 222, 128, 0.16)' : 'rgba(52, 211, 153, 0.25)',
+    baseline: dark ? 'rgba(74, 222, 128, 0.14)' : 'rgba(52, 211, 153, 0.2)',
+    rawOverlay: dark ? 'rgba(156, 163, 175, 0.6)' : 'rgba(107, 114, 128, 0.5)',
+    artifact: dark ? 'rgba(156, 163, 175, 0.22)' : 'rgba(107, 114, 128, 0.18)',
+    artifactText: dark ? '#d1d5db' : '#4b5563',
+    labelBackground: dark ? 'rgba(0, 0, 0, 0.6)' : 'rgba(255, 255, 255, 0.85)',
+  }
+}
+
+export class TraceRenderer {
+  /**
+   * @param {HTMLCanvasElement} canvas - Surface to draw on
+   */
+  constructor(canvas) {
+    this.canvas = canvas
+    this.ctx = canvas.getContext('2d')
+    this.width = 0
+    this.height = 0
+    this.times = new Float64Array(0)
+    this.values = new Float32Array(0)
+    // Geometry of the last draw, for hit testing
+    this.layout = null
+  }
+
+  /**
+   * Size the surface in CSS pixels, backed at the device pixel ratio
+   */
+  setSize(width, height) {
+    const ratio = window.devicePixelRatio || 1
+    this.width = Math.max(0, Math.floor(width))
+    this.height = Math.max(0, Math.floor(height))
+    this.canvas.width = Math.round(this.width * ratio)
+    this.canvas.height = Math.round(this.height * ratio)
+    this.canvas.style.width = `${this.width}px`
+    this.canvas.style.height = `${this.height}px`
+    this.ctx.setTransform(ratio, 0, 0, ratio, 0, 0)
+  }
+
+  /**
+   * Draw a scene
+   *
+   * @param {Object} scene
+   * @param {EEGRingBuffer} scene.buffer - Samples to draw
+   * @param {EEGRingBuffer} [scene.overlay] - Unfiltered samples drawn behind each trace, mean removed
+   * @param {Array<{ index, label, detail, color, labelColor, artifacts }>} scene.channels - Rows top to
+   *   bottom: buffer channel, label, optional detail text, trace and label colours, artifact segments
+   * @param {number} scene.startTime - Start of the view (s)
+   * @param {number} scene.endTime - End of the view (s)
+   * @param {number} [scene.pixelsPerSecond] - Horizontal scale; the view is fitted to the width when
+   *   omitted, and trimmed at its start when it does not fit
+   * @param {number} [scene.pixelsPerMicrovolt] - Vertical scale; fitted to rangeMicrovolts per row when omitted
+   * @param {number} [scene.rangeMicrovolts] - Amplitude spanning one row when fitting (default 200)
+   * @param {string} [scene.theme] - 'light' or 'dark'
+   * @param {Array} [scene.ischemiaEvents] - Shaded red, traces inside drawn red when showRedSegment
+   * @param {Array} [scene.burstSuppressionEvents] - Shaded violet
+   * @param {Array} [scene.annotations] - Dashed markers; those with a duration are shaded
+   * @param {boolean} [scene.showStartEndLines] - Dashed lines at ischemia starts and ends
+   * @param {boolean} [scene.showRedSegment] - Ischemic stretches of the traces drawn red
+   * @param {boolean} [scene.showLabels] - Channel label column
+   * @param {number} [scene.labelWidth] - Width of the label column
+   * @param {boolean} [scene.showTimeAxis] - Time labels under the traces
+   * @param {boolean} [scene.showCalibration] - Calibration bar in the bottom-right corner
+   * @returns {Object} Layout of the draw, kept for channelAt
+   */
+  draw(scene) {
+    const { ctx, width, height } = this
+    ctx.clearRect(0, 0, width, height)
+    const channels = scene.channels || []
+    const colors = themeColors(scene.theme)
+    const plotLeft = this.labelWidth(scene)
+    const plotWidth = this.plotWidth(scene)
+    const plotHeight = Math.max(1, height - (scene.showTimeAxis ? TIME_AXIS_HEIGHT : 0))
+    const rowHeight = plotHeight / Math.max(1, channels.length)
+
+    // Horizontal scale: fit, or calibrated with the oldest part trimmed when the view is longer than
+    // the page; a shorter view leaves the rest of the page empty, as on paper
+    const span = Math.max(1e-6, scene.endTime - scene.startTime)
+    const pixelsPerSecond = scene.pixelsPerSecond || plotWidth / span
+    const pageSeconds = plotWidth / pixelsPerSecond
+    const startTime = Math.max(scene.startTime, scene.endTime - pageSeconds)
+    const endTime = startTime + pageSeconds
+    const dataEndTime = Math.min(scene.endTime, endTime)
+    const pixelsPerMicrovolt = scene.pixelsPerMicrovolt || rowHeight / (scene.rangeMicrovolts || 200)
+    const toX = time => plotLeft + (time - startTime) * pixelsPerSecond
+    const plotRight = plotLeft + plotWidth
+    const layout = { plotLeft, plotRight, plotHeight, rowHeight, startTime, endTime, dataEndTime, pixelsPerSecond, pixelsPerMicrovolt, channels }
+    this.layout = layout
+
+    // Scratch arrays for one channel's window
+    const maxSamples = Math.max(2, Math.ceil(plotWidth * SAMPLES_PER_PIXEL))
+    if (this.values.length < maxSamples) {
+      this.times = new Float64Array(maxSamples)
+      this.values = new Float32Array(maxSamples)
+    }
+
+    this.drawGrid(layout, colors)
+    this.drawShading(scene, layout, colors, toX)
+
+    // Traces, clipped to the plot area so large deflections do not spill over the labels
+    ctx.save()
+    ctx.beginPath()
+    ctx.rect(plotLeft, 0, plotRight - plotLeft, plotHeight)
+    ctx.clip()
+    const ischemiaRanges = scene.showRedSegment && scene.ischemiaEvents
+      ? scene.ischemiaEvents.map(event => [Math.max(startTime, event.start), Math.min(dataEndTime, event.end || dataEndTime)])
+          .filter(([from, to]) => to > from)
+      : []
+    channels.forEach((channel, row) => {
+      const centre = (row + 0.5) * rowHeight
+      if (scene.overlay) {
+        this.strokeChannel(scene.overlay, channel.index, layout, centre, colors.rawOverlay, 0.8, true)
+      }
+      this.strokeChannel(scene.buffer, channel.index, layout, centre, channel.color, 1.1, false)
+      // Ischemic stretches redrawn red on top
+      if (ischemiaRanges.length === 0) return
+      const step = scene.buffer.envelopeStep(channel.index, startTime, dataEndTime, this.values.length)
+      ischemiaRanges.forEach(([from, to]) => {
+        this.strokeChannel(scene.buffer, channel.index, layout, centre, ISCHEMIA_COLOR, 1.3, false, from, to, step)
+      })
+    })
+    ctx.restore()
+
+    this.drawMarkers(scene, layout, colors, toX)
+    if (scene.showLabels !== false) this.drawLabels(layout, colors)
+    if (scene.showTimeAxis) this.drawTimeAxis(layout, colors)
+    if (scene.showCalibration) this.drawCalibration(layout, colors)
+    return layout
+  }
+
+  /**
+   * Stroke one channel around a row centre over [from, to] (the whole view by default); with
+   * removeMean the window mean is the baseline. A stretch redrawn over the trace passes the
+   * decimation step of the whole view so it follows the same envelope.
+   */
+  strokeChannel(buffer, index, layout, centre, color, lineWidth, removeMean, from = layout.startTime, to = layout.dataEndTime, step = null) {
+    const { ctx, times, values } = this
+    const count = buffer.readDecimated(index, from, to, times, values, step)
+    if (count === 0) return
+    let mean = 0
+    if (removeMean) {
+      for (let i = 0; i < count; i++) mean += values[i]
+      mean /= count
+    }
+    const { plotLeft, startTime, pixelsPerSecond, pixelsPerMicrovolt } = layout
+    ctx.beginPath()
+    for (let i = 0; i < count; i++) {
+      const x = plotLeft + (times[i] - startTime) * pixelsPerSecond
+      // Positive up
+      const y = centre - (values[i] - mean) * pixelsPerMicrovolt
+      if (i === 0) ctx.moveTo(x, y)
+      else ctx.lineTo(x, y)
+    }
+    ctx.strokeStyle = color
+    ctx.lineWidth = lineWidth
+    ctx.lineJoin = 'round'
+    ctx.stroke()
+  }
+
+  drawGrid(layout, colors) {
+    const { ctx } = this
+    const { plotLeft, plotRight, plotHeight, rowHeight, startTime, endTime, pixelsPerSecond, channels } = layout
+    // Minor lines only where they are at least 4 px apart
+    const step = MINOR_TIME_STEP * pixelsPerSecond >= 4 ? MINOR_TIME_STEP : MAJOR_TIME_STEP
+    ctx.save()
+    for (let t = Math.ceil(startTime / step - 1e-6) * step; t <= endTime + 1e-9; t += step) {
+      const isMajor = Math.abs(t / MAJOR_TIME_STEP - Math.round(t / MAJOR_TIME_STEP)) < 1e-6
+      const x = Math.round(plotLeft + (t - startTime) * pixelsPerSecond) + 0.5
+      ctx.strokeStyle = isMajor ? colors.gridMajor : colors.gridMinor
+      ctx.lineWidth = isMajor ? 1.2 : 0.6
+      ctx.beginPath()
+      ctx.moveTo(x, 0)
+      ctx.lineTo(x, plotHeight)
+      ctx.stroke()
+    }
+    // Row baselines
+    ctx.strokeStyle = colors.baseline
+    ctx.lineWidth = 0.5
+    ctx.beginPath()
+    channels.forEach((_, row) => {
+      const y = Math.round((row + 0.5) * rowHeight) + 0.5
+      ctx.moveTo(plotLeft, y)
+      ctx.lineTo(plotRight, y)
+    })
+    ctx.stroke()
+    ctx.strokeStyle = colors.border
+    ctx.lineWidth = 1
+    ctx.strokeRect(plotLeft + 0.5, 0.5, Math.max(0, plotRight - plotLeft - 1), plotHeight - 1)
+    ctx.restore()
+  }
+
+  drawShading(scene, layout, colors, toX) {
+    const { ctx } = this
+    const { plotLeft, plotRight, plotHeight, rowHeight } = layout
+    const fill = (start, end, top, bottom, color) => {
+      const x0 = Math.max(plotLeft, toX(start))
+      const x1 = Math.min(plotRight, end === null ? plotRight : toX(end))
+      if (!(x1 > x0)) return null
+      ctx.fillStyle = color
+      ctx.fillRect(x0, top, x1 - x0, bottom - top)
+      return [x0, x1]
+    }
+    const { annotations = [], ischemiaEvents = [], burstSuppressionEvents = [] } = scene
+    ctx.save()
+
+    // Annotations with a duration (detected artifacts are shaded per channel below)
+    annotations.forEach(annotation => {
+      if (!(annotation.duration > 0) || annotation.source === 'detector') return
+      fill(annotation.timestamp, annotation.timestamp + annotation.duration, 0, plotHeight, 'rgba(245, 158, 11, 0.12)')
+    })
+
+    // Each row's artifact segments, labelled with the artifact type where there is room
+    ctx.font = '9px sans-serif'
+    ctx.textAlign = 'left'
+    layout.channels.forEach((channel, row) => {
+      const top = row * rowHeight
+      const artifacts = channel.artifacts || []
+      artifacts.forEach(segment => {
+        const range = fill(segment.start, segment.end, top, top + rowHeight, colors.artifact)
+        if (!range || rowHeight < 14) return
+        const label = ARTIFACT_TYPES[segment.type] || 'Artifact'
+        if (ctx.measureText(label).width + 6 <= range[1] - range[0]) {
+          ctx.fillStyle = colors.artifactText
+          ctx.fillText(label, range[0] + 3, top + 10)
+        }
+      })
+    })
+
+    burstSuppressionEvents.forEach(event => {
+      fill(event.start, event.end || null, 0, plotHeight, 'rgba(124, 58, 237, 0.12)')
+    })
+    ischemiaEvents.forEach(event => {
+      fill(event.start, event.end || null, 0, plotHeight, 'rgba(220, 38, 38, 0.2)')
+    })
+    ctx.restore()
+  }
+
+  drawMarkers(scene, layout, colors, toX) {
+    const { ctx } = this
+    const { plotLeft, plotRight, plotHeight } = layout
+    const inView = x => Number.isFinite(x) && x >= plotLeft && x <= plotRight
+    const verticalLine = (x, color, width, dash) => {
+      ctx.strokeStyle = color
+      ctx.lineWidth = width
+      ctx.setLineDash(dash)
+      ctx.beginPath()
+      ctx.moveTo(x, 0)
+      ctx.lineTo(x, plotHeight)
+      ctx.stroke()
+      ctx.setLineDash([])
+    }
+    const tag = (text, x, y, color, align) => {
+      ctx.font = '10px sans-serif'
+      const textWidth = ctx.measureText(text).width
+      const left = align === 'center' ? x - textWidth / 2 - 4 : x + 2
+      ctx.fillStyle = color
+      ctx.fillRect(left, y, textWidth + 8, 18)
+      ctx.fillStyle = '#ffffff'
+      ctx.textAlign = 'left'
+      ctx.fillText(text, left + 4, y + 13)
+    }
+    const { annotations = [], ischemiaEvents = [], burstSuppressionEvents = [] } = scene
+    ctx.save()
+
+    // Ischemia: dashed start/end lines, start labelled at the top and stop at the bottom
+    ischemiaEvents.forEach(event => {
+      const startX = toX(event.start)
+      const endX = event.end ? toX(event.end) : null
+      if (scene.showStartEndLines) {
+        if (inView(startX)) verticalLine(startX, ISCHEMIA_COLOR, 1.1, [5, 5])
+        if (endX !== null && inView(endX)) verticalLine(endX, ISCHEMIA_COLOR, 1.1, [5, 5])
+      }
+      if (inView(startX)) tag('Start Ischemia', startX, 0, ISCHEMIA_COLOR, 'center')
+      if (endX !== null && inView(endX)) tag('Stop Ischemia', endX, plotHeight - 18, ISCHEMIA_COLOR, 'center')
+    })
+
+    burstSuppressionEvents.forEach(event => {
+      const startX = toX(event.start)
+      if (!inView(startX)) return
+      const label = Number.isFinite(event.bsr) ? `Burst Suppression (BSR ${Math.round(event.bsr * 100)}%)` : 'Burst Suppression'
+      tag(label, startX, plotHeight - 18, BURST_SUPPRESSION_COLOR, 'left')
+    })
+
+    annotations.forEach(annotation => {
+      const x = toX(annotation.timestamp)
+      if (!inView(x)) return
+      verticalLine(x, ANNOTATION_COLOR, 1.5, [4, 3])
+      if (annotation.text) {
+        const label = annotation.text.length > 24 ? `${annotation.text.slice(0, 23)}…` : annotation.text
+        tag(label, x, 22, ANNOTATION_COLOR, 'left')
+      }
+    })
+    ctx.restore()
+  }
+
+  drawLabels(layout, colors) {
+    const { ctx } = this
+    const { plotLeft, rowHeight, channels } = layout
+    ctx.save()
+    ctx.textBaseline = 'middle'
+    channels.forEach((channel, row) => {
+      const centre = (row + 0.5) * rowHeight
+      const fontSize = Math.max(9, Math.min(12, Math.floor(rowHeight * 0.6)))
+      ctx.font = `bold ${fontSize}px sans-serif`
+      ctx.textAlign = 'right'
+      ctx.fillStyle = channel.labelColor || channel.color
+      ctx.fillText(channel.label, plotLeft - 8, centre, plotLeft - 12)
+
+      // Detail text at the top of the row, where the row is tall enough
+      if (channel.detail && rowHeight >= 30) {
+        ctx.font = '10px sans-serif'
+        ctx.textAlign = 'left'
+        const textWidth = ctx.measureText(channel.detail).width
+        const top = row * rowHeight + 2
+        ctx.fillStyle = colors.labelBackground
+        ctx.fillRect(plotLeft + 4, top, textWidth + 8, 14)
+        ctx.fillStyle = channel.labelColor || colors.textSecondary
+        ctx.fillText(channel.detail, plotLeft + 8, top + 7)
+      }
+    })
+    ctx.restore()
+  }
+
+  drawTimeAxis(layout, colors) {
+    const { ctx, height } = this
+    const { plotLeft, plotRight, startTime, endTime, pixelsPerSecond } = layout
+    // One label per second, or fewer so labels stay 60 px apart
+    const step = [1, 2, 5, 10, 30, 60].find(s => s * pixelsPerSecond >= 60) || 60
+    ctx.save()
+    ctx.font = '10px sans-serif'
+    ctx.fillStyle = colors.textSecondary
+    ctx.textAlign = 'center'
+    ctx.textBaseline = 'middle'
+    const y = height - TIME_AXIS_HEIGHT / 2
+    for (let t = Math.ceil(startTime / step) * step; t <= endTime + 1e-9; t += step) {
+      const x = plotLeft + (t - startTime) * pixelsPerSecond
+      if (x < plotLeft + 10 || x > plotRight - 10) continue
+      ctx.fillText(`${t.toFixed(0)}s`, x, y)
+    }
+    ctx.restore()
+  }
+
+  /**
+   * Calibration bar: a vertical amplitude bar and a horizontal one-second bar in the bottom-right
+   */
+  drawCalibration(layout, colors) {
+    const { ctx } = this
+    const { plotRight, plotHeight, rowHeight, pixelsPerSecond, pixelsPerMicrovolt } = layout
+    const maxHeight = Math.max(12, Math.min(rowHeight, plotHeight / 3))
+    const microvolts = CALIBRATION_VALUES_UV.find(value => value * pixelsPerMicrovolt <= maxHeight) ||
+      CALIBRATION_VALUES_UV[CALIBRATION_VALUES_UV.length - 1]
+    const seconds = pixelsPerSecond <= (plotRight - layout.plotLeft) / 3 ? 1 : MINOR_TIME_STEP
+    const barHeight = microvolts * pixelsPerMicrovolt
+    const barWidth = seconds * pixelsPerSecond
+    const x = plotRight - barWidth - 12
+    const y = plotHeight - 24
+    ctx.save()
+    ctx.strokeStyle = colors.text
+    ctx.lineWidth = 1.5
+    ctx.beginPath()
+    ctx.moveTo(x, y - barHeight)
+    ctx.lineTo(x, y)
+    ctx.lineTo(x + barWidth, y)
+    ctx.stroke()
+    ctx.font = '10px sans-serif'
+    ctx.fillStyle = colors.text
+    ctx.textAlign = 'right'
+    ctx.textBaseline = 'middle'
+    ctx.fillText(`${microvolts} µV`, x - 4, y - barHeight / 2)
+    ctx.textAlign = 'center'
+    ctx.textBaseline = 'top'
+    ctx.fillText(seconds === 1 ? '1 s' : `${seconds * 1000} ms`, x + barWidth / 2, y + 3)
+    ctx.restore()
+  }
+
+  // Width of a scene's label column
+  labelWidth(scene) {
+    return scene?.showLabels === false ? 0 : (scene?.labelWidth ?? LABEL_WIDTH)
+  }
+
+  // Width left for the traces
+  plotWidth(scene) {
+    return Math.max(1, this.width - this.labelWidth(scene))
+  }
+
+  /**
+   * Row (index into scene.channels) under a y coordinate of the last draw, or -1
+   */
+  channelAt(y) {
+    const layout = this.layout
+    if (!layout || y < 0 || y >= layout.plotHeight) return -1
+    const row = Math.floor(y / layout.rowHeight)
+    return row < layout.channels.length ? row : -1
+  }
+}
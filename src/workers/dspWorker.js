@@ -0,0 +1,17 @@
+/**
+ * DSP Worker
+ * Runs the DSPProcessor off the main thread; messages and replies are described in utils/dspPipeline.js
+ */
+
+import { DSPProcessor } from '../utils/dspProcessor'
+
+const processor = new DSPProcessor()
+
+self.onmessage = (event) => {
+  try {
+    const { result, transfer } = processor.handle(event.data)
+    self.postMessage(result, transfer)
+  } catch (error) {
+    self.postMessage({ id: event.data.id, error: error.message })
+  }
+}